@@ -1,9 +1,36 @@
-import {buildApp15Block, injectBeforeSOS, parseCartridge, BlockType} from './ppujpeg.js';
-import {PPUVM, Sys} from './vm.js';
-
-// --- Telegram Mini App integration (graceful fallback) ---
-const TG = window.Telegram?.WebApp;
-try { TG?.ready?.(); } catch {}
+import {buildApp15Blocks, injectBeforeSOS, removeBlocks, parseCartridge, cartridgeDigest, BlockType} from './ppujpeg.js';
+import {PPUVM, Feature} from './vm.js';
+import {buildSnakeBytecode, encodeSnakeRules, DEFAULT_SNAKE_RULES, SnakeMode, P2_CMD_OFFSET, SNAKE_TILES, SNAKE_SOUNDS} from './snake.js';
+import {disassembleCartridge} from './asm.js';
+import {verifyBytecode} from './verify.js';
+import {ReplayRecorder, decodeReplay, loadReplay, playReplay} from './replay.js';
+import {saveState, loadState, writeSlot, readSlot} from './savestate.js';
+import {loadScores, recordScore} from './scores.js';
+import {createBridge, displayName} from './telegram.js';
+import {PaletteSlot, PaletteVariant, DEFAULT_PALETTE, paletteVariant, cssColor} from './palette.js';
+import {drawScene, fitRect, gameOverText, tileAtlas} from './display.js';
+import {WorkerVM} from './vmhost.js';
+import {AudioHost, renderReplayAudio, encodeWav, DEFAULT_SAMPLE_RATE} from './audio.js';
+import {inspectCartridge, formatInspection, truthGroups, disassemblyAround, hexDump, describeVM} from './inspect.js';
+import {TouchType, Gesture, lookupCmd, regionRect, buildPalette, decodePalette, decodeFs, buildTiles, decodeTiles, validateTiles, buildSounds, decodeSounds, buildTruthTable, decodeTruthTable, buildHeader, parseHeader, buildStringTable, decodeStringTable, buildLayout, decodeLayout, validateLayout, layoutRegions, FormatError} from './format.js';
+import {LONG_PRESS_MS, pressTouch, longPressTouch, releaseTouches} from './input.js';
+import {signBlocks, verifyCartridgeSignature, generateSigningKey, exportSigningKey, importSigningKey, keyToHex} from './signature.js';
+
+// --- Telegram Mini App integration (graceful fallback; see telegram.js) ---
+const TG = createBridge(window.Telegram?.WebApp ?? null);
+TG.ready();
+// Cloud copy of the leaderboards (Bot API 6.9+); null outside Telegram.
+const CLOUD = TG.cloudStorage;
+const PLAYER_NAME = displayName(TG.user);
+// Host colors follow the Telegram theme. The cartridge raster is baked into the JPEG and keeps its own.
+let theme = TG.theme();
+function applyTheme(){
+  theme = TG.theme();
+  document.body.style.background = theme.bg;
+  document.body.style.color = theme.text;
+}
+applyTheme();
+TG.onThemeChanged(applyTheme);
 // Note: fullscreen is user-gesture gated; we request it when the user presses Start on the image.
 
 // --- Canvas setup ---
@@ -14,6 +41,9 @@ const pillGradient = document.getElementById('pillGradient');
 const pillScore = document.getElementById('pillScore');
 const toast = document.getElementById('toast');
 const fileInput = document.getElementById('file');
+const replayInput = document.getElementById('replayFile');
+const inspectorEl = document.getElementById('inspector');
+const insp = Object.fromEntries(['Step', 'Run', 'Regions', 'Addr', 'Close', 'Verdict', 'VM', 'Code', 'Ram', 'Cart'].map(k => [k, document.getElementById(`insp${k}`)]));
 
 let W=0,H=0, DPR=1;
 function resize(){
@@ -25,23 +55,13 @@ function resize(){
 window.addEventListener('resize', resize, {passive:true});
 resize();
 
-// --- UI geometry in "cartridge pixels" (we render to 512x512 virtual, then scale) ---
-const V = {w:512, h:512};
-const ioGridX = 64, ioGridY = 64;
-
-const UI = {
-  board: {x: 40, y: 72, w: 360, h: 360},
-  // Buttons live in the JPEG raster. These rectangles define their hit regions.
-  btnUp:    {x: 90,  y: 420, w: 52,  h: 52},
-  btnLeft:  {x: 38,  y: 472, w: 52,  h: 52},
-  btnDown:  {x: 90,  y: 472, w: 52,  h: 52},
-  btnRight: {x: 142, y: 472, w: 52,  h: 52},
-  btnStart: {x: 360, y: 420, w: 132, h: 52},
-  btnRestart:{x:360, y: 472, w: 132, h: 52},
-  btnDownload:{x:360, y: 524, w: 132, h: 52},
-  btnCapture:{x:360, y: 576, w: 132, h: 52},
-  btnLoad:{x:360, y: 628, w: 132, h: 52},
-};
+// --- Geometry in "cartridge pixels" (we render to a V.w x V.h virtual raster, then scale) ---
+// Cartridges built here use BUILD; loading a cartridge switches V, the touch grid and the tick
+// rate to what its HEADER declares (fbWidth/fbHeight, ioGridX/Y, targetFPS).
+const BUILD = Object.freeze({w:512, h:512, gridX:64, gridY:64, fps:8});
+let V = {w:BUILD.w, h:BUILD.h};
+let ioGridX = BUILD.gridX, ioGridY = BUILD.gridY;
+let stepMs = 1000 / BUILD.fps;
 
 const CMD = Object.freeze({
   UP: 1,
@@ -53,207 +73,180 @@ const CMD = Object.freeze({
   DOWNLOAD: 7,
   CAPTURE: 8,
   LOAD: 9,
+  VERSUS: 10,       // host: rebuild as the other of solo / two-player
+  P2_UP: P2_CMD_OFFSET + 1,
+  P2_DOWN: P2_CMD_OFFSET + 2,
+  P2_LEFT: P2_CMD_OFFSET + 3,
+  P2_RIGHT: P2_CMD_OFFSET + 4,
 });
+const HOST_CMDS = new Set([CMD.DOWNLOAD, CMD.CAPTURE, CMD.LOAD, CMD.VERSUS]);
+
+// Layout of cartridges built here (shipped as the LAYOUT block). Buttons live in the JPEG raster;
+// their rectangles are also the touch regions, and later buttons win overlapping grid cells.
+const BUILD_LAYOUT = {
+  board: {x: 24, y: 72, w: 320, h: 320, cellPx: 16}, // 20x20 cells
+  buttons: [
+    {x: 24,  y: 412, w: 74,  h: 60, cmd: CMD.LEFT, label: '◀'},
+    {x: 106, y: 412, w: 74,  h: 60, cmd: CMD.UP, label: '▲'},
+    {x: 188, y: 412, w: 74,  h: 60, cmd: CMD.DOWN, label: '▼'},
+    {x: 270, y: 412, w: 74,  h: 60, cmd: CMD.RIGHT, label: '▶'},
+    {x: 364, y: 72,  w: 132, h: 48, cmd: CMD.START_PAUSE, label: 'Start/Pause'},
+    {x: 364, y: 128, w: 132, h: 48, cmd: CMD.RESTART, label: 'Restart'},
+    {x: 364, y: 184, w: 132, h: 48, cmd: CMD.DOWNLOAD, label: 'Download'},
+    {x: 364, y: 240, w: 132, h: 48, cmd: CMD.CAPTURE, label: 'Capture'},
+    {x: 364, y: 296, w: 132, h: 48, cmd: CMD.LOAD, label: 'Load'},
+    {x: 364, y: 352, w: 132, h: 48, cmd: CMD.VERSUS, label: 'Versus'},
+  ],
+};
 
-// --- Cartridge bytes (generated in-browser) ---
-let cartridgeBytes = null;
-let cartridgeBlobUrl = null;
+// Rule set of cartridges built here (RULES block, see snake.js); variants only need a different one.
+const BUILD_RULES = DEFAULT_SNAKE_RULES;
+// LUT_PALETTE of cartridges built here: the host defaults, whose game colors are Snake's (SnakeColor).
+const BUILD_PALETTE = DEFAULT_PALETTE;
+
+// Two-player variant: player 1 keeps the bottom D-pad, player 2 gets a pad in the right column.
+const VERSUS_LAYOUT = {
+  board: BUILD_LAYOUT.board,
+  buttons: [
+    ...BUILD_LAYOUT.buttons.slice(0, 4),
+    {x: 364, y: 72,  w: 132, h: 36, cmd: CMD.START_PAUSE, label: 'Start/Pause'},
+    {x: 364, y: 114, w: 132, h: 36, cmd: CMD.RESTART, label: 'Restart'},
+    {x: 364, y: 156, w: 132, h: 36, cmd: CMD.DOWNLOAD, label: 'Download'},
+    {x: 364, y: 198, w: 132, h: 36, cmd: CMD.CAPTURE, label: 'Capture'},
+    {x: 364, y: 240, w: 132, h: 36, cmd: CMD.LOAD, label: 'Load'},
+    {x: 364, y: 282, w: 132, h: 36, cmd: CMD.VERSUS, label: 'Solo'},
+    {x: 364, y: 340, w: 62,  h: 60, cmd: CMD.P2_UP, label: '▲'},
+    {x: 434, y: 340, w: 62,  h: 60, cmd: CMD.P2_DOWN, label: '▼'},
+    {x: 364, y: 408, w: 62,  h: 60, cmd: CMD.P2_LEFT, label: '◀'},
+    {x: 434, y: 408, w: 62,  h: 60, cmd: CMD.P2_RIGHT, label: '▶'},
+  ],
+};
 
-// --- Truth table encoding ---
-function packKey({modeBits=0,touchType=1,regionId=0,gestureId=0,timeBucket=0}){
-  // 6 bytes packed: u8,u8,u16,u8,u8 (big-endian for regionId)
-  const u8 = new Uint8Array(6);
-  u8[0]=modeBits&255;
-  u8[1]=touchType&255;
-  u8[2]=(regionId>>>8)&255; u8[3]=regionId&255;
-  u8[4]=gestureId&255;
-  u8[5]=timeBucket&255;
-  return u8;
-}
-function keyToStr(keyU8){
-  return String.fromCharCode(...keyU8);
-}
-
-function rectToRegionIds(rect, vw=V.w, vh=V.h){
-  const ids = [];
-  const cellW = vw / ioGridX;
-  const cellH = vh / ioGridY;
-  const x0 = Math.floor(rect.x / cellW);
-  const x1 = Math.floor((rect.x + rect.w - 1) / cellW);
-  const y0 = Math.floor(rect.y / cellH);
-  const y1 = Math.floor((rect.y + rect.h - 1) / cellH);
-  for(let gy=y0; gy<=y1; gy++){
-    for(let gx=x0; gx<=x1; gx++){
-      if(gx<0||gy<0||gx>=ioGridX||gy>=ioGridY) continue;
-      ids.push(gx + gy*ioGridX);
-    }
-  }
-  return ids;
+// Swiping on the board steers, so players are not limited to the small D-pads. In versus the
+// left half of the board belongs to player 1 and the right half to player 2.
+function boardSwipes(board, players){
+  const halfW = players === 2 ? Math.floor(board.w / 2) : board.w;
+  const swipes = (rect, offset) => [
+    {rect, touchType: TouchType.SWIPE, gestureId: Gesture.SWIPE_UP, cmd: CMD.UP + offset},
+    {rect, touchType: TouchType.SWIPE, gestureId: Gesture.SWIPE_DOWN, cmd: CMD.DOWN + offset},
+    {rect, touchType: TouchType.SWIPE, gestureId: Gesture.SWIPE_LEFT, cmd: CMD.LEFT + offset},
+    {rect, touchType: TouchType.SWIPE, gestureId: Gesture.SWIPE_RIGHT, cmd: CMD.RIGHT + offset},
+  ];
+  const out = swipes({x: board.x, y: board.y, w: halfW, h: board.h}, 0);
+  if(players === 2) out.push(...swipes({x: board.x + halfW, y: board.y, w: board.w - halfW, h: board.h}, P2_CMD_OFFSET));
+  return out;
 }
 
-function buildTruthTable(vw, vh){
-  const entries = [];
-  function addRect(rect, cmd){
-    for(const regionId of rectToRegionIds(rect, vw, vh)){
-      const key = packKey({modeBits:0,touchType:1,regionId,gestureId:0,timeBucket:0});
-      entries.push({key, cmd});
-    }
-  }
-  addRect(UI.btnUp, CMD.UP);
-  addRect(UI.btnDown, CMD.DOWN);
-  addRect(UI.btnLeft, CMD.LEFT);
-  addRect(UI.btnRight, CMD.RIGHT);
-  addRect(UI.btnStart, CMD.START_PAUSE);
-  addRect(UI.btnRestart, CMD.RESTART);
-  addRect(UI.btnDownload, CMD.DOWNLOAD);
-  addRect(UI.btnCapture, CMD.CAPTURE);
-  addRect(UI.btnLoad, CMD.LOAD);
-
-  const map = new Map();
-  for(const e of entries){
-    map.set(keyToStr(e.key), e.cmd);
-  }
-
-  const recordCount = map.size;
-  const payload = new Uint8Array(4 + recordCount*(1+6+2));
-  const dv = new DataView(payload.buffer);
-  dv.setUint32(0, recordCount>>>0, false);
-  let off = 4;
-  for(const [k, cmd] of map){
-    payload[off++] = 6; // keyLen
-    for(let i=0;i<6;i++) payload[off++] = k.charCodeAt(i) & 255;
-    dv.setUint16(off, cmd & 0xFFFF, false); off += 2;
-  }
-  return {payload, recordCount};
-}
-
-function decodeTruthTable(payload){
-  const dv = new DataView(payload.buffer, payload.byteOffset, payload.byteLength);
-  const n = dv.getUint32(0, false);
-  let off = 4;
-  const out = new Map();
-  for(let i=0;i<n;i++){
-    const keyLen = payload[off++];
-    const k = payload.subarray(off, off+keyLen); off += keyLen;
-    const cmd = dv.getUint16(off, false); off += 2;
-    out.set(keyToStr(k), cmd);
-  }
-  return out;
+// Per-mode entries (the mode is published by the bytecode): after a game over, Start begins a new
+// game instead of doing nothing.
+function modeRegions(layout){
+  return layout.buttons
+    .filter(b => b.cmd === CMD.START_PAUSE)
+    .map(b => ({rect: {x: b.x, y: b.y, w: b.w, h: b.h}, modeBits: SnakeMode.GAME_OVER, cmd: CMD.RESTART}));
 }
 
-// --- Header encoding ---
-function buildHeader({osId=0x534E414B /* 'SNAK' */, entryPoint=0, fbWidth=V.w, fbHeight=V.h, targetFPS=30, featureFlags=1}){
-  // HEADER payload: see docs. We append osId u32 as a tiny extension.
-  const payload = new Uint8Array(4+2+2+2+2+2 + 4+4 + 1+1+2 + 4);
-  const dv = new DataView(payload.buffer);
-  let off = 0;
-  dv.setUint32(off, entryPoint>>>0, false); off += 4;
-  dv.setUint16(off, fbWidth & 0xFFFF, false); off += 2;
-  dv.setUint16(off, fbHeight & 0xFFFF, false); off += 2;
-  dv.setUint16(off, targetFPS & 0xFFFF, false); off += 2;
-  dv.setUint16(off, ioGridX & 0xFFFF, false); off += 2;
-  dv.setUint16(off, ioGridY & 0xFFFF, false); off += 2;
-  dv.setUint32(off, featureFlags>>>0, false); off += 4;
-  dv.setUint32(off, 0, false); off += 4;
-  payload[off++] = 0; // gradientPreferred (G0)
-  payload[off++] = 0; // gradientMinExact (G0)
-  dv.setUint16(off, 0, false); off += 2;
-  dv.setUint32(off, osId>>>0, false); off += 4;
-  return payload;
-}
-
-function parseHeader(payload){
-  const dv = new DataView(payload.buffer, payload.byteOffset, payload.byteLength);
-  let off=0;
-  const entryPoint = dv.getUint32(off,false); off+=4;
-  const fbWidth = dv.getUint16(off,false); off+=2;
-  const fbHeight = dv.getUint16(off,false); off+=2;
-  const targetFPS = dv.getUint16(off,false); off+=2;
-  const ioGX = dv.getUint16(off,false); off+=2;
-  const ioGY = dv.getUint16(off,false); off+=2;
-  const featureFlags = dv.getUint32(off,false); off+=4;
-  off += 4; // reserved
-  const gradPref = payload[off++];
-  const gradMin = payload[off++];
-  off += 2;
-  const osId = (payload.byteLength >= off+4) ? dv.getUint32(off,false) : 0;
-  return {entryPoint, fbWidth, fbHeight, targetFPS, ioGX, ioGY, featureFlags, gradPref, gradMin, osId};
-}
-
-// --- String table ---
-function buildStringTable(obj){
-  const enc = new TextEncoder();
-  const entries = Object.entries(obj);
-  let total = 2;
-  const parts = [];
-  for(const [k,v] of entries){
-    const kb = enc.encode(k), vb = enc.encode(String(v));
-    const seg = new Uint8Array(2+kb.length+2+vb.length);
-    const dv = new DataView(seg.buffer);
-    dv.setUint16(0, kb.length, false);
-    seg.set(kb, 2);
-    dv.setUint16(2+kb.length, vb.length, false);
-    seg.set(vb, 2+kb.length+2);
-    parts.push(seg);
-    total += seg.length;
-  }
-  const out = new Uint8Array(total);
-  const dv = new DataView(out.buffer);
-  dv.setUint16(0, entries.length, false);
-  let off=2;
-  for(const seg of parts){ out.set(seg, off); off += seg.length; }
-  return out;
+// --- Cartridge bytes (generated in-browser) ---
+let cartridgeBytes = null;
+let cartridgeBlobUrl = null;
+let builtBytes = null; // the last cartridge built in this session (runs even when unsigned: no Ed25519)
+
+// --- Signature trust policy ---
+// Configure via localStorage['ppu.trust'] = JSON {"trustedKeys":["<64 hex>", ...], "allowUnsigned": true}.
+// Invalid signatures always fall back to view-only; allowUnsigned only covers cartridges without one.
+// It is off by default: otherwise stripping the SIGNATURE block from an untrusted cartridge would
+// make it run.
+const TRUST_STORAGE_KEY = 'ppu.trust';
+const SIGNER_STORAGE_KEY = 'ppu.signer';
+
+function loadTrustPolicy(){
+  const policy = {trustedKeys: [], allowUnsigned: false};
+  try{
+    const saved = JSON.parse(localStorage.getItem(TRUST_STORAGE_KEY) || 'null');
+    if(saved && Array.isArray(saved.trustedKeys)) policy.trustedKeys = saved.trustedKeys.map(String);
+    if(saved && typeof saved.allowUnsigned === 'boolean') policy.allowUnsigned = saved.allowUnsigned;
+  } catch {}
+  return policy;
 }
 
-function decodeStringTable(payload){
-  const dv = new DataView(payload.buffer, payload.byteOffset, payload.byteLength);
-  const dec = new TextDecoder();
-  const n = dv.getUint16(0,false);
-  let off=2;
-  const out = {};
-  for(let i=0;i<n;i++){
-    const kLen = dv.getUint16(off,false); off+=2;
-    const key = dec.decode(payload.subarray(off, off+kLen)); off+=kLen;
-    const vLen = dv.getUint16(off,false); off+=2;
-    const val = dec.decode(payload.subarray(off, off+vLen)); off+=vLen;
-    out[key]=val;
+// This device's signer: cartridges built here are signed with it and it is always trusted.
+let deviceSigner = null;
+async function getDeviceSigner(){
+  if(deviceSigner) return deviceSigner;
+  try{
+    const saved = JSON.parse(localStorage.getItem(SIGNER_STORAGE_KEY) || 'null');
+    if(saved) deviceSigner = await importSigningKey(saved);
+  } catch {}
+  if(!deviceSigner){
+    try{
+      deviceSigner = await generateSigningKey();
+      try { localStorage.setItem(SIGNER_STORAGE_KEY, JSON.stringify(await exportSigningKey(deviceSigner))); } catch {}
+    } catch (e){
+      console.warn('Ed25519 unavailable; cartridges will be unsigned.', e);
+      return null;
+    }
   }
-  return out;
+  return deviceSigner;
 }
 
 // --- Build base UI JPEG then inject blocks ---
-async function buildCartridge(){
+// players: 1 for Snake, 2 for the hot-seat versus cartridge.
+async function buildCartridge(players=1, rules=BUILD_RULES){
   pillStatus.textContent = 'building cartridge…';
   const base = document.createElement('canvas');
-  base.width = V.w; base.height = V.h;
+  base.width = BUILD.w; base.height = BUILD.h;
   const b = base.getContext('2d', {alpha:false});
 
-  drawBaseUI(b, V.w, V.h);
+  const title = players === 2 ? 'PPU Snake Versus' : 'PPU Snake';
+  const baseLayout = players === 2 ? VERSUS_LAYOUT : BUILD_LAYOUT;
+  // Cells as large as the board area allows for the rules' board size.
+  const {board} = baseLayout;
+  const cellPx = Math.floor(Math.min(board.w / rules.boardW, board.h / rules.boardH));
+  const layout = validateLayout({...baseLayout, board: {...board, cellPx}}, {fbWidth:BUILD.w, fbHeight:BUILD.h});
+  drawBaseUI(b, BUILD.w, BUILD.h, layout, title, BUILD_PALETTE.map(cssColor));
 
   const jpegBlob = await new Promise((res)=> base.toBlob(res, 'image/jpeg', 0.92));
   const jpegBuf = await jpegBlob.arrayBuffer();
   const jpegU8 = new Uint8Array(jpegBuf);
 
-  const headerPayload = buildHeader({osId:0x534E414B, entryPoint:0, fbWidth:V.w, fbHeight:V.h, targetFPS:30, featureFlags:1});
-  const {payload: ttPayload} = buildTruthTable(V.w, V.h);
+  // The game itself: Snake rules compiled to PPU bytecode.
+  const {bytecode, entryPoint, frameEntry} = buildSnakeBytecode({players, screenW: BUILD.w});
 
-  // Minimal bytecode: SYSCALL INIT; SYSCALL TICK; HALT
-  const bytecode = new Uint8Array([0x40, 0x01, 0x40, 0x02, 0x01]);
+  const headerPayload = buildHeader({osId:0x534E414B, entryPoint, frameEntry, fbWidth:BUILD.w, fbHeight:BUILD.h, targetFPS:BUILD.fps, ioGridX:BUILD.gridX, ioGridY:BUILD.gridY, featureFlags:Feature.CORE|Feature.DISPLAY|Feature.AUDIO});
+  const regions = [...layoutRegions(layout), ...boardSwipes(layout.board, players), ...modeRegions(layout)];
+  const {payload: ttPayload} = buildTruthTable(regions, {vw:BUILD.w, vh:BUILD.h, gridX:BUILD.gridX, gridY:BUILD.gridY});
 
   const strPayload = buildStringTable({
-    title: "PPU Snake",
-    help: "D-Pad: move. Start: pause. Restart resets. Download saves cartridge. Capture grabs frame.",
+    title,
+    chrome: HOST_CHROME, // the raster is drawBaseUI: palette variants may redraw it
+    help: players === 2
+      ? "Player 1: bottom D-Pad or swipe on the left half. Player 2: right D-Pad or swipe on the right half. First snake to crash loses; head-on is a draw."
+      : "D-Pad or swipe: move. Start: pause/resume, or a new game after game over. Restart resets. Download saves cartridge. Capture grabs frame.",
   });
 
-  const blocks = [
-    buildApp15Block({blockType: BlockType.HEADER, payloadU8: headerPayload, flags:{crc:true,compressed:false}}),
-    buildApp15Block({blockType: BlockType.TRUTH_TABLE, payloadU8: ttPayload, flags:{crc:true,compressed:false}}),
-    buildApp15Block({blockType: BlockType.BYTECODE, payloadU8: bytecode, flags:{crc:true,compressed:false}}),
-    buildApp15Block({blockType: BlockType.STRING_TABLE, payloadU8: strPayload, flags:{crc:true,compressed:false}}),
+  const logical = [
+    {blockType: BlockType.HEADER, payload: headerPayload, compressed:false},
+    {blockType: BlockType.LAYOUT, payload: buildLayout(layout), compressed:true},
+    {blockType: BlockType.LUT_PALETTE, payload: buildPalette(BUILD_PALETTE), compressed:false},
+    {blockType: BlockType.TILES, payload: buildTiles(SNAKE_TILES), compressed:true},
+    {blockType: BlockType.SOUNDS, payload: buildSounds(SNAKE_SOUNDS), compressed:false},
+    {blockType: BlockType.TRUTH_TABLE, payload: ttPayload, compressed:true},
+    {blockType: BlockType.BYTECODE, payload: bytecode, compressed:true},
+    {blockType: BlockType.RULES, payload: encodeSnakeRules(rules), compressed:false},
+    {blockType: BlockType.STRING_TABLE, payload: strPayload, compressed:true},
   ];
 
+  // SIGNATURE goes last and covers every block above, in order.
+  const signer = await getDeviceSigner();
+  if(signer){
+    logical.push({blockType: BlockType.SIGNATURE, payload: await signBlocks(logical, signer), compressed:false});
+  }
+
+  // Oversized blocks are split across several APP15 segments; blockId only matters for those.
+  const blocks = logical.flatMap((b, blockId) => buildApp15Blocks({blockType: b.blockType, payloadU8: b.payload, flags:{crc:true,compressed:b.compressed}, blockId}));
+
   const outU8 = injectBeforeSOS(jpegU8, blocks);
   cartridgeBytes = outU8;
+  builtBytes = outU8;
   if(cartridgeBlobUrl) URL.revokeObjectURL(cartridgeBlobUrl);
   cartridgeBlobUrl = URL.createObjectURL(new Blob([outU8], {type:'image/jpeg'}));
 
@@ -273,49 +266,43 @@ function roundedRect(g,x,y,w,h,r){
   g.closePath();
 }
 
-function drawButton(g, rect, label){
+// colors: css strings indexed by PaletteSlot (palette.js).
+function drawButton(g, rect, label, colors){
   roundedRect(g, rect.x, rect.y, rect.w, rect.h, 12);
-  g.fillStyle = 'rgba(255,255,255,0.07)';
+  g.fillStyle = colors[PaletteSlot.PANEL];
   g.fill();
-  g.strokeStyle = 'rgba(255,255,255,0.20)';
+  g.strokeStyle = colors[PaletteSlot.OUTLINE];
   g.lineWidth = 2;
   g.stroke();
-  g.fillStyle = 'rgba(255,255,255,0.92)';
+  g.fillStyle = colors[PaletteSlot.TEXT];
   g.font = 'bold 18px system-ui, sans-serif';
   g.textAlign='center'; g.textBaseline='middle';
   g.fillText(label, rect.x + rect.w/2, rect.y + rect.h/2);
 }
 
-function drawBaseUI(g, vw, vh){
-  g.fillStyle = '#070912';
+function drawBaseUI(g, vw, vh, layout, title, colors){
+  g.fillStyle = colors[PaletteSlot.BACKGROUND];
   g.fillRect(0,0,vw,vh);
 
-  g.strokeStyle = 'rgba(255,255,255,0.04)';
+  g.strokeStyle = colors[PaletteSlot.GRID];
   for(let i=0;i<=vw;i+=32){ g.beginPath(); g.moveTo(i,0); g.lineTo(i,vh); g.stroke(); }
   for(let j=0;j<=vh;j+=32){ g.beginPath(); g.moveTo(0,j); g.lineTo(vw,j); g.stroke(); }
 
-  g.fillStyle = 'rgba(255,255,255,0.06)';
+  g.fillStyle = colors[PaletteSlot.PANEL];
   g.fillRect(0,0,vw,56);
-  g.fillStyle = 'rgba(255,255,255,0.92)';
+  g.fillStyle = colors[PaletteSlot.TEXT];
   g.font = 'bold 22px system-ui, sans-serif';
   g.textAlign='left'; g.textBaseline='middle';
-  g.fillText('PPU Snake (JPEG Cartridge)', 16, 28);
-
-  roundedRect(g, UI.board.x-8, UI.board.y-8, UI.board.w+16, UI.board.h+16, 18);
-  g.fillStyle = 'rgba(255,255,255,0.06)';
-  g.fill(); g.strokeStyle = 'rgba(255,255,255,0.16)'; g.lineWidth=2; g.stroke();
-
-  drawButton(g, UI.btnUp, '▲');
-  drawButton(g, UI.btnDown, '▼');
-  drawButton(g, UI.btnLeft, '◀');
-  drawButton(g, UI.btnRight, '▶');
-  drawButton(g, UI.btnStart, 'Start/Pause');
-  drawButton(g, UI.btnRestart, 'Restart');
-  drawButton(g, UI.btnDownload, 'Download');
-  drawButton(g, UI.btnCapture, 'Capture');
-  drawButton(g, UI.btnLoad, 'Load');
-
-  g.fillStyle = 'rgba(255,255,255,0.70)';
+  g.fillText(`${title} (JPEG Cartridge)`, 16, 28);
+
+  const board = layout.board;
+  roundedRect(g, board.x-8, board.y-8, board.w+16, board.h+16, 18);
+  g.fillStyle = colors[PaletteSlot.PANEL];
+  g.fill(); g.strokeStyle = colors[PaletteSlot.OUTLINE]; g.lineWidth=2; g.stroke();
+
+  for(const btn of layout.buttons) drawButton(g, btn, btn.label, colors);
+
+  g.fillStyle = colors[PaletteSlot.TEXT_DIM];
   g.font = '14px system-ui, sans-serif';
   g.textAlign='left'; g.textBaseline='top';
   g.fillText('Touch the buttons that are drawn INSIDE this JPEG.', 16, vh-22);
@@ -323,9 +310,93 @@ function drawBaseUI(g, vw, vh){
 
 // --- Base bitmap ---
 let baseBitmap = null;
+let baseRedrawn = false; // baseBitmap was redrawn from the LAYOUT for a palette variant
 async function setBaseFromCartridgeBytes(u8){
   const blob = new Blob([u8], {type:'image/jpeg'});
   baseBitmap = await createImageBitmap(blob);
+  baseRedrawn = false;
+}
+
+// --- Palette (keyboard: C cycles the variants) ---
+// The cartridge's LUT_PALETTE colors both its raster and the cells. The JPEG raster has the
+// cartridge colors baked in, so a variant redraws the chrome from the LAYOUT block instead, but
+// only when the raster is this host's chrome (drawBaseUI, marked by the STRING_TABLE entry
+// chrome = HOST_CHROME): any other cartridge's art is its own and stays as it is.
+const PALETTE_STORAGE_KEY = 'ppu.palette';
+const HOST_CHROME = 'host';
+const PALETTE_VARIANTS = Object.values(PaletteVariant);
+let paletteMode = PALETTE_VARIANTS.find(v => v === localStorage.getItem(PALETTE_STORAGE_KEY)) ?? PaletteVariant.CARTRIDGE;
+let cartPalette = null; // decoded LUT_PALETTE of the loaded cartridge (null: host defaults)
+let chrome = null;      // {layout, title} to redraw the raster from, when it is the host's chrome
+let colors = paletteVariant(null, paletteMode).map(cssColor);
+let cartTiles = null;   // decoded TILES of the loaded cartridge
+let tileBitmap = null;  // cartTiles in the current colors (display.js tileAtlas)
+
+async function applyPalette(){
+  const rgba = paletteVariant(cartPalette, paletteMode);
+  colors = rgba.map(cssColor);
+  if(cartTiles){
+    const {data, width, height} = tileAtlas(cartTiles, rgba);
+    tileBitmap = await createImageBitmap(new ImageData(data, width, height));
+  } else {
+    tileBitmap = null;
+  }
+  if(chrome && paletteMode !== PaletteVariant.CARTRIDGE){
+    const c = document.createElement('canvas');
+    c.width = V.w; c.height = V.h;
+    drawBaseUI(c.getContext('2d', {alpha:false}), V.w, V.h, chrome.layout, chrome.title, colors);
+    baseBitmap = await createImageBitmap(c);
+    baseRedrawn = true;
+  } else if(baseRedrawn){
+    await setBaseFromCartridgeBytes(cartridgeBytes);
+  }
+}
+
+async function cyclePalette(){
+  paletteMode = PALETTE_VARIANTS[(PALETTE_VARIANTS.indexOf(paletteMode) + 1) % PALETTE_VARIANTS.length];
+  try { localStorage.setItem(PALETTE_STORAGE_KEY, paletteMode); } catch {}
+  await applyPalette();
+  toastMsg(`Colors: ${paletteMode}${chrome || paletteMode === PaletteVariant.CARTRIDGE ? '' : ' (cells only: cartridge art)'}`);
+}
+
+// --- Sound (keyboard: M mutes, W exports the run as WAV) ---
+// An AudioContext starts suspended until a user gesture; the first pointer or key press resumes it.
+const SOUND_STORAGE_KEY = 'ppu.sound';
+const AUDIO = typeof AudioContext === 'function' ? new AudioHost(new AudioContext()) : null;
+if(AUDIO) AUDIO.muted = localStorage.getItem(SOUND_STORAGE_KEY) === 'off';
+let cartSounds = []; // decoded SOUNDS of the loaded cartridge
+
+function toggleSound(){
+  if(!AUDIO){ toastMsg('No audio in this browser.'); return; }
+  AUDIO.muted = !AUDIO.muted;
+  try { localStorage.setItem(SOUND_STORAGE_KEY, AUDIO.muted ? 'off' : 'on'); } catch {}
+  toastMsg(`Sound ${AUDIO.muted ? 'off' : 'on'}`);
+}
+window.addEventListener('pointerdown', () => AUDIO?.resume(), {passive:true});
+window.addEventListener('keydown', () => AUDIO?.resume(), {passive:true});
+
+// --- VM worker (keyboard: K toggles; takes effect by reloading the cartridge) ---
+// Off by default. On, the cartridge runs in a dedicated worker (vmworker.js) and the page keeps a
+// mirror of its state (vmhost.js); where OffscreenCanvas exists the worker draws the game too. A
+// cartridge the watchdog stops halts like any VM fault instead of freezing the WebView.
+const WORKER_STORAGE_KEY = 'ppu.worker';
+const WORKER_AVAILABLE = typeof Worker === 'function';
+let useWorker = WORKER_AVAILABLE && localStorage.getItem(WORKER_STORAGE_KEY) === 'on';
+let worker = null;   // WorkerVM of the loaded cartridge when useWorker
+let workerView = {}; // drawing inputs last sent to the worker
+
+async function toggleWorker(){
+  if(!WORKER_AVAILABLE){ toastMsg('No Web Workers in this browser.'); return; }
+  useWorker = !useWorker;
+  try { localStorage.setItem(WORKER_STORAGE_KEY, useWorker ? 'on' : 'off'); } catch {}
+  if(cartridgeBytes) await loadCartridge(cartridgeBytes);
+  toastMsg(`VM ${useWorker ? 'in a worker' : 'on the page'} (cartridge restarted).`);
+}
+
+function stopWorker(){
+  worker?.terminate();
+  worker = null;
+  workerView = {};
 }
 
 // --- Input mapping: screen -> virtual -> regionId -> truth table ---
@@ -346,12 +417,8 @@ function quantizeRegionId(vx, vy){
   return (gx + gy*ioGridX) & 0xFFFF;
 }
 
-function lookupCmdFromPoint(px, py){
-  const v = screenToVirtual(px, py);
-  if(!v.inside) return 0;
-  const regionId = quantizeRegionId(v.x, v.y);
-  const key = packKey({modeBits:0,touchType:1,regionId,gestureId:0,timeBucket:0});
-  return truth.get(keyToStr(key)) ?? 0;
+function lookupTouch(regionId, touchType, gestureId=Gesture.NONE, timeBucket=0){
+  return lookupCmd(truth, {modeBits: vm?.modeBits ?? 0, touchType, regionId, gestureId, timeBucket});
 }
 
 // --- Runtime state ---
@@ -360,7 +427,19 @@ let truth = new Map();
 let strings = {};
 let gradientUsed = 3; // default G3 until verified
 let frameTick = 0;
-let lastCmd = 0;
+// Game commands waiting for a tick, one queue per player: each tick takes one from each, player 2's
+// into the VM's second input slot (cmd2), so neither player's presses delay or drop the other's.
+// Commands that are not player 2's steering (start, restart) go with player 1.
+const CMD_QUEUE_MAX = 4;
+let cmdQueues = [[], []];
+let buildPlayers = 1;  // players in the cartridge built here (the Versus button switches)
+let scoreTable = [];   // leaderboard of the loaded cartridge (scores.js), best first
+let showScores = false;
+let boardRect = null;  // LAYOUT board rectangle; the cells and the display list's board layer are clipped to it
+let createVM = null;   // fresh VM for the loaded cartridge (replays need one per playback)
+let cartridgeId = null; // cartridgeDigest of the loaded cartridge
+let recorder = null;    // null once the session no longer starts from a fresh init (save state loaded)
+let verdict = '';       // how the last load ended ('running' or the view-only reason), for the inspector
 
 function toastMsg(s){
   toast.textContent = s;
@@ -379,65 +458,190 @@ async function boot(){
 
 async function loadCartridge(bytes){
   pillStatus.textContent = 'loading cartridge…';
+  inspection = null;
 
   let blocks;
   try{
     blocks = parseCartridge(bytes);
   } catch (e){
     console.error(e);
-    gradientUsed = 3;
-    pillGradient.textContent = 'G3';
-    toastMsg('Verification failed: view-only.');
-    await setBaseFromCartridgeBytes(bytes);
-    pillStatus.textContent = 'view-only (G3)';
+    await enterViewOnly(bytes, 'Verification failed: view-only.');
+    return;
+  }
+
+  const policy = loadTrustPolicy();
+  const signer = await getDeviceSigner();
+  if(signer) policy.trustedKeys.push(keyToHex(signer.publicKeyRaw));
+  const sig = await verifyCartridgeSignature(blocks, policy);
+  if(!sig.ok && bytes !== builtBytes){
+    console.error('Signature check failed', sig);
+    const why = {unsigned: 'Unsigned cartridge', untrusted: 'Untrusted signer', invalid: 'Invalid signature', unsupported: 'Cannot verify signature'}[sig.status];
+    await enterViewOnly(bytes, `${why}: view-only.`);
     return;
   }
 
-  let headerP=null, bytecodeP=null, truthP=null, strP=null;
+  let headerB=null, bytecodeP=null, truthB=null, strB=null, layoutB=null, paletteB=null, fsB=null, tilesB=null, soundsB=null, saveP=null, rulesP=null;
   for(const b of blocks){
-    if(b.blockType === BlockType.HEADER) headerP = b.payload;
+    if(b.blockType === BlockType.HEADER) headerB = b;
+    else if(b.blockType === BlockType.LAYOUT) layoutB = b;
+    else if(b.blockType === BlockType.LUT_PALETTE) paletteB = b;
+    else if(b.blockType === BlockType.FS) fsB = b;
+    else if(b.blockType === BlockType.TILES) tilesB = b;
+    else if(b.blockType === BlockType.SOUNDS) soundsB = b;
+    else if(b.blockType === BlockType.SAVESTATE) saveP = b.payload;
     else if(b.blockType === BlockType.BYTECODE) bytecodeP = b.payload;
-    else if(b.blockType === BlockType.TRUTH_TABLE) truthP = b.payload;
-    else if(b.blockType === BlockType.STRING_TABLE) strP = b.payload;
+    else if(b.blockType === BlockType.RULES) rulesP = b.payload;
+    else if(b.blockType === BlockType.TRUTH_TABLE) truthB = b;
+    else if(b.blockType === BlockType.STRING_TABLE) strB = b;
   }
 
-  if(!headerP || !bytecodeP){
-    gradientUsed = 3;
-    pillGradient.textContent = 'G3';
-    toastMsg('Missing required blocks: view-only.');
-    await setBaseFromCartridgeBytes(bytes);
-    pillStatus.textContent = 'view-only (G3)';
+  if(!headerB || !bytecodeP){
+    await enterViewOnly(bytes, 'Missing required blocks: view-only.');
+    return;
+  }
+
+  // Decode every table up front: a malformed one means the cartridge never runs.
+  let header, layout, truthMap, stringsObj, palette, files, tiles, sounds;
+  try{
+    header = parseHeader(headerB.payload, headerB.version);
+    layout = layoutB ? validateLayout(decodeLayout(layoutB.payload, layoutB.version), header) : null;
+    // Without an explicit TRUTH_TABLE the layout's buttons are the touch regions.
+    if(truthB) truthMap = decodeTruthTable(truthB.payload, truthB.version);
+    else if(layout) truthMap = decodeTruthTable(buildTruthTable(layoutRegions(layout), {vw:header.fbWidth, vh:header.fbHeight, gridX:header.ioGX, gridY:header.ioGY}).payload);
+    else truthMap = new Map();
+    stringsObj = strB ? decodeStringTable(strB.payload, strB.version) : {};
+    palette = paletteB ? decodePalette(paletteB.payload, paletteB.version) : null;
+    files = fsB ? decodeFs(fsB.payload, fsB.version) : [];
+    sounds = soundsB ? decodeSounds(soundsB.payload, soundsB.version) : [];
+    tiles = tilesB ? validateTiles(decodeTiles(tilesB.payload, tilesB.version), palette?.length ?? 256) : null;
+  } catch (e){
+    if(!(e instanceof FormatError)) throw e;
+    console.error(e);
+    await enterViewOnly(bytes, `Bad ${e.block} block: view-only.`);
+    return;
+  }
+
+  const check = verifyBytecode(bytecodeP, header);
+  if(!check.ok){
+    console.error('Bytecode verification failed:\n' + check.errors.join('\n'));
+    await enterViewOnly(bytes, `Bytecode rejected (${check.errors[0]}): view-only.`);
     return;
   }
 
   gradientUsed = 0;
   pillGradient.textContent = 'G0';
 
-  const header = parseHeader(headerP);
-  truth = truthP ? decodeTruthTable(truthP) : new Map();
-  strings = strP ? decodeStringTable(strP) : {};
+  V = {w:header.fbWidth, h:header.fbHeight};
+  ioGridX = header.ioGX;
+  ioGridY = header.ioGY;
+  stepMs = 1000 / header.targetFPS;
+  boardRect = layout ? layout.board : null;
 
-  await setBaseFromCartridgeBytes(bytes);
+  truth = truthMap;
+  strings = stringsObj;
 
-  vm = new PPUVM({
-    header: {entryPoint: 0, osId: header.osId ?? 0},
+  await setBaseFromCartridgeBytes(bytes);
+  cartPalette = palette;
+  cartTiles = tiles;
+  chrome = layout && stringsObj.chrome === HOST_CHROME ? {layout, title: stringsObj.title ?? 'Cartridge'} : null;
+  await applyPalette();
+
+  // Everything a VM for this cartridge is built from (also what the VM worker gets).
+  const cart = {
+    header,
     bytecode: bytecodeP,
     truthTable: truth,
     strings,
+    rules: rulesP,
+    files,
+    tiles,
+    sounds,
+    board: layout?.board,
+    paletteSize: palette?.length ?? 256,
+  };
+  createVM = () => new PPUVM({
+    ...cart,
     onDraw: (st)=>{
-      pillScore.textContent = `score: ${st.score}  best: ${st.high}` + (st.gameOver ? '  (GAME OVER)' : (st.paused ? '  (PAUSED)' : ''));
+      const best = Math.max(st.high, scoreTable[0]?.score ?? 0);
+      const scores = st.players === 2 ? `P1: ${st.score}  P2: ${st.score2}` : `${PLAYER_NAME ? PLAYER_NAME + '  ' : ''}score: ${st.score}  best: ${best}`;
+      pillScore.textContent = scores + (st.gameOver ? `  (${gameOverText(st)})` : (st.paused ? '  (PAUSED)' : ''));
     }
   });
+  // The new VM only becomes `vm`, which the loop steps, once its recorder exists: until then
+  // step() has no VM, so no frame can run unrecorded while the worker loads.
+  vm = null;
+  recorder = null;
+  cartridgeId = await cartridgeDigest(blocks);
+  const fresh = createVM();
+  cartSounds = sounds;
+  AUDIO?.reset({sounds, fps: header.targetFPS});
+
+  // init once; every later step() runs from header.frameEntry. With the VM worker, vm is the
+  // page's mirror of the worker's machine.
+  stopWorker();
+  if(useWorker){
+    worker = new WorkerVM({spawn: () => new Worker(new URL('./vmworker.js', import.meta.url), {type: 'module'}), mirror: fresh});
+    if(!await worker.load(cart)) return; // stopped: another cartridge started loading meanwhile
+  } else {
+    fresh.setIO({cmd:0, tick:0});
+    fresh.init();
+  }
+  if(fresh.fault){
+    console.error('VM fault during init:', fresh.fault);
+    await enterViewOnly(bytes, `VM fault: ${fresh.fault}. View-only.`);
+    return;
+  }
 
-  // init once
-  vm.pc = 0;
-  vm.setIO({cmd:0, tick:0, modeBits:0});
-  vm.runFrame(10_000);
-  // tick entry for subsequent frames (after SYSCALL INIT)
-  vm.pc = 2;
+  // What init() played is tick 0's sound, as renderReplayAudio has it (the mirror holds it too).
+  AUDIO?.push(fresh.sound);
+
+  // Every frame from here on is recorded; ticks continue from the host's running counter.
+  recorder = new ReplayRecorder({digest: cartridgeId, startTick: frameTick});
+  vm = fresh;
+  refreshScores();
+
+  // A cartridge downloaded with its save state resumes where it was saved.
+  let resumed = '';
+  if(saveP){
+    try{
+      loadState(vm, saveP, cartridgeId);
+      worker?.restore(vm.snapshot());
+      frameTick = vm.ioTick; // keep ticks moving forward from the saved one
+      recorder = null;
+      resumed = ', resumed from embedded save';
+    } catch (e){
+      console.warn('Ignoring embedded save state:', e);
+    }
+  }
 
   pillStatus.textContent = 'running';
-  toastMsg(strings.title ? `${strings.title} loaded.` : 'Cartridge loaded.');
+  verdict = `running (G0)${resumed}`;
+  refreshInspector();
+  const by = sig.status === 'valid' ? ` (signed ${sig.signer.slice(0, 8)}…)` : '';
+  toastMsg((strings.title ? `${strings.title} loaded` : 'Cartridge loaded') + `${by}${resumed}.`);
+}
+
+// Fail-closed: show the JPEG, but never run its blocks.
+async function enterViewOnly(bytes, msg){
+  stopWorker();
+  vm = null;
+  createVM = null;
+  recorder = null;
+  truth = new Map();
+  gradientUsed = 3;
+  pillGradient.textContent = 'G3';
+  toastMsg(msg);
+  verdict = `view-only (G3): ${msg}`;
+  refreshInspector();
+  cartPalette = null;
+  cartTiles = null;
+  cartSounds = [];
+  chrome = null;
+  await setBaseFromCartridgeBytes(bytes);
+  await applyPalette();
+  // Nothing about the HEADER is trusted here: show the JPEG at its own size.
+  V = {w:baseBitmap.width, h:baseBitmap.height};
+  pillStatus.textContent = 'view-only (G3)';
 }
 
 // --- Host-level commands ---
@@ -457,6 +661,184 @@ async function handleHostCommand(cmd){
     fileInput.value = '';
     fileInput.click();
   }
+  if(cmd === CMD.VERSUS){
+    buildPlayers = buildPlayers === 2 ? 1 : 2;
+    await loadCartridge(await buildCartridge(buildPlayers));
+    toastMsg(buildPlayers === 2 ? 'Versus: two snakes, one device.' : 'Solo Snake.');
+  }
+}
+
+// Disassembly of the loaded cartridge's BYTECODE block (keyboard: L).
+function downloadListing(){
+  if(!cartridgeBytes){ toastMsg('No cartridge in memory.'); return; }
+  let text;
+  try{
+    text = disassembleCartridge(parseCartridge(cartridgeBytes));
+  } catch (e){
+    toastMsg(`Cannot disassemble: ${e.message}`);
+    return;
+  }
+  downloadBlob(new Blob([text], {type:'text/plain'}), 'ppu-cartridge.lst');
+  toastMsg('Downloaded bytecode listing.');
+}
+
+// Replays (keyboard: E exports the session so far, I imports one for the loaded cartridge).
+function exportReplay(){
+  if(!vm){ toastMsg('Nothing to record.'); return; }
+  if(!recorder){ toastMsg('Replays start from boot; not available after loading a save.'); return; }
+  downloadBlob(new Blob([recorder.finish(vm)], {type:'application/octet-stream'}), `ppu-snake-${Date.now()}.ppur`);
+  toastMsg(`Exported replay (${recorder.events.length} inputs).`);
+}
+
+// The run so far as a WAV file (keyboard: W), rendered offline from its replay.
+function exportReplayAudio(){
+  if(!vm){ toastMsg('Nothing to record.'); return; }
+  if(!recorder){ toastMsg('Replays start from boot; not available after loading a save.'); return; }
+  const {samples, ok} = renderReplayAudio(decodeReplay(recorder.finish(vm)), createVM, {fps: 1000 / stepMs, sounds: cartSounds});
+  if(!ok) console.warn('Replay diverged while rendering audio');
+  downloadBlob(new Blob([encodeWav(samples)], {type:'audio/wav'}), `ppu-snake-${Date.now()}.wav`);
+  toastMsg(`Exported ${(samples.length / DEFAULT_SAMPLE_RATE).toFixed(1)} s of audio.`);
+}
+
+async function importReplay(u8){
+  if(!createVM){ toastMsg('Load a runnable cartridge first.'); return; }
+  let replay;
+  try{
+    replay = loadReplay(u8, cartridgeId);
+  } catch (e){
+    toastMsg(`Bad replay: ${e.message}`);
+    return;
+  }
+
+  const res = playReplay(replay, createVM);
+  if(res.vm.fault){
+    console.error('VM fault during replay:', res.vm.fault);
+    toastMsg(`Replay faulted: ${res.vm.fault}`);
+    return;
+  }
+  // Adopt the replayed state and keep recording on top of it.
+  if(worker){
+    vm.restore(res.vm.snapshot());
+    worker.restore(vm.snapshot());
+  } else {
+    vm = res.vm;
+  }
+  recorder = ReplayRecorder.resume(replay);
+  frameTick = recorder.lastTick;
+  cmdQueues = [[], []];
+  toastMsg(res.ok ? `Replay matched (score ${res.score}).` : `Replay diverged: score ${res.score}, recorded ${replay.finalScore}.`);
+}
+
+// Leaderboard (keyboard: B shows it). Solo runs are ranked when they end, with the replay of the
+// session when there is one (none after a save state was loaded).
+async function refreshScores(){
+  const id = cartridgeId;
+  let table = [];
+  try{
+    table = await loadScores(id, {cloud: CLOUD});
+  } catch (e){
+    console.warn('Leaderboard unavailable:', e);
+  }
+  if(id === cartridgeId) scoreTable = table;
+}
+
+async function recordRun(){
+  const st = vm.render, id = cartridgeId;
+  if(st.players !== 1 || !st.score || !id) return;
+  const entry = {score: st.score, at: Date.now(), replay: recorder ? recorder.finish(vm) : null};
+  try{
+    const {table, rank} = await recordScore(id, entry, {cloud: CLOUD});
+    if(id !== cartridgeId) return;
+    scoreTable = table;
+    if(rank === 1) TG.haptic('win');
+    if(rank) toastMsg(rank === 1 ? `New best: ${entry.score}!` : `#${rank} on the leaderboard.`);
+  } catch (e){
+    console.warn('Could not save score:', e);
+  }
+}
+
+// Telegram's MainButton mirrors Start/Pause (Share once the game is over) and its BackButton pauses
+// a running game; both are hidden when nothing runs. Called every tick, the bridge skips repeats.
+function syncTelegramButtons(){
+  const st = vm && !vm.fault ? vm.render : null;
+  if(!st) TG.setMainButton(null);
+  else if(st.gameOver) TG.setMainButton('Share score', shareRun);
+  else TG.setMainButton(st.paused ? 'Play' : 'Pause', () => dispatchCmd(CMD.START_PAUSE));
+  const running = !!st && !st.paused && !st.gameOver;
+  TG.setBackButton(running, () => { if(vm && !vm.render.paused && !vm.render.gameOver) queueCmd(CMD.START_PAUSE); });
+}
+
+// Keyboard: S. In Telegram the result goes to a chat; elsewhere the Web Share sheet or the clipboard.
+async function shareRun(){
+  const st = vm?.render;
+  if(!st){ toastMsg('Nothing to share.'); return; }
+  const title = strings.title ?? 'PPU Snake';
+  const text = st.players === 2
+    ? `${title} versus: ${st.score}–${st.score2}${st.gameOver ? `, ${gameOverText(st).toLowerCase()}` : ''}`
+    : `${PLAYER_NAME || 'I'} scored ${st.score} in ${title}`;
+  const url = location.origin + location.pathname;
+  if(TG.share(text, url)) return;
+  try{
+    if(navigator.share) await navigator.share({text, url});
+    else { await navigator.clipboard.writeText(`${text} ${url}`); toastMsg('Score copied to clipboard.'); }
+  } catch (e){
+    if(e?.name !== 'AbortError') toastMsg('Could not share the score.');
+  }
+}
+
+function downloadRunReplay(rank){
+  const e = scoreTable[rank-1];
+  if(!e){ toastMsg(`No entry #${rank}.`); return; }
+  if(!e.replay){ toastMsg(`No replay for #${rank} (played on another device or from a save).`); return; }
+  downloadBlob(new Blob([e.replay], {type:'application/octet-stream'}), `ppu-snake-top${rank}-${e.score}.ppur`);
+}
+
+// Save states (keyboard: Shift+1..3 saves to a slot, 1..3 loads it; D downloads the cartridge
+// with the current state embedded as a SAVESTATE block).
+async function quickSave(slot){
+  if(!vm || vm.fault){ toastMsg('Nothing to save.'); return; }
+  try{
+    await writeSlot(cartridgeId, slot, saveState(vm, cartridgeId));
+    toastMsg(`Saved to slot ${slot}.`);
+  } catch (e){
+    toastMsg(`Save failed: ${e.message}`);
+  }
+}
+
+async function quickLoad(slot){
+  if(!vm){ toastMsg('Load a runnable cartridge first.'); return; }
+  try{
+    const rec = await readSlot(cartridgeId, slot);
+    if(!rec){ toastMsg(`Slot ${slot} is empty.`); return; }
+    loadState(vm, rec.bytes, cartridgeId);
+    worker?.restore(vm.snapshot());
+  } catch (e){
+    toastMsg(`Load failed: ${e.message}`);
+    return;
+  }
+  frameTick = vm.ioTick;
+  recorder = null;
+  cmdQueues = [[], []];
+  pillStatus.textContent = 'running';
+  toastMsg(`Loaded slot ${slot}.`);
+}
+
+// The signature covers the embedded state, so the download is re-signed by this device (or left
+// unsigned without Ed25519): a cartridge another signer built then needs this device trusted.
+async function downloadWithState(){
+  if(!cartridgeBytes || !vm || vm.fault){ toastMsg('Nothing to save.'); return; }
+  const state = saveState(vm, cartridgeId);
+  const base = removeBlocks(cartridgeBytes, [BlockType.SAVESTATE, BlockType.SIGNATURE]);
+  // Chunk ids only need to be unique per file; the builder numbers its blocks from 0.
+  const segs = buildApp15Blocks({blockType: BlockType.SAVESTATE, payloadU8: state, flags:{crc:true,compressed:true}, blockId: 0xFFFF});
+  const signer = await getDeviceSigner();
+  if(signer){
+    const blocks = [...parseCartridge(base), {blockType: BlockType.SAVESTATE, payload: state}];
+    segs.push(...buildApp15Blocks({blockType: BlockType.SIGNATURE, payloadU8: await signBlocks(blocks, signer), flags:{crc:true,compressed:false}, blockId: 0xFFFE}));
+  }
+  const out = injectBeforeSOS(base, segs);
+  downloadBlob(new Blob([out], {type:'image/jpeg'}), 'ppu-snake-saved.jpg');
+  toastMsg(signer ? 'Downloaded cartridge with save state (signed by this device).' : 'Downloaded cartridge with save state (unsigned).');
 }
 
 function downloadBlob(blob, filename){
@@ -469,20 +851,103 @@ function downloadBlob(blob, filename){
   setTimeout(()=>URL.revokeObjectURL(url), 2000);
 }
 
+// --- Inspector (keyboard: ` toggles, . steps a frame; or tap the G pill) ---
+// Lists the cartridge's markers, blocks and decoded tables (inspect.js), even for cartridges that
+// opened view-only. Opening it freezes the game so frames can be stepped one at a time; stepped
+// frames take queued commands and are recorded like any other.
+let inspecting = false;
+let frozen = false;
+let showRegions = true;
+let inspection = null;   // inspectCartridge(cartridgeBytes), computed when the panel needs it
+let regionGroups = null; // truthGroups(truth) for the overlay
+
+function toggleInspector(){
+  inspecting = !inspecting;
+  inspectorEl.hidden = !inspecting;
+  frozen = inspecting;
+  refreshInspector();
+}
+
+function stepFrame(){
+  if(!vm || vm.fault){ toastMsg('No running VM to step.'); return; }
+  if(worker?.busy) return;
+  frameTick = (frameTick + 1)>>>0;
+  step(frameTick);
+}
+
+function refreshInspector(){
+  if(!inspecting) return;
+  if(!inspection && cartridgeBytes){
+    inspection = inspectCartridge(cartridgeBytes);
+    insp.Cart.textContent = formatInspection(inspection);
+    regionGroups = truthGroups(truth);
+  }
+  insp.Verdict.textContent = verdict;
+  insp.Run.textContent = frozen ? 'Run' : 'Freeze';
+  insp.Regions.textContent = `Regions: ${showRegions ? 'on' : 'off'}`;
+  if(vm){
+    insp.VM.textContent = describeVM(vm);
+    insp.Code.textContent = disassemblyAround(vm.code, vm.pc, {entryPoint: vm.entryPoint, frameEntry: vm.frameEntry});
+    insp.Ram.textContent = hexDump(vm.ram, parseInt(insp.Addr.value, 16) || 0);
+    return;
+  }
+  // View-only: no VM, but the bytecode can still be read from the entry point.
+  insp.VM.textContent = 'No VM (the cartridge did not start).';
+  const code = inspection?.blocks.find(b => b.blockType === BlockType.BYTECODE)?.payload;
+  const h = inspection?.header;
+  insp.Code.textContent = code ? disassemblyAround(code, h?.entryPoint ?? 0, {entryPoint: h?.entryPoint ?? null, frameEntry: h?.frameEntry ?? null}) : 'No readable BYTECODE block.';
+  insp.Ram.textContent = '';
+}
+
+// Truth-table cells live in the current mode, tinted per command, over the raster.
+function drawRegions(g, ox, oy, s){
+  const geom = {vw: V.w, vh: V.h, gridX: ioGridX, gridY: ioGridY};
+  const mode = vm?.modeBits ?? 0;
+  g.save();
+  g.textAlign = 'center'; g.textBaseline = 'middle';
+  g.font = `${Math.max(9, Math.floor(11*s))}px system-ui, sans-serif`;
+  for(const grp of regionGroups ?? []){
+    if(grp.modeBits && grp.modeBits !== mode) continue;
+    const hue = (grp.cmd * 67) % 360;
+    g.fillStyle = `hsla(${hue},85%,60%,0.16)`;
+    g.strokeStyle = `hsla(${hue},85%,60%,0.55)`;
+    let x0 = Infinity, y0 = Infinity, x1 = -Infinity, y1 = -Infinity;
+    for(const id of grp.regions){
+      const r = regionRect(id, geom);
+      g.fillRect(ox + r.x*s, oy + r.y*s, r.w*s, r.h*s);
+      x0 = Math.min(x0, r.x); y0 = Math.min(y0, r.y); x1 = Math.max(x1, r.x + r.w); y1 = Math.max(y1, r.y + r.h);
+    }
+    g.strokeRect(ox + x0*s, oy + y0*s, (x1-x0)*s, (y1-y0)*s);
+    g.fillStyle = `hsla(${hue},85%,75%,0.95)`;
+    const touch = Object.keys(TouchType).find(k => TouchType[k] === grp.touchType) ?? grp.touchType;
+    g.fillText(`${grp.cmd} ${touch}`, ox + (x0+x1)/2*s, oy + (y0+y1)/2*s);
+  }
+  g.restore();
+}
+
+insp.Step.addEventListener('click', () => { frozen = true; stepFrame(); refreshInspector(); });
+insp.Run.addEventListener('click', () => { frozen = !frozen; refreshInspector(); });
+insp.Regions.addEventListener('click', () => { showRegions = !showRegions; refreshInspector(); });
+insp.Addr.addEventListener('change', refreshInspector);
+insp.Close.addEventListener('click', toggleInspector);
+pillGradient.addEventListener('click', toggleInspector);
+
 // --- Event loop ---
 let rafId = null;
 let lastStepTime = 0;
-const STEP_MS = 120;
 
 function startLoop(){
   if(rafId) cancelAnimationFrame(rafId);
   lastStepTime = performance.now();
   const loop = (t)=>{
     rafId = requestAnimationFrame(loop);
-    if(t - lastStepTime >= STEP_MS){
-      lastStepTime += STEP_MS;
-      frameTick = (frameTick + 1)>>>0;
-      step(frameTick);
+    if(t - lastStepTime >= stepMs){
+      lastStepTime += stepMs;
+      // A tick the VM worker has not answered yet holds the next one back.
+      if(!frozen && !worker?.busy){
+        frameTick = (frameTick + 1)>>>0;
+        step(frameTick);
+      }
     }
     render();
   };
@@ -490,85 +955,179 @@ function startLoop(){
 }
 
 function step(tick){
-  if(!vm) return;
-  vm.setIO({cmd:lastCmd, tick, modeBits:0});
-  vm.runFrame(10_000);
-  lastCmd = 0;
+  if(!vm || vm.fault){ syncTelegramButtons(); return; }
+  const cmd = cmdQueues[0].shift() ?? 0;
+  const cmd2 = cmdQueues[1].shift() ?? 0;
+  const was = {...vm.render}; // the frame updates render in place
+  if(worker){
+    const w = worker;
+    w.step(cmd, tick, cmd2).then(fresh => { if(fresh && w === worker) stepped(tick, cmd, cmd2, was); });
+    return;
+  }
+  vm.setIO({cmd, cmd2, tick});
+  vm.runFrame();
+  stepped(tick, cmd, cmd2, was);
 }
 
-function render(){
-  ctx.fillStyle = '#070912';
-  ctx.fillRect(0,0,W,H);
-
-  const s = Math.min(W/V.w, H/V.h);
-  const drawW = V.w * s;
-  const drawH = V.h * s;
-  const ox = (W - drawW)/2;
-  const oy = (H - drawH)/2;
-
-  if(baseBitmap){
-    ctx.drawImage(baseBitmap, ox, oy, drawW, drawH);
+// After frame `tick` ran with `cmd` and `cmd2`; was: the render state before it.
+function stepped(tick, cmd, cmd2, {gameOver: wasOver, score: was1, score2: was2}){
+  AUDIO?.push(vm.sound);
+  recorder?.record(tick, cmd, cmd2);
+  const st = vm.render;
+  if(st.score > was1 || st.score2 > was2) TG.haptic('eat');
+  if(!wasOver && st.gameOver){
+    TG.haptic('death');
+    recordRun();
+  }
+  syncTelegramButtons();
+  if(vm.fault){
+    console.error('VM fault:', vm.fault);
+    pillStatus.textContent = 'halted (VM fault)';
+    toastMsg(`VM fault: ${vm.fault}`);
   }
+  refreshInspector();
+}
 
-  if(vm){
-    drawSnakeOverlay(ctx, ox, oy, s, drawW, vm.render);
+function render(){
+  const view = {W, H, V, bg: theme.bg, base: baseBitmap, colors, clip: boardRect, atlas: tileBitmap, tileW: cartTiles?.w, tileH: cartTiles?.h};
+  // The VM worker draws the game itself when it can; until its picture matches the canvas
+  // (first frame, resize) the page draws from the mirror.
+  if(worker && Object.keys(view).some(k => view[k] !== workerView[k])){
+    workerView = view;
+    worker.setView(view);
+  }
+  const pic = worker?.picture;
+  let fit;
+  if(pic && pic.width === W && pic.height === H){
+    ctx.drawImage(pic, 0, 0);
+    fit = fitRect(W, H, V);
+  } else {
+    fit = drawScene(ctx, view, vm?.render ?? null, vm?.features);
   }
+  const {ox, oy, s, drawW, drawH} = fit;
+  if(inspecting && showRegions) drawRegions(ctx, ox, oy, s);
+  if(showScores) drawLeaderboard(ctx, ox, oy, s, drawW, drawH);
 }
 
-function drawSnakeOverlay(g, ox, oy, s, drawW, st){
-  const cell = st.cellPx * s;
-  const x0 = (st.boardX) * s + ox;
-  const y0 = (st.boardY) * s + oy;
+function drawLeaderboard(g, ox, oy, s, drawW, drawH){
+  g.globalAlpha = 0.88;
+  g.fillStyle = colors[PaletteSlot.BACKGROUND];
+  g.fillRect(ox, oy, drawW, drawH);
+  g.globalAlpha = 1;
+  g.fillStyle = colors[PaletteSlot.TEXT];
+  g.textAlign = 'left'; g.textBaseline = 'middle';
+  g.font = `bold ${Math.floor(24*s)}px system-ui, sans-serif`;
+  g.fillText('Top 10', ox + 32*s, oy + 48*s);
+  g.font = `${Math.floor(16*s)}px system-ui, sans-serif`;
+  if(!scoreTable.length) g.fillText('No scores yet for this cartridge.', ox + 32*s, oy + 96*s);
+  scoreTable.forEach((e, i) => {
+    const y = oy + (96 + i*30)*s;
+    g.fillText(`${i+1}.`, ox + 32*s, y);
+    g.fillText(String(e.score), ox + 72*s, y);
+    g.fillText(new Date(e.at).toLocaleString(), ox + 150*s, y);
+    if(e.replay) g.fillText('replay', ox + 400*s, y);
+  });
+  g.fillStyle = colors[PaletteSlot.TEXT_DIM];
+  g.font = `${Math.floor(13*s)}px system-ui, sans-serif`;
+  g.fillText('B closes  ·  1–9, 0 download that run\'s replay', ox + 32*s, oy + drawH - 32*s);
+}
 
-  g.fillStyle = 'rgba(0,0,0,0.20)';
-  g.fillRect(x0, y0, st.boardW*cell, st.boardH*cell);
+// --- Input ---
+async function dispatchCmd(cmd){
+  if(!cmd) return;
+  if(cmd === CMD.START_PAUSE){
+    TG.requestFullscreen();
+  }
+  if(HOST_CMDS.has(cmd)){
+    await handleHostCommand(cmd);
+    return;
+  }
+  queueCmd(cmd);
+}
 
-  g.fillStyle = 'rgba(255,80,110,0.95)';
-  g.fillRect(x0 + st.apple.x*cell, y0 + st.apple.y*cell, cell, cell);
+function queueCmd(cmd){
+  const queue = cmdQueues[cmd > P2_CMD_OFFSET && cmd <= P2_CMD_OFFSET + 4 ? 1 : 0];
+  queue.push(cmd);
+  if(queue.length > CMD_QUEUE_MAX) queue.shift();
+}
 
-  g.fillStyle = 'rgba(120,240,180,0.95)';
-  for(const p of st.snake){
-    g.fillRect(x0 + p.x*cell, y0 + p.y*cell, cell, cell);
-  }
+// Gesture recognizer (input.js), one track per pointer.
+const pointers = new Map();
 
-  if(st.paused){
-    g.fillStyle = 'rgba(255,255,255,0.92)';
-    g.font = `${Math.floor(26*s)}px system-ui, sans-serif`;
-    g.textAlign='center'; g.textBaseline='middle';
-    g.fillText('PAUSED', ox + drawW/2, oy + (56*s));
-  }
-  if(st.gameOver){
-    g.fillStyle = 'rgba(255,255,255,0.92)';
-    g.font = `bold ${Math.floor(28*s)}px system-ui, sans-serif`;
-    g.textAlign='center'; g.textBaseline='middle';
-    g.fillText('GAME OVER', ox + drawW/2, oy + (56*s));
-  }
+function dispatchTouch(regionId, t){
+  dispatchCmd(lookupTouch(regionId, t.touchType, t.gestureId, t.timeBucket));
 }
 
-// --- Input ---
-canvas.addEventListener('pointerdown', async (e)=>{
+canvas.addEventListener('pointerdown', (e)=>{
+  const v = screenToVirtual(e.clientX, e.clientY);
+  if(!v.inside) return;
   canvas.setPointerCapture(e.pointerId);
-  const cmd = lookupCmdFromPoint(e.clientX, e.clientY);
-  if(cmd){
-    if(cmd === CMD.START_PAUSE){
-      try{ TG?.requestFullscreen?.(); } catch {}
-    }
-    if(cmd === CMD.DOWNLOAD || cmd === CMD.CAPTURE || cmd === CMD.LOAD){
-      await handleHostCommand(cmd);
-      if(cmd === CMD.DOWNLOAD || cmd === CMD.CAPTURE || cmd === CMD.LOAD) return;
-    }
-    lastCmd = cmd;
+  const p = {x0: v.x, y0: v.y, x: v.x, y: v.y, t0: performance.now(), regionId: quantizeRegionId(v.x, v.y), long: false, timer: 0};
+  p.timer = setTimeout(()=>{
+    const t = longPressTouch(p.x - p.x0, p.y - p.y0);
+    if(!t) return;
+    p.long = true;
+    dispatchTouch(p.regionId, t);
+  }, LONG_PRESS_MS);
+  pointers.set(e.pointerId, p);
+  dispatchTouch(p.regionId, pressTouch());
+}, {passive:true});
+
+canvas.addEventListener('pointermove', (e)=>{
+  const p = pointers.get(e.pointerId);
+  if(!p) return;
+  const v = screenToVirtual(e.clientX, e.clientY);
+  p.x = v.x; p.y = v.y;
+}, {passive:true});
+
+canvas.addEventListener('pointerup', (e)=>{
+  const p = pointers.get(e.pointerId);
+  if(!p) return;
+  pointers.delete(e.pointerId);
+  clearTimeout(p.timer);
+  const v = screenToVirtual(e.clientX, e.clientY);
+  let cmd = 0;
+  for(const t of releaseTouches(v.x - p.x0, v.y - p.y0, performance.now() - p.t0, p.long)){
+    cmd = lookupTouch(p.regionId, t.touchType, t.gestureId, t.timeBucket);
+    if(cmd) break;
   }
+  dispatchCmd(cmd);
+}, {passive:true});
+
+canvas.addEventListener('pointercancel', (e)=>{
+  const p = pointers.get(e.pointerId);
+  if(p) clearTimeout(p.timer);
+  pointers.delete(e.pointerId);
 }, {passive:true});
 
 window.addEventListener('keydown', (e)=>{
+  if(e.target instanceof HTMLInputElement) return; // typing in the inspector
   const m = {
     ArrowUp: CMD.UP, ArrowDown: CMD.DOWN, ArrowLeft: CMD.LEFT, ArrowRight: CMD.RIGHT,
     ' ': CMD.START_PAUSE, Enter: CMD.START_PAUSE,
     r: CMD.RESTART, R: CMD.RESTART,
+    t: CMD.P2_UP, g: CMD.P2_DOWN, f: CMD.P2_LEFT, h: CMD.P2_RIGHT,
+    T: CMD.P2_UP, G: CMD.P2_DOWN, F: CMD.P2_LEFT, H: CMD.P2_RIGHT,
   };
+  if(e.key === 'v' || e.key === 'V'){ handleHostCommand(CMD.VERSUS); return; }
+  if(e.key === 'l' || e.key === 'L'){ downloadListing(); return; }
+  if(e.key === 'e' || e.key === 'E'){ exportReplay(); return; }
+  if(e.key === 'd' || e.key === 'D'){ downloadWithState(); return; }
+  if(e.key === 'b' || e.key === 'B'){ showScores = !showScores; return; }
+  if(e.key === 's' || e.key === 'S'){ shareRun(); return; }
+  if(e.key === 'c' || e.key === 'C'){ cyclePalette(); return; }
+  if(e.key === 'm' || e.key === 'M'){ toggleSound(); return; }
+  if(e.key === 'k' || e.key === 'K'){ toggleWorker(); return; }
+  if(e.key === 'w' || e.key === 'W'){ exportReplayAudio(); return; }
+  if(e.key === '`'){ toggleInspector(); return; }
+  if(e.key === '.' && inspecting){ frozen = true; stepFrame(); refreshInspector(); return; }
+  const rank = showScores ? {Digit1: 1, Digit2: 2, Digit3: 3, Digit4: 4, Digit5: 5, Digit6: 6, Digit7: 7, Digit8: 8, Digit9: 9, Digit0: 10}[e.code] : 0;
+  if(rank){ downloadRunReplay(rank); return; }
+  const slot = {Digit1: 1, Digit2: 2, Digit3: 3}[e.code];
+  if(slot){ if(e.shiftKey) quickSave(slot); else quickLoad(slot); return; }
+  if(e.key === 'i' || e.key === 'I'){ replayInput.value = ''; replayInput.click(); return; }
   const cmd = m[e.key];
-  if(cmd){ e.preventDefault(); lastCmd = cmd; }
+  if(cmd){ e.preventDefault(); queueCmd(cmd); }
 }, {passive:false});
 
 fileInput.addEventListener('change', async ()=>{
@@ -579,6 +1138,12 @@ fileInput.addEventListener('change', async ()=>{
   await loadCartridge(cartridgeBytes);
 });
 
+replayInput.addEventListener('change', async ()=>{
+  const f = replayInput.files?.[0];
+  if(!f) return;
+  await importReplay(new Uint8Array(await f.arrayBuffer()));
+});
+
 // Start
 boot().catch(err=>{
   console.error(err);
@@ -0,0 +1,403 @@
+// asm.js - PPU bytecode assembler + disassembler (DOM-free: works in the browser and in Node)
+// Mnemonics are the `Opcode` names from vm.js, syscall ids the `Sys` names.
+//
+// Syntax (one statement per line, `;` starts a comment):
+//   label:                  defines a code/data address
+//   .const NAME = expr      named constant (also `.const NAME, expr`)
+//   .entry label            HEADER entryPoint (default: address 0)
+//   .frame label            HEADER frameEntry (default: entryPoint)
+//   .u8 / .u16 / .u32 expr, ...   raw data (big-endian)
+//   .ascii "text"           UTF-8 bytes
+//   .zero n                 n zero bytes
+//   LDI r1, 20              registers r0..r15
+//   LDB r3, [r0+DIRMAP]     memory operands: [rN], [rN+expr], [rN-expr]
+//   SYSCALL READ_INPUT      Sys name or number
+//   BEQ r1, r2, label
+// Expressions: numbers (12, 0x1F, 0b101, 'a'), constants, labels, ( ) and
+// + - * / % & | ^ ~ << >>. `defines` passed to assemble() act as predefined constants.
+
+import {Opcode, OpForm, OP_FORM, FORM_LENGTH, Sys} from './vm.js';
+import {buildApp15Block, BlockType} from './ppujpeg.js';
+import {parseHeader} from './format.js';
+
+const OP_NAME = Object.freeze(Object.fromEntries(Object.entries(Opcode).map(([k, v]) => [v, k])));
+const SYS_NAME = Object.freeze(Object.fromEntries(Object.entries(Sys).map(([k, v]) => [v, k])));
+
+function fail(lineNo, msg){
+  throw new Error(lineNo ? `asm line ${lineNo}: ${msg}` : `asm: ${msg}`);
+}
+
+// --- expressions ---
+
+const TOKEN_RE = /\s*(0x[0-9a-f]+|0b[01]+|\d+|'(?:\\.|[^'\\])'|[A-Za-z_.$][\w.$]*|<<|>>|[-+*/%&|^~()])/iy;
+
+function tokenize(src, lineNo){
+  const out = [];
+  TOKEN_RE.lastIndex = 0;
+  let m;
+  while(TOKEN_RE.lastIndex < src.length){
+    const at = TOKEN_RE.lastIndex;
+    if(/^\s*$/.test(src.slice(at))) break;
+    m = TOKEN_RE.exec(src);
+    if(!m) fail(lineNo, `bad expression "${src.slice(at).trim()}"`);
+    out.push(m[1]);
+  }
+  return out;
+}
+
+function evalExpr(src, resolve, lineNo){
+  const toks = tokenize(src, lineNo);
+  let i = 0;
+  const peek = () => toks[i];
+  const take = () => toks[i++];
+
+  function primary(){
+    const t = take();
+    if(t === undefined) fail(lineNo, `incomplete expression "${src}"`);
+    if(t === '('){
+      const v = binary(0);
+      if(take() !== ')') fail(lineNo, `missing ")" in "${src}"`);
+      return v;
+    }
+    if(t === '-') return -primary();
+    if(t === '+') return primary();
+    if(t === '~') return ~primary();
+    if(/^0x/i.test(t)) return parseInt(t.slice(2), 16);
+    if(/^0b/i.test(t)) return parseInt(t.slice(2), 2);
+    if(/^\d/.test(t)) return parseInt(t, 10);
+    if(t[0] === "'"){
+      const body = t.slice(1, -1);
+      return body[0] === '\\' ? ({n:10, t:9, r:13, 0:0}[body[1]] ?? body.charCodeAt(1)) : body.charCodeAt(0);
+    }
+    const v = resolve(t);
+    if(v === undefined) fail(lineNo, `unknown symbol "${t}"`);
+    return v;
+  }
+
+  const LEVELS = [['|'], ['^'], ['&'], ['<<', '>>'], ['+', '-'], ['*', '/', '%']];
+  function binary(level){
+    if(level === LEVELS.length) return primary();
+    let v = binary(level + 1);
+    while(LEVELS[level].includes(peek())){
+      const op = take();
+      const rhs = binary(level + 1);
+      switch(op){
+        case '|': v = v | rhs; break;
+        case '^': v = v ^ rhs; break;
+        case '&': v = v & rhs; break;
+        case '<<': v = v << rhs; break;
+        case '>>': v = v >>> rhs; break;
+        case '+': v = v + rhs; break;
+        case '-': v = v - rhs; break;
+        case '*': v = v * rhs; break;
+        case '/': if(rhs === 0) fail(lineNo, 'division by zero'); v = Math.trunc(v / rhs); break;
+        case '%': if(rhs === 0) fail(lineNo, 'division by zero'); v = v % rhs; break;
+      }
+    }
+    return v;
+  }
+
+  const v = binary(0);
+  if(i !== toks.length) fail(lineNo, `unexpected "${toks[i]}" in "${src}"`);
+  return v;
+}
+
+// --- parsing ---
+
+function stripComment(line){
+  let inStr = false;
+  for(let i=0;i<line.length;i++){
+    const c = line[i];
+    if(c === '"' && line[i-1] !== '\\') inStr = !inStr;
+    if(c === ';' && !inStr) return line.slice(0, i);
+  }
+  return line;
+}
+
+function splitArgs(s){
+  const out = [];
+  let depth = 0, inStr = false, cur = '';
+  for(let i=0;i<s.length;i++){
+    const c = s[i];
+    if(c === '"' && s[i-1] !== '\\') inStr = !inStr;
+    if(!inStr && (c === '[' || c === '(')) depth++;
+    if(!inStr && (c === ']' || c === ')')) depth--;
+    if(c === ',' && depth === 0 && !inStr){ out.push(cur.trim()); cur = ''; continue; }
+    cur += c;
+  }
+  if(cur.trim() !== '') out.push(cur.trim());
+  return out;
+}
+
+function parseReg(s, lineNo){
+  const m = /^r(\d{1,2})$/i.exec(s);
+  if(!m || +m[1] > 15) fail(lineNo, `expected register r0..r15, got "${s}"`);
+  return +m[1];
+}
+
+function parseMem(s, lineNo){
+  const m = /^\[\s*(r\d{1,2})\s*(?:([-+])(.*))?\]$/i.exec(s);
+  if(!m) fail(lineNo, `expected memory operand [rN+offset], got "${s}"`);
+  return {reg: parseReg(m[1], lineNo), expr: m[2] ? `${m[2]}${m[3]}` : '0'};
+}
+
+function parseString(s, lineNo){
+  const m = /^"((?:\\.|[^"\\])*)"$/.exec(s);
+  if(!m) fail(lineNo, `expected "string", got ${s}`);
+  return m[1].replace(/\\(.)/g, (_, c) => ({n:'\n', t:'\t', r:'\r', 0:'\0'}[c] ?? c));
+}
+
+const DATA_SIZE = {'.u8': 1, '.u16': 2, '.u32': 4};
+
+export function assemble(source, {defines={}} = {}){
+  const consts = new Map(Object.entries(defines));
+  const labels = new Map();
+  const stmts = [];
+  let pc = 0;
+  let entryName = null, frameName = null;
+
+  const resolveNow = (name) => consts.has(name) ? consts.get(name) : labels.get(name);
+
+  // pass 1: addresses, constants
+  const lines = String(source).split(/\r?\n/);
+  for(let li=0; li<lines.length; li++){
+    const lineNo = li + 1;
+    let text = stripComment(lines[li]).trim();
+    while(true){
+      const m = /^([A-Za-z_.$][\w.$]*)\s*:(.*)$/.exec(text);
+      if(!m || m[1].startsWith('.')) break;
+      if(labels.has(m[1]) || consts.has(m[1])) fail(lineNo, `duplicate symbol "${m[1]}"`);
+      labels.set(m[1], pc);
+      text = m[2].trim();
+    }
+    if(!text) continue;
+
+    const sp = text.search(/\s/);
+    const head = sp < 0 ? text : text.slice(0, sp);
+    const rest = sp < 0 ? '' : text.slice(sp).trim();
+
+    if(head[0] === '.'){
+      const dir = head.toLowerCase();
+      if(dir === '.const' || dir === '.equ'){
+        const m = /^([A-Za-z_$][\w.$]*)\s*(?:=|,)\s*(.+)$/.exec(rest);
+        if(!m) fail(lineNo, `expected ${dir} NAME = value`);
+        if(labels.has(m[1]) || consts.has(m[1])) fail(lineNo, `duplicate symbol "${m[1]}"`);
+        consts.set(m[1], evalExpr(m[2], resolveNow, lineNo));
+      } else if(dir === '.entry'){
+        entryName = {name: rest, lineNo};
+      } else if(dir === '.frame'){
+        frameName = {name: rest, lineNo};
+      } else if(DATA_SIZE[dir]){
+        const args = splitArgs(rest);
+        if(!args.length) fail(lineNo, `${dir} needs at least one value`);
+        stmts.push({kind: 'data', size: DATA_SIZE[dir], args, lineNo, at: pc});
+        pc += DATA_SIZE[dir] * args.length;
+      } else if(dir === '.ascii'){
+        const bytes = new TextEncoder().encode(parseString(rest, lineNo));
+        stmts.push({kind: 'bytes', bytes, lineNo, at: pc});
+        pc += bytes.length;
+      } else if(dir === '.zero'){
+        const n = evalExpr(rest, resolveNow, lineNo);
+        if(!(n >= 0)) fail(lineNo, '.zero needs a non-negative size');
+        stmts.push({kind: 'bytes', bytes: new Uint8Array(n), lineNo, at: pc});
+        pc += n;
+      } else {
+        fail(lineNo, `unknown directive ${head}`);
+      }
+      continue;
+    }
+
+    const name = head.toUpperCase();
+    if(!(name in Opcode)) fail(lineNo, `unknown instruction "${head}"`);
+    const op = Opcode[name];
+    const form = OP_FORM[op];
+    stmts.push({kind: 'op', op, form, name, args: splitArgs(rest), lineNo, at: pc});
+    pc += FORM_LENGTH[form];
+  }
+
+  // pass 2: encode
+  const out = new Uint8Array(pc);
+  const resolve = (name) => consts.has(name) ? consts.get(name) : labels.get(name);
+  const put32 = (at, v) => { out[at] = v>>>24; out[at+1] = (v>>>16)&255; out[at+2] = (v>>>8)&255; out[at+3] = v&255; };
+  const value = (expr, lineNo, min, max, what) => {
+    const v = evalExpr(expr, resolve, lineNo);
+    if(!Number.isInteger(v) || v < min || v > max) fail(lineNo, `${what} out of range: ${expr} = ${v}`);
+    return v;
+  };
+  const imm32 = (expr, lineNo) => value(expr, lineNo, -0x80000000, 0xFFFFFFFF, 'immediate') >>> 0;
+  const addr = (expr, lineNo) => value(expr, lineNo, 0, 0xFFFFFFFF, 'address');
+
+  for(const st of stmts){
+    const {lineNo, at} = st;
+    if(st.kind === 'bytes'){ out.set(st.bytes, at); continue; }
+    if(st.kind === 'data'){
+      st.args.forEach((expr, i) => {
+        const o = at + i*st.size;
+        if(st.size === 1) out[o] = value(expr, lineNo, -0x80, 0xFF, '.u8 value') & 0xFF;
+        else if(st.size === 2){ const v = value(expr, lineNo, -0x8000, 0xFFFF, '.u16 value'); out[o] = (v>>>8)&255; out[o+1] = v&255; }
+        else put32(o, imm32(expr, lineNo));
+      });
+      continue;
+    }
+
+    const {op, form, name, args} = st;
+    const want = {none:0, r:1, rr:2, ri:2, rm:2, sys:1, a:1, ra:2, rra:3}[form];
+    if(args.length !== want) fail(lineNo, `${name} takes ${want} operand(s), got ${args.length}`);
+    out[at] = op;
+    switch(form){
+      case OpForm.NONE: break;
+      case OpForm.R: out[at+1] = parseReg(args[0], lineNo) << 4; break;
+      case OpForm.RR: out[at+1] = (parseReg(args[0], lineNo) << 4) | parseReg(args[1], lineNo); break;
+      case OpForm.RI: out[at+1] = parseReg(args[0], lineNo) << 4; put32(at+2, imm32(args[1], lineNo)); break;
+      case OpForm.RM: {
+        const mem = parseMem(args[1], lineNo);
+        const off = value(mem.expr, lineNo, -0x8000, 0x7FFF, 'offset');
+        out[at+1] = (parseReg(args[0], lineNo) << 4) | mem.reg;
+        out[at+2] = (off>>>8)&255; out[at+3] = off&255;
+        break;
+      }
+      case OpForm.SYS: {
+        const id = args[0].toUpperCase() in Sys ? Sys[args[0].toUpperCase()] : value(args[0], lineNo, 0, 0xFF, 'syscall id');
+        out[at+1] = id;
+        break;
+      }
+      case OpForm.A: put32(at+1, addr(args[0], lineNo)); break;
+      case OpForm.RA: out[at+1] = parseReg(args[0], lineNo) << 4; put32(at+2, addr(args[1], lineNo)); break;
+      case OpForm.RRA:
+        out[at+1] = (parseReg(args[0], lineNo) << 4) | parseReg(args[1], lineNo);
+        put32(at+2, addr(args[2], lineNo));
+        break;
+    }
+  }
+
+  const symbolAddr = (ref) => {
+    if(!ref) return null;
+    const v = resolve(ref.name);
+    if(v === undefined) fail(ref.lineNo, `unknown symbol "${ref.name}"`);
+    return v >>> 0;
+  };
+  const entryPoint = symbolAddr(entryName) ?? 0;
+  const frameEntry = symbolAddr(frameName) ?? entryPoint;
+  return {bytecode: out, entryPoint, frameEntry, labels, consts};
+}
+
+// Assemble straight to a BYTECODE APP15 block (plus the entry points the HEADER needs).
+export function assembleBlock(source, {defines, flags={crc:true, compressed:true}} = {}){
+  const {bytecode, entryPoint, frameEntry} = assemble(source, {defines});
+  const block = buildApp15Block({blockType: BlockType.BYTECODE, payloadU8: bytecode, flags});
+  return {block, bytecode, entryPoint, frameEntry};
+}
+
+// --- disassembly ---
+
+function hex(v, w=4){ return '0x' + (v>>>0).toString(16).toUpperCase().padStart(w, '0'); }
+
+// Decodes one instruction at `pc`. Returns null for unknown / truncated bytes.
+export function decodeInstruction(code, pc){
+  const op = code[pc];
+  const form = OP_FORM[op];
+  if(form === undefined) return null;
+  const len = FORM_LENGTH[form];
+  if(pc + len > code.length) return null;
+  const a = code[pc+1] >>> 4, b = code[pc+1] & 15;
+  const u32 = (o) => ((code[o]<<24) | (code[o+1]<<16) | (code[o+2]<<8) | code[o+3]) >>> 0;
+  const ins = {pc, op, name: OP_NAME[op], form, len};
+  switch(form){
+    case OpForm.R: ins.a = a; break;
+    case OpForm.RR: ins.a = a; ins.b = b; break;
+    case OpForm.RI: ins.a = a; ins.imm = u32(pc+2); break;
+    case OpForm.RM: ins.a = a; ins.b = b; ins.off = ((code[pc+2] << 8) | code[pc+3]) << 16 >> 16; break;
+    case OpForm.SYS: ins.sys = code[pc+1]; break;
+    case OpForm.A: ins.target = u32(pc+1); break;
+    case OpForm.RA: ins.a = a; ins.target = u32(pc+2); break;
+    case OpForm.RRA: ins.a = a; ins.b = b; ins.target = u32(pc+2); break;
+  }
+  return ins;
+}
+
+function formatInstruction(ins, labelOf){
+  const t = (v) => labelOf(v) ?? hex(v);
+  const imm = (v) => (v|0) < 0 && (v|0) > -0x10000 ? String(v|0) : (v > 255 ? hex(v) : String(v));
+  const mem = (r, off) => off === 0 ? `[r${r}]` : `[r${r}${off < 0 ? '-' : '+'}${hex(Math.abs(off))}]`;
+  switch(ins.form){
+    case OpForm.NONE: return ins.name;
+    case OpForm.R: return `${ins.name} r${ins.a}`;
+    case OpForm.RR: return `${ins.name} r${ins.a}, r${ins.b}`;
+    case OpForm.RI: return `${ins.name} r${ins.a}, ${imm(ins.imm)}`;
+    case OpForm.RM: return `${ins.name} r${ins.a}, ${mem(ins.b, ins.off)}`;
+    case OpForm.SYS: return `${ins.name} ${SYS_NAME[ins.sys] ?? hex(ins.sys, 2)}`;
+    case OpForm.A: return `${ins.name} ${t(ins.target)}`;
+    case OpForm.RA: return `${ins.name} r${ins.a}, ${t(ins.target)}`;
+    case OpForm.RRA: return `${ins.name} r${ins.a}, r${ins.b}, ${t(ins.target)}`;
+  }
+  return ins.name;
+}
+
+// Linear sweep. Returns [{addr, bytes, text, label}] (label = name defined at addr, if any).
+export function disassembleLines(bytecode, {entryPoint=null, frameEntry=null, labels=null} = {}){
+  const code = bytecode instanceof Uint8Array ? bytecode : new Uint8Array(bytecode);
+  const names = new Map();
+  if(labels) for(const [name, addr] of labels) if(!names.has(addr)) names.set(addr, name);
+  if(entryPoint !== null && !names.has(entryPoint)) names.set(entryPoint, 'entry');
+  if(frameEntry !== null && !names.has(frameEntry)) names.set(frameEntry, 'frame');
+
+  const decoded = [];
+  for(let pc=0; pc<code.length;){
+    const ins = decodeInstruction(code, pc);
+    if(!ins){
+      decoded.push({pc, len: 1, ins: null});
+      pc++;
+      continue;
+    }
+    if(ins.target !== undefined && ins.target < code.length && !names.has(ins.target)){
+      names.set(ins.target, `L${ins.target.toString(16).toUpperCase().padStart(4, '0')}`);
+    }
+    decoded.push({pc, len: ins.len, ins});
+    pc += ins.len;
+  }
+
+  // Only keep labels that land on an instruction boundary (others would not re-assemble).
+  const starts = new Set(decoded.map(d => d.pc));
+  for(const addr of [...names.keys()]) if(!starts.has(addr)) names.delete(addr);
+  const labelOf = (addr) => names.get(addr);
+  return decoded.map(({pc, len, ins}) => ({
+    addr: pc,
+    bytes: code.slice(pc, pc + len),
+    text: ins ? formatInstruction(ins, labelOf) : `.u8 ${hex(code[pc], 2)}`,
+    label: names.get(pc) ?? null,
+  }));
+}
+
+// listing=true: address + hex bytes columns; listing=false: plain source that re-assembles.
+export function disassemble(bytecode, {entryPoint=null, frameEntry=null, labels=null, listing=true} = {}){
+  const lines = disassembleLines(bytecode, {entryPoint, frameEntry, labels});
+  const out = [];
+  const byAddr = new Map(lines.map(l => [l.addr, l]));
+  if(!listing){
+    if(entryPoint !== null) out.push(`.entry ${byAddr.get(entryPoint)?.label ?? entryPoint}`);
+    if(frameEntry !== null) out.push(`.frame ${byAddr.get(frameEntry)?.label ?? frameEntry}`);
+  } else {
+    if(entryPoint !== null) out.push(`; entry ${hex(entryPoint)}`);
+    if(frameEntry !== null) out.push(`; frame ${hex(frameEntry)}`);
+  }
+  for(const l of lines){
+    if(l.label) out.push(`${l.label}:`);
+    if(listing){
+      const bytes = Array.from(l.bytes, b => b.toString(16).padStart(2, '0')).join(' ');
+      out.push(`  ${hex(l.addr)}  ${bytes.padEnd(18)}  ${l.text}`);
+    } else {
+      out.push(`  ${l.text}`);
+    }
+  }
+  return out.join('\n') + '\n';
+}
+
+// Listing for a parsed cartridge (parseCartridge blocks): BYTECODE block + HEADER entry points.
+export function disassembleCartridge(blocks, {listing=true} = {}){
+  const code = blocks.find(b => b.blockType === BlockType.BYTECODE);
+  if(!code) throw new Error("Cartridge has no BYTECODE block");
+  const hdr = blocks.find(b => b.blockType === BlockType.HEADER);
+  let entryPoint = null, frameEntry = null;
+  if(hdr) ({entryPoint, frameEntry} = parseHeader(hdr.payload, hdr.version));
+  return disassemble(code.payload, {entryPoint, frameEntry, listing});
+}
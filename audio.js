@@ -0,0 +1,194 @@
+// audio.js - deterministic chiptune synth for the SND_* syscalls (vm.js) and SOUNDS blocks
+// Four channels: 0 pulse (50%), 1 pulse (25%), 2 triangle, 3 noise (15-bit LFSR). Notes, envelopes
+// and sequences advance on a fixed 60 Hz synth clock, and the VM's sound commands for game tick t
+// take effect at sample floor(t * sampleRate / fps). The samples are therefore a pure function of
+// the commands and their ticks: a replay renders to the same WAV every time (renderReplayAudio).
+// AudioHost plays the same samples through WebAudio, one buffer per tick.
+
+import {NOISE_CHANNEL, SOUND_CHANNELS} from './format.js';
+import {playReplay} from './replay.js';
+
+export const SYNTH_HZ = 60;
+export const DEFAULT_SAMPLE_RATE = 44100;
+const DUTY = [0.5, 0.25];
+// Noise clock per pitch 1..16, from the NES noise periods (CPU clock / period).
+const NOISE_HZ = [4, 8, 16, 32, 64, 96, 128, 160, 202, 254, 380, 508, 762, 1016, 2034, 4068].map(p => 1789773 / p);
+const MIX = 0.25; // per channel at full volume, so four channels cannot clip
+
+function noteHz(note){ return 440 * 2 ** ((note - 69) / 12); }
+
+function silentChannel(){
+  return {steps: null, loop: false, step: 0, note: 0, left: 0, volume: 0, decay: 0, decayLeft: 0, phase: 0};
+}
+
+export class Synth {
+  // sounds: decoded SOUNDS block (format.js decodeSounds).
+  constructor({sampleRate=DEFAULT_SAMPLE_RATE, sounds=[]} = {}){
+    this.sampleRate = sampleRate;
+    this.sounds = sounds;
+    this.channels = Array.from({length: SOUND_CHANNELS}, silentChannel);
+    this.lfsr = 1;
+    this.sample = 0; // samples rendered so far
+    this.frame = 0;  // synth frames elapsed
+  }
+
+  // Applies VM sound commands (PPUVM.sound after a frame) at the current sample.
+  apply(cmds){
+    for(const c of cmds){
+      if(c.op === 'tone'){
+        const ch = this.channels[c.channel];
+        ch.steps = null;
+        this.startNote(ch, c.note, c.frames, c.volume, c.decay);
+      } else if(c.op === 'play'){
+        const s = this.sounds[c.sound];
+        if(!s) continue;
+        const ch = this.channels[s.channel];
+        ch.steps = s.steps;
+        ch.loop = s.loop;
+        ch.step = 0;
+        this.startNote(ch, ...s.steps[0]);
+      } else if(c.op === 'stop'){
+        this.channels.forEach((ch, i) => { if(c.mask & (1 << i)){ ch.steps = null; ch.note = 0; } });
+      }
+    }
+  }
+
+  startNote(ch, note, frames, volume, decay){
+    ch.note = note;
+    ch.left = frames;
+    ch.volume = volume;
+    ch.decay = decay;
+    ch.decayLeft = decay;
+  }
+
+  // One 60 Hz step: note lengths, sequences and envelopes.
+  clock(){
+    for(const ch of this.channels){
+      if(ch.decay && ch.volume && --ch.decayLeft === 0){
+        ch.volume--;
+        ch.decayLeft = ch.decay;
+      }
+      if(!ch.left || --ch.left) continue;
+      if(ch.steps && (ch.step + 1 < ch.steps.length || ch.loop)){
+        ch.step = (ch.step + 1) % ch.steps.length;
+        this.startNote(ch, ...ch.steps[ch.step]);
+      } else {
+        ch.steps = null;
+        ch.note = 0;
+      }
+    }
+    this.frame++;
+  }
+
+  // The next n samples, mono, in -1..1.
+  render(n){
+    const out = new Float32Array(n);
+    const sr = this.sampleRate;
+    for(let i=0; i<n; i++){
+      while(this.sample >= Math.floor((this.frame + 1) * sr / SYNTH_HZ)) this.clock();
+      let v = 0;
+      this.channels.forEach((ch, c) => {
+        if(!ch.note || !ch.volume) return;
+        const level = ch.volume / 15 * MIX;
+        if(c === NOISE_CHANNEL){
+          ch.phase += NOISE_HZ[ch.note - 1] / sr;
+          while(ch.phase >= 1){
+            ch.phase -= 1;
+            this.lfsr = (this.lfsr >> 1) | (((this.lfsr ^ (this.lfsr >> 1)) & 1) << 14);
+          }
+          v += (this.lfsr & 1 ? 1 : -1) * level;
+          return;
+        }
+        ch.phase = (ch.phase + noteHz(ch.note) / sr) % 1;
+        v += (c < DUTY.length ? (ch.phase < DUTY[c] ? 1 : -1) : 4 * Math.abs(ch.phase - 0.5) - 1) * level;
+      });
+      out[i] = v;
+      this.sample++;
+    }
+    return out;
+  }
+}
+
+// Samples game tick `tick` spans at `fps` ticks per second.
+export function tickSamples(tick, fps, sampleRate=DEFAULT_SAMPLE_RATE){
+  return Math.floor((tick + 1) * sampleRate / fps) - Math.floor(tick * sampleRate / fps);
+}
+
+// Renders a replay's sound headlessly: the init commands at tick 0, then each frame's at its tick.
+// createVM() must return a fresh PPUVM for the cartridge; fps is its HEADER targetFPS. Returns
+// {samples, ok} (ok as in playReplay).
+export function renderReplayAudio(replay, createVM, {fps, sounds=[], sampleRate=DEFAULT_SAMPLE_RATE} = {}){
+  const synth = new Synth({sampleRate, sounds});
+  const parts = [];
+  const {ok} = playReplay(replay, createVM, {onFrame: (vm, i) => {
+    synth.apply(vm.sound);
+    parts.push(synth.render(tickSamples(i, fps, sampleRate)));
+  }});
+  const samples = new Float32Array(parts.reduce((n, p) => n + p.length, 0));
+  let off = 0;
+  for(const p of parts){ samples.set(p, off); off += p.length; }
+  return {samples, ok};
+}
+
+// 16-bit PCM mono WAV file.
+export function encodeWav(samples, sampleRate=DEFAULT_SAMPLE_RATE){
+  const out = new Uint8Array(44 + samples.length*2);
+  const dv = new DataView(out.buffer);
+  const ascii = (off, s) => { for(let i=0;i<s.length;i++) out[off+i] = s.charCodeAt(i); };
+  ascii(0, 'RIFF');
+  dv.setUint32(4, 36 + samples.length*2, true);
+  ascii(8, 'WAVE');
+  ascii(12, 'fmt ');
+  dv.setUint32(16, 16, true);
+  dv.setUint16(20, 1, true);           // PCM
+  dv.setUint16(22, 1, true);           // mono
+  dv.setUint32(24, sampleRate, true);
+  dv.setUint32(28, sampleRate*2, true);
+  dv.setUint16(32, 2, true);
+  dv.setUint16(34, 16, true);
+  ascii(36, 'data');
+  dv.setUint32(40, samples.length*2, true);
+  samples.forEach((v, i) => dv.setInt16(44 + i*2, Math.round(Math.max(-1, Math.min(1, v)) * 0x7FFF), true));
+  return out;
+}
+
+// WebAudio output: each tick's samples become one buffer, queued back to back slightly ahead of
+// the context clock. ctx: an AudioContext (browsers only start it after a user gesture; call
+// resume() from one).
+const LEAD_S = 0.05;
+
+export class AudioHost {
+  constructor(ctx, {sounds=[], fps=30} = {}){
+    this.ctx = ctx;
+    this.muted = false;
+    this.reset({sounds, fps});
+  }
+
+  // New cartridge (or reset): fresh synth, tick count from 0.
+  reset({sounds=this.synth?.sounds ?? [], fps=this.fps} = {}){
+    this.synth = new Synth({sampleRate: this.ctx.sampleRate, sounds});
+    this.fps = fps;
+    this.tick = 0;
+    this.at = 0;
+  }
+
+  resume(){
+    if(this.ctx.state === 'suspended') this.ctx.resume();
+  }
+
+  // One game tick: apply `cmds` and queue the tick's samples. The synth runs even when muted or
+  // suspended so that unmuting picks up in step.
+  push(cmds){
+    this.synth.apply(cmds);
+    const samples = this.synth.render(tickSamples(this.tick++, this.fps, this.ctx.sampleRate));
+    if(this.muted || this.ctx.state !== 'running') return;
+    const buf = this.ctx.createBuffer(1, samples.length, this.ctx.sampleRate);
+    buf.copyToChannel(samples, 0);
+    const src = this.ctx.createBufferSource();
+    src.buffer = buf;
+    src.connect(this.ctx.destination);
+    this.at = Math.max(this.at, this.ctx.currentTime + LEAD_S);
+    src.start(this.at);
+    this.at += samples.length / this.ctx.sampleRate;
+  }
+}
@@ -0,0 +1,160 @@
+// display.js - rasterizes a PPUVM display list (render.display, see the DL_* syscalls in vm.js)
+// The host draws these commands and nothing game-specific. Only a 2D context is needed, so the
+// same code can draw into a page canvas or an OffscreenCanvas. Tiles come from the TILES block
+// as palette indices; tileAtlas() turns them into RGBA once per palette, so the palette variants
+// recolor tiles like everything else. drawScene() is the whole game picture, shared by app.js and
+// the worker render path (vmworker.js).
+
+import {PaletteSlot} from './palette.js';
+import {Feature} from './vm.js';
+
+// RGBA pixels of every tile side by side (tile i at x = i*w), for new ImageData(data, width, height).
+// palette: [[r, g, b, a], ...]; index 0 is transparent, indices it lacks draw as the TEXT slot.
+export function tileAtlas({w, h, count, pixels}, palette){
+  const width = w*count, data = new Uint8ClampedArray(width*h*4);
+  for(let t=0; t<count; t++){
+    for(let y=0; y<h; y++){
+      for(let x=0; x<w; x++){
+        const c = pixels[t*w*h + y*w + x];
+        if(!c) continue;
+        data.set(palette[c] ?? palette[PaletteSlot.TEXT], ((y*width) + t*w + x)*4);
+      }
+    }
+  }
+  return {width, height: h, data};
+}
+
+// Draws `list` in cartridge pixels scaled by `s` from (ox, oy). board: the VM's cell board
+// ({x, y, cellPx} in cartridge pixels); clip: the LAYOUT board rectangle that clears and tiles
+// are clipped to (null: none). colors: css strings by palette index. atlas: a drawable holding
+// tileAtlas() for tiles of tileW x tileH.
+export function drawDisplayList(g, list, {ox, oy, s, board, clip=null, colors, atlas=null, tileW=0, tileH=0, boardW=0, boardH=0}){
+  const cell = board.cellPx * s;
+  const bx = ox + board.x*s, by = oy + board.y*s;
+  const color = (c) => colors[c] ?? colors[PaletteSlot.TEXT]; // past the end only without a LUT_PALETTE
+  let clipped = false;
+  const boardClip = (on) => {
+    if(!clip || on === clipped) return;
+    clipped = on;
+    if(!on){ g.restore(); return; }
+    g.save();
+    g.beginPath();
+    g.rect(clip.x*s + ox, clip.y*s + oy, clip.w*s, clip.h*s);
+    g.clip();
+  };
+
+  g.save();
+  g.imageSmoothingEnabled = false;
+  for(const c of list){
+    switch(c.op){
+      case 'clear':
+        if(!c.color) break;
+        boardClip(true);
+        g.fillStyle = color(c.color);
+        g.fillRect(bx, by, boardW*cell, boardH*cell);
+        break;
+      case 'tile':
+        if(!atlas) break;
+        boardClip(true);
+        g.drawImage(atlas, c.tile*tileW, 0, tileW, tileH, bx + c.col*cell, by + c.row*cell, cell, cell);
+        break;
+      case 'sprite': {
+        if(!atlas) break;
+        boardClip(false);
+        const dw = tileW*c.scale*s, dh = tileH*c.scale*s;
+        const dx = ox + c.x*s, dy = oy + c.y*s;
+        if(!c.flipX && !c.flipY){
+          g.drawImage(atlas, c.tile*tileW, 0, tileW, tileH, dx, dy, dw, dh);
+          break;
+        }
+        g.save();
+        g.translate(c.flipX ? dx + dw : dx, c.flipY ? dy + dh : dy);
+        g.scale(c.flipX ? -1 : 1, c.flipY ? -1 : 1);
+        g.drawImage(atlas, c.tile*tileW, 0, tileW, tileH, 0, 0, dw, dh);
+        g.restore();
+        break;
+      }
+      case 'text':
+        boardClip(false);
+        g.fillStyle = color(c.color);
+        g.font = `${Math.floor(c.size*s)}px system-ui, sans-serif`;
+        g.textAlign = c.align;
+        g.textBaseline = 'middle';
+        g.fillText(c.text, ox + c.x*s, oy + c.y*s);
+        break;
+    }
+  }
+  boardClip(false);
+  g.restore();
+}
+
+// Where a V.w x V.h cartridge raster sits, scaled to fit and centered, in a W x H canvas.
+export function fitRect(W, H, V){
+  const s = Math.min(W/V.w, H/V.h);
+  const drawW = V.w * s, drawH = V.h * s;
+  return {s, ox: (W - drawW)/2, oy: (H - drawH)/2, drawW, drawH};
+}
+
+export function gameOverText(st){
+  if(st.players !== 2) return 'GAME OVER';
+  return st.winner === 3 ? 'DRAW' : `PLAYER ${st.winner} WINS`;
+}
+
+// Cartridges without the DISPLAY feature: the host draws their cell board and status line.
+export function drawCellBoard(g, st, {ox, oy, s, drawW, clip=null, colors}){
+  const cell = st.cellPx * s;
+  const x0 = (st.boardX) * s + ox;
+  const y0 = (st.boardY) * s + oy;
+
+  g.save();
+  if(clip){
+    g.beginPath();
+    g.rect(clip.x * s + ox, clip.y * s + oy, clip.w * s, clip.h * s);
+    g.clip();
+  }
+
+  g.fillStyle = colors[PaletteSlot.SHADE];
+  g.fillRect(x0, y0, st.boardW*cell, st.boardH*cell);
+
+  for(let y=0; y<st.boardH; y++){
+    for(let x=0; x<st.boardW; x++){
+      const c = st.cells[x + y*st.boardW];
+      if(!c) continue;
+      g.fillStyle = colors[c] ?? colors[PaletteSlot.TEXT]; // past the end only without a LUT_PALETTE
+      g.fillRect(x0 + x*cell, y0 + y*cell, cell, cell);
+    }
+  }
+  g.restore();
+
+  if(st.paused){
+    g.fillStyle = colors[PaletteSlot.TEXT];
+    g.font = `${Math.floor(26*s)}px system-ui, sans-serif`;
+    g.textAlign='center'; g.textBaseline='middle';
+    g.fillText('PAUSED', ox + drawW/2, oy + (56*s));
+  }
+  if(st.gameOver){
+    g.fillStyle = colors[PaletteSlot.TEXT];
+    g.font = `bold ${Math.floor(28*s)}px system-ui, sans-serif`;
+    g.textAlign='center'; g.textBaseline='middle';
+    g.fillText(gameOverText(st), ox + drawW/2, oy + (56*s));
+  }
+}
+
+// The game picture in a W x H canvas: background, the cartridge raster, then the VM's frame.
+// view: {W, H, V, bg, base, colors, clip, atlas, tileW, tileH} (base and atlas are drawables, or
+// null). st: the VM's render state, null when nothing runs; features: its HEADER featureFlags.
+// Returns fitRect() for drawing overlays on top.
+export function drawScene(g, view, st, features=0){
+  const {W, H, V, colors, clip=null} = view;
+  const fit = fitRect(W, H, V);
+  const {ox, oy, s, drawW, drawH} = fit;
+  g.fillStyle = view.bg;
+  g.fillRect(0, 0, W, H);
+  if(view.base) g.drawImage(view.base, ox, oy, drawW, drawH);
+  if(st && (features & Feature.DISPLAY)){
+    drawDisplayList(g, st.display, {ox, oy, s, board: {x: st.boardX, y: st.boardY, cellPx: st.cellPx}, boardW: st.boardW, boardH: st.boardH, clip, colors, atlas: view.atlas, tileW: view.tileW, tileH: view.tileH});
+  } else if(st){
+    drawCellBoard(g, st, {ox, oy, s, drawW, clip, colors});
+  }
+  return fit;
+}
@@ -0,0 +1,586 @@
+// format.js - DOM-free codecs for the HEADER, TRUTH_TABLE, STRING_TABLE, LAYOUT, LUT_PALETTE, FS, TILES and SOUNDS payloads
+// Shared by the app, tools and tests; geometry comes in as arguments instead of app.js globals.
+//
+// Every decoder is strict: each field is bounds-checked against the payload, trailing bytes and
+// duplicate keys are rejected, and failures throw FormatError (never a RangeError from a DataView
+// or a silently truncated result), so hosts can route them to the fail-closed G3 path.
+// The schema version of a payload is the `version` byte of its PPUJ segment (parseCartridge
+// returns it per block); decoders reject versions they do not know.
+
+import {crc32} from './ppujpeg.js';
+
+export const FormatVersion = Object.freeze({
+  HEADER: 1,
+  TRUTH_TABLE: 1,
+  STRING_TABLE: 1,
+  LAYOUT: 1,
+  LUT_PALETTE: 1,
+  FS: 1,
+  TILES: 1,
+  SOUNDS: 1,
+});
+
+export class FormatError extends Error {
+  constructor(block, message){
+    super(`${block}: ${message}`);
+    this.name = 'FormatError';
+    this.block = block; // a FormatVersion key: 'HEADER', 'TRUTH_TABLE', ...
+  }
+}
+
+// Bounds-checked big-endian reader; every overrun is a FormatError for `block`.
+class Reader {
+  constructor(block, payload){
+    this.block = block;
+    this.u8 = payload;
+    this.dv = new DataView(payload.buffer, payload.byteOffset, payload.byteLength);
+    this.off = 0;
+  }
+  need(n, what){
+    if(this.off + n > this.u8.length) throw new FormatError(this.block, `truncated ${what} at byte ${this.off}`);
+  }
+  u8v(what){ this.need(1, what); return this.u8[this.off++]; }
+  u16(what){ this.need(2, what); const v = this.dv.getUint16(this.off, false); this.off += 2; return v; }
+  u32(what){ this.need(4, what); const v = this.dv.getUint32(this.off, false); this.off += 4; return v; }
+  bytes(n, what){ this.need(n, what); const v = this.u8.subarray(this.off, this.off + n); this.off += n; return v; }
+  end(){
+    if(this.off !== this.u8.length) throw new FormatError(this.block, `${this.u8.length - this.off} trailing bytes`);
+  }
+}
+
+const utf8 = new TextDecoder('utf-8', {fatal: true});
+function decodeText(block, u8, what){
+  try{
+    return utf8.decode(u8);
+  } catch {
+    throw new FormatError(block, `${what} is not valid UTF-8`);
+  }
+}
+
+function checkVersion(block, version){
+  if(version !== FormatVersion[block]) throw new FormatError(block, `unsupported schema version ${version}`);
+}
+
+// --- Truth table ---
+// v1: u32 count, then count x {u8 keyLen (= 6), key[6], u16 cmd}
+export const TRUTH_KEY_LEN = 6;
+const TRUTH_RECORD_LEN = 1 + TRUTH_KEY_LEN + 2;
+
+// Key fields for pointer input (see the gesture recognizer in app.js). Every key is looked up at
+// the grid cell where the pointer went down.
+export const TouchType = Object.freeze({
+  PRESS: 1,       // pointer down
+  RELEASE: 2,     // pointer up (timeBucket = hold time)
+  TAP: 3,         // short press that did not move
+  LONG_PRESS: 4,  // held still for the long-press delay (timeBucket = hold time)
+  SWIPE: 5,       // moved far enough; gestureId = direction
+});
+export const Gesture = Object.freeze({
+  NONE: 0,
+  SWIPE_UP: 1,
+  SWIPE_DOWN: 2,
+  SWIPE_LEFT: 3,
+  SWIPE_RIGHT: 4,
+});
+// modeBits: the mode the cartridge last published with SET_MODE. Entries with modeBits 0 apply in
+// every mode; an entry for a specific mode overrides them while the cartridge is in that mode.
+// timeBucket: 0 matches any duration; otherwise 1 + hold time in TIME_BUCKET_MS steps (max 255).
+export const TIME_BUCKET_MS = 250;
+export function timeBucketFor(ms){
+  return Math.min(255, 1 + Math.floor(Math.max(0, ms) / TIME_BUCKET_MS));
+}
+
+export function packKey({modeBits=0,touchType=1,regionId=0,gestureId=0,timeBucket=0}){
+  // 6 bytes packed: u8,u8,u16,u8,u8 (big-endian for regionId)
+  const u8 = new Uint8Array(TRUTH_KEY_LEN);
+  u8[0]=modeBits&255;
+  u8[1]=touchType&255;
+  u8[2]=(regionId>>>8)&255; u8[3]=regionId&255;
+  u8[4]=gestureId&255;
+  u8[5]=timeBucket&255;
+  return u8;
+}
+export function keyToStr(keyU8){
+  return String.fromCharCode(...keyU8);
+}
+// Inverse of keyToStr(packKey(...)): the fields of a decoded truth-table key.
+export function unpackKey(k){
+  const b = (i) => k.charCodeAt(i) & 255;
+  return {modeBits: b(0), touchType: b(1), regionId: (b(2) << 8) | b(3), gestureId: b(4), timeBucket: b(5)};
+}
+
+export function rectToRegionIds(rect, {vw, vh, gridX, gridY}){
+  const ids = [];
+  const cellW = vw / gridX;
+  const cellH = vh / gridY;
+  const x0 = Math.floor(rect.x / cellW);
+  const x1 = Math.floor((rect.x + rect.w - 1) / cellW);
+  const y0 = Math.floor(rect.y / cellH);
+  const y1 = Math.floor((rect.y + rect.h - 1) / cellH);
+  for(let gy=y0; gy<=y1; gy++){
+    for(let gx=x0; gx<=x1; gx++){
+      if(gx<0||gy<0||gx>=gridX||gy>=gridY) continue;
+      ids.push(gx + gy*gridX);
+    }
+  }
+  return ids;
+}
+
+// The framebuffer rectangle of one grid cell (inverse of rectToRegionIds).
+export function regionRect(regionId, {vw, vh, gridX, gridY}){
+  const gx = regionId % gridX, gy = Math.floor(regionId / gridX);
+  return {x: gx * vw / gridX, y: gy * vh / gridY, w: vw / gridX, h: vh / gridY};
+}
+
+// regions: [{rect, cmd, modeBits?, touchType?, gestureId?, timeBucket?}] in priority order (later
+// regions win overlapping keys). touchType defaults to PRESS, the other key fields to 0.
+export function buildTruthTable(regions, geom){
+  const map = new Map();
+  for(const {rect, cmd, modeBits=0, touchType=TouchType.PRESS, gestureId=Gesture.NONE, timeBucket=0} of regions){
+    if(!Number.isInteger(cmd) || cmd < 0 || cmd > 0xFFFF) throw new FormatError('TRUTH_TABLE', `command ${cmd} is not a u16`);
+    if(!Number.isInteger(modeBits) || modeBits < 0 || modeBits > 0xFF) throw new FormatError('TRUTH_TABLE', `modeBits ${modeBits} is not a u8`);
+    for(const regionId of rectToRegionIds(rect, geom)){
+      const key = packKey({modeBits,touchType,regionId,gestureId,timeBucket});
+      map.set(keyToStr(key), cmd);
+    }
+  }
+
+  const recordCount = map.size;
+  const payload = new Uint8Array(4 + recordCount*TRUTH_RECORD_LEN);
+  const dv = new DataView(payload.buffer);
+  dv.setUint32(0, recordCount>>>0, false);
+  let off = 4;
+  for(const [k, cmd] of map){
+    payload[off++] = TRUTH_KEY_LEN;
+    for(let i=0;i<TRUTH_KEY_LEN;i++) payload[off++] = k.charCodeAt(i) & 255;
+    dv.setUint16(off, cmd, false); off += 2;
+  }
+  return {payload, recordCount};
+}
+
+// Command for a key, or 0. Tries the current mode before the every-mode entries (modeBits 0), and
+// within each the exact hold time before the "any duration" entry (timeBucket 0).
+export function lookupCmd(truth, key){
+  const modes = key.modeBits ? [key.modeBits, 0] : [0];
+  const buckets = key.timeBucket ? [key.timeBucket, 0] : [0];
+  for(const modeBits of modes){
+    for(const timeBucket of buckets){
+      const cmd = truth.get(keyToStr(packKey({...key, modeBits, timeBucket})));
+      if(cmd !== undefined) return cmd;
+    }
+  }
+  return 0;
+}
+
+export function decodeTruthTable(payload, version=FormatVersion.TRUTH_TABLE){
+  checkVersion('TRUTH_TABLE', version);
+  const r = new Reader('TRUTH_TABLE', payload);
+  const n = r.u32('record count');
+  if(n > (payload.length - 4) / TRUTH_RECORD_LEN) throw new FormatError('TRUTH_TABLE', `record count ${n} does not fit in ${payload.length} bytes`);
+  const out = new Map();
+  for(let i=0;i<n;i++){
+    const keyLen = r.u8v(`record ${i} key length`);
+    if(keyLen !== TRUTH_KEY_LEN) throw new FormatError('TRUTH_TABLE', `record ${i} has key length ${keyLen}, expected ${TRUTH_KEY_LEN}`);
+    const k = keyToStr(r.bytes(keyLen, `record ${i} key`));
+    const cmd = r.u16(`record ${i} command`);
+    if(out.has(k)) throw new FormatError('TRUTH_TABLE', `record ${i} repeats a key`);
+    out.set(k, cmd);
+  }
+  r.end();
+  return out;
+}
+
+// --- Header ---
+// v1 (30 bytes): u32 entryPoint, u16 fbWidth, u16 fbHeight, u16 targetFPS, u16 ioGridX, u16 ioGridY,
+// u32 featureFlags, u32 frameEntry, u8 gradientPreferred, u8 gradientMinExact, u16 reserved (0),
+// u32 osId. Early cartridges stop before osId (26 bytes); it then reads as 0.
+export const HEADER_LEN = 30;
+const HEADER_LEN_NO_OSID = 26;
+const MAX_GRADIENT = 3;
+
+// Geometry the runtime will accept: framebuffer size in cartridge pixels, touch grid resolution
+// (a grid cell is at least one pixel, and regionIds stay within u16) and tick rate.
+export const HeaderLimits = Object.freeze({
+  FB_MIN: 16,
+  FB_MAX: 4096,
+  GRID_MIN: 1,
+  GRID_MAX: 256,
+  FPS_MIN: 1,
+  FPS_MAX: 120,
+});
+
+function checkGeometry({fbWidth, fbHeight, targetFPS, ioGridX, ioGridY}){
+  const L = HeaderLimits;
+  const fail = (msg) => { throw new FormatError('HEADER', msg); };
+  if(fbWidth < L.FB_MIN || fbWidth > L.FB_MAX || fbHeight < L.FB_MIN || fbHeight > L.FB_MAX){
+    fail(`framebuffer ${fbWidth}x${fbHeight} outside ${L.FB_MIN}..${L.FB_MAX}`);
+  }
+  if(ioGridX < L.GRID_MIN || ioGridX > L.GRID_MAX || ioGridY < L.GRID_MIN || ioGridY > L.GRID_MAX){
+    fail(`input grid ${ioGridX}x${ioGridY} outside ${L.GRID_MIN}..${L.GRID_MAX}`);
+  }
+  if(ioGridX > fbWidth || ioGridY > fbHeight) fail(`input grid ${ioGridX}x${ioGridY} is finer than the ${fbWidth}x${fbHeight} framebuffer`);
+  if(targetFPS < L.FPS_MIN || targetFPS > L.FPS_MAX) fail(`targetFPS ${targetFPS} outside ${L.FPS_MIN}..${L.FPS_MAX}`);
+}
+
+export function buildHeader({osId=0x534E414B /* 'SNAK' */, entryPoint=0, frameEntry=entryPoint, fbWidth=512, fbHeight=512, targetFPS=30, ioGridX=64, ioGridY=64, featureFlags=1}){
+  checkGeometry({fbWidth, fbHeight, targetFPS, ioGridX, ioGridY});
+  const payload = new Uint8Array(HEADER_LEN);
+  const dv = new DataView(payload.buffer);
+  let off = 0;
+  dv.setUint32(off, entryPoint>>>0, false); off += 4;
+  dv.setUint16(off, fbWidth & 0xFFFF, false); off += 2;
+  dv.setUint16(off, fbHeight & 0xFFFF, false); off += 2;
+  dv.setUint16(off, targetFPS & 0xFFFF, false); off += 2;
+  dv.setUint16(off, ioGridX & 0xFFFF, false); off += 2;
+  dv.setUint16(off, ioGridY & 0xFFFF, false); off += 2;
+  dv.setUint32(off, featureFlags>>>0, false); off += 4;
+  dv.setUint32(off, frameEntry>>>0, false); off += 4;
+  payload[off++] = 0; // gradientPreferred (G0)
+  payload[off++] = 0; // gradientMinExact (G0)
+  dv.setUint16(off, 0, false); off += 2;
+  dv.setUint32(off, osId>>>0, false); off += 4;
+  return payload;
+}
+
+export function parseHeader(payload, version=FormatVersion.HEADER){
+  checkVersion('HEADER', version);
+  if(payload.length !== HEADER_LEN && payload.length !== HEADER_LEN_NO_OSID){
+    throw new FormatError('HEADER', `length ${payload.length}, expected ${HEADER_LEN}`);
+  }
+  const r = new Reader('HEADER', payload);
+  const entryPoint = r.u32('entryPoint');
+  const fbWidth = r.u16('fbWidth');
+  const fbHeight = r.u16('fbHeight');
+  const targetFPS = r.u16('targetFPS');
+  const ioGX = r.u16('ioGridX');
+  const ioGY = r.u16('ioGridY');
+  const featureFlags = r.u32('featureFlags');
+  const frameEntry = r.u32('frameEntry');
+  const gradPref = r.u8v('gradientPreferred');
+  const gradMin = r.u8v('gradientMinExact');
+  if(gradPref > MAX_GRADIENT || gradMin > MAX_GRADIENT) throw new FormatError('HEADER', `gradient level out of range (${gradPref}/${gradMin})`);
+  if(r.u16('reserved') !== 0) throw new FormatError('HEADER', 'reserved field is not zero');
+  const osId = payload.length === HEADER_LEN ? r.u32('osId') : 0;
+  r.end();
+  checkGeometry({fbWidth, fbHeight, targetFPS, ioGridX: ioGX, ioGridY: ioGY});
+  return {entryPoint, frameEntry, fbWidth, fbHeight, targetFPS, ioGX, ioGY, featureFlags, gradPref, gradMin, osId};
+}
+
+// --- String table ---
+// v1: u16 count, then count x {u16 keyLen, key (UTF-8), u16 valueLen, value (UTF-8)}; keys unique.
+export function buildStringTable(obj){
+  const enc = new TextEncoder();
+  const entries = Object.entries(obj);
+  if(entries.length > 0xFFFF) throw new FormatError('STRING_TABLE', `too many entries (${entries.length})`);
+  let total = 2;
+  const parts = [];
+  for(const [k,v] of entries){
+    const kb = enc.encode(k), vb = enc.encode(String(v));
+    if(kb.length > 0xFFFF || vb.length > 0xFFFF) throw new FormatError('STRING_TABLE', `entry "${k}" is longer than 65535 bytes`);
+    const seg = new Uint8Array(2+kb.length+2+vb.length);
+    const dv = new DataView(seg.buffer);
+    dv.setUint16(0, kb.length, false);
+    seg.set(kb, 2);
+    dv.setUint16(2+kb.length, vb.length, false);
+    seg.set(vb, 2+kb.length+2);
+    parts.push(seg);
+    total += seg.length;
+  }
+  const out = new Uint8Array(total);
+  const dv = new DataView(out.buffer);
+  dv.setUint16(0, entries.length, false);
+  let off=2;
+  for(const seg of parts){ out.set(seg, off); off += seg.length; }
+  return out;
+}
+
+// Returns a prototype-free object, so keys like "__proto__" are plain data.
+export function decodeStringTable(payload, version=FormatVersion.STRING_TABLE){
+  checkVersion('STRING_TABLE', version);
+  const r = new Reader('STRING_TABLE', payload);
+  const text = (u8, what) => decodeText('STRING_TABLE', u8, what);
+  const n = r.u16('entry count');
+  const out = Object.create(null);
+  for(let i=0;i<n;i++){
+    const key = text(r.bytes(r.u16(`entry ${i} key length`), `entry ${i} key`), `entry ${i} key`);
+    const val = text(r.bytes(r.u16(`entry ${i} value length`), `entry ${i} value`), `entry ${i} value`);
+    if(key in out) throw new FormatError('STRING_TABLE', `duplicate key "${key}"`);
+    out[key] = val;
+  }
+  r.end();
+  return out;
+}
+
+// --- Layout ---
+// Where the cartridge draws its board and buttons, in framebuffer pixels. The host draws the
+// buttons into the base JPEG, derives the touch truth table from them and places the VM's cell
+// board at board.x/board.y with board.cellPx pixels per cell.
+// v1: u16 boardX, u16 boardY, u16 boardW, u16 boardH, u16 cellPx, u16 buttonCount,
+//     then buttonCount x {u16 x, u16 y, u16 w, u16 h, u16 cmd, u8 labelLen, label (UTF-8)}
+const MAX_LABEL = 255;
+
+// layout: {board: {x, y, w, h, cellPx}, buttons: [{x, y, w, h, cmd, label}]}
+export function buildLayout({board, buttons}){
+  const enc = new TextEncoder();
+  const u16 = (v, what) => {
+    if(!Number.isInteger(v) || v < 0 || v > 0xFFFF) throw new FormatError('LAYOUT', `${what} ${v} is not a u16`);
+    return v;
+  };
+  if(buttons.length > 0xFFFF) throw new FormatError('LAYOUT', `too many buttons (${buttons.length})`);
+  const labels = buttons.map(b => enc.encode(b.label ?? ''));
+  let total = 12;
+  for(const lb of labels){
+    if(lb.length > MAX_LABEL) throw new FormatError('LAYOUT', `label longer than ${MAX_LABEL} bytes`);
+    total += 11 + lb.length;
+  }
+  const out = new Uint8Array(total);
+  const dv = new DataView(out.buffer);
+  let off = 0;
+  const put = (v, what) => { dv.setUint16(off, u16(v, what), false); off += 2; };
+  put(board.x, 'board.x'); put(board.y, 'board.y'); put(board.w, 'board.w'); put(board.h, 'board.h'); put(board.cellPx, 'board.cellPx');
+  put(buttons.length, 'button count');
+  buttons.forEach((b, i) => {
+    put(b.x, `button ${i} x`); put(b.y, `button ${i} y`); put(b.w, `button ${i} w`); put(b.h, `button ${i} h`);
+    put(b.cmd, `button ${i} cmd`);
+    out[off++] = labels[i].length;
+    out.set(labels[i], off); off += labels[i].length;
+  });
+  return out;
+}
+
+export function decodeLayout(payload, version=FormatVersion.LAYOUT){
+  checkVersion('LAYOUT', version);
+  const r = new Reader('LAYOUT', payload);
+  const board = {x: r.u16('board.x'), y: r.u16('board.y'), w: r.u16('board.w'), h: r.u16('board.h'), cellPx: r.u16('board.cellPx')};
+  const n = r.u16('button count');
+  const buttons = [];
+  for(let i=0;i<n;i++){
+    const x = r.u16(`button ${i} x`), y = r.u16(`button ${i} y`), w = r.u16(`button ${i} w`), h = r.u16(`button ${i} h`);
+    const cmd = r.u16(`button ${i} cmd`);
+    const label = decodeText('LAYOUT', r.bytes(r.u8v(`button ${i} label length`), `button ${i} label`), `button ${i} label`);
+    buttons.push({x, y, w, h, cmd, label});
+  }
+  r.end();
+  return {board, buttons};
+}
+
+// Every region must be non-empty and lie inside the framebuffer (HEADER fbWidth x fbHeight);
+// a region off the raster could never be drawn or touched.
+export function validateLayout({board, buttons}, {fbWidth, fbHeight}){
+  const check = (rect, what) => {
+    if(rect.w < 1 || rect.h < 1) throw new FormatError('LAYOUT', `${what} is empty`);
+    if(rect.x + rect.w > fbWidth || rect.y + rect.h > fbHeight){
+      throw new FormatError('LAYOUT', `${what} (${rect.x},${rect.y} ${rect.w}x${rect.h}) is outside the ${fbWidth}x${fbHeight} framebuffer`);
+    }
+  };
+  check(board, 'board');
+  if(board.cellPx < 1) throw new FormatError('LAYOUT', 'board.cellPx is zero');
+  buttons.forEach((b, i) => check(b, `button ${i}${b.label ? ` "${b.label}"` : ''}`));
+  return {board, buttons};
+}
+
+// Truth-table regions for a layout's buttons (in layout order, so later buttons win overlaps).
+export function layoutRegions({buttons}){
+  return buttons.map(b => ({rect: {x: b.x, y: b.y, w: b.w, h: b.h}, cmd: b.cmd}));
+}
+
+// --- Palette ---
+// Indexed colors (palette.js has the index conventions). v1: u16 count (1..256), then count x
+// {u8 r, u8 g, u8 b, u8 a}.
+export const MAX_PALETTE = 256;
+
+// colors: [[r, g, b, a], ...] with byte components.
+export function buildPalette(colors){
+  if(colors.length < 1 || colors.length > MAX_PALETTE) throw new FormatError('LUT_PALETTE', `${colors.length} entries, expected 1..${MAX_PALETTE}`);
+  const out = new Uint8Array(2 + colors.length*4);
+  out[0] = colors.length >> 8; out[1] = colors.length & 0xFF;
+  colors.forEach((c, i) => {
+    if(c.length !== 4 || !c.every(v => Number.isInteger(v) && v >= 0 && v <= 0xFF)) throw new FormatError('LUT_PALETTE', `entry ${i} is not four bytes`);
+    out.set(c, 2 + i*4);
+  });
+  return out;
+}
+
+export function decodePalette(payload, version=FormatVersion.LUT_PALETTE){
+  checkVersion('LUT_PALETTE', version);
+  const r = new Reader('LUT_PALETTE', payload);
+  const n = r.u16('entry count');
+  if(n < 1 || n > MAX_PALETTE) throw new FormatError('LUT_PALETTE', `${n} entries, expected 1..${MAX_PALETTE}`);
+  const colors = [];
+  for(let i=0;i<n;i++) colors.push(Array.from(r.bytes(4, `entry ${i}`)));
+  r.end();
+  return colors;
+}
+
+// --- FS ---
+// A read-only file archive (levels, sprites, sounds, translations) that bytecode reads with the
+// FS_* syscalls (vm.js). v1: u16 fileCount, then fileCount x {u8 pathLen, path (UTF-8), u32 size,
+// u32 CRC32 of the data}, then the file data concatenated in entry order.
+// Paths are relative and '/'-separated, with no empty, '.' or '..' segments, and unique. buildFs
+// sorts them, so the same files always pack to the same bytes.
+export const MAX_FS_PATH = 255;
+
+function checkPath(path, n){
+  if(!n || n > MAX_FS_PATH) throw new FormatError('FS', `path "${path}" is ${n} bytes, expected 1..${MAX_FS_PATH}`);
+  if(path.split('/').some(seg => seg === '' || seg === '.' || seg === '..')) throw new FormatError('FS', `path "${path}" is not a plain relative path`);
+}
+
+// files: {path: data} or [{path, data}], data a Uint8Array or a string (stored as UTF-8).
+export function buildFs(files){
+  const enc = new TextEncoder();
+  const list = (Array.isArray(files) ? files : Object.entries(files).map(([path, data]) => ({path, data})))
+    .map(({path, data}) => ({path, name: enc.encode(path), data: typeof data === 'string' ? enc.encode(data) : data}))
+    .sort((a, b) => a.path < b.path ? -1 : a.path > b.path ? 1 : 0);
+  if(list.length > 0xFFFF) throw new FormatError('FS', `too many files (${list.length})`);
+  let total = 2;
+  list.forEach((f, i) => {
+    checkPath(f.path, f.name.length);
+    if(i && f.path === list[i-1].path) throw new FormatError('FS', `duplicate path "${f.path}"`);
+    if(!(f.data instanceof Uint8Array)) throw new FormatError('FS', `"${f.path}" is not bytes or text`);
+    total += 1 + f.name.length + 8 + f.data.length;
+  });
+  const out = new Uint8Array(total);
+  const dv = new DataView(out.buffer);
+  dv.setUint16(0, list.length, false);
+  let off = 2;
+  for(const f of list){
+    out[off++] = f.name.length;
+    out.set(f.name, off); off += f.name.length;
+    dv.setUint32(off, f.data.length, false);
+    dv.setUint32(off+4, crc32(f.data), false);
+    off += 8;
+  }
+  for(const f of list){ out.set(f.data, off); off += f.data.length; }
+  return out;
+}
+
+// Returns [{path, size, crc, data}] in archive order; every file's CRC is checked.
+export function decodeFs(payload, version=FormatVersion.FS){
+  checkVersion('FS', version);
+  const r = new Reader('FS', payload);
+  const n = r.u16('file count');
+  const files = [];
+  const seen = new Set();
+  for(let i=0;i<n;i++){
+    const name = r.bytes(r.u8v(`file ${i} path length`), `file ${i} path`);
+    const path = decodeText('FS', name, `file ${i} path`);
+    checkPath(path, name.length);
+    if(seen.has(path)) throw new FormatError('FS', `duplicate path "${path}"`);
+    seen.add(path);
+    files.push({path, size: r.u32(`file ${i} size`), crc: r.u32(`file ${i} CRC`), data: null});
+  }
+  for(const f of files){
+    f.data = r.bytes(f.size, `data of "${f.path}"`);
+    if(crc32(f.data) !== f.crc) throw new FormatError('FS', `CRC mismatch in "${f.path}"`);
+  }
+  r.end();
+  return files;
+}
+
+// --- Tiles ---
+// Tile graphics for the display list (DL_TILE / DL_SPRITE in vm.js), as palette indices so the
+// host's palette variants recolor them too; index 0 is transparent. v1: u8 tileW, u8 tileH
+// (1..MAX_TILE_SIZE), u16 count (1..MAX_TILES), then count x tileW*tileH u8 indices, row-major.
+export const MAX_TILE_SIZE = 32;
+export const MAX_TILES = 1024;
+
+function checkTileGeometry(w, h, count){
+  const ok = (v, max) => Number.isInteger(v) && v >= 1 && v <= max;
+  if(!ok(w, MAX_TILE_SIZE) || !ok(h, MAX_TILE_SIZE)) throw new FormatError('TILES', `tile size ${w}x${h}, expected 1..${MAX_TILE_SIZE} each way`);
+  if(!ok(count, MAX_TILES)) throw new FormatError('TILES', `${count} tiles, expected 1..${MAX_TILES}`);
+}
+
+// tiles: [Uint8Array(w*h) of palette indices, ...]
+export function buildTiles({w, h, tiles}){
+  checkTileGeometry(w, h, tiles.length);
+  const out = new Uint8Array(4 + tiles.length*w*h);
+  out[0] = w; out[1] = h;
+  out[2] = tiles.length >> 8; out[3] = tiles.length & 0xFF;
+  tiles.forEach((t, i) => {
+    if(!(t instanceof Uint8Array) || t.length !== w*h) throw new FormatError('TILES', `tile ${i} is not ${w*h} bytes`);
+    out.set(t, 4 + i*w*h);
+  });
+  return out;
+}
+
+// Returns {w, h, count, pixels}; tile i is pixels[i*w*h .. (i+1)*w*h).
+export function decodeTiles(payload, version=FormatVersion.TILES){
+  checkVersion('TILES', version);
+  const r = new Reader('TILES', payload);
+  const w = r.u8v('tile width'), h = r.u8v('tile height'), count = r.u16('tile count');
+  checkTileGeometry(w, h, count);
+  const pixels = r.bytes(count*w*h, 'tile data');
+  r.end();
+  return {w, h, count, pixels};
+}
+
+// Tiles may only use colors the cartridge's palette has (paletteSize entries).
+export function validateTiles(tiles, paletteSize){
+  const {w, h, pixels} = tiles;
+  for(let i=0;i<pixels.length;i++){
+    if(pixels[i] >= paletteSize) throw new FormatError('TILES', `tile ${Math.floor(i / (w*h))} uses color ${pixels[i]} outside the ${paletteSize}-entry palette`);
+  }
+  return tiles;
+}
+
+// --- Sounds ---
+// Sound effects and music for SND_PLAY (vm.js), played by the synth in audio.js. Each sound is a
+// note sequence on one channel (0, 1 pulse, 2 triangle, 3 noise). v1: u8 count (1..MAX_SOUNDS),
+// then count x {u8 channel, u8 flags (bit0 = loop), u16 stepCount (1..MAX_SOUND_STEPS), stepCount x
+// {u8 note, u8 frames, u8 volume | decay << 4}}. note: 0 = rest, a MIDI note (1..127) on the tone
+// channels or a noise pitch (1..16) on the noise one. frames: length in 1/60 s (1..255). volume
+// 0..15; decay: frames per volume step down (0 = hold).
+export const MAX_SOUNDS = 255;
+export const MAX_SOUND_STEPS = 4096;
+export const SOUND_CHANNELS = 4;
+export const NOISE_CHANNEL = 3;
+export const NOISE_PITCHES = 16;
+
+// Why (channel, note, frames) cannot be played, or null. frames 0 is allowed only when `hold` is.
+export function soundStepProblem(channel, note, frames, hold=false){
+  if(channel >= SOUND_CHANNELS) return `channel ${channel}, expected 0..${SOUND_CHANNELS - 1}`;
+  const maxNote = channel === NOISE_CHANNEL ? NOISE_PITCHES : 127;
+  if(note > maxNote) return `note ${note} on channel ${channel}, expected 0..${maxNote}`;
+  if(frames > 255 || (!frames && !hold)) return `length ${frames}, expected ${hold ? 0 : 1}..255 frames`;
+  return null;
+}
+
+// sounds: [{channel, loop, steps: [[note, frames, volume, decay], ...]}]
+export function buildSounds(sounds){
+  if(sounds.length < 1 || sounds.length > MAX_SOUNDS) throw new FormatError('SOUNDS', `${sounds.length} sounds, expected 1..${MAX_SOUNDS}`);
+  const out = [sounds.length];
+  sounds.forEach(({channel, loop=false, steps}, i) => {
+    if(steps.length < 1 || steps.length > MAX_SOUND_STEPS) throw new FormatError('SOUNDS', `sound ${i} has ${steps.length} steps, expected 1..${MAX_SOUND_STEPS}`);
+    out.push(channel, loop ? 1 : 0, steps.length >> 8, steps.length & 0xFF);
+    steps.forEach(([note, frames, volume, decay=0], j) => {
+      const bad = soundStepProblem(channel, note, frames) ?? (volume > 15 || decay > 15 ? `volume ${volume} / decay ${decay}, expected 0..15` : null);
+      if(bad) throw new FormatError('SOUNDS', `sound ${i} step ${j}: ${bad}`);
+      out.push(note, frames, volume | decay << 4);
+    });
+  });
+  return Uint8Array.from(out);
+}
+
+// Returns [{channel, loop, steps: [[note, frames, volume, decay], ...]}].
+export function decodeSounds(payload, version=FormatVersion.SOUNDS){
+  checkVersion('SOUNDS', version);
+  const r = new Reader('SOUNDS', payload);
+  const n = r.u8v('sound count');
+  if(n < 1) throw new FormatError('SOUNDS', `0 sounds, expected 1..${MAX_SOUNDS}`);
+  const sounds = [];
+  for(let i=0;i<n;i++){
+    const channel = r.u8v(`sound ${i} channel`), flags = r.u8v(`sound ${i} flags`), count = r.u16(`sound ${i} step count`);
+    if(flags & ~1) throw new FormatError('SOUNDS', `sound ${i} has unknown flags 0x${flags.toString(16)}`);
+    if(count < 1 || count > MAX_SOUND_STEPS) throw new FormatError('SOUNDS', `sound ${i} has ${count} steps, expected 1..${MAX_SOUND_STEPS}`);
+    const steps = [];
+    for(let j=0;j<count;j++){
+      const [note, frames, vd] = r.bytes(3, `sound ${i} step ${j}`);
+      const bad = soundStepProblem(channel, note, frames);
+      if(bad) throw new FormatError('SOUNDS', `sound ${i} step ${j}: ${bad}`);
+      steps.push([note, frames, vd & 15, vd >> 4]);
+    }
+    sounds.push({channel, loop: (flags & 1) !== 0, steps});
+  }
+  r.end();
+  return sounds;
+}
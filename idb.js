@@ -0,0 +1,40 @@
+// idb.js - the app's IndexedDB database (browser only): one object store per kind of player data
+// Used by savestate.js (quick-save slots) and scores.js (leaderboards).
+
+const DB_NAME = 'ppu';
+const DB_VERSION = 2; // v1: savestates; v2: + scores
+
+export const Store = Object.freeze({
+  SAVESTATES: 'savestates',
+  SCORES: 'scores',
+});
+
+let dbPromise = null;
+
+function openDb(){
+  if(!dbPromise){
+    dbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        for(const name of Object.values(Store)){
+          if(!req.result.objectStoreNames.contains(name)) req.result.createObjectStore(name);
+        }
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => { dbPromise = null; reject(req.error); };
+    });
+  }
+  return dbPromise;
+}
+
+// Runs fn(objectStore) in a transaction; resolves to the result of the request fn returns.
+export async function withStore(name, mode, fn){
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(name, mode);
+    const req = fn(tx.objectStore(name));
+    tx.oncomplete = () => resolve(req.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
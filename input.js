@@ -0,0 +1,41 @@
+// input.js - pointer gesture classifier (DOM-free: app.js feeds it pointer events, tests call it directly)
+// Down sends PRESS; holding still for LONG_PRESS_MS sends LONG_PRESS; on up, a move of at least
+// SWIPE_MIN cartridge pixels is a SWIPE in its dominant direction, anything shorter that was not
+// a long press is a TAP, and if the cartridge maps neither, RELEASE. The host looks every touch
+// up at the region where the pointer went down.
+
+import {TouchType, Gesture, timeBucketFor} from './format.js';
+
+export const LONG_PRESS_MS = 500;
+export const SWIPE_MIN = 24;
+export const STILL_MAX = 8; // cartridge pixels a press may wobble and still be a tap / long press
+
+// A truth-table lookup: {touchType, gestureId, timeBucket}.
+const touch = (touchType, gestureId=Gesture.NONE, timeBucket=0) => ({touchType, gestureId, timeBucket});
+
+export function swipeGesture(dx, dy){
+  if(Math.abs(dx) >= Math.abs(dy)) return dx > 0 ? Gesture.SWIPE_RIGHT : Gesture.SWIPE_LEFT;
+  return dy > 0 ? Gesture.SWIPE_DOWN : Gesture.SWIPE_UP;
+}
+
+export function pressTouch(){
+  return touch(TouchType.PRESS);
+}
+
+// LONG_PRESS_MS after down, with the pointer dx, dy from where it went down; null if it moved
+// too far to be a long press.
+export function longPressTouch(dx, dy){
+  if(Math.hypot(dx, dy) > STILL_MAX) return null;
+  return touch(TouchType.LONG_PRESS, Gesture.NONE, timeBucketFor(LONG_PRESS_MS));
+}
+
+// On up: the touches to look up in order, the first one the cartridge maps wins. heldMs: time
+// since down; long: a long press was already sent.
+export function releaseTouches(dx, dy, heldMs, long){
+  const dist = Math.hypot(dx, dy);
+  const out = [];
+  if(dist >= SWIPE_MIN) out.push(touch(TouchType.SWIPE, swipeGesture(dx, dy)));
+  else if(!long && dist <= STILL_MAX) out.push(touch(TouchType.TAP));
+  out.push(touch(TouchType.RELEASE, Gesture.NONE, timeBucketFor(heldMs)));
+  return out;
+}
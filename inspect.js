@@ -0,0 +1,210 @@
+// inspect.js - cartridge inspector data: JPEG markers, PPUJ segments, decoded blocks, VM views
+// Meant for cartridges that will not run as much as for ones that do: the marker walk
+// (scanMarkers) never throws, and every block is decoded on its own, so one bad table does not
+// hide the others. If the container itself is rejected, the unchunked segments that pass their
+// own checks are still decoded. No DOM; the inspector panel in app.js shows these as text.
+
+import {scanMarkers, parseCartridge, BlockType, SOI, EOI, SOS} from './ppujpeg.js';
+import {zlibInflate} from './zlib.js';
+import {parseHeader, decodeStringTable, decodeTruthTable, decodeLayout, decodePalette, decodeFs, decodeTiles, decodeSounds, unpackKey, TouchType, Gesture} from './format.js';
+import {verifyBytecode} from './verify.js';
+import {PaletteSlot} from './palette.js';
+import {disassembleLines} from './asm.js';
+
+export const BLOCK_NAMES = Object.freeze(Object.fromEntries(Object.entries(BlockType).map(([k, v]) => [v, k])));
+const TOUCH_NAMES = Object.freeze(Object.fromEntries(Object.entries(TouchType).map(([k, v]) => [v, k])));
+const GESTURE_NAMES = Object.freeze(Object.fromEntries(Object.entries(Gesture).map(([k, v]) => [v, k])));
+const SLOT_NAMES = Object.freeze(Object.fromEntries(Object.entries(PaletteSlot).map(([k, v]) => [v, k])));
+const CHANNEL_NAMES = ['pulse', 'pulse', 'triangle', 'noise'];
+const MAX_INFLATE = 8*1024*1024; // parseCartridge's default maxTotal
+
+function hex(v, w=4){ return '0x' + (v>>>0).toString(16).toUpperCase().padStart(w, '0'); }
+
+export function markerName(m){
+  const fixed = {[SOI]: 'SOI', [EOI]: 'EOI', [SOS]: 'SOS', 0xC4: 'DHT', 0xCC: 'DAC', 0xDB: 'DQT', 0xDD: 'DRI', 0xFE: 'COM', 0x01: 'TEM'}[m];
+  if(fixed) return fixed;
+  if(m >= 0xE0 && m <= 0xEF) return `APP${m - 0xE0}`;
+  if(m >= 0xD0 && m <= 0xD7) return `RST${m - 0xD0}`;
+  if(m >= 0xC0 && m <= 0xCF) return `SOF${m - 0xC0}`;
+  return hex(m, 2);
+}
+
+export function flagNames(flags){
+  return [flags & 1 && 'crc', flags & 2 && 'zlib', flags & 4 && 'encrypted', flags & 8 && 'chunked'].filter(Boolean).join(',') || '-';
+}
+
+const DECODERS = {
+  [BlockType.HEADER]: (b) => parseHeader(b.payload, b.version),
+  [BlockType.STRING_TABLE]: (b) => decodeStringTable(b.payload, b.version),
+  [BlockType.TRUTH_TABLE]: (b) => decodeTruthTable(b.payload, b.version),
+  [BlockType.LAYOUT]: (b) => decodeLayout(b.payload, b.version),
+  [BlockType.LUT_PALETTE]: (b) => decodePalette(b.payload, b.version),
+  [BlockType.FS]: (b) => decodeFs(b.payload, b.version),
+  [BlockType.TILES]: (b) => decodeTiles(b.payload, b.version),
+  [BlockType.SOUNDS]: (b) => decodeSounds(b.payload, b.version),
+};
+
+// Without a whole container, the segments that stand alone: unchunked and passing their checks.
+function looseBlocks(u8, markers){
+  const out = [];
+  for(const {ppuj} of markers){
+    if(!ppuj || ppuj.problem || ppuj.chunk) continue;
+    const stored = u8.subarray(ppuj.dataOffset, ppuj.dataOffset + ppuj.length);
+    const b = {version: ppuj.version, blockType: ppuj.blockType, flags: ppuj.flags, payload: stored};
+    if(ppuj.flags & 2){
+      try{ b.payload = zlibInflate(stored, {maxOutput: MAX_INFLATE}); }
+      catch (e){ b.payload = null; b.error = `decompression failed (${e.message})`; }
+    }
+    out.push(b);
+  }
+  return out;
+}
+
+// Returns {size, markers, scanError, parseError, blocks, header}. blocks: [{blockType, name,
+// version, flags, size, payload, value, error}], where value is the decoded table (HEADER,
+// STRING_TABLE, TRUTH_TABLE as a key->cmd Map, LAYOUT, LUT_PALETTE, FS files, TILES, SOUNDS) or the verifier result (BYTECODE), and
+// error says why decoding failed. header is the decoded HEADER, if any.
+export function inspectCartridge(jpegU8){
+  const u8 = jpegU8 instanceof Uint8Array ? jpegU8 : new Uint8Array(jpegU8);
+  const {markers, error: scanError} = scanMarkers(u8);
+  let raw, parseError = null;
+  try{
+    raw = parseCartridge(u8);
+  } catch (e){
+    parseError = e.message;
+    raw = looseBlocks(u8, markers);
+  }
+
+  const blocks = raw.map(b => {
+    const out = {blockType: b.blockType, name: BLOCK_NAMES[b.blockType] ?? hex(b.blockType, 2), version: b.version, flags: b.flags, size: b.payload?.length ?? 0, payload: b.payload, value: null, error: b.error ?? null};
+    const decode = DECODERS[b.blockType];
+    if(decode && b.payload){
+      try{ out.value = decode(b); } catch (e){ out.error = e.message; }
+    }
+    return out;
+  });
+  const header = blocks.find(b => b.blockType === BlockType.HEADER)?.value ?? null;
+  for(const b of blocks){
+    if(b.blockType !== BlockType.BYTECODE || !b.payload) continue;
+    if(header) b.value = verifyBytecode(b.payload, header);
+    else b.error = 'no decodable HEADER to verify against';
+  }
+  return {size: u8.length, markers, scanError, parseError, blocks, header};
+}
+
+// Truth-table entries grouped by everything but the region: [{modeBits, touchType, gestureId,
+// timeBucket, cmd, regions: [regionId...]}] in table order.
+export function truthGroups(truth){
+  const groups = new Map();
+  for(const [k, cmd] of truth){
+    const {regionId, ...key} = unpackKey(k);
+    const id = `${key.modeBits}:${key.touchType}:${key.gestureId}:${key.timeBucket}:${cmd}`;
+    if(!groups.has(id)) groups.set(id, {...key, cmd, regions: []});
+    groups.get(id).regions.push(regionId);
+  }
+  return [...groups.values()];
+}
+
+const HEX_FIELDS = new Set(['entryPoint', 'frameEntry', 'featureFlags', 'osId']);
+
+function formatValue(b){
+  if(b.error) return [`    error: ${b.error}`];
+  const v = b.value;
+  if(!v) return [];
+  switch(b.blockType){
+    case BlockType.HEADER:
+      return Object.entries(v).map(([k, x]) => `    ${k}: ${HEX_FIELDS.has(k) ? hex(x, k === 'featureFlags' || k === 'osId' ? 8 : 4) : x}`);
+    case BlockType.STRING_TABLE:
+      return Object.entries(v).map(([k, x]) => `    ${k}: ${JSON.stringify(x)}`);
+    case BlockType.TRUTH_TABLE:
+      return [`    ${v.size} keys`, ...truthGroups(v).map(g =>
+        `    mode ${g.modeBits} ${TOUCH_NAMES[g.touchType] ?? g.touchType}` +
+        (g.gestureId ? ` ${GESTURE_NAMES[g.gestureId] ?? g.gestureId}` : '') +
+        (g.timeBucket ? ` t${g.timeBucket}` : '') +
+        ` -> cmd ${g.cmd} (${g.regions.length} cells)`)];
+    case BlockType.LAYOUT:
+      return [
+        `    board ${v.board.x},${v.board.y} ${v.board.w}x${v.board.h} cell ${v.board.cellPx}`,
+        ...v.buttons.map(btn => `    button "${btn.label}" ${btn.x},${btn.y} ${btn.w}x${btn.h} -> cmd ${btn.cmd}`),
+      ];
+    case BlockType.LUT_PALETTE:
+      return v.map((c, i) => `    ${String(i).padStart(3)}: #${c.map(x => x.toString(16).padStart(2, '0')).join('')}${SLOT_NAMES[i] ? `  ${SLOT_NAMES[i]}` : ''}`);
+    case BlockType.FS:
+      return [`    ${v.length} files`, ...v.map(f => `    ${f.path}  ${f.size} B  crc ${hex(f.crc, 8)}`)];
+    case BlockType.TILES:
+      return [`    ${v.count} tiles ${v.w}x${v.h}`];
+    case BlockType.SOUNDS:
+      return v.map((snd, i) => `    #${i} channel ${snd.channel} (${CHANNEL_NAMES[snd.channel]}) ${snd.steps.length} steps, ${snd.steps.reduce((n, st) => n + st[1], 0)} frames${snd.loop ? ', loops' : ''}`);
+    case BlockType.BYTECODE:
+      return v.ok ? ['    verifier: ok'] : ['    verifier: rejected', ...v.errors.map(e => `      ${e}`)];
+  }
+  return [];
+}
+
+// The whole report as monospace text.
+export function formatInspection(r){
+  const out = [`${r.size} bytes`, '', 'JPEG markers:'];
+  for(const m of r.markers){
+    let line = `  ${hex(m.offset, 6)}  ${markerName(m.marker).padEnd(5)}`;
+    if(m.length) line += ` len ${m.length}`;
+    const s = m.ppuj;
+    if(s){
+      line += `  PPUJ ${BLOCK_NAMES[s.blockType] ?? hex(s.blockType, 2)} v${s.version} [${flagNames(s.flags)}] ${s.length} B, crc ${s.crc}`;
+      if(s.chunk) line += `, chunk ${s.chunk.seq+1}/${s.chunk.count} of #${s.chunk.blockId}`;
+      if(s.problem) line += `  !! ${s.problem}`;
+    }
+    out.push(line);
+  }
+  if(r.scanError) out.push(`  !! ${r.scanError}`);
+  out.push('', r.parseError ? `Container rejected: ${r.parseError} (showing the segments that stand alone)` : 'Container ok', '');
+  out.push('Blocks:');
+  for(const b of r.blocks){
+    out.push(`  ${b.name} v${b.version} [${flagNames(b.flags)}] ${b.size} B`);
+    out.push(...formatValue(b));
+  }
+  return out.join('\n');
+}
+
+// Disassembly around `pc`, `context` instructions either side; the line at pc is marked '>'.
+export function disassemblyAround(code, pc, {entryPoint=null, frameEntry=null, context=10} = {}){
+  const lines = disassembleLines(code, {entryPoint, frameEntry});
+  let at = lines.findIndex(l => l.addr <= pc && pc < l.addr + l.bytes.length);
+  if(at < 0) at = pc >= code.length ? lines.length - 1 : 0;
+  const out = [];
+  for(const l of lines.slice(Math.max(0, at - context), at + context + 1)){
+    if(l.label) out.push(`${l.label}:`);
+    out.push(`${l === lines[at] ? '>' : ' '} ${hex(l.addr)}  ${l.text}`);
+  }
+  return out.join('\n');
+}
+
+// 16 bytes per row with an ASCII column, starting at `start` (rounded down to a row).
+export function hexDump(u8, start=0, length=256){
+  const out = [];
+  const from = Math.max(0, Math.min(u8.length, start & ~15));
+  const to = Math.min(u8.length, from + length);
+  for(let a=from; a<to; a+=16){
+    const row = u8.subarray(a, Math.min(to, a+16));
+    const bytes = Array.from(row, b => b.toString(16).padStart(2, '0')).join(' ');
+    const text = Array.from(row, b => b >= 0x20 && b < 0x7F ? String.fromCharCode(b) : '.').join('');
+    out.push(`${hex(a)}  ${bytes.padEnd(47)}  ${text}`);
+  }
+  return out.join('\n');
+}
+
+// VM registers and render state (cells and display list summarized) as text.
+export function describeVM(vm){
+  const regs = Array.from(vm.reg, (v, i) => `r${i}=${hex(v, 8)}`);
+  const {cells, display, ...st} = vm.render;
+  const ops = {};
+  for(const c of display) ops[c.op] = (ops[c.op] ?? 0) + 1;
+  const used = cells.reduce((n, c) => n + (c ? 1 : 0), 0);
+  return [
+    `pc=${hex(vm.pc)} sp=${hex(vm.sp)} mode=${vm.modeBits} tick=${vm.ioTick} cmd=${vm.ioCmd} cmd2=${vm.ioCmd2}${vm.fault ? `  FAULT: ${vm.fault}` : ''}`,
+    ...Array.from({length: 4}, (_, i) => regs.slice(i*4, i*4+4).join(' ')),
+    '',
+    ...Object.entries(st).map(([k, v]) => `${k}: ${JSON.stringify(v)}`),
+    `cells: ${used} of ${cells.length} set`,
+    `display: ${display.length} commands${display.length ? ` (${Object.entries(ops).map(([op, n]) => `${n} ${op}`).join(', ')})` : ''}`,
+  ].join('\n');
+}
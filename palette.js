@@ -0,0 +1,74 @@
+// palette.js - LUT_PALETTE index conventions, the host's default colors and accessible variants
+// A palette is a list of [r, g, b, a] byte entries (format.js encodes it). Cell color indices from
+// DRAW_CELL select entries directly, 0 being the empty cell; the host draws its own chrome (raster
+// background, text, panels, outlines) from the fixed slots below. Entries a cartridge's palette
+// leaves out fall back to DEFAULT_PALETTE, which holds the colors the host used before palettes.
+
+export const PaletteSlot = Object.freeze({
+  BACKGROUND: 0, // raster background (index 0 is also the empty cell, which is not drawn)
+  // 1..GAME_COLORS: cell colors chosen by the cartridge's DRAW_CELL calls
+  TEXT: 16,
+  TEXT_DIM: 17,
+  PANEL: 18,     // title bar, board frame and button fill
+  OUTLINE: 19,   // board frame and button borders
+  GRID: 20,      // raster grid lines
+  SHADE: 21,     // board backdrop under the cells
+});
+export const GAME_COLORS = 15;
+
+const WHITE = (a) => [255, 255, 255, a];
+export const DEFAULT_PALETTE = Object.freeze([
+  [7, 9, 18, 255],
+  [120, 240, 180, 242], // Snake body
+  [255, 80, 110, 242],  // apple
+  [255, 190, 90, 242],  // player 2
+  [150, 160, 190, 230], // obstacle
+  ...Array.from({length: GAME_COLORS - 4}, () => WHITE(242)),
+  WHITE(235),
+  WHITE(179),
+  WHITE(15),
+  WHITE(46),
+  WHITE(10),
+  [0, 0, 0, 51],
+].map(c => Object.freeze(c)));
+
+// Host-side replacements for the game colors. The cartridge's palette only says which index is
+// which; these keep indices apart for color-vision deficiencies (Okabe-Ito) or low vision.
+const OKABE_ITO = [[0, 158, 115], [213, 94, 0], [86, 180, 233], [240, 228, 66], [0, 114, 178], [230, 159, 0], [204, 121, 167]];
+const HIGH_CONTRAST = [[0, 255, 0], [255, 0, 0], [0, 255, 255], [255, 255, 0], [255, 0, 255], [255, 128, 0], [255, 255, 255]];
+
+export const PaletteVariant = Object.freeze({
+  CARTRIDGE: 'cartridge',
+  HIGH_CONTRAST: 'high-contrast',
+  COLORBLIND: 'colorblind',
+});
+
+// The cartridge palette padded with DEFAULT_PALETTE to cover every slot.
+export function resolvePalette(palette){
+  const out = (palette ?? []).map(c => [...c]);
+  for(let i=out.length; i<DEFAULT_PALETTE.length; i++) out.push([...DEFAULT_PALETTE[i]]);
+  return out;
+}
+
+// resolvePalette(palette) with `variant` applied (unknown variants leave it as is).
+export function paletteVariant(palette, variant){
+  const out = resolvePalette(palette);
+  const game = (set) => { for(let i=1; i<=GAME_COLORS; i++) out[i] = [...set[(i-1) % set.length], 255]; };
+  if(variant === PaletteVariant.COLORBLIND){
+    game(OKABE_ITO);
+  } else if(variant === PaletteVariant.HIGH_CONTRAST){
+    game(HIGH_CONTRAST);
+    out[PaletteSlot.BACKGROUND] = [0, 0, 0, 255];
+    out[PaletteSlot.TEXT] = WHITE(255);
+    out[PaletteSlot.TEXT_DIM] = WHITE(255);
+    out[PaletteSlot.PANEL] = WHITE(40);
+    out[PaletteSlot.OUTLINE] = WHITE(255);
+    out[PaletteSlot.GRID] = WHITE(0);
+    out[PaletteSlot.SHADE] = [0, 0, 0, 255];
+  }
+  return out;
+}
+
+export function cssColor([r, g, b, a]){
+  return `rgba(${r},${g},${b},${+(a / 255).toFixed(3)})`;
+}
@@ -3,6 +3,13 @@
 // - All blocks live in APP15 (FFEF) before SOS (FFDA)
 // - Flags: bit0 CRC32 present, bit1 zlib compressed, bit2 encrypted (NOT USED)
 // - CRC32 covers bytes Magic..Payload (inclusive), excluding CRC field.
+// - Compressed blocks store a zlib stream (see zlib.js); Length/CRC describe the stored bytes.
+// - Flags bit3 chunked: a block too big for one APP15 segment is split across several. Chunked
+//   segments extend the header after Length with:
+//     u16 blockId, u16 seq (0-based), u16 count, u16 reserved, u32 CRC32 of the whole stored payload
+//   Chunks must appear in order (seq 0..count-1); the block is compressed before it is split.
+
+import {zlibDeflate, zlibInflate} from './zlib.js';
 
 export const PPUJ_MAGIC = 0x5050554a; // "PPUJ"
 export const APP15 = 0xEF;
@@ -18,6 +25,11 @@ export const BlockType = Object.freeze({
   STRING_TABLE: 0x05,
   SIGNATURE: 0x06,
   FS: 0x07, // optional extension
+  SAVESTATE: 0x08, // player data (savestate.js); left out of the digest, covered by the signature
+  LAYOUT: 0x09, // board + button rectangles (format.js)
+  RULES: 0x0A, // game parameters, read by bytecode with READ_RULES (format defined by the game)
+  TILES: 0x0B, // tile graphics for the display list (format.js)
+  SOUNDS: 0x0C, // sound effects and music for the synth (format.js, audio.js)
 });
 
 export function u8str(u8, off, len){
@@ -44,12 +56,20 @@ function readU32BE(u8, off){
 function writeU16BE(dv, off, v){ dv.setUint16(off, v & 0xFFFF, false); }
 function writeU32BE(dv, off, v){ dv.setUint32(off, v >>> 0, false); }
 
-export function buildApp15Block({blockType, payloadU8, version=0x01, flags={crc:true, compressed:false}}){
-  const payload = payloadU8 instanceof Uint8Array ? payloadU8 : new Uint8Array(payloadU8);
-  const flagByte = (flags.crc?1:0) | (flags.compressed?2:0); // bit2 intentionally unused
-  const headerLen = 4+1+1+1+1+4;
-  const crcLen = flags.crc ? 4 : 0;
-  const total = headerLen + payload.length + crcLen;
+export const MAX_APP15_PAYLOAD = 0xFFFF - 2; // segment length field counts itself
+const HEADER_LEN = 12;
+const CHUNK_HEADER_LEN = HEADER_LEN + 12;
+export const MAX_CHUNK_DATA = MAX_APP15_PAYLOAD - CHUNK_HEADER_LEN - 4;
+
+function flagsToByte(flags, chunked){
+  return (flags.crc?1:0) | (flags.compressed?2:0) | (chunked?8:0); // bit2 intentionally unused
+}
+
+function encodeSegment({blockType, version, flagByte, data, chunk=null}){
+  const headerLen = chunk ? CHUNK_HEADER_LEN : HEADER_LEN;
+  const hasCrc = (flagByte & 1) !== 0;
+  const crcLen = hasCrc ? 4 : 0;
+  const total = headerLen + data.length + crcLen;
   const out = new Uint8Array(total);
   const dv = new DataView(out.buffer);
 
@@ -60,17 +80,52 @@ export function buildApp15Block({blockType, payloadU8, version=0x01, flags={crc:
   out[6]=flagByte & 0xFF;
   out[7]=0;
 
-  writeU32BE(dv, 8, payload.length>>>0);
-  out.set(payload, headerLen);
+  writeU32BE(dv, 8, data.length>>>0);
+  if(chunk){
+    writeU16BE(dv, 12, chunk.blockId);
+    writeU16BE(dv, 14, chunk.seq);
+    writeU16BE(dv, 16, chunk.count);
+    writeU16BE(dv, 18, 0);
+    writeU32BE(dv, 20, chunk.wholeCrc);
+  }
+  out.set(data, headerLen);
 
-  if(flags.crc){
-    const crc = crc32(out.subarray(0, headerLen + payload.length));
-    writeU32BE(dv, headerLen + payload.length, crc);
+  if(hasCrc){
+    const crc = crc32(out.subarray(0, headerLen + data.length));
+    writeU32BE(dv, headerLen + data.length, crc);
   }
 
   return out;
 }
 
+export function buildApp15Block({blockType, payloadU8, version=0x01, flags={crc:true, compressed:false}}){
+  const raw = payloadU8 instanceof Uint8Array ? payloadU8 : new Uint8Array(payloadU8);
+  const payload = flags.compressed ? zlibDeflate(raw) : raw;
+  return encodeSegment({blockType, version, flagByte: flagsToByte(flags, false), data: payload});
+}
+
+// Like buildApp15Block, but returns one or more APP15 payloads: blocks that do not fit in a
+// single segment are split into chunks tagged with `blockId` (unique per cartridge).
+export function buildApp15Blocks({blockType, payloadU8, version=0x01, flags={crc:true, compressed:false}, blockId=0, maxChunk=MAX_CHUNK_DATA}){
+  const raw = payloadU8 instanceof Uint8Array ? payloadU8 : new Uint8Array(payloadU8);
+  const payload = flags.compressed ? zlibDeflate(raw) : raw;
+  if(HEADER_LEN + payload.length + (flags.crc ? 4 : 0) <= MAX_APP15_PAYLOAD){
+    return [encodeSegment({blockType, version, flagByte: flagsToByte(flags, false), data: payload})];
+  }
+
+  const chunkSize = Math.max(1, Math.min(maxChunk, MAX_CHUNK_DATA));
+  const count = Math.ceil(payload.length / chunkSize);
+  if(count > 0xFFFF) throw new Error("PPUJ block too large to chunk");
+  const wholeCrc = crc32(payload);
+  const flagByte = flagsToByte(flags, true);
+  const out = [];
+  for(let seq=0; seq<count; seq++){
+    const data = payload.subarray(seq*chunkSize, Math.min(payload.length, (seq+1)*chunkSize));
+    out.push(encodeSegment({blockType, version, flagByte, data, chunk: {blockId, seq, count, wholeCrc}}));
+  }
+  return out;
+}
+
 export function injectBeforeSOS(jpegU8, appPayloads){
   // appPayloads: Uint8Array[] of APP15 payloads (already includes "PPUJ" header etc)
   const u8 = jpegU8 instanceof Uint8Array ? jpegU8 : new Uint8Array(jpegU8);
@@ -105,7 +160,7 @@ export function injectBeforeSOS(jpegU8, appPayloads){
   for(const payload of appPayloads){
     const pl = payload instanceof Uint8Array ? payload : new Uint8Array(payload);
     const segLen = pl.length + 2; // length field included
-    if(segLen > 0xFFFF) throw new Error("APP15 segment too large");
+    if(segLen > 0xFFFF) throw new Error("APP15 segment too large (split it with buildApp15Blocks)");
     const seg = new Uint8Array(2 + 2 + pl.length);
     seg[0]=0xFF; seg[1]=APP15;
     const dv = new DataView(seg.buffer);
@@ -126,12 +181,98 @@ export function injectBeforeSOS(jpegU8, appPayloads){
   return out;
 }
 
-export function parseCartridge(jpegU8, {maxTotal=8*1024*1024} = {}){
+// Copy of the JPEG without the PPUJ segments (chunks included) of the given block types.
+export function removeBlocks(jpegU8, blockTypes){
+  const u8 = jpegU8 instanceof Uint8Array ? jpegU8 : new Uint8Array(jpegU8);
+  if(u8.length < 4 || u8[0]!==0xFF || u8[1]!==SOI) throw new Error("Not a JPEG (missing SOI)");
+  const drop = new Set(blockTypes);
+  const keep = [[0, 2]];
+  let p = 2;
+  while(p < u8.length){
+    if(u8[p] !== 0xFF) throw new Error("Malformed JPEG: expected marker 0xFF");
+    const start = p;
+    while(p < u8.length && u8[p] === 0xFF) p++;
+    if(p >= u8.length) throw new Error("Malformed JPEG: truncated marker");
+    const marker = u8[p++];
+    if(marker === SOS || marker === EOI){ keep.push([start, u8.length]); break; }
+    if((marker >= 0xD0 && marker <= 0xD7) || marker === 0x01){ keep.push([start, p]); continue; }
+    if(p+2 > u8.length) throw new Error("Malformed JPEG: truncated segment length");
+    const segLen = readU16BE(u8, p);
+    if(segLen < 2) throw new Error("Malformed JPEG: invalid segment length");
+    const segEnd = p + segLen;
+    if(segEnd > u8.length) throw new Error("Malformed JPEG: segment overruns file");
+    const pl = u8.subarray(p+2, segEnd);
+    const isDropped = marker === APP15 && pl.length >= HEADER_LEN && pl[0]===0x50 && pl[1]===0x50 && pl[2]===0x55 && pl[3]===0x4a && drop.has(pl[5]);
+    if(!isDropped) keep.push([start, segEnd]);
+    p = segEnd;
+  }
+  let total = 0;
+  for(const [a, b] of keep) total += b - a;
+  const out = new Uint8Array(total);
+  let off = 0;
+  for(const [a, b] of keep){ out.set(u8.subarray(a, b), off); off += b - a; }
+  return out;
+}
+
+export function parseCartridge(jpegU8, {maxTotal=8*1024*1024, maxInflated=maxTotal} = {}){
   const u8 = jpegU8 instanceof Uint8Array ? jpegU8 : new Uint8Array(jpegU8);
   if(u8.length < 4 || u8[0]!==0xFF || u8[1]!==SOI) throw new Error("Not a JPEG (missing SOI)");
 
   const blocks = [];
-  let totalPayload = 0;
+  let totalPayload = 0;  // decoded bytes handed back so far
+  let pendingBytes = 0;  // stored bytes held by incomplete chunked blocks
+  const pending = new Map(); // blockId -> chunk reassembly state
+  const doneIds = new Set();
+
+  function decodeStored(stored, flags){
+    if((flags & 2) === 0) return stored;
+    // Bounded by both the per-block limit and what is left of maxTotal; fail-closed on bad streams.
+    const maxOutput = Math.min(maxInflated, maxTotal - totalPayload - pendingBytes);
+    try{
+      return zlibInflate(stored, {maxOutput});
+    } catch (e){
+      throw new Error(`PPUJ block decompression failed (${e.message})`);
+    }
+  }
+
+  function addChunk(pl, version, blockType, flags, payload){
+    const blockId = readU16BE(pl, 12);
+    const seq = readU16BE(pl, 14);
+    const count = readU16BE(pl, 16);
+    const wholeCrc = readU32BE(pl, 20);
+    let st = pending.get(blockId);
+    if(seq === 0){
+      if(st || doneIds.has(blockId)) throw new Error(`Duplicate PPUJ chunk (block ${blockId}, seq 0)`);
+      if(count === 0) throw new Error("PPUJ chunk count is zero");
+      st = {version, blockType, flags, count, wholeCrc, next: 0, parts: [], size: 0, slot: blocks.length};
+      blocks.push(null); // keep the block at the position of its first chunk
+      pending.set(blockId, st);
+    } else if(!st){
+      if(doneIds.has(blockId)) throw new Error(`Duplicate PPUJ chunk (block ${blockId}, seq ${seq})`);
+      throw new Error(`PPUJ chunk out of order (block ${blockId}, seq ${seq} before seq 0)`);
+    }
+    if(seq < st.next) throw new Error(`Duplicate PPUJ chunk (block ${blockId}, seq ${seq})`);
+    if(seq > st.next) throw new Error(`PPUJ chunk out of order (block ${blockId}, expected seq ${st.next}, got ${seq})`);
+    if(st.blockType !== blockType || st.version !== version || st.flags !== flags || st.count !== count || st.wholeCrc !== wholeCrc){
+      throw new Error(`PPUJ chunk header mismatch (block ${blockId}, seq ${seq})`);
+    }
+    st.parts.push(payload);
+    st.size += payload.length;
+    st.next++;
+    pendingBytes += payload.length;
+    if(st.next < count) return;
+
+    pending.delete(blockId);
+    doneIds.add(blockId);
+    pendingBytes -= st.size;
+    const stored = new Uint8Array(st.size);
+    let off = 0;
+    for(const part of st.parts){ stored.set(part, off); off += part.length; }
+    if((crc32(stored)>>>0) !== (wholeCrc>>>0)) throw new Error(`CRC32 mismatch (chunked block ${blockId})`);
+    const data = decodeStored(stored, flags);
+    totalPayload += data.length;
+    blocks[st.slot] = {version, blockType, flags, payload: data};
+  }
 
   let p = 2;
   while(p < u8.length){
@@ -154,30 +295,123 @@ export function parseCartridge(jpegU8, {maxTotal=8*1024*1024} = {}){
     if(segEnd > u8.length) throw new Error("Malformed JPEG: segment overruns file");
     if(marker === APP15){
       const pl = u8.subarray(segStart, segEnd);
-      if(pl.length >= 12 && pl[0]===0x50 && pl[1]===0x50 && pl[2]===0x55 && pl[3]===0x4a){
+      if(pl.length >= HEADER_LEN && pl[0]===0x50 && pl[1]===0x50 && pl[2]===0x55 && pl[3]===0x4a){
         const version = pl[4];
         const blockType = pl[5];
         const flags = pl[6];
         const hasCrc = (flags & 1) !== 0;
         const encrypted = (flags & 4) !== 0;
+        const chunked = (flags & 8) !== 0;
         if(encrypted) throw new Error("Encrypted flag set (NOT USED per spec)"); // fail-closed
         const n = readU32BE(pl, 8);
-        const headerLen = 12;
+        const headerLen = chunked ? CHUNK_HEADER_LEN : HEADER_LEN;
         const crcLen = hasCrc ? 4 : 0;
         if(headerLen + n + crcLen !== pl.length) throw new Error("PPUJ block length mismatch");
-        totalPayload += n;
-        if(totalPayload > maxTotal) throw new Error("Cartridge too large");
+        if(totalPayload + pendingBytes + n > maxTotal) throw new Error("Cartridge too large");
         const payload = pl.subarray(headerLen, headerLen+n);
         if(hasCrc){
           const want = readU32BE(pl, headerLen+n);
           const got = crc32(pl.subarray(0, headerLen+n));
           if((got>>>0) !== (want>>>0)) throw new Error("CRC32 mismatch");
         }
-        blocks.push({version, blockType, flags, payload});
+        if(chunked){
+          addChunk(pl, version, blockType, flags, payload);
+        } else {
+          const data = decodeStored(payload, flags);
+          totalPayload += data.length;
+          blocks.push({version, blockType, flags, payload: data});
+        }
       }
     }
     p = segEnd;
   }
 
+  if(pending.size){
+    const [blockId, st] = pending.entries().next().value;
+    throw new Error(`PPUJ block missing chunks (block ${blockId}: ${st.next}/${st.count})`);
+  }
+
   return blocks;
 }
+
+// Header fields of one APP15 payload, or null if it is not PPUJ. `crc` is 'ok', 'bad', 'none' (flag
+// clear) or 'unchecked' (segment too malformed to check); `problem` names what parseCartridge
+// would reject the segment for.
+function describeSegment(pl){
+  if(pl.length < HEADER_LEN || pl[0]!==0x50 || pl[1]!==0x50 || pl[2]!==0x55 || pl[3]!==0x4a) return null;
+  const flags = pl[6];
+  const hasCrc = (flags & 1) !== 0;
+  const chunked = (flags & 8) !== 0;
+  const headerLen = chunked ? CHUNK_HEADER_LEN : HEADER_LEN;
+  const length = readU32BE(pl, 8);
+  const seg = {version: pl[4], blockType: pl[5], flags, length, dataOffset: headerLen, chunk: null, crc: hasCrc ? 'unchecked' : 'none', problem: null};
+  if(chunked && pl.length >= CHUNK_HEADER_LEN){
+    seg.chunk = {blockId: readU16BE(pl, 12), seq: readU16BE(pl, 14), count: readU16BE(pl, 16)};
+  }
+  if(flags & 4) seg.problem = 'encrypted flag set';
+  else if(headerLen + length + (hasCrc ? 4 : 0) !== pl.length) seg.problem = 'length mismatch';
+  else if(hasCrc){
+    const ok = (crc32(pl.subarray(0, headerLen+length))>>>0) === (readU32BE(pl, headerLen+length)>>>0);
+    seg.crc = ok ? 'ok' : 'bad';
+    if(!ok) seg.problem = 'CRC32 mismatch';
+  }
+  return seg;
+}
+
+// Lenient walk for the inspector (inspect.js): every marker from SOI to SOS, plus a trailing EOI,
+// as {offset, marker, length (segment length field, 0 for standalone markers), ppuj}. ppuj is
+// describeSegment() for PPUJ segments, with dataOffset made absolute. Never throws: the walk stops
+// at the first problem it cannot step over and reports it as `error`.
+export function scanMarkers(jpegU8){
+  const u8 = jpegU8 instanceof Uint8Array ? jpegU8 : new Uint8Array(jpegU8);
+  const markers = [];
+  if(u8.length < 4 || u8[0]!==0xFF || u8[1]!==SOI) return {markers, error: "Not a JPEG (missing SOI)"};
+  markers.push({offset: 0, marker: SOI, length: 0, ppuj: null});
+  let p = 2;
+  while(p < u8.length){
+    if(u8[p] !== 0xFF) return {markers, error: `Malformed JPEG: expected marker 0xFF at byte ${p}`};
+    const offset = p;
+    while(p < u8.length && u8[p] === 0xFF) p++;
+    if(p >= u8.length) return {markers, error: "Malformed JPEG: truncated marker"};
+    const marker = u8[p++];
+    if((marker >= 0xD0 && marker <= 0xD7) || marker === 0x01 || marker === EOI){
+      markers.push({offset, marker, length: 0, ppuj: null});
+      if(marker === EOI) return {markers, error: null};
+      continue;
+    }
+    if(p+2 > u8.length) return {markers, error: "Malformed JPEG: truncated segment length"};
+    const segLen = readU16BE(u8, p);
+    if(segLen < 2) return {markers, error: `Malformed JPEG: invalid segment length at byte ${offset}`};
+    const segEnd = p + segLen;
+    if(segEnd > u8.length) return {markers, error: `Malformed JPEG: segment at byte ${offset} overruns file`};
+    const ppuj = marker === APP15 ? describeSegment(u8.subarray(p+2, segEnd)) : null;
+    if(ppuj) ppuj.dataOffset += p+2;
+    markers.push({offset, marker, length: segLen, ppuj});
+    if(marker === SOS) break; // entropy-coded data follows
+    p = segEnd;
+  }
+  if(u8.length >= 2 && u8[u8.length-2] === 0xFF && u8[u8.length-1] === EOI){
+    markers.push({offset: u8.length-2, marker: EOI, length: 0, ppuj: null});
+  }
+  return {markers, error: null};
+}
+
+// Content identity of a cartridge: SHA-256 (hex) over (blockType u8, length u32, payload) of every
+// block in order, skipping SIGNATURE and SAVESTATE so re-signing a cartridge or embedding a save
+// state keeps its identity.
+export async function cartridgeDigest(blocks){
+  const parts = blocks.filter(b => b.blockType !== BlockType.SIGNATURE && b.blockType !== BlockType.SAVESTATE);
+  let total = 0;
+  for(const b of parts) total += 5 + b.payload.length;
+  const msg = new Uint8Array(total);
+  const dv = new DataView(msg.buffer);
+  let off = 0;
+  for(const b of parts){
+    msg[off] = b.blockType & 0xFF;
+    writeU32BE(dv, off+1, b.payload.length);
+    msg.set(b.payload, off+5);
+    off += 5 + b.payload.length;
+  }
+  const hash = new Uint8Array(await crypto.subtle.digest('SHA-256', msg));
+  return Array.from(hash, b => b.toString(16).padStart(2, '0')).join('');
+}
@@ -0,0 +1,170 @@
+// replay.js - deterministic input recording + headless playback
+// The VM is deterministic (PRNG seeded from osId, input only via setIO), so a session is fully
+// described by the cartridge plus the (tick, cmd, cmd2) inputs step() sent. Only ticks with a
+// non-zero command are stored; every tick in between implicitly carried cmd 0 in both slots.
+//
+// Replay file (big-endian):
+//   0   "PPUR"
+//   4   u8  version (2)
+//   5   u8[3] reserved
+//   8   u8[32] cartridge digest (cartridgeDigest in ppujpeg.js)
+//   40  u32 startTick     tick value the session started from (init ran with tick 0)
+//   44  u32 tickCount     frames stepped after init (ticks startTick+1 .. startTick+tickCount)
+//   48  u32 finalScore    render.score after the last frame
+//   52  u32 finalRamCrc   CRC32 of vm.ram after the last frame
+//   56  u32 eventCount
+//   60  events: varint tickDelta (from the previous event, or from startTick), varint cmd,
+//       varint cmd2 (the second input slot; v1 events have no cmd2, decoded as 0)
+
+import {crc32} from './ppujpeg.js';
+
+export const REPLAY_VERSION = 2;
+const MAGIC = [0x50,0x50,0x55,0x52]; // "PPUR"
+const FIXED_LEN = 60;
+
+function hexToBytes(hex){
+  const out = new Uint8Array(hex.length / 2);
+  for(let i=0;i<out.length;i++) out[i] = parseInt(hex.substr(i*2, 2), 16);
+  return out;
+}
+function bytesToHex(u8){
+  return Array.from(u8, b => b.toString(16).padStart(2, '0')).join('');
+}
+
+function pushVarint(out, v){
+  v >>>= 0;
+  while(v >= 0x80){ out.push((v & 0x7F) | 0x80); v >>>= 7; }
+  out.push(v);
+}
+
+export function encodeReplay({digest, startTick, tickCount, finalScore, finalRamCrc, events}){
+  const body = [];
+  let prev = startTick >>> 0;
+  for(const e of events){
+    pushVarint(body, (e.tick - prev) >>> 0);
+    pushVarint(body, e.cmd & 0xFFFF);
+    pushVarint(body, (e.cmd2 ?? 0) & 0xFFFF);
+    prev = e.tick >>> 0;
+  }
+  const out = new Uint8Array(FIXED_LEN + body.length);
+  const dv = new DataView(out.buffer);
+  out.set(MAGIC, 0);
+  out[4] = REPLAY_VERSION;
+  out.set(hexToBytes(digest), 8);
+  dv.setUint32(40, startTick >>> 0, false);
+  dv.setUint32(44, tickCount >>> 0, false);
+  dv.setUint32(48, finalScore >>> 0, false);
+  dv.setUint32(52, finalRamCrc >>> 0, false);
+  dv.setUint32(56, events.length >>> 0, false);
+  out.set(body, FIXED_LEN);
+  return out;
+}
+
+export function decodeReplay(u8){
+  if(u8.length < FIXED_LEN || MAGIC.some((m, i) => u8[i] !== m)) throw new Error("Not a PPU replay (bad magic)");
+  const version = u8[4];
+  if(version !== 1 && version !== REPLAY_VERSION) throw new Error(`Unsupported replay version ${version}`);
+  const dv = new DataView(u8.buffer, u8.byteOffset, u8.byteLength);
+  const startTick = dv.getUint32(40, false);
+  const tickCount = dv.getUint32(44, false);
+  const eventCount = dv.getUint32(56, false);
+
+  let off = FIXED_LEN;
+  const varint = () => {
+    let v = 0, shift = 0;
+    for(;;){
+      if(off >= u8.length) throw new Error("Replay truncated");
+      const b = u8[off++];
+      v += (b & 0x7F) * 2 ** shift;
+      if(!(b & 0x80)) break;
+      shift += 7;
+      if(shift > 28) throw new Error("Replay varint too long");
+    }
+    return v >>> 0;
+  };
+
+  const events = [];
+  let tick = startTick;
+  for(let i=0;i<eventCount;i++){
+    const delta = varint();
+    if(delta === 0) throw new Error("Replay events out of order");
+    tick = (tick + delta) >>> 0;
+    if(((tick - startTick) >>> 0) > tickCount) throw new Error("Replay event past the last tick");
+    const cmd = varint();
+    events.push({tick, cmd, cmd2: version >= 2 ? varint() : 0});
+  }
+  if(off !== u8.length) throw new Error("Replay has trailing bytes");
+
+  return {
+    digest: bytesToHex(u8.subarray(8, 40)),
+    startTick,
+    tickCount,
+    finalScore: dv.getUint32(48, false),
+    finalRamCrc: dv.getUint32(52, false),
+    events,
+  };
+}
+
+// decodeReplay() for the cartridge with this digest; throws on a replay recorded on another one.
+export function loadReplay(u8, digest){
+  const replay = decodeReplay(u8);
+  if(replay.digest !== digest) throw new Error("Replay was recorded on a different cartridge");
+  return replay;
+}
+
+// Records what step() feeds the VM. Call record() for every stepped tick (cmd 0 included).
+export class ReplayRecorder {
+  constructor({digest, startTick}){
+    this.digest = digest;
+    this.startTick = startTick >>> 0;
+    this.lastTick = this.startTick;
+    this.events = [];
+  }
+
+  // Continue recording after a replay was played back, so a later export covers both parts.
+  static resume(replay){
+    const rec = new ReplayRecorder({digest: replay.digest, startTick: replay.startTick});
+    rec.lastTick = (replay.startTick + replay.tickCount) >>> 0;
+    rec.events = replay.events.slice();
+    return rec;
+  }
+
+  record(tick, cmd, cmd2=0){
+    this.lastTick = tick >>> 0;
+    if(cmd || cmd2) this.events.push({tick: tick >>> 0, cmd: cmd & 0xFFFF, cmd2: cmd2 & 0xFFFF});
+  }
+
+  // Snapshot of the session so far, stamped with the VM's current outcome.
+  finish(vm){
+    return encodeReplay({
+      digest: this.digest,
+      startTick: this.startTick,
+      tickCount: (this.lastTick - this.startTick) >>> 0,
+      finalScore: vm.render.score,
+      finalRamCrc: crc32(vm.ram),
+      events: this.events,
+    });
+  }
+}
+
+// Headless playback. createVM() must return a fresh PPUVM for the same cartridge. onFrame(vm, i)
+// runs after init (i = 0) and after each frame i (audio.js renders sound from it).
+// Returns {vm, ok, score, ramCrc}; ok = final score and RAM match what was recorded.
+export function playReplay(replay, createVM, {cycleBudget, onFrame} = {}){
+  const vm = createVM();
+  vm.setIO({cmd:0, tick:0});
+  vm.init(cycleBudget);
+  onFrame?.(vm, 0);
+  let next = 0;
+  for(let i=1; i<=replay.tickCount && !vm.fault; i++){
+    const tick = (replay.startTick + i) >>> 0;
+    let cmd = 0, cmd2 = 0;
+    if(next < replay.events.length && replay.events[next].tick === tick) ({cmd, cmd2} = replay.events[next++]);
+    vm.setIO({cmd, cmd2, tick});
+    vm.runFrame(cycleBudget);
+    onFrame?.(vm, i);
+  }
+  const score = vm.render.score;
+  const ramCrc = crc32(vm.ram);
+  return {vm, ok: !vm.fault && score === replay.finalScore && ramCrc === replay.finalRamCrc, score, ramCrc};
+}
@@ -0,0 +1,140 @@
+// savestate.js - PPUVM save states: binary format, IndexedDB quick-save slots
+// A save state is PPUVM.snapshot() plus the cartridge digest (cartridgeDigest in ppujpeg.js), so a
+// state saved from one game is refused by every other. Hosts can also embed it in the cartridge
+// JPEG as a SAVESTATE (0x08) block. It is left out of the cartridge digest, so the state still
+// matches its cartridge, but the signature covers it: hosts re-sign when they embed a state.
+// The display list (render.display) is not saved: cartridges that use one rebuild it every frame.
+//
+// Save state (big-endian, v2; v1 is the same without bytes 144..151):
+//   0   "PPUS"
+//   4   u8  version (2)
+//   5   u8  flags (bit0 = halted)
+//   6   u16 ioCmd2 (reserved, 0, before the second input slot)
+//   8   u8[32] cartridge digest
+//   40  u32 pc, u32 sp, u32 prng, u32 ioTick
+//   56  u16 ioCmd, u8 modeBits, u8 render flags (bit0 = paused, bit1 = game over)
+//   60  u32 reg[16]
+//   124 u32 score, u32 high
+//   132 u16 boardW, u16 boardH, u16 cellPx, u16 boardX, u16 boardY, u16 reserved
+//       (cellPx/boardX/boardY are informational: restore keeps the loading cartridge's LAYOUT)
+//   144 u32 score2, u8 players, u8 winner, u16 reserved
+//   152 u8[boardW*boardH] cells
+//   ..  u8[RAM_SIZE] ram
+//   ..  u32 CRC32 of everything above
+
+import {crc32} from './ppujpeg.js';
+import {RAM_SIZE} from './vm.js';
+import {withStore, Store} from './idb.js';
+
+export const SAVESTATE_VERSION = 2;
+const MAGIC = [0x50,0x50,0x55,0x53]; // "PPUS"
+const FIXED_LEN = {1: 144, 2: 152};
+
+function hexToBytes(hex){
+  const out = new Uint8Array(hex.length / 2);
+  for(let i=0;i<out.length;i++) out[i] = parseInt(hex.substr(i*2, 2), 16);
+  return out;
+}
+function bytesToHex(u8){
+  return Array.from(u8, b => b.toString(16).padStart(2, '0')).join('');
+}
+
+export function encodeSaveState(snap, digest){
+  const rd = snap.render;
+  const cellsLen = rd.boardW * rd.boardH;
+  const fixedLen = FIXED_LEN[SAVESTATE_VERSION];
+  const out = new Uint8Array(fixedLen + cellsLen + RAM_SIZE + 4);
+  const dv = new DataView(out.buffer);
+  out.set(MAGIC, 0);
+  out[4] = SAVESTATE_VERSION;
+  out[5] = snap.halted ? 1 : 0;
+  dv.setUint16(6, (snap.ioCmd2 ?? 0) & 0xFFFF, false);
+  out.set(hexToBytes(digest), 8);
+  dv.setUint32(40, snap.pc >>> 0, false);
+  dv.setUint32(44, snap.sp >>> 0, false);
+  dv.setUint32(48, snap.prng >>> 0, false);
+  dv.setUint32(52, snap.ioTick >>> 0, false);
+  dv.setUint16(56, snap.ioCmd & 0xFFFF, false);
+  out[58] = snap.modeBits & 0xFF;
+  out[59] = (rd.paused ? 1 : 0) | (rd.gameOver ? 2 : 0);
+  for(let i=0;i<16;i++) dv.setUint32(60 + i*4, snap.reg[i] >>> 0, false);
+  dv.setUint32(124, rd.score >>> 0, false);
+  dv.setUint32(128, rd.high >>> 0, false);
+  dv.setUint16(132, rd.boardW, false);
+  dv.setUint16(134, rd.boardH, false);
+  dv.setUint16(136, rd.cellPx, false);
+  dv.setUint16(138, rd.boardX, false);
+  dv.setUint16(140, rd.boardY, false);
+  dv.setUint32(144, rd.score2 >>> 0, false);
+  out[148] = rd.players;
+  out[149] = rd.winner;
+  out.set(rd.cells, fixedLen);
+  out.set(snap.ram, fixedLen + cellsLen);
+  dv.setUint32(out.length - 4, crc32(out.subarray(0, out.length - 4)), false);
+  return out;
+}
+
+// Returns {digest, snapshot}; snapshot is in the shape PPUVM.restore() takes.
+export function decodeSaveState(u8){
+  if(u8.length < FIXED_LEN[1] + 4 || MAGIC.some((m, i) => u8[i] !== m)) throw new Error("Not a PPU save state (bad magic)");
+  const version = u8[4], fixedLen = FIXED_LEN[version];
+  if(!fixedLen) throw new Error(`Unsupported save state version ${version}`);
+  const dv = new DataView(u8.buffer, u8.byteOffset, u8.byteLength);
+  const boardW = dv.getUint16(132, false), boardH = dv.getUint16(134, false);
+  const cellsLen = boardW * boardH;
+  if(u8.length !== fixedLen + cellsLen + RAM_SIZE + 4) throw new Error("Save state length mismatch");
+  if((crc32(u8.subarray(0, u8.length - 4)) >>> 0) !== dv.getUint32(u8.length - 4, false)) throw new Error("Save state CRC32 mismatch");
+
+  const reg = new Uint32Array(16);
+  for(let i=0;i<16;i++) reg[i] = dv.getUint32(60 + i*4, false);
+  const snapshot = {
+    pc: dv.getUint32(40, false),
+    sp: dv.getUint32(44, false),
+    halted: (u8[5] & 1) !== 0,
+    prng: dv.getUint32(48, false),
+    ioTick: dv.getUint32(52, false),
+    ioCmd: dv.getUint16(56, false),
+    ioCmd2: dv.getUint16(6, false),
+    modeBits: u8[58],
+    reg,
+    ram: u8.slice(fixedLen + cellsLen, fixedLen + cellsLen + RAM_SIZE),
+    render: {
+      paused: (u8[59] & 1) !== 0,
+      gameOver: (u8[59] & 2) !== 0,
+      score: dv.getUint32(124, false),
+      high: dv.getUint32(128, false),
+      boardW,
+      boardH,
+      cellPx: dv.getUint16(136, false),
+      boardX: dv.getUint16(138, false),
+      boardY: dv.getUint16(140, false),
+      score2: version >= 2 ? dv.getUint32(144, false) : 0,
+      players: version >= 2 ? u8[148] : 1,
+      winner: version >= 2 ? u8[149] : 0,
+      cells: u8.slice(fixedLen, fixedLen + cellsLen),
+    },
+  };
+  return {digest: bytesToHex(u8.subarray(8, 40)), snapshot};
+}
+
+export function saveState(vm, digest){
+  return encodeSaveState(vm.snapshot(), digest);
+}
+
+// Throws (leaving the VM as it was) on a corrupt state or one saved from another cartridge.
+export function loadState(vm, u8, digest){
+  const {digest: saved, snapshot} = decodeSaveState(u8);
+  if(saved !== digest) throw new Error("Save state belongs to a different cartridge");
+  vm.restore(snapshot);
+}
+
+// --- Quick-save slots (IndexedDB; browser only) ---
+// Records are keyed by cartridge digest + slot, so every cartridge gets its own slots.
+export function writeSlot(digest, slot, bytes){
+  return withStore(Store.SAVESTATES, 'readwrite', s => s.put({bytes, savedAt: Date.now()}, `${digest}:${slot}`));
+}
+
+// Resolves to {bytes, savedAt} or undefined for an empty slot.
+export function readSlot(digest, slot){
+  return withStore(Store.SAVESTATES, 'readonly', s => s.get(`${digest}:${slot}`));
+}
@@ -0,0 +1,89 @@
+// scores.js - per-cartridge high scores: a local top 10 and, inside Telegram, a cloud copy
+// Tables are keyed by cartridge digest (cartridgeDigest in ppujpeg.js), so every cartridge has its
+// own. An entry is {score, at (ms since epoch), replay (.ppur bytes, or null)}; tables are sorted
+// best first, earlier runs first on ties.
+//
+// The local table lives in IndexedDB with the replay that earned each entry. When Telegram's
+// WebApp.CloudStorage is available the table is mirrored there as well, so scores follow the user
+// across devices; CloudStorage values are capped at 4096 characters, so the cloud copy only keeps
+// [score, at] pairs and replays stay on the device that played them.
+
+import {withStore, Store} from './idb.js';
+
+export const TOP_N = 10;
+
+function better(a, b){
+  return b.score - a.score || a.at - b.at;
+}
+
+// Returns {table, rank}: `table` with `entry` ranked in and cut to TOP_N, rank 1..TOP_N (0 = did
+// not make it). The input table is not modified.
+export function addEntry(table, entry){
+  const next = [...table, entry].sort(better).slice(0, TOP_N);
+  return {table: next, rank: next.indexOf(entry) + 1};
+}
+
+// Union of two tables, top TOP_N. Runs present in both (same score and time) keep the entry from
+// `a`, which should be the local table since only it carries replays.
+export function mergeTables(a, b){
+  const seen = new Set(a.map(e => `${e.score}:${e.at}`));
+  return [...a, ...b.filter(e => !seen.has(`${e.score}:${e.at}`))].sort(better).slice(0, TOP_N);
+}
+
+// --- CloudStorage (Telegram WebApp) ---
+// Keys may only use A-Z, a-z, 0-9, _ and -, up to 128 characters; a hex digest fits.
+export function cloudKey(digest){
+  return `hs_${digest}`;
+}
+
+export function encodeCloudTable(table){
+  return JSON.stringify(table.map(e => [e.score, e.at]));
+}
+
+// Entries that are not a pair of non-negative integers are dropped; anything unparseable is empty.
+export function decodeCloudTable(text){
+  let raw;
+  try{ raw = JSON.parse(text || '[]'); } catch { return []; }
+  if(!Array.isArray(raw)) return [];
+  const valid = (v) => Number.isSafeInteger(v) && v >= 0;
+  return raw
+    .filter(e => Array.isArray(e) && e.length === 2 && valid(e[0]) && valid(e[1]))
+    .map(([score, at]) => ({score, at, replay: null}))
+    .sort(better)
+    .slice(0, TOP_N);
+}
+
+// CloudStorage reports through (error, value) callbacks.
+function cloudCall(cloud, method, ...args){
+  return new Promise((resolve, reject) => {
+    cloud[method](...args, (err, value) => err ? reject(new Error(`CloudStorage ${method}: ${err}`)) : resolve(value));
+  });
+}
+
+// --- Persistence (browser only) ---
+// `cloud` is WebApp.CloudStorage or null. Cloud failures fall back to the local table.
+export async function loadScores(digest, {cloud=null} = {}){
+  const local = (await withStore(Store.SCORES, 'readonly', s => s.get(digest)))?.entries ?? [];
+  if(!cloud) return local;
+  try{
+    return mergeTables(local, decodeCloudTable(await cloudCall(cloud, 'getItem', cloudKey(digest))));
+  } catch (e){
+    console.warn(e);
+    return local;
+  }
+}
+
+// Ranks a finished run. Resolves to {table, rank}; nothing is written if it did not make the table.
+export async function recordScore(digest, entry, {cloud=null} = {}){
+  const {table, rank} = addEntry(await loadScores(digest, {cloud}), entry);
+  if(!rank) return {table, rank};
+  await withStore(Store.SCORES, 'readwrite', s => s.put({entries: table}, digest));
+  if(cloud){
+    try{
+      await cloudCall(cloud, 'setItem', cloudKey(digest), encodeCloudTable(table));
+    } catch (e){
+      console.warn(e); // the local table is already saved
+    }
+  }
+  return {table, rank};
+}
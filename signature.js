@@ -0,0 +1,134 @@
+// signature.js - Ed25519 SIGNATURE block (0x06): sign + verify the other PPUJ blocks of a cartridge
+// CRC32 only catches corruption; this tells you *who* built a cartridge.
+// - Uses WebCrypto ("Ed25519"). If the runtime lacks it, verification reports "unsupported"
+//   and the host treats the cartridge like an unsigned one (policy decides).
+//
+// SIGNATURE payload (v1):
+//   u8      version (1)
+//   u8      algorithm (1 = Ed25519)
+//   u8[32]  signer public key (raw)
+//   u8[64]  signature
+//
+// Signed message: "PPUJSIG1" then, for every block in file order except SIGNATURE:
+//   u8 blockType, u32 length (BE), payload
+// An embedded SAVESTATE is covered too (it holds RAM, registers and pc), so a host that embeds one
+// re-signs the cartridge; a state added without doing so breaks the signature.
+// Payloads are the decoded bytes, so the signature does not depend on compression or CRC flags.
+
+import {BlockType} from './ppujpeg.js';
+
+export const SIG_VERSION = 1;
+export const SigAlg = Object.freeze({
+  ED25519: 1,
+});
+
+const SIG_DOMAIN = [0x50,0x50,0x55,0x4a,0x53,0x49,0x47,0x31]; // "PPUJSIG1"
+const PUBKEY_LEN = 32;
+const SIG_LEN = 64;
+const ED25519 = {name: 'Ed25519'};
+
+export function keyToHex(u8){
+  return Array.from(u8, b => b.toString(16).padStart(2, '0')).join('');
+}
+
+export function hexToKey(hex){
+  const s = String(hex).trim().toLowerCase();
+  if(!/^[0-9a-f]{64}$/.test(s)) throw new Error("Public key must be 32 bytes of hex");
+  const out = new Uint8Array(PUBKEY_LEN);
+  for(let i=0;i<PUBKEY_LEN;i++) out[i] = parseInt(s.substr(i*2, 2), 16);
+  return out;
+}
+
+// blocks: [{blockType, payload}] (same shape parseCartridge returns)
+export function signatureMessage(blocks){
+  const signed = blocks.filter(b => b.blockType !== BlockType.SIGNATURE);
+  let total = SIG_DOMAIN.length;
+  for(const b of signed) total += 1 + 4 + b.payload.length;
+  const out = new Uint8Array(total);
+  const dv = new DataView(out.buffer);
+  out.set(SIG_DOMAIN, 0);
+  let off = SIG_DOMAIN.length;
+  for(const b of signed){
+    out[off++] = b.blockType & 0xFF;
+    dv.setUint32(off, b.payload.length >>> 0, false); off += 4;
+    out.set(b.payload, off); off += b.payload.length;
+  }
+  return out;
+}
+
+export function encodeSignature({publicKeyRaw, signature}){
+  if(publicKeyRaw.length !== PUBKEY_LEN || signature.length !== SIG_LEN) throw new Error("Bad Ed25519 key/signature length");
+  const out = new Uint8Array(2 + PUBKEY_LEN + SIG_LEN);
+  out[0] = SIG_VERSION;
+  out[1] = SigAlg.ED25519;
+  out.set(publicKeyRaw, 2);
+  out.set(signature, 2 + PUBKEY_LEN);
+  return out;
+}
+
+export function decodeSignature(payload){
+  if(payload.length !== 2 + PUBKEY_LEN + SIG_LEN) throw new Error("SIGNATURE block length mismatch");
+  if(payload[0] !== SIG_VERSION) throw new Error(`Unsupported SIGNATURE version ${payload[0]}`);
+  if(payload[1] !== SigAlg.ED25519) throw new Error(`Unsupported signature algorithm ${payload[1]}`);
+  return {
+    publicKeyRaw: payload.slice(2, 2 + PUBKEY_LEN),
+    signature: payload.slice(2 + PUBKEY_LEN),
+  };
+}
+
+export async function generateSigningKey(){
+  const pair = await crypto.subtle.generateKey(ED25519, true, ['sign', 'verify']);
+  const publicKeyRaw = new Uint8Array(await crypto.subtle.exportKey('raw', pair.publicKey));
+  return {privateKey: pair.privateKey, publicKeyRaw};
+}
+
+// JWK round-trip so hosts can persist a signer (e.g. in localStorage).
+export async function exportSigningKey({privateKey, publicKeyRaw}){
+  return {jwk: await crypto.subtle.exportKey('jwk', privateKey), publicKey: keyToHex(publicKeyRaw)};
+}
+
+export async function importSigningKey({jwk, publicKey}){
+  const privateKey = await crypto.subtle.importKey('jwk', jwk, ED25519, false, ['sign']);
+  return {privateKey, publicKeyRaw: hexToKey(publicKey)};
+}
+
+// Returns the SIGNATURE block payload covering `blocks` (in the order they will be written).
+export async function signBlocks(blocks, {privateKey, publicKeyRaw}){
+  const msg = signatureMessage(blocks);
+  const signature = new Uint8Array(await crypto.subtle.sign(ED25519, privateKey, msg));
+  return encodeSignature({publicKeyRaw, signature});
+}
+
+// status: "valid" | "unsigned" | "untrusted" | "invalid" | "unsupported"
+// ok:     whether the host may run the cartridge under the given policy
+export async function verifyCartridgeSignature(blocks, {trustedKeys=[], allowUnsigned=false} = {}){
+  const sigBlocks = blocks.filter(b => b.blockType === BlockType.SIGNATURE);
+  if(sigBlocks.length === 0){
+    return {ok: !!allowUnsigned, status: 'unsigned', signer: null};
+  }
+  if(sigBlocks.length > 1){
+    return {ok: false, status: 'invalid', signer: null, reason: 'multiple SIGNATURE blocks'};
+  }
+
+  let sig;
+  try{
+    sig = decodeSignature(sigBlocks[0].payload);
+  } catch (e){
+    return {ok: false, status: 'invalid', signer: null, reason: e.message};
+  }
+  const signer = keyToHex(sig.publicKeyRaw);
+
+  let valid;
+  try{
+    const key = await crypto.subtle.importKey('raw', sig.publicKeyRaw, ED25519, false, ['verify']);
+    valid = await crypto.subtle.verify(ED25519, key, sig.signature, signatureMessage(blocks));
+  } catch (e){
+    // Runtime without Ed25519 support: cannot tell, so fall back to the unsigned policy.
+    return {ok: !!allowUnsigned, status: 'unsupported', signer, reason: e.message};
+  }
+  if(!valid) return {ok: false, status: 'invalid', signer, reason: 'signature does not match blocks'};
+
+  const trusted = trustedKeys.some(k => String(k).toLowerCase() === signer);
+  if(!trusted) return {ok: false, status: 'untrusted', signer};
+  return {ok: true, status: 'valid', signer};
+}
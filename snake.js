@@ -0,0 +1,1007 @@
+// snake.js - the Snake rules as PPU assembly (assembled into the BYTECODE block)
+// The VM only offers generic syscalls (random, input, draw cell, display list, score/status);
+// everything game-specific lives here, so a different cartridge can carry a different game.
+// That includes the visuals: every frame the program rebuilds its display list from SNAKE_TILES
+// (the cartridge's TILES block) and draws its own status text, and the host only rasterizes it.
+// The cell board (DRAW_CELL) is kept alongside as the game's plain view for tests and tools.
+// Eating, dying and pausing play SNAKE_SOUNDS (the cartridge's SOUNDS block) with SND_PLAY.
+// Behaviour matches the former native snakeInit/snakeTick/spawnApple exactly (same PRNG
+// seeding, apple placement, collision and input rules).
+//
+// Versus (players: 2) is the same program with a second snake: hot-seat on one device, player 2
+// steering with commands P2_CMD_OFFSET+1..4 in its own input slot (READ_INPUT r3), so both
+// players can turn in the same tick. Both snakes move every tick; a snake dies on a wall,
+// on any body cell (a tail that moves away this tick is free) or when both heads meet. The game
+// ends on the first death: the survivor wins, two deaths in the same tick are a draw.
+//
+// Variants come from the cartridge's RULES block (encodeSnakeRules), which the program copies to
+// RAM at boot with READ_RULES. Without one, or with one it does not understand or whose fields are
+// out of the ranges below, it plays the defaults (DEFAULT_SNAKE_RULES with the BOARD_W / BOARD_H
+// it was assembled with).
+//
+// Snake rules (RULES block payload, big-endian, v1):
+//   0   u8  version (1)
+//   1   u8  flags (bit0 = walls wrap around)
+//   2   u8  boardW (4..64), u8 boardH (6..64)
+//   4   u8  startLength (1..boardH/2-2)
+//   5   u8  apples on the board at once (1..MAX_APPLES)
+//   6   u8  startInterval: ticks per move at the start (1..255)
+//   7   u8  minInterval: fastest speed-ups may go (1..startInterval)
+//   8   u8  applesPerSpeedUp: one tick less per move after this many apples (0 = constant speed)
+//   9   u8  reserved (0)
+//   10  u16 obstacle count, then count x {u8 x, u8 y}
+
+import {assemble} from './asm.js';
+import {PaletteSlot} from './palette.js';
+
+// RAM layout used by the program (all offsets fit the i16 displacement of loads/stores).
+// Per-player fields (pp) are player 1's; player 2's copy of each lives at P2 + offset.
+export const SnakeMem = Object.freeze({
+  W: 0x0000,          // u16 board width
+  H: 0x0002,          // u16 board height
+  DIR: 0x0004,        // pp u8  0 up, 1 right, 2 down, 3 left
+  PENDING: 0x0005,    // pp u8  direction applied on the next move
+  PAUSED: 0x0006,     // u8
+  GAME_OVER: 0x0007,  // u8
+  SCORE: 0x0008,      // pp u32
+  LAST_TICK: 0x000C,  // u32 last ioTick handled (0xFFFFFFFF = none)
+  EATEN: 0x0010,      // u16 apples eaten by anyone this game (drives speed-ups)
+  HEAD: 0x0012,       // pp u16 ring index of the head
+  LEN: 0x0014,        // pp u16 body length
+  DEAD: 0x0016,       // pp u8  dies on this move
+  GROW: 0x0017,       // pp u8  1 + apple slot eaten on this move, 0 = none
+  NEXT: 0x0018,       // pp u16 cell the head moves to (0xFFFF = off the board)
+  TAIL: 0x001A,       // pp u16 tail cell before this move
+  WINNER: 0x001C,     // u8  versus result: 0 none, 1/2 player, 3 draw
+  INTERVAL: 0x001D,   // u8  ticks per move
+  WAIT: 0x001E,       // u8  ticks left until the next move
+  DIRMAP: 0x0020,     // u8[5]  cmd 1..4 -> direction
+  DX: 0x0030,         // i32[4] per direction
+  DY: 0x0040,         // i32[4] per direction
+  APPLE: 0x0060,      // u16[MAX_APPLES] apple cells (x + y*W), one per slot in play
+  TEXT: 0x0080,       // status messages (MESSAGES), written at boot for DL_TEXT
+  RING: 0x1000,       // pp u16[RING_CAP] body cells, head first
+  OCC: 0x3000,        // u8[W*H] 0 free, 1 snake (either), 2 obstacle
+  P2: 0x4000,         // base of player 2's per-player fields
+  RULES: 0x7000,      // RULES block as read at boot (or the defaults)
+});
+export const RING_CAP = 4096; // power of two, >= 64*64 cells
+export const MAX_APPLES = 8;
+const RULES_HEAD = 12;
+const RULES_MAX = RULES_HEAD + 2*RING_CAP;
+
+// Player 2's direction commands are player 1's (1 up, 2 down, 3 left, 4 right) plus this.
+export const P2_CMD_OFFSET = 16;
+
+// Published with SET_MODE; the truth table maps the Start button per mode. 0 is left unused
+// because truth-table entries with modeBits 0 apply in every mode.
+export const SnakeMode = Object.freeze({
+  PLAYING: 1,
+  PAUSED: 2,
+  GAME_OVER: 3,
+});
+
+// Cell colors; each is also the index of the tile drawn for the cell.
+export const SnakeColor = Object.freeze({
+  BODY: 1,
+  APPLE: 2,
+  BODY2: 3,
+  OBSTACLE: 4,
+});
+
+// 8x8 tiles as palette indices ('.' = 0, transparent), indexed by SnakeColor; tile 0 is blank.
+const TILE_ART = [
+  `........
+   ........
+   ........
+   ........
+   ........
+   ........
+   ........
+   ........`,
+  `.111111.
+   11111111
+   11111111
+   11111111
+   11111111
+   11111111
+   11111111
+   .111111.`,
+  `....1...
+   ...1....
+   .222222.
+   22222222
+   22222222
+   22222222
+   .222222.
+   ..2222..`,
+  `.333333.
+   33333333
+   33333333
+   33333333
+   33333333
+   33333333
+   33333333
+   .333333.`,
+  `444.4444
+   444.4444
+   444.4444
+   ........
+   4444444.
+   4444444.
+   4444444.
+   ........`,
+];
+
+// TILES block contents (format.js buildTiles) for the cartridge.
+export const SNAKE_TILES = Object.freeze({
+  w: 8,
+  h: 8,
+  tiles: TILE_ART.map(art => Uint8Array.from(art.replace(/\s+/g, ''), ch => ch === '.' ? 0 : parseInt(ch, 16))),
+});
+
+// SOUNDS block entries (format.js buildSounds), indexed by SnakeSound. Steps are
+// [note, frames (1/60 s), volume, decay].
+export const SnakeSound = Object.freeze({
+  EAT: 0,
+  DIE: 1,
+  PAUSE: 2,
+});
+
+export const SNAKE_SOUNDS = Object.freeze([
+  {channel: 0, steps: [[76, 3, 11], [83, 5, 11, 1]]},                        // rising blip
+  {channel: 1, steps: [[67, 6, 13], [63, 6, 12], [60, 6, 11], [55, 24, 11, 2]]}, // falling tune
+  {channel: 2, steps: [[79, 4, 15], [0, 2, 0], [79, 6, 15, 1]]},               // double chime
+]);
+
+// Status line texts, drawn centered above the board.
+const MESSAGES = Object.freeze({
+  PAUSED: 'PAUSED',
+  OVER: 'GAME OVER',
+  P1_WINS: 'PLAYER 1 WINS',
+  P2_WINS: 'PLAYER 2 WINS',
+  DRAW: 'DRAW',
+});
+const STATUS_Y = 56;
+const STATUS_SIZE = 26;
+
+export const DEFAULT_SNAKE_RULES = Object.freeze({
+  boardW: 20,
+  boardH: 20,
+  wrap: false,
+  startLength: 3,
+  apples: 1,
+  startInterval: 1,
+  minInterval: 1,
+  applesPerSpeedUp: 0,
+  obstacles: Object.freeze([]), // [[x, y], ...]; cells under a starting snake are left free
+});
+
+// RULES block payload for `rules` (missing fields take DEFAULT_SNAKE_RULES).
+export function encodeSnakeRules(rules = {}){
+  const r = {...DEFAULT_SNAKE_RULES, ...rules};
+  const int = (v, min, max, what) => {
+    if(!Number.isInteger(v) || v < min || v > max) throw new Error(`Snake rules: ${what} ${v} not in ${min}..${max}`);
+    return v;
+  };
+  const out = new Uint8Array(RULES_HEAD + 2*r.obstacles.length);
+  const dv = new DataView(out.buffer);
+  out[0] = 1;
+  out[1] = r.wrap ? 1 : 0;
+  out[2] = int(r.boardW, 4, 64, 'boardW');
+  out[3] = int(r.boardH, 6, 64, 'boardH');
+  out[4] = int(r.startLength, 1, Math.floor(r.boardH / 2) - 2, 'startLength');
+  out[5] = int(r.apples, 1, MAX_APPLES, 'apples');
+  out[6] = int(r.startInterval, 1, 255, 'startInterval');
+  out[7] = int(r.minInterval, 1, r.startInterval, 'minInterval');
+  out[8] = int(r.applesPerSpeedUp, 0, 255, 'applesPerSpeedUp');
+  int(r.obstacles.length, 0, r.boardW * r.boardH, 'obstacle count');
+  dv.setUint16(10, r.obstacles.length, false);
+  r.obstacles.forEach(([x, y], i) => {
+    out[RULES_HEAD + 2*i] = int(x, 0, r.boardW - 1, 'obstacle x');
+    out[RULES_HEAD + 2*i + 1] = int(y, 0, r.boardH - 1, 'obstacle y');
+  });
+  return out;
+}
+
+const consts = (obj) => Object.entries(obj).map(([k, v]) => `.const ${k} = 0x${v.toString(16).toUpperCase()}`).join('\n');
+
+// MSG_<name> / MSG_<name>_LEN constants and the stores that put MESSAGES at TEXT, a word at a time.
+function messagesAsm(){
+  const enc = new TextEncoder();
+  const defs = [], stores = [];
+  let off = 0;
+  for(const [name, text] of Object.entries(MESSAGES)){
+    const bytes = enc.encode(text);
+    defs.push(`.const MSG_${name} = TEXT+${off}`, `.const MSG_${name}_LEN = ${bytes.length}`);
+    for(let i=0; i<bytes.length; i+=4){
+      const word = [0, 1, 2, 3].reduce((w, j) => w * 256 + (bytes[i+j] ?? 0), 0);
+      stores.push(`  LDI r1, 0x${word.toString(16).toUpperCase().padStart(8, '0')}`, `  STW r1, [r15+MSG_${name}+${i}]`);
+    }
+    off += (bytes.length + 3) & ~3;
+  }
+  return {defs: defs.join('\n'), stores: stores.join('\n')};
+}
+
+// Source for `players` snakes (1 or 2). Player-specific routines take the player's base in r14.
+export function snakeAsm({players=1} = {}){
+  if(players !== 1 && players !== 2) throw new Error(`Snake supports 1 or 2 players, not ${players}`);
+  const vs = players === 2;
+  const msg = messagesAsm();
+  return `; Snake for the PPU VM${vs ? ' (versus)' : ''}. r15 is kept at 0 and used as the base register for globals.
+; BOARD_W / BOARD_H are supplied as defines (board size when the cartridge has no RULES block),
+; SCREEN_W the framebuffer width the status line is centered in.
+${consts(SnakeMem)}
+${msg.defs}
+.const RING_MASK = ${RING_CAP - 1}
+.const MAX_APPLES = ${MAX_APPLES}
+.const RULES_MAX = ${RULES_MAX}
+.const COLOR_BODY = ${SnakeColor.BODY}
+.const COLOR_APPLE = ${SnakeColor.APPLE}
+.const COLOR_BODY2 = ${SnakeColor.BODY2}
+.const COLOR_OBSTACLE = ${SnakeColor.OBSTACLE}
+.const P2_CMD_OFFSET = ${P2_CMD_OFFSET}
+.const COLOR_SHADE = ${PaletteSlot.SHADE}
+.const STATUS_XY = (SCREEN_W / 2) | (${STATUS_Y} << 16)
+.const STATUS_STYLE = ${PaletteSlot.TEXT} | (${STATUS_SIZE} << 8) | (1 << 16) ; centered
+${consts(Object.fromEntries(Object.entries(SnakeMode).map(([k, v]) => [`MODE_${k}`, v])))}
+${consts(Object.fromEntries(Object.entries(SnakeSound).map(([k, v]) => [`SFX_${k}`, v])))}
+; RULES fields
+.const R_FLAGS = RULES+1
+.const R_W = RULES+2
+.const R_H = RULES+3
+.const R_START_LEN = RULES+4
+.const R_APPLES = RULES+5
+.const R_START_INTERVAL = RULES+6
+.const R_MIN_INTERVAL = RULES+7
+.const R_SPEED_UP = RULES+8
+.const R_OBSTACLES = RULES+10
+.const R_LIST = RULES+${RULES_HEAD}
+
+.entry boot
+.frame frame
+
+; ---- init entry ----
+boot:
+  LDI r15, 0
+  ; cmd -> direction (1 up, 2 down, 3 left, 4 right)
+  LDI r1, 0
+  STB r1, [r15+DIRMAP+1]
+  LDI r1, 2
+  STB r1, [r15+DIRMAP+2]
+  LDI r1, 3
+  STB r1, [r15+DIRMAP+3]
+  LDI r1, 1
+  STB r1, [r15+DIRMAP+4]
+  ; per-direction deltas
+  LDI r1, 0
+  STW r1, [r15+DX+0]
+  STW r1, [r15+DY+4]
+  LDI r1, 1
+  STW r1, [r15+DX+4]
+  STW r1, [r15+DY+8]
+  LDI r1, 0
+  STW r1, [r15+DX+8]
+  STW r1, [r15+DY+12]
+  LDI r1, -1
+  STW r1, [r15+DX+12]
+  STW r1, [r15+DY+0]
+  STW r1, [r15+LAST_TICK]
+${msg.stores}
+  CALL load_rules
+  CALL snake_init
+  HALT
+
+; ---- load_rules: RULES block into RAM; anything unusable means the defaults ----
+; Every field is held to the ranges encodeSnakeRules enforces.
+load_rules:
+  LDI r0, RULES
+  LDI r1, RULES_MAX
+  SYSCALL READ_RULES          ; r0 = bytes read
+  LDI r1, ${RULES_HEAD}
+  BLTU r0, r1, default_rules
+  LDB r1, [r15+RULES]
+  LDI r2, 1
+  BNE r1, r2, default_rules   ; version
+  LDB r5, [r15+R_W]           ; r5 = W in 4..64
+  LDI r2, 4
+  BLTU r5, r2, default_rules
+  LDI r2, 64
+  BLTU r2, r5, default_rules
+  LDB r6, [r15+R_H]           ; r6 = H in 6..64
+  LDI r2, 6
+  BLTU r6, r2, default_rules
+  LDI r2, 64
+  BLTU r2, r6, default_rules
+  LDB r1, [r15+R_START_LEN]   ; start length in 1..H/2-2
+  JZ r1, default_rules
+  MOV r2, r6
+  LDI r3, 1
+  SHR r2, r3
+  ADDI r2, -2
+  BLTU r2, r1, default_rules
+  LDB r1, [r15+R_APPLES]
+  JZ r1, default_rules
+  LDI r2, MAX_APPLES
+  BLTU r2, r1, default_rules
+  LDB r2, [r15+R_START_INTERVAL]
+  JZ r2, default_rules
+  LDB r1, [r15+R_MIN_INTERVAL] ; min interval in 1..start interval
+  JZ r1, default_rules
+  BLTU r2, r1, default_rules
+  LDH r3, [r15+R_OBSTACLES]   ; r3 = obstacle count, at most W*H
+  MOV r1, r5
+  MUL r1, r6
+  BLTU r1, r3, default_rules
+  MOV r1, r3
+  ADD r1, r1
+  ADDI r1, ${RULES_HEAD}
+  BLTU r0, r1, default_rules  ; obstacle list runs past the block
+  LDI r4, R_LIST
+rules_obstacle:                ; every obstacle on the board
+  JZ r3, rules_ok
+  LDB r1, [r4+0]
+  BGEU r1, r5, default_rules
+  LDB r1, [r4+1]
+  BGEU r1, r6, default_rules
+  ADDI r4, 2
+  ADDI r3, -1
+  JMP rules_obstacle
+rules_ok:
+  RET
+default_rules:
+  LDI r1, 1
+  STB r1, [r15+RULES]
+  STB r1, [r15+R_APPLES]
+  STB r1, [r15+R_START_INTERVAL]
+  STB r1, [r15+R_MIN_INTERVAL]
+  LDI r1, BOARD_W
+  STB r1, [r15+R_W]
+  LDI r1, BOARD_H
+  STB r1, [r15+R_H]
+  LDI r1, 3
+  STB r1, [r15+R_START_LEN]
+  LDI r1, 0
+  STB r1, [r15+R_FLAGS]
+  STB r1, [r15+R_SPEED_UP]
+  STH r1, [r15+R_OBSTACLES]
+  RET
+
+; ---- frame entry ----
+frame:
+  LDI r15, 0
+  SYSCALL READ_INPUT          ; r0 = cmd, r1 = tick, r2 = mode, r3 = player 2's cmd
+  LDW r2, [r15+LAST_TICK]
+  BEQ r1, r2, halt            ; same tick: no-op
+  STW r1, [r15+LAST_TICK]
+${vs ? `  MOV r6, r0
+  MOV r0, r3
+  CALL p2_cmd                 ; player 2's own slot, so both players can steer in one tick
+  MOV r0, r6
+` : ''}
+  LDI r2, 5
+  BEQ r0, r2, toggle
+  LDI r2, 6
+  BEQ r0, r2, restart
+  JZ r0, after_cmd
+  LDI r14, 0
+  BLTU r0, r2, steer_cmd      ; 1..4: player 1
+${vs ? `  CALL p2_cmd                 ; player 2 in the first slot (replays from before the second)
+` : ''}  JMP after_cmd               ; the rest are host commands
+steer_cmd:
+  CALL steer
+  JMP after_cmd
+${vs ? `
+; r0 = P2_CMD_OFFSET+1..4: steer player 2; anything else is ignored
+p2_cmd:
+  ADDI r0, -(P2_CMD_OFFSET+1)
+  LDI r2, 4
+  BGEU r0, r2, p2_cmd_done
+  ADDI r0, 1
+  LDI r14, P2
+  JMP steer
+p2_cmd_done:
+  RET
+` : ''}
+; r0 = direction command 1..4 for the player at r14: ignore a reversal of the current direction
+steer:
+  LDB r3, [r0+DIRMAP]         ; r3 = want
+  MOV r4, r3
+  ADDI r4, 2
+  LDI r5, 3
+  AND r4, r5
+  LDB r5, [r14+DIR]
+  BEQ r4, r5, steer_done
+  STB r3, [r14+PENDING]
+steer_done:
+  RET
+
+toggle:
+  LDB r2, [r15+GAME_OVER]
+  JNZ r2, after_cmd
+  LDB r2, [r15+PAUSED]
+  LDI r3, 1
+  XOR r2, r3
+  STB r2, [r15+PAUSED]
+  LDI r0, SFX_PAUSE
+  SYSCALL SND_PLAY
+  JMP after_cmd
+
+restart:
+  CALL snake_init
+  LDI r2, 0
+  STB r2, [r15+PAUSED]
+  CALL publish
+  HALT
+
+after_cmd:
+  LDB r2, [r15+PAUSED]
+  LDB r3, [r15+GAME_OVER]
+  OR r2, r3
+  JZ r2, move
+  CALL publish
+  HALT
+
+move:
+  ; one move every INTERVAL ticks
+  LDB r2, [r15+WAIT]
+  ADDI r2, -1
+  JZ r2, move_now
+  STB r2, [r15+WAIT]
+  CALL publish
+  HALT
+move_now:
+  LDB r2, [r15+INTERVAL]
+  STB r2, [r15+WAIT]
+  ; work out every move first, so both snakes see the board as it was
+  LDI r14, 0
+  CALL plan
+${vs ? `  LDI r14, P2
+  CALL plan
+` : ''}  LDI r14, 0
+  CALL check
+${vs ? `  LDI r14, P2
+  CALL check
+  LDH r2, [r15+NEXT]
+  LDH r3, [r15+P2+NEXT]
+  BNE r2, r3, heads_apart     ; head-on: both die
+  LDI r4, 1
+  STB r4, [r15+DEAD]
+  STB r4, [r15+P2+DEAD]
+heads_apart:
+` : ''}  LDB r2, [r15+DEAD]
+${vs ? `  LDB r3, [r15+P2+DEAD]
+  OR r2, r3
+` : ''}  JNZ r2, die
+  ; tails leave before heads arrive (a head may take the cell a tail just left)
+  LDI r14, 0
+  CALL drop_tail
+${vs ? `  LDI r14, P2
+  CALL drop_tail
+` : ''}  LDI r14, 0
+  CALL push_head
+${vs ? `  LDI r14, P2
+  CALL push_head
+` : ''}  ; refill the slots of eaten apples
+  LDB r11, [r15+GROW]
+  JZ r11, refilled
+  ADDI r11, -1
+  CALL spawn_apple
+  LDI r0, SFX_EAT
+  SYSCALL SND_PLAY
+refilled:
+${vs ? `  LDB r11, [r15+P2+GROW]
+  JZ r11, moved
+  ADDI r11, -1
+  CALL spawn_apple
+  LDI r0, SFX_EAT
+  SYSCALL SND_PLAY
+` : ''}moved:
+  CALL publish
+  HALT
+
+die:
+  LDI r0, SFX_DIE
+  SYSCALL SND_PLAY
+${vs ? `  ; dead bits (1 = player 1, 2 = player 2) -> winner: the other player, or 3 = draw
+  LDB r2, [r15+DEAD]
+  LDB r3, [r15+P2+DEAD]
+  ADD r3, r3
+  OR r2, r3
+  LDI r3, 3
+  XOR r2, r3
+  JNZ r2, set_winner
+  LDI r2, 3
+set_winner:
+  STB r2, [r15+WINNER]
+` : ''}  LDI r2, 1
+  STB r2, [r15+GAME_OVER]
+  CALL publish
+halt:
+  HALT
+
+; ---- plan: next head, apple and tail for the player at r14; a solid wall kills ----
+plan:
+  LDI r2, 0
+  STB r2, [r14+DEAD]
+  STB r2, [r14+GROW]
+  LDB r2, [r14+PENDING]
+  STB r2, [r14+DIR]
+  LDH r3, [r14+HEAD]          ; r3 = head ring index
+  MOV r4, r3
+  ADD r4, r4
+  ADD r4, r14
+  LDH r5, [r4+RING]           ; r5 = head cell
+  LDH r6, [r15+W]
+  LDH r7, [r15+H]
+  MOV r8, r5
+  REMU r8, r6                 ; r8 = x
+  MOV r9, r5
+  DIVU r9, r6                 ; r9 = y
+  MOV r10, r2
+  ADD r10, r10
+  ADD r10, r10
+  LDW r11, [r10+DX]
+  ADD r8, r11
+  LDW r11, [r10+DY]
+  ADD r9, r11
+  LDB r10, [r15+R_FLAGS]
+  LDI r11, 1
+  AND r10, r11                ; r10 = walls wrap
+  BLTU r8, r6, plan_x_ok      ; x < 0 wraps to a huge unsigned value
+  JZ r10, plan_wall
+  MOV r11, r8
+  LDI r8, 0
+  BEQ r11, r6, plan_x_ok      ; off the right edge -> column 0
+  MOV r8, r6
+  ADDI r8, -1                 ; off the left edge -> last column
+plan_x_ok:
+  BLTU r9, r7, plan_y_ok
+  JZ r10, plan_wall
+  MOV r11, r9
+  LDI r9, 0
+  BEQ r11, r7, plan_y_ok
+  MOV r9, r7
+  ADDI r9, -1
+plan_y_ok:
+  MOV r12, r9
+  MUL r12, r6
+  ADD r12, r8                 ; r12 = new head cell
+  STH r12, [r14+NEXT]
+  ; apple under the new head: GROW = slot + 1
+  LDB r10, [r15+R_APPLES]
+  LDI r11, 0
+plan_apple:
+  BGEU r11, r10, plan_tail
+  MOV r13, r11
+  ADD r13, r13
+  LDH r13, [r13+APPLE]
+  ADDI r11, 1
+  BNE r13, r12, plan_apple
+  STB r11, [r14+GROW]
+plan_tail:
+  LDH r4, [r14+LEN]
+  ADD r4, r3
+  ADDI r4, -1
+  LDI r5, RING_MASK
+  AND r4, r5
+  ADD r4, r4
+  ADD r4, r14
+  LDH r4, [r4+RING]
+  STH r4, [r14+TAIL]
+  RET
+plan_wall:
+  LDI r2, 0xFFFF
+  STH r2, [r14+NEXT]
+  LDI r2, 1
+  STB r2, [r14+DEAD]
+  RET
+
+; ---- check: the player at r14 dies if its next cell is taken (tails that move away are free) ----
+check:
+  LDB r2, [r14+DEAD]
+  JNZ r2, check_done
+  LDH r2, [r14+NEXT]
+  LDB r3, [r2+OCC]
+  JZ r3, check_done
+  LDB r3, [r15+GROW]
+  JNZ r3, ${vs ? 'check_p2' : 'check_hit'}
+  LDH r3, [r15+TAIL]
+  BEQ r2, r3, check_done
+${vs ? `check_p2:
+  LDB r3, [r15+P2+GROW]
+  JNZ r3, check_hit
+  LDH r3, [r15+P2+TAIL]
+  BEQ r2, r3, check_done
+` : ''}check_hit:
+  LDI r3, 1
+  STB r3, [r14+DEAD]
+check_done:
+  RET
+
+; ---- drop_tail: free the tail cell of the player at r14 unless it grows ----
+drop_tail:
+  LDB r2, [r14+GROW]
+  JNZ r2, drop_done
+  LDH r4, [r14+TAIL]
+  LDI r5, 0
+  STB r5, [r4+OCC]
+  LDH r5, [r14+LEN]
+  ADDI r5, -1
+  STH r5, [r14+LEN]
+drop_done:
+  RET
+
+; ---- push_head: move the head of the player at r14 to NEXT, scoring an apple ----
+push_head:
+  LDH r12, [r14+NEXT]
+  LDH r3, [r14+HEAD]
+  ADDI r3, -1
+  LDI r5, RING_MASK
+  AND r3, r5
+  STH r3, [r14+HEAD]
+  MOV r4, r3
+  ADD r4, r4
+  ADD r4, r14
+  STH r12, [r4+RING]
+  LDI r5, 1
+  STB r5, [r12+OCC]
+  LDH r5, [r14+LEN]
+  ADDI r5, 1
+  STH r5, [r14+LEN]
+  LDB r2, [r14+GROW]
+  JZ r2, push_done
+  LDW r5, [r14+SCORE]
+  ADDI r5, 1
+  STW r5, [r14+SCORE]
+  ; speed up every R_SPEED_UP apples, down to R_MIN_INTERVAL ticks per move
+  LDH r5, [r15+EATEN]
+  ADDI r5, 1
+  STH r5, [r15+EATEN]
+  LDB r6, [r15+R_SPEED_UP]
+  JZ r6, push_done
+  REMU r5, r6
+  JNZ r5, push_done
+  LDB r5, [r15+INTERVAL]
+  LDB r6, [r15+R_MIN_INTERVAL]
+  BGEU r6, r5, push_done
+  ADDI r5, -1
+  STB r5, [r15+INTERVAL]
+push_done:
+  RET
+
+; ---- snake_init: fresh board, 3-segment snake${vs ? 's' : ''} heading ${vs ? 'at each other' : 'up'}, reseeded PRNG ----
+snake_init:
+  LDB r6, [r15+R_W]
+  STH r6, [r15+W]
+  LDB r7, [r15+R_H]
+  STH r7, [r15+H]
+  MOV r0, r6
+  MOV r1, r7
+  SYSCALL BOARD
+  LDI r2, 0
+  STB r2, [r15+GAME_OVER]
+  STB r2, [r15+WINNER]
+  STH r2, [r15+EATEN]
+  LDI r2, 1
+  STB r2, [r15+PAUSED]
+  STB r2, [r15+WAIT]
+  LDB r2, [r15+R_START_INTERVAL]
+  STB r2, [r15+INTERVAL]
+  ; clear occupancy
+  MOV r8, r6
+  MUL r8, r7
+  LDI r2, 0
+  LDI r3, 0
+clear_occ:
+  BGEU r2, r8, clear_done
+  STB r3, [r2+OCC]
+  ADDI r2, 1
+  JMP clear_occ
+clear_done:
+${vs ? `  ; player 1 at (W/3, H/2+2...) heading up
+  MOV r8, r6
+  LDI r2, 3
+  DIVU r8, r2
+` : `  ; body at (W/2, H/2+2), (W/2, H/2+3), ...
+  MOV r8, r6
+  LDI r2, 1
+  SHR r8, r2                  ; r8 = x
+`}  MOV r9, r7
+  LDI r2, 1
+  SHR r9, r2
+  ADDI r9, 2                  ; r9 = y
+  LDI r14, 0
+  LDI r2, 0
+  LDI r3, 1
+  CALL place_snake
+${vs ? `  ; player 2 mirrored: (W-1-W/3, H/2-3...) heading down
+  MOV r8, r6
+  LDI r2, 3
+  DIVU r8, r2
+  MOV r9, r6
+  ADDI r9, -1
+  SUB r9, r8
+  MOV r8, r9
+  MOV r9, r7
+  LDI r2, 1
+  SHR r9, r2
+  ADDI r9, -3
+  LDI r14, P2
+  LDI r2, 2
+  LDI r3, -1
+  CALL place_snake
+` : ''}  ; obstacles, except under a snake
+  LDH r8, [r15+R_OBSTACLES]
+  LDI r2, 0
+  LDI r5, 2
+place_obstacles:
+  BGEU r2, r8, obstacles_done
+  MOV r3, r2
+  ADD r3, r3
+  LDB r4, [r3+R_LIST+1]
+  MUL r4, r6
+  LDB r3, [r3+R_LIST]
+  ADD r4, r3
+  ADDI r2, 1
+  LDB r3, [r4+OCC]
+  JNZ r3, place_obstacles
+  STB r5, [r4+OCC]
+  JMP place_obstacles
+obstacles_done:
+  SYSCALL OS_ID
+  LDI r1, 0xA5A5A5A5
+  XOR r0, r1
+  SYSCALL SEED
+  ; empty every apple slot, then fill them in order
+  LDI r2, 0
+  LDI r3, 0xFFFF
+clear_apples:
+  STH r3, [r2+APPLE]
+  ADDI r2, 2
+  LDI r4, MAX_APPLES*2
+  BLTU r2, r4, clear_apples
+  LDI r12, 0
+fill_apples:
+  MOV r11, r12
+  CALL spawn_apple
+  ADDI r12, 1
+  LDB r4, [r15+R_APPLES]
+  BLTU r12, r4, fill_apples
+  CALL publish
+  RET
+
+; ---- place_snake: player at r14, head (r8, r9), body stepping r3 rows, direction r2 ----
+place_snake:
+  STB r2, [r14+DIR]
+  STB r2, [r14+PENDING]
+  LDI r2, 0
+  STW r2, [r14+SCORE]
+  STH r2, [r14+HEAD]
+  STB r2, [r14+DEAD]
+  LDI r10, 0                  ; r10 = i
+  LDB r11, [r15+R_START_LEN]
+  LDI r5, 1
+  MOV r13, r9                 ; r13 = row of segment i
+place_body:
+  MOV r12, r13
+  MUL r12, r6
+  ADD r12, r8
+  MOV r4, r10
+  ADD r4, r4
+  ADD r4, r14
+  STH r12, [r4+RING]
+  STB r5, [r12+OCC]
+  ADD r13, r3
+  ADDI r10, 1
+  BLTU r10, r11, place_body
+  STH r11, [r14+LEN]
+  RET
+
+; ---- spawn_apple: slot r11 gets a free cell: 2048 random tries, then the first free one;
+; unchanged if there is none (free = no snake, obstacle or other apple) ----
+spawn_apple:
+  LDH r6, [r15+W]
+  LDH r7, [r15+H]
+  LDI r10, 2048
+  LDI r3, 16
+spawn_try:
+  SYSCALL RANDOM
+  MOV r1, r0
+  REMU r1, r6                 ; x = r % W
+  MOV r2, r0
+  SHR r2, r3
+  REMU r2, r7                 ; y = (r >>> 16) % H
+  MUL r2, r6
+  ADD r2, r1
+  LDB r4, [r2+OCC]
+  JNZ r4, spawn_retry
+  CALL other_apple
+  JZ r4, spawn_set
+spawn_retry:
+  ADDI r10, -1
+  JNZ r10, spawn_try
+  MOV r8, r6
+  MUL r8, r7
+  LDI r2, 0
+spawn_scan:
+  BGEU r2, r8, spawn_done
+  LDB r4, [r2+OCC]
+  JNZ r4, spawn_next
+  CALL other_apple
+  JZ r4, spawn_set
+spawn_next:
+  ADDI r2, 1
+  JMP spawn_scan
+spawn_set:
+  MOV r4, r11
+  ADD r4, r4
+  STH r2, [r4+APPLE]
+spawn_done:
+  RET
+
+; ---- other_apple: r4 = 1 if a slot other than r11 holds cell r2 ----
+other_apple:
+  LDB r9, [r15+R_APPLES]
+  LDI r5, 0
+other_loop:
+  LDI r4, 0
+  BGEU r5, r9, other_done
+  BEQ r5, r11, other_next
+  MOV r13, r5
+  ADD r13, r13
+  LDH r13, [r13+APPLE]
+  LDI r4, 1
+  BEQ r13, r2, other_done
+other_next:
+  ADDI r5, 1
+  JMP other_loop
+other_done:
+  RET
+
+; ---- redraw: a new display list and cell board: obstacles and apples, then the bod${vs ? 'ies' : 'y'} on top, then the status line ----
+redraw:
+  LDI r0, COLOR_SHADE
+  SYSCALL DL_CLEAR
+  SYSCALL CLEAR
+  LDH r6, [r15+W]
+  LDH r7, [r15+H]
+  LDH r8, [r15+R_OBSTACLES]
+  LDI r3, 0
+  LDI r2, COLOR_OBSTACLE
+draw_obstacles:
+  BGEU r3, r8, obstacles_drawn
+  MOV r4, r3
+  ADD r4, r4
+  LDB r0, [r4+R_LIST]
+  LDB r1, [r4+R_LIST+1]
+  ADDI r3, 1
+  MOV r4, r1
+  MUL r4, r6
+  ADD r4, r0
+  LDB r4, [r4+OCC]
+  LDI r5, 2
+  BNE r4, r5, draw_obstacles  ; skipped at init (under a snake)
+  CALL plot
+  JMP draw_obstacles
+obstacles_drawn:
+  MUL r7, r6                  ; r7 = cells
+  LDB r8, [r15+R_APPLES]
+  LDI r3, 0
+  LDI r2, COLOR_APPLE
+draw_apples:
+  BGEU r3, r8, apples_drawn
+  MOV r4, r3
+  ADD r4, r4
+  LDH r4, [r4+APPLE]
+  ADDI r3, 1
+  BGEU r4, r7, draw_apples    ; slot never filled
+  MOV r0, r4
+  REMU r0, r6
+  MOV r1, r4
+  DIVU r1, r6
+  CALL plot
+  JMP draw_apples
+apples_drawn:
+  LDI r14, 0
+  LDI r2, COLOR_BODY
+  CALL draw_snake
+${vs ? `  LDI r14, P2
+  LDI r2, COLOR_BODY2
+  CALL draw_snake
+` : ''}  JMP draw_status
+
+; ---- plot: cell (r0, r1) in color r2, and the tile of the same index ----
+plot:
+  SYSCALL DRAW_CELL
+  SYSCALL DL_TILE
+  RET
+
+; ---- draw_snake: body of the player at r14 in color r2 ----
+draw_snake:
+  LDH r3, [r14+HEAD]
+  LDH r4, [r14+LEN]
+  LDI r5, RING_MASK
+draw_body:
+  JZ r4, draw_done
+  MOV r7, r3
+  ADD r7, r7
+  ADD r7, r14
+  LDH r7, [r7+RING]
+  MOV r0, r7
+  REMU r0, r6
+  MOV r1, r7
+  DIVU r1, r6
+  CALL plot
+  ADDI r3, 1
+  AND r3, r5
+  ADDI r4, -1
+  JMP draw_body
+draw_done:
+  RET
+
+; ---- draw_status: ${vs ? 'the result' : 'GAME OVER'} or PAUSED above the board ----
+draw_status:
+  LDB r2, [r15+GAME_OVER]
+  JNZ r2, status_over
+  LDB r2, [r15+PAUSED]
+  JZ r2, status_done
+  LDI r0, MSG_PAUSED
+  LDI r1, MSG_PAUSED_LEN
+  JMP status_draw
+status_over:
+${vs ? `  LDB r2, [r15+WINNER]
+  LDI r0, MSG_DRAW
+  LDI r1, MSG_DRAW_LEN
+  LDI r3, 3
+  BEQ r2, r3, status_draw
+  LDI r0, MSG_P2_WINS
+  LDI r1, MSG_P2_WINS_LEN
+  LDI r3, 2
+  BEQ r2, r3, status_draw
+  LDI r0, MSG_P1_WINS
+  LDI r1, MSG_P1_WINS_LEN
+` : `  LDI r0, MSG_OVER
+  LDI r1, MSG_OVER_LEN
+`}status_draw:
+  LDI r2, STATUS_XY
+  LDI r3, STATUS_STYLE
+  SYSCALL DL_TEXT
+status_done:
+  RET
+
+; ---- publish: the picture, status flags, mode + score${vs ? 's' : ''} (every frame) ----
+publish:
+  CALL redraw
+  LDB r0, [r15+PAUSED]
+  LDB r1, [r15+GAME_OVER]
+  ADD r1, r1
+  OR r0, r1
+  SYSCALL SET_STATUS
+  LDI r0, MODE_PLAYING
+  LDB r1, [r15+PAUSED]
+  JZ r1, publish_over
+  LDI r0, MODE_PAUSED
+publish_over:
+  LDB r1, [r15+GAME_OVER]
+  JZ r1, publish_mode
+  LDI r0, MODE_GAME_OVER
+publish_mode:
+  SYSCALL SET_MODE
+  LDW r0, [r15+SCORE]
+  SYSCALL REPORT_SCORE
+${vs ? `  LDW r0, [r15+P2+SCORE]
+  LDB r1, [r15+WINNER]
+  SYSCALL REPORT_MATCH
+` : ''}  RET
+`;
+}
+
+export const SNAKE_ASM = snakeAsm();
+
+// boardW / boardH are the defaults for cartridges without a RULES block; screenW is the
+// HEADER fbWidth.
+export function buildSnakeBytecode({boardW=20, boardH=20, players=1, screenW=512} = {}){
+  const {bytecode, entryPoint, frameEntry} = assemble(snakeAsm({players}), {defines: {BOARD_W: boardW, BOARD_H: boardH, SCREEN_W: screenW}});
+  return {bytecode, entryPoint, frameEntry};
+}
@@ -7,7 +7,25 @@ const ASSETS = [
   './index.html',
   './app.js',
   './ppujpeg.js',
+  './format.js',
+  './input.js',
   './vm.js',
+  './snake.js',
+  './asm.js',
+  './verify.js',
+  './replay.js',
+  './savestate.js',
+  './scores.js',
+  './idb.js',
+  './telegram.js',
+  './inspect.js',
+  './palette.js',
+  './display.js',
+  './audio.js',
+  './vmworker.js',
+  './vmhost.js',
+  './signature.js',
+  './zlib.js',
   './sw.js',
 ];
 
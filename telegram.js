@@ -0,0 +1,153 @@
+// telegram.js - Telegram Mini App bridge: theme, MainButton / BackButton, haptics, sharing, initData
+// app.js talks to Telegram only through createBridge(window.Telegram?.WebApp). Without a WebApp
+// (plain browser) or on a client too old for a feature, the calls are no-ops and the game plays
+// the same; tests drive it with a mock WebApp (test/fixtures.js).
+
+// Host colors outside Telegram (and for any theme key the client does not send).
+export const DEFAULT_THEME = Object.freeze({
+  bg: '#070912',
+  text: '#e9ecff',
+  hint: '#9aa3c7',
+  button: '#3d6cff',
+  buttonText: '#ffffff',
+});
+
+const THEME_KEYS = Object.freeze({
+  bg: 'bg_color',
+  text: 'text_color',
+  hint: 'hint_color',
+  button: 'button_color',
+  buttonText: 'button_text_color',
+});
+
+// themeParams -> DEFAULT_THEME-shaped colors; anything but #rgb / #rrggbb falls back.
+export function themeFromParams(params){
+  const out = {...DEFAULT_THEME};
+  for(const [k, key] of Object.entries(THEME_KEYS)){
+    const v = params?.[key];
+    if(typeof v === 'string' && /^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i.test(v)) out[k] = v;
+  }
+  return out;
+}
+
+// initData query string -> {user, startParam, authDate}. Telegram signs it for the bot's server;
+// there is no server here, so treat it as unverified and use it for display only.
+export function parseInitData(initData){
+  const q = new URLSearchParams(typeof initData === 'string' ? initData : '');
+  let user = null;
+  try{
+    const u = JSON.parse(q.get('user') ?? 'null');
+    if(u && typeof u === 'object' && Number.isSafeInteger(u.id)){
+      user = {
+        id: u.id,
+        firstName: typeof u.first_name === 'string' ? u.first_name : '',
+        lastName: typeof u.last_name === 'string' ? u.last_name : '',
+        username: typeof u.username === 'string' ? u.username : '',
+        languageCode: typeof u.language_code === 'string' ? u.language_code : '',
+      };
+    }
+  } catch {}
+  const authDate = Number(q.get('auth_date'));
+  return {
+    user,
+    startParam: q.get('start_param') ?? '',
+    authDate: Number.isSafeInteger(authDate) && authDate > 0 ? authDate : 0,
+  };
+}
+
+export function displayName(user){
+  if(!user) return '';
+  return [user.firstName, user.lastName].filter(Boolean).join(' ') || (user.username ? `@${user.username}` : '');
+}
+
+// Minimum Bot API version per feature (WebApp.isVersionAtLeast).
+const SINCE = Object.freeze({
+  mainButton: '6.0',
+  backButton: '6.1',
+  haptics: '6.1',
+  openTelegramLink: '6.1',
+  inlineQuery: '6.7',
+  cloudStorage: '6.9',
+  fullscreen: '8.0',
+});
+
+export function createBridge(webApp){
+  const has = (feature) => !!webApp && !!webApp.isVersionAtLeast?.(SINCE[feature]);
+  const {user} = parseInitData(webApp?.initData);
+
+  // MainButton / BackButton keep one click handler each; callers swap the action behind it.
+  let mainAction = null, mainText = null;
+  let backAction = null, backShown = false;
+  if(has('mainButton')) webApp.MainButton.onClick(() => mainAction?.());
+  if(has('backButton')) webApp.BackButton.onClick(() => backAction?.());
+
+  return {
+    available: !!webApp,
+    user,
+    cloudStorage: has('cloudStorage') ? webApp.CloudStorage ?? null : null,
+
+    ready(){
+      try{ webApp?.ready?.(); webApp?.expand?.(); } catch {}
+    },
+    requestFullscreen(){
+      if(!has('fullscreen')) return;
+      try{ webApp.requestFullscreen(); } catch {}
+    },
+
+    theme(){
+      return themeFromParams(webApp?.themeParams);
+    },
+    onThemeChanged(cb){
+      webApp?.onEvent?.('themeChanged', cb);
+    },
+
+    // text = null hides the button. Repeated calls with the same text only swap the action.
+    setMainButton(text, action){
+      if(!has('mainButton')) return;
+      mainAction = action ?? null;
+      if(text === mainText) return;
+      mainText = text;
+      if(text){
+        webApp.MainButton.setText(text);
+        webApp.MainButton.show();
+      } else {
+        webApp.MainButton.hide();
+      }
+    },
+    setBackButton(visible, action){
+      if(!has('backButton')) return;
+      backAction = action ?? null;
+      if(visible === backShown) return;
+      backShown = visible;
+      if(visible) webApp.BackButton.show(); else webApp.BackButton.hide();
+    },
+
+    // 'eat' | 'death' | 'win'
+    haptic(event){
+      if(!has('haptics')) return;
+      const h = webApp.HapticFeedback;
+      try{
+        if(event === 'eat') h.impactOccurred('light');
+        else if(event === 'death') h.notificationOccurred('error');
+        else if(event === 'win') h.notificationOccurred('success');
+      } catch {}
+    },
+
+    // Offers `text` to a chat: inline query when the bot supports inline mode, else Telegram's
+    // share link. Returns false outside Telegram so the host can use its own fallback.
+    share(text, url){
+      if(has('inlineQuery')){
+        try{
+          webApp.switchInlineQuery(text, ['users', 'groups', 'channels']);
+          return true;
+        } catch {} // bot without inline mode
+      }
+      if(has('openTelegramLink')){
+        const q = new URLSearchParams({url, text});
+        webApp.openTelegramLink(`https://t.me/share/url?${q}`);
+        return true;
+      }
+      return false;
+    },
+  };
+}
@@ -0,0 +1,75 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {assemble, disassemble} from '../asm.js';
+import {snakeAsm} from '../snake.js';
+
+const defines = {BOARD_W: 20, BOARD_H: 20, SCREEN_W: 512};
+
+test('assemble -> disassemble -> assemble gives the same bytecode', () => {
+  for(const players of [1, 2]){
+    const a = assemble(snakeAsm({players}), {defines});
+    const text = disassemble(a.bytecode, {entryPoint: a.entryPoint, frameEntry: a.frameEntry, labels: a.labels, listing: false});
+    const b = assemble(text);
+    assert.deepEqual(b.bytecode, a.bytecode);
+    assert.equal(b.entryPoint, a.entryPoint);
+    assert.equal(b.frameEntry, a.frameEntry);
+    // And the source it prints is a fixed point.
+    assert.equal(disassemble(b.bytecode, {entryPoint: b.entryPoint, frameEntry: b.frameEntry, labels: b.labels, listing: false}), text);
+  }
+});
+
+test('round-trips every operand form, negative immediates and offsets included', () => {
+  const src = `.entry start
+.frame tick
+start:
+  LDI r1, -5
+  LDI r2, 0xDEADBEEF
+  LDB r3, [r4-2]
+  STW r5, [r15+0x7FFF]
+  MOV r6, r7
+  SYSCALL READ_INPUT
+  SYSCALL 0xEE
+  CALL tick
+  JZ r0, start
+  BNE r1, r2, tick
+  HALT
+tick:
+  RET
+  .u8 0xFF`;
+  const a = assemble(src);
+  const b = assemble(disassemble(a.bytecode, {entryPoint: a.entryPoint, frameEntry: a.frameEntry, listing: false}));
+  assert.deepEqual(b.bytecode, a.bytecode);
+  assert.deepEqual([b.entryPoint, b.frameEntry], [a.entryPoint, a.frameEntry]);
+});
+
+test('unknown mnemonics and directives are errors with the line number', () => {
+  assert.throws(() => assemble('HALT\n  FOO r1'), /^Error: asm line 2: unknown instruction "FOO"/);
+  assert.throws(() => assemble('.bogus 1'), /asm line 1: unknown directive \.bogus/);
+  assert.throws(() => assemble('LDI r1'), /asm line 1: LDI takes 2 operand\(s\), got 1/);
+  assert.throws(() => assemble('MOV r1, r16'), /expected register r0\.\.r15, got "r16"/);
+  assert.throws(() => assemble('LDB r1, r2'), /expected memory operand/);
+});
+
+test('bad labels: unknown, duplicate, or a missing entry point', () => {
+  assert.throws(() => assemble('JMP nowhere'), /asm line 1: unknown symbol "nowhere"/);
+  assert.throws(() => assemble('a:\n HALT\na:\n HALT'), /asm line 3: duplicate symbol "a"/);
+  assert.throws(() => assemble('.const a = 1\na: HALT'), /asm line 2: duplicate symbol "a"/);
+  assert.throws(() => assemble('.entry main\nHALT'), /asm line 1: unknown symbol "main"/);
+  assert.throws(() => assemble('.frame tick\nHALT'), /asm line 1: unknown symbol "tick"/);
+  assert.throws(() => assemble('LDI r0, 1 +'), /incomplete expression/);
+});
+
+test('out-of-range immediates, offsets, data and syscall ids are errors', () => {
+  assert.throws(() => assemble('LDI r0, 0x100000000'), /asm line 1: immediate out of range: 0x100000000 = 4294967296/);
+  assert.throws(() => assemble('LDI r0, -0x80000001'), /immediate out of range/);
+  assert.throws(() => assemble('LDB r0, [r1+0x8000]'), /offset out of range/);
+  assert.throws(() => assemble('LDB r0, [r1-0x8001]'), /offset out of range/);
+  assert.throws(() => assemble('JMP -1'), /address out of range/);
+  assert.throws(() => assemble('SYSCALL 256'), /syscall id out of range/);
+  assert.throws(() => assemble('.u8 256'), /\.u8 value out of range/);
+  assert.throws(() => assemble('.u16 0x10000'), /\.u16 value out of range/);
+  assert.throws(() => assemble('.zero -1'), /\.zero needs a non-negative size/);
+  assert.throws(() => assemble('LDI r0, 1/0'), /division by zero/);
+  // The limits themselves assemble.
+  assert.equal(assemble('LDI r0, 0xFFFFFFFF\nLDI r1, -0x80000000\nLDB r0, [r1-0x8000]\n.u8 -0x80, 255\n.u16 0xFFFF').bytecode.length, 6 + 6 + 4 + 2 + 2);
+});
@@ -0,0 +1,162 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {Synth, AudioHost, tickSamples, renderReplayAudio, encodeWav, SYNTH_HZ} from '../audio.js';
+import {ReplayRecorder, decodeReplay, encodeReplay} from '../replay.js';
+import {PPUVM, Feature} from '../vm.js';
+import {assemble} from '../asm.js';
+import {WorkerVM} from '../vmhost.js';
+import {workerHandler} from '../vmworker.js';
+import {SNAKE_SOUNDS, SnakeSound} from '../snake.js';
+import {snakeVM, frame} from './fixtures.js';
+
+const SR = 8000;
+const START = 5;
+const peak = (samples) => samples.reduce((m, v) => Math.max(m, Math.abs(v)), 0);
+
+test('synth output does not depend on how rendering is split', () => {
+  const cmds = [{op: 'play', sound: SnakeSound.DIE}, {op: 'tone', channel: 3, note: 12, frames: 20, volume: 15, decay: 1}];
+  const a = new Synth({sampleRate: SR, sounds: SNAKE_SOUNDS});
+  a.apply(cmds);
+  const whole = a.render(SR);
+  const b = new Synth({sampleRate: SR, sounds: SNAKE_SOUNDS});
+  b.apply(cmds);
+  const parts = [b.render(1), b.render(999), b.render(SR - 1000)];
+  assert.deepEqual(Float32Array.from(parts.flatMap(p => [...p])), whole);
+  assert.ok(peak(whole) > 0.2);
+});
+
+test('synth: silent without commands, notes end after their length and envelopes decay', () => {
+  const synth = new Synth({sampleRate: SR});
+  assert.equal(peak(synth.render(SR / 10)), 0);
+  synth.apply([{op: 'tone', channel: 0, note: 69, frames: 6, volume: 15, decay: 0}]);
+  const perFrame = SR / SYNTH_HZ;
+  assert.ok(Math.abs(peak(synth.render(Math.floor(perFrame * 5))) - 0.25) < 1e-6);
+  synth.render(Math.ceil(perFrame * 2));
+  assert.equal(peak(synth.render(100)), 0);
+
+  synth.apply([{op: 'tone', channel: 1, note: 60, frames: 0, volume: 15, decay: 1}]);
+  const early = peak(synth.render(Math.floor(perFrame)));
+  synth.render(Math.floor(perFrame * 5));
+  assert.ok(peak(synth.render(Math.floor(perFrame))) < early);
+  synth.apply([{op: 'stop', mask: 0b10}]);
+  assert.equal(peak(synth.render(100)), 0);
+});
+
+test('synth: a sequence plays its steps in order and stops unless it loops', () => {
+  const sounds = [{channel: 2, loop: false, steps: [[60, 2, 15, 0], [0, 2, 0, 0], [72, 2, 15, 0]]}];
+  const synth = new Synth({sampleRate: 6000, sounds});
+  synth.apply([{op: 'play', sound: 0}]);
+  const frames = Array.from({length: 8}, () => peak(synth.render(100)));
+  assert.deepEqual(frames.map(p => p > 0), [true, true, false, false, true, true, false, false]);
+  synth.sounds[0].loop = true;
+  synth.apply([{op: 'play', sound: 0}]);
+  synth.render(600);
+  assert.ok(peak(synth.render(100)) > 0); // back at the first step
+});
+
+test('tick sample counts add up to the sample rate each second', () => {
+  let n = 0;
+  for(let t=0; t<30; t++) n += tickSamples(t, 30, 44100);
+  assert.equal(n, 44100);
+  assert.deepEqual([0, 1, 2].map(t => tickSamples(t, 7, 1000)), [142, 143, 143]);
+});
+
+test('WAV export: 16-bit mono PCM with clamped samples', () => {
+  const wav = encodeWav(Float32Array.from([0, 1, -1, 2]), 22050);
+  const dv = new DataView(wav.buffer);
+  const ascii = (off) => String.fromCharCode(...wav.subarray(off, off + 4));
+  assert.deepEqual([ascii(0), ascii(8), ascii(12), ascii(36)], ['RIFF', 'WAVE', 'fmt ', 'data']);
+  assert.equal(dv.getUint32(4, true), wav.length - 8);
+  assert.equal(dv.getUint16(22, true), 1);
+  assert.equal(dv.getUint32(24, true), 22050);
+  assert.equal(dv.getUint16(34, true), 16);
+  assert.equal(dv.getUint32(40, true), 8);
+  assert.deepEqual([0, 1, 2, 3].map(i => dv.getInt16(44 + i*2, true)), [0, 0x7FFF, -0x7FFF, 0x7FFF]);
+});
+
+test('a replay renders to the same audio every time, matching live play', () => {
+  const vm = snakeVM();
+  const live = new Synth({sampleRate: SR, sounds: SNAKE_SOUNDS});
+  const liveParts = [];
+  const tick = (i, cmd) => {
+    if(i) frame(vm, cmd);
+    live.apply(vm.sound);
+    liveParts.push(...live.render(tickSamples(i, 30, SR)));
+  };
+  const rec = new ReplayRecorder({digest: '00'.repeat(32), startTick: 0});
+  tick(0);
+  for(let i=1; i<=40; i++){
+    const cmd = i === 2 ? START : 0; // unpause, then run into the top wall
+    rec.record(i, cmd);
+    tick(i, cmd);
+  }
+  assert.equal(vm.render.gameOver, true);
+  const replay = decodeReplay(rec.finish(vm));
+  const createVM = () => snakeVM({init: false});
+  const a = renderReplayAudio(replay, createVM, {fps: 30, sounds: SNAKE_SOUNDS, sampleRate: SR});
+  const b = renderReplayAudio(replay, createVM, {fps: 30, sounds: SNAKE_SOUNDS, sampleRate: SR});
+  assert.equal(a.ok, true);
+  assert.equal(a.samples.length, Math.floor(41 * SR / 30));
+  assert.deepEqual(encodeWav(a.samples, SR), encodeWav(b.samples, SR));
+  assert.deepEqual(a.samples, Float32Array.from(liveParts));
+  assert.ok(peak(a.samples) > 0.2);
+});
+
+// Stand-in for an AudioContext that collects what AudioHost queues.
+function fakeContext(){
+  const out = [];
+  return {
+    out,
+    sampleRate: SR,
+    state: 'running',
+    currentTime: 0,
+    destination: {},
+    createBuffer: () => ({copyToChannel(samples){ out.push(...samples); }}),
+    createBufferSource: () => ({connect(){}, start(){}}),
+  };
+}
+
+// A cartridge whose init() starts a tone that holds until replaced; frames play nothing.
+function toneCart(){
+  const {bytecode, entryPoint, frameEntry} = assemble(`
+    .entry boot
+    .frame frame
+  boot:
+    LDI r0, 0
+    LDI r1, 40
+    LDI r2, 0
+    LDI r3, 12
+    SYSCALL SND_TONE
+    HALT
+  frame:
+    HALT
+  `);
+  return {header: {entryPoint, frameEntry, featureFlags: Feature.CORE | Feature.AUDIO}, bytecode, sounds: []};
+}
+
+test('the live host plays init()\'s sound at tick 0, like a rendered replay', async () => {
+  const ticks = 10;
+  const vm = new PPUVM(toneCart());
+  const ctx = fakeContext();
+  const host = new AudioHost(ctx, {fps: 30});
+  vm.setIO({cmd: 0, tick: 0});
+  vm.init();
+  const initSound = vm.sound;
+  assert.equal(initSound.length, 1);
+  host.push(vm.sound);
+  for(let i=1; i<=ticks; i++){ frame(vm); host.push(vm.sound); }
+
+  const replay = decodeReplay(encodeReplay({digest: '00'.repeat(32), startTick: 0, tickCount: ticks, finalScore: 0, finalRamCrc: 0, events: []}));
+  const {samples} = renderReplayAudio(replay, () => new PPUVM(toneCart()), {fps: 30, sampleRate: SR});
+  assert.deepEqual(Float32Array.from(ctx.out), samples);
+  assert.ok(peak(samples.subarray(0, tickSamples(0, 30, SR))) > 0.1);
+
+  // With the VM worker, the loaded mirror carries the same init sound.
+  const w = {postMessage(msg){ setImmediate(() => handle(structuredClone(msg))); }, terminate(){}};
+  const handle = workerHandler((msg) => setImmediate(() => w.onmessage({data: structuredClone(msg)})));
+  const worker = new WorkerVM({spawn: () => w, mirror: new PPUVM(toneCart())});
+  w.onmessage({data: {type: 'ready'}});
+  assert.equal(await worker.load(toneCart()), true);
+  assert.deepEqual(worker.mirror.sound, initSound);
+  worker.terminate();
+});
@@ -0,0 +1,84 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {tileAtlas, drawDisplayList, drawScene, fitRect} from '../display.js';
+import {Feature} from '../vm.js';
+import {snakeVM} from './fixtures.js';
+import {PaletteSlot, DEFAULT_PALETTE} from '../palette.js';
+
+// 2D context stand-in that logs every call and property set.
+function recordingContext(){
+  const calls = [];
+  const g = new Proxy({}, {
+    get: (_, k) => (...args) => { calls.push([k, ...args]); },
+    set: (_, k, v) => { calls.push([`${String(k)}=`, v]); return true; },
+  });
+  return {g, calls};
+}
+
+test('the tile atlas lays tiles side by side in palette colors, 0 transparent', () => {
+  const palette = [[0, 0, 0, 255], [10, 20, 30, 255], [40, 50, 60, 128]];
+  const atlas = tileAtlas({w: 2, h: 1, count: 2, pixels: Uint8Array.from([1, 0, 2, 0])}, palette);
+  assert.deepEqual([atlas.width, atlas.height], [4, 1]);
+  assert.deepEqual(Array.from(atlas.data), [10, 20, 30, 255, 0, 0, 0, 0, 40, 50, 60, 128, 0, 0, 0, 0]);
+  // indices past a resolved palette (no LUT_PALETTE) draw as text color
+  const padded = tileAtlas({w: 1, h: 1, count: 1, pixels: Uint8Array.from([40])}, DEFAULT_PALETTE);
+  assert.deepEqual(Array.from(padded.data), DEFAULT_PALETTE[PaletteSlot.TEXT]);
+});
+
+test('display lists draw scaled from the board and screen origin, board layer clipped', () => {
+  const {g, calls} = recordingContext();
+  const colors = ['c0', 'c1', 'c2'];
+  drawDisplayList(g, [
+    {op: 'clear', color: 1},
+    {op: 'tile', col: 2, row: 1, tile: 3},
+    {op: 'sprite', x: 4, y: 6, tile: 1, flipX: false, flipY: false, scale: 2},
+    {op: 'sprite', x: 4, y: 6, tile: 1, flipX: true, flipY: false, scale: 1},
+    {op: 'text', x: 50, y: 20, text: 'PAUSED', color: 2, size: 10, align: 'center'},
+  ], {ox: 100, oy: 0, s: 2, board: {x: 10, y: 20, cellPx: 8}, boardW: 4, boardH: 3, clip: {x: 10, y: 20, w: 32, h: 24}, colors, atlas: 'atlas', tileW: 8, tileH: 8});
+
+  const at = (name) => calls.findIndex(c => c[0] === name);
+  assert.deepEqual(calls.find(c => c[0] === 'rect'), ['rect', 120, 40, 64, 48]);
+  assert.deepEqual(calls.find(c => c[0] === 'fillRect'), ['fillRect', 120, 40, 64, 48]);
+  const draws = calls.filter(c => c[0] === 'drawImage');
+  assert.deepEqual(draws[0], ['drawImage', 'atlas', 24, 0, 8, 8, 152, 56, 16, 16]);
+  assert.deepEqual(draws[1], ['drawImage', 'atlas', 8, 0, 8, 8, 108, 12, 32, 32]);
+  assert.deepEqual(draws[2], ['drawImage', 'atlas', 8, 0, 8, 8, 0, 0, 16, 16]);
+  assert.ok(calls.some(c => c[0] === 'translate' && c[1] === 124 && c[2] === 12));
+  assert.ok(calls.some(c => c[0] === 'scale' && c[1] === -1 && c[2] === 1));
+  // the clip ends before the first sprite
+  const restores = calls.map((c, i) => c[0] === 'restore' ? i : -1).filter(i => i >= 0);
+  assert.ok(restores[0] < calls.indexOf(draws[1]));
+  assert.ok(at('clip') < calls.indexOf(draws[0]));
+  assert.deepEqual(calls.find(c => c[0] === 'fillText'), ['fillText', 'PAUSED', 200, 40]);
+  assert.ok(calls.some(c => c[0] === 'font=' && c[1] === '20px system-ui, sans-serif'));
+  assert.ok(calls.some(c => c[0] === 'textAlign=' && c[1] === 'center'));
+  assert.equal(calls.filter(c => c[0] === 'save').length, calls.filter(c => c[0] === 'restore').length);
+});
+
+test('a transparent clear and a missing atlas draw nothing on the board', () => {
+  const {g, calls} = recordingContext();
+  drawDisplayList(g, [{op: 'clear', color: 0}, {op: 'tile', col: 0, row: 0, tile: 1}], {ox: 0, oy: 0, s: 1, board: {x: 0, y: 0, cellPx: 8}, boardW: 2, boardH: 2, colors: ['c0']});
+  assert.ok(!calls.some(c => c[0] === 'fillRect' || c[0] === 'drawImage'));
+});
+
+test('scenes fit the raster in the canvas, then draw the display list or the cell board', () => {
+  assert.deepEqual(fitRect(1000, 600, {w: 500, h: 500}), {s: 1.2, ox: 200, oy: 0, drawW: 600, drawH: 600});
+  const colors = DEFAULT_PALETTE.map((_, i) => `c${i}`);
+  const view = {W: 1000, H: 600, V: {w: 500, h: 500}, bg: 'bg', base: 'raster', colors, clip: null, atlas: 'atlas', tileW: 8, tileH: 8};
+
+  const idle = recordingContext();
+  assert.equal(drawScene(idle.g, view, null).s, 1.2);
+  assert.deepEqual(idle.calls, [['fillStyle=', 'bg'], ['fillRect', 0, 0, 1000, 600], ['drawImage', 'raster', 200, 0, 600, 600]]);
+
+  const vm = snakeVM();
+  const listed = recordingContext();
+  drawScene(listed.g, view, vm.render, vm.features);
+  assert.ok(listed.calls.some(c => c[0] === 'drawImage' && c[1] === 'atlas'));
+
+  const cells = recordingContext();
+  drawScene(cells.g, {...view, clip: {x: 0, y: 0, w: 10, h: 10}}, vm.render, Feature.CORE);
+  assert.ok(!cells.calls.some(c => c[0] === 'drawImage' && c[1] === 'atlas'));
+  assert.ok(cells.calls.some(c => c[0] === 'rect' && c[3] === 12));
+  const filled = cells.calls.filter(c => c[0] === 'fillRect').length;
+  assert.equal(filled, 2 + vm.render.cells.filter(Boolean).length); // background, board shade, cells
+});
@@ -0,0 +1,133 @@
+// fixtures.js - shared test inputs: a tiny real JPEG, a Snake VM with RAM helpers and a mock Telegram WebApp
+
+import {PPUVM, Feature} from '../vm.js';
+import {buildSnakeBytecode, encodeSnakeRules, SnakeMem, RING_CAP, SNAKE_TILES, SNAKE_SOUNDS} from '../snake.js';
+import {buildTiles, decodeTiles, buildSounds, decodeSounds} from '../format.js';
+
+// 8x8 mid-grey baseline JPEG (every block is DC 0 + EOB), 159 bytes.
+export function fixtureJpeg(){
+  return new Uint8Array([
+    0xFF,0xD8,                                                    // SOI
+    0xFF,0xE0,0x00,0x10,0x4A,0x46,0x49,0x46,0x00,0x01,0x01,0x00,0x00,0x01,0x00,0x01,0x00,0x00, // APP0 JFIF
+    0xFF,0xDB,0x00,0x43,0x00, ...new Array(64).fill(1),           // DQT
+    0xFF,0xC0,0x00,0x0B,0x08,0x00,0x08,0x00,0x08,0x01,0x01,0x11,0x00, // SOF0 8x8, 1 component
+    0xFF,0xC4,0x00,0x14,0x00,0x01, ...new Array(15).fill(0), 0x00, // DHT DC0: one 1-bit code -> 0
+    0xFF,0xC4,0x00,0x14,0x10,0x01, ...new Array(15).fill(0), 0x00, // DHT AC0: one 1-bit code -> EOB
+    0xFF,0xDA,0x00,0x08,0x01,0x01,0x00,0x00,0x3F,0x00,            // SOS
+    0x3F,                                                         // "0" (DC) "0" (EOB), 1-padded
+    0xFF,0xD9,                                                    // EOI
+  ]);
+}
+
+// Offset of the SOS marker in a JPEG (tests splice segments in front of it).
+export function sosOffset(u8){
+  for(let i=2;i<u8.length-1;i++) if(u8[i] === 0xFF && u8[i+1] === 0xDA) return i;
+  return -1;
+}
+
+// PPUVM options for Snake. rules: a Snake rules object (encoded into the RULES block) or raw
+// block bytes.
+export function snakeCart({boardW=20, boardH=20, osId=0x534E414B, players=1, rules, paletteSize} = {}){
+  const {bytecode, entryPoint, frameEntry} = buildSnakeBytecode({boardW, boardH, players});
+  if(rules && !(rules instanceof Uint8Array)) rules = encodeSnakeRules(rules);
+  return {header: {entryPoint, frameEntry, osId, featureFlags: Feature.CORE | Feature.DISPLAY | Feature.AUDIO}, bytecode, truthTable: new Map(), strings: {}, rules, tiles: decodeTiles(buildTiles(SNAKE_TILES)), sounds: decodeSounds(buildSounds(SNAKE_SOUNDS)), paletteSize};
+}
+
+// A booted Snake VM (snakeCart options). init: false leaves booting to the caller (replays do it
+// themselves).
+export function snakeVM({init=true, ...opts} = {}){
+  const vm = new PPUVM(snakeCart(opts));
+  if(!init) return vm;
+  vm.setIO({cmd:0, tick:0});
+  vm.init();
+  return vm;
+}
+
+// Big-endian RAM accessors matching the VM's loads/stores.
+export function peek16(vm, addr){ return (vm.ram[addr] << 8) | vm.ram[addr+1]; }
+export function poke16(vm, addr, v){ vm.ram[addr] = (v >>> 8) & 0xFF; vm.ram[addr+1] = v & 0xFF; }
+export function peek32(vm, addr){ return ((vm.ram[addr] << 24) | (vm.ram[addr+1] << 16) | (vm.ram[addr+2] << 8) | vm.ram[addr+3]) >>> 0; }
+
+const playerBase = (player) => player === 2 ? SnakeMem.P2 : 0;
+
+// Replace a player's snake with `cells` ([x, y] pairs, head first), moving in direction `dir`, unpaused.
+export function placeSnake(vm, cells, {dir, apple, player=1}){
+  const base = playerBase(player);
+  const W = peek16(vm, SnakeMem.W);
+  for(const [x, y] of snakeCells(vm, player)) vm.ram[SnakeMem.OCC + x + y*W] = 0;
+  cells.forEach(([x, y], i) => {
+    poke16(vm, base + SnakeMem.RING + 2*(i % RING_CAP), x + y*W);
+    vm.ram[SnakeMem.OCC + x + y*W] = 1;
+  });
+  poke16(vm, base + SnakeMem.HEAD, 0);
+  poke16(vm, base + SnakeMem.LEN, cells.length);
+  vm.ram[base + SnakeMem.DIR] = dir;
+  vm.ram[base + SnakeMem.PENDING] = dir;
+  vm.ram[SnakeMem.PAUSED] = 0;
+  if(apple) poke16(vm, SnakeMem.APPLE, apple[0] + apple[1]*W);
+}
+
+// A player's body cells as [x, y], head first.
+export function snakeCells(vm, player=1){
+  const base = playerBase(player);
+  const W = peek16(vm, SnakeMem.W);
+  const head = peek16(vm, base + SnakeMem.HEAD), len = peek16(vm, base + SnakeMem.LEN);
+  const out = [];
+  for(let i=0;i<len;i++){
+    const c = peek16(vm, base + SnakeMem.RING + 2*((head + i) % RING_CAP));
+    out.push([c % W, Math.floor(c / W)]);
+  }
+  return out;
+}
+
+// One host tick: the next tick number with `cmd` (and `cmd2` in the second slot). Returns the cycles used.
+export function frame(vm, cmd=0, cmd2=0){
+  vm.setIO({cmd, cmd2, tick: vm.ioTick + 1});
+  return vm.runFrame();
+}
+
+// Stand-in for window.Telegram.WebApp at Bot API `version`. Every call is logged to `calls` as
+// [name, ...args]; press(button) fires the registered click handlers.
+export function mockWebApp({version='8.0', themeParams={}, initData='', inlineMode=true} = {}){
+  const calls = [];
+  const log = (name) => (...args) => { calls.push([name, ...args]); };
+  const button = (name) => {
+    const handlers = [];
+    return {
+      handlers,
+      text: '',
+      isVisible: false,
+      setText(t){ calls.push([`${name}.setText`, t]); this.text = t; },
+      show(){ calls.push([`${name}.show`]); this.isVisible = true; },
+      hide(){ calls.push([`${name}.hide`]); this.isVisible = false; },
+      onClick(fn){ handlers.push(fn); },
+    };
+  };
+  const cmp = (a, b) => {
+    const [x, y] = [a, b].map(v => v.split('.').map(Number));
+    return (x[0] - y[0]) || ((x[1] ?? 0) - (y[1] ?? 0));
+  };
+  const events = new Map();
+  return {
+    calls,
+    version,
+    themeParams,
+    initData,
+    isVersionAtLeast: (v) => cmp(version, v) >= 0,
+    ready: log('ready'),
+    expand: log('expand'),
+    requestFullscreen: log('requestFullscreen'),
+    MainButton: button('MainButton'),
+    BackButton: button('BackButton'),
+    HapticFeedback: {impactOccurred: log('impactOccurred'), notificationOccurred: log('notificationOccurred')},
+    CloudStorage: {},
+    switchInlineQuery(query, types){
+      if(!inlineMode) throw new Error('WebAppInlineModeDisabled');
+      calls.push(['switchInlineQuery', query, types]);
+    },
+    openTelegramLink: log('openTelegramLink'),
+    onEvent(name, fn){ events.set(name, [...(events.get(name) ?? []), fn]); },
+    emit(name){ for(const fn of events.get(name) ?? []) fn(); },
+    press(which){ for(const fn of this[which].handlers) fn(); },
+  };
+}
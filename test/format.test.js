@@ -0,0 +1,280 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {packKey, keyToStr, unpackKey, rectToRegionIds, regionRect, TouchType, Gesture, timeBucketFor, lookupCmd, buildTruthTable, decodeTruthTable, buildHeader, parseHeader, buildStringTable, decodeStringTable, buildLayout, decodeLayout, buildPalette, decodePalette, buildFs, decodeFs, buildTiles, decodeTiles, validateTiles, buildSounds, decodeSounds, validateLayout, layoutRegions, FormatError, HEADER_LEN} from '../format.js';
+
+const geom = {vw: 512, vh: 512, gridX: 64, gridY: 64};
+
+test('header round-trips', () => {
+  const h = parseHeader(buildHeader({osId: 0x12345678, entryPoint: 3, frameEntry: 112, fbWidth: 320, fbHeight: 240, targetFPS: 12, ioGridX: 32, ioGridY: 24, featureFlags: 1}));
+  assert.deepEqual(h, {entryPoint: 3, frameEntry: 112, fbWidth: 320, fbHeight: 240, targetFPS: 12, ioGX: 32, ioGY: 24, featureFlags: 1, gradPref: 0, gradMin: 0, osId: 0x12345678});
+});
+
+test('rectangles map to the grid cells they cover, clipped to the grid', () => {
+  assert.deepEqual(rectToRegionIds({x: 0, y: 0, w: 16, h: 8}, geom), [0, 1]);
+  assert.deepEqual(rectToRegionIds({x: 504, y: 504, w: 32, h: 32}, geom), [63 + 63*64]);
+});
+
+test('keys and grid cells unpack to what packed them', () => {
+  const key = {modeBits: 3, touchType: TouchType.SWIPE, regionId: 0x1234, gestureId: Gesture.SWIPE_DOWN, timeBucket: 9};
+  assert.deepEqual(unpackKey(keyToStr(packKey(key))), key);
+  const r = regionRect(65, geom);
+  assert.deepEqual(r, {x: 8, y: 8, w: 8, h: 8});
+  assert.deepEqual(rectToRegionIds(r, geom), [65]);
+});
+
+test('truth table round-trips, later regions winning overlaps', () => {
+  const regions = [{rect: {x: 0, y: 0, w: 16, h: 16}, cmd: 1}, {rect: {x: 8, y: 8, w: 8, h: 8}, cmd: 2}];
+  const {payload, recordCount} = buildTruthTable(regions, geom);
+  assert.equal(recordCount, 4);
+  const map = decodeTruthTable(payload);
+  const cmdAt = (regionId) => map.get(keyToStr(packKey({regionId})));
+  assert.equal(cmdAt(0), 1);
+  assert.equal(cmdAt(65), 2);
+  assert.equal(cmdAt(2), undefined);
+});
+
+test('truth table keys carry touch type, gesture and hold time', () => {
+  const geom = {vw:64, vh:64, gridX:4, gridY:4};
+  const rect = {x:0, y:0, w:16, h:16};
+  const truth = decodeTruthTable(buildTruthTable([
+    {rect, cmd:1},
+    {rect, cmd:2, touchType:TouchType.SWIPE, gestureId:Gesture.SWIPE_LEFT},
+    {rect, cmd:3, touchType:TouchType.RELEASE},
+    {rect, cmd:4, touchType:TouchType.RELEASE, timeBucket:timeBucketFor(1000)},
+  ], geom).payload, 1);
+  assert.equal(truth.size, 4);
+  const at = (touchType, gestureId=0, timeBucket=0) => lookupCmd(truth, {modeBits:0, touchType, regionId:0, gestureId, timeBucket});
+  assert.equal(at(TouchType.PRESS), 1);
+  assert.equal(at(TouchType.SWIPE, Gesture.SWIPE_LEFT), 2);
+  assert.equal(at(TouchType.SWIPE, Gesture.SWIPE_RIGHT), 0);
+  assert.equal(at(TouchType.TAP), 0);
+  assert.equal(at(TouchType.RELEASE, 0, timeBucketFor(1100)), 4);
+  assert.equal(at(TouchType.RELEASE, 0, timeBucketFor(100)), 3); // falls back to "any duration"
+  assert.equal(timeBucketFor(0), 1);
+  assert.equal(timeBucketFor(1e9), 255);
+});
+
+test('mode-specific truth-table entries override the every-mode ones', () => {
+  const geom = {vw:64, vh:64, gridX:4, gridY:4};
+  const rect = {x:0, y:0, w:16, h:16};
+  const truth = decodeTruthTable(buildTruthTable([
+    {rect, cmd:5},
+    {rect, cmd:6, modeBits:3},
+    {rect, cmd:7, modeBits:3, touchType:TouchType.RELEASE},
+  ], geom).payload, 1);
+  const at = (modeBits, touchType=TouchType.PRESS, timeBucket=0) => lookupCmd(truth, {modeBits, touchType, regionId:0, timeBucket});
+  assert.equal(at(0), 5);
+  assert.equal(at(1), 5);
+  assert.equal(at(3), 6);
+  assert.equal(at(3, TouchType.RELEASE, timeBucketFor(600)), 7);
+  assert.equal(at(1, TouchType.RELEASE), 0);
+  assert.throws(() => buildTruthTable([{rect, cmd:1, modeBits:256}], geom), FormatError);
+});
+
+test('string table round-trips UTF-8', () => {
+  const strings = {title: 'PPU Snake', help: 'Ünïcødé ▲▼', empty: ''};
+  assert.deepEqual({...decodeStringTable(buildStringTable(strings))}, strings);
+});
+
+// Every decoder failure must be a FormatError naming the block.
+const rejects = (fn, block, re) => assert.throws(fn, (e) => e instanceof FormatError && e.block === block && re.test(e.message));
+
+test('header: wrong length, reserved bits, gradients and versions are rejected', () => {
+  const h = buildHeader({});
+  assert.equal(h.length, HEADER_LEN);
+  assert.equal(parseHeader(h.subarray(0, 26)).osId, 0); // pre-osId cartridges
+  rejects(() => parseHeader(h.subarray(0, 29)), 'HEADER', /length 29/);
+  rejects(() => parseHeader(new Uint8Array(0)), 'HEADER', /length 0/);
+  rejects(() => parseHeader(Uint8Array.from([...h, 0])), 'HEADER', /length 31/);
+  const reserved = h.slice(); reserved[25] = 1;
+  rejects(() => parseHeader(reserved), 'HEADER', /reserved/);
+  const grad = h.slice(); grad[22] = 9;
+  rejects(() => parseHeader(grad), 'HEADER', /gradient/);
+  rejects(() => parseHeader(h, 2), 'HEADER', /schema version 2/);
+});
+
+test('header: out-of-range geometry is rejected on both sides', () => {
+  const withField = (off, v) => { const h = buildHeader({}); new DataView(h.buffer).setUint16(off, v, false); return h; };
+  rejects(() => parseHeader(withField(4, 0)), 'HEADER', /framebuffer 0x512/);
+  rejects(() => parseHeader(withField(6, 5000)), 'HEADER', /framebuffer 512x5000/);
+  rejects(() => parseHeader(withField(8, 0)), 'HEADER', /targetFPS 0/);
+  rejects(() => parseHeader(withField(8, 500)), 'HEADER', /targetFPS 500/);
+  rejects(() => parseHeader(withField(10, 0)), 'HEADER', /input grid 0x64/);
+  rejects(() => parseHeader(withField(12, 300)), 'HEADER', /input grid 64x300/);
+  rejects(() => buildHeader({fbWidth: 32, fbHeight: 32, ioGridX: 64}), 'HEADER', /finer than/);
+  assert.equal(parseHeader(buildHeader({fbWidth: 16, fbHeight: 4096, ioGridX: 16, ioGridY: 256, targetFPS: 120})).fbHeight, 4096);
+});
+
+test('truth table: counts, key lengths, truncation, duplicates and trailing bytes are rejected', () => {
+  const {payload} = buildTruthTable([{rect: {x: 0, y: 0, w: 16, h: 8}, cmd: 3}], geom);
+  assert.equal(decodeTruthTable(payload).size, 2);
+  rejects(() => decodeTruthTable(new Uint8Array(3)), 'TRUTH_TABLE', /truncated record count/);
+  const count = payload.slice(); count[3] = 3;
+  rejects(() => decodeTruthTable(count), 'TRUTH_TABLE', /does not fit/);
+  const huge = payload.slice(); huge[0] = 0xFF;
+  rejects(() => decodeTruthTable(huge), 'TRUTH_TABLE', /does not fit/);
+  const keyLen = payload.slice(); keyLen[4] = 7;
+  rejects(() => decodeTruthTable(keyLen), 'TRUTH_TABLE', /key length 7/);
+  const dup = payload.slice(); dup.set(payload.subarray(4, 11), 13);
+  rejects(() => decodeTruthTable(dup), 'TRUTH_TABLE', /repeats a key/);
+  rejects(() => decodeTruthTable(Uint8Array.from([...payload, 0])), 'TRUTH_TABLE', /1 trailing bytes/);
+  const short = payload.slice(0, payload.length - 1); short[3] = 2;
+  rejects(() => decodeTruthTable(short), 'TRUTH_TABLE', /does not fit/);
+  assert.throws(() => buildTruthTable([{rect: {x: 0, y: 0, w: 8, h: 8}, cmd: 0x10000}], geom), FormatError);
+});
+
+test('string table: overruns, bad UTF-8, duplicates and trailing bytes are rejected', () => {
+  const payload = buildStringTable({a: 'xy', b: 'z'});
+  rejects(() => decodeStringTable(payload.subarray(0, 1)), 'STRING_TABLE', /truncated entry count/);
+  rejects(() => decodeStringTable(payload.subarray(0, payload.length - 1)), 'STRING_TABLE', /truncated entry 1 value/);
+  const overrun = payload.slice(); overrun[3] = 0xFF;
+  rejects(() => decodeStringTable(overrun), 'STRING_TABLE', /truncated entry 0 key/);
+  const utf8 = payload.slice(); utf8[4] = 0xC3;
+  rejects(() => decodeStringTable(utf8), 'STRING_TABLE', /not valid UTF-8/);
+  const one = buildStringTable({a: '1'}).subarray(2);
+  rejects(() => decodeStringTable(Uint8Array.from([0, 2, ...one, ...one])), 'STRING_TABLE', /duplicate key "a"/);
+  rejects(() => decodeStringTable(Uint8Array.from([...payload, 0, 0])), 'STRING_TABLE', /2 trailing bytes/);
+  rejects(() => decodeStringTable(payload, 0), 'STRING_TABLE', /schema version 0/);
+  const proto = decodeStringTable(buildStringTable({['__proto__']: 'x'}));
+  assert.equal(proto['__proto__'], 'x');
+  assert.equal(Object.getPrototypeOf(proto), null);
+});
+
+const layout = {
+  board: {x: 24, y: 72, w: 320, h: 320, cellPx: 16},
+  buttons: [
+    {x: 0, y: 0, w: 16, h: 8, cmd: 1, label: '▲'},
+    {x: 496, y: 504, w: 16, h: 8, cmd: 7, label: ''},
+  ],
+};
+const fb = {fbWidth: 512, fbHeight: 512};
+
+test('layout round-trips and drives the truth table', () => {
+  assert.deepEqual(decodeLayout(buildLayout(layout)), layout);
+  const map = decodeTruthTable(buildTruthTable(layoutRegions(layout), geom).payload);
+  assert.equal(map.get(keyToStr(packKey({regionId: 1}))), 1);
+  assert.equal(map.get(keyToStr(packKey({regionId: 62 + 63*64}))), 7);
+});
+
+test('layout: regions outside the framebuffer or empty are rejected', () => {
+  assert.deepEqual(validateLayout(layout, fb), layout);
+  const moved = (patch) => ({...layout, buttons: [...layout.buttons, {x: 0, y: 0, w: 8, h: 8, cmd: 9, label: 'Load', ...patch}]});
+  rejects(() => validateLayout(moved({y: 628, h: 52}), fb), 'LAYOUT', /button 2 "Load" \(0,628 8x52\) is outside the 512x512 framebuffer/);
+  rejects(() => validateLayout(moved({x: 510}), fb), 'LAYOUT', /outside/);
+  rejects(() => validateLayout(moved({w: 0}), fb), 'LAYOUT', /button 2 "Load" is empty/);
+  rejects(() => validateLayout({...layout, board: {...layout.board, h: 500}}, fb), 'LAYOUT', /board .* outside/);
+  rejects(() => validateLayout({...layout, board: {...layout.board, cellPx: 0}}, fb), 'LAYOUT', /cellPx/);
+});
+
+test('layout: malformed payloads are rejected', () => {
+  const payload = buildLayout(layout);
+  rejects(() => decodeLayout(payload.subarray(0, 11)), 'LAYOUT', /truncated button count/);
+  rejects(() => decodeLayout(payload.subarray(0, payload.length - 1)), 'LAYOUT', /truncated button 1/);
+  rejects(() => decodeLayout(Uint8Array.from([...payload, 0])), 'LAYOUT', /trailing/);
+  const label = payload.slice(); label[23] = 0xFF;
+  rejects(() => decodeLayout(label), 'LAYOUT', /label is not valid UTF-8/);
+  rejects(() => decodeLayout(payload, 2), 'LAYOUT', /schema version 2/);
+  rejects(() => buildLayout({...layout, buttons: [{...layout.buttons[0], cmd: -1}]}), 'LAYOUT', /cmd -1/);
+});
+
+test('palette round-trips RGBA entries', () => {
+  const colors = [[7, 9, 18, 255], [120, 240, 180, 242], [0, 0, 0, 0]];
+  const payload = buildPalette(colors);
+  assert.equal(payload.length, 2 + 3*4);
+  assert.deepEqual(decodePalette(payload), colors);
+});
+
+test('palette: empty, oversized, truncated or ill-typed palettes are rejected', () => {
+  const reject = (fn, re) => assert.throws(fn, e => e instanceof FormatError && e.block === 'LUT_PALETTE' && re.test(e.message));
+  reject(() => buildPalette([]), /0 entries/);
+  reject(() => buildPalette(Array.from({length: 257}, () => [0, 0, 0, 0])), /257 entries/);
+  reject(() => buildPalette([[0, 0, 256, 0]]), /entry 0/);
+  reject(() => buildPalette([[0, 0, 0]]), /entry 0/);
+  const ok = buildPalette([[1, 2, 3, 4], [5, 6, 7, 8]]);
+  reject(() => decodePalette(Uint8Array.from([0, 0])), /0 entries/);
+  reject(() => decodePalette(Uint8Array.from([1, 1])), /257 entries/);
+  reject(() => decodePalette(ok.subarray(0, ok.length - 1)), /truncated entry 1/);
+  reject(() => decodePalette(Uint8Array.from([...ok, 0])), /trailing/);
+  reject(() => decodePalette(ok, 2), /schema version/);
+});
+
+test('FS archives round-trip with sorted paths and per-file CRCs', () => {
+  const payload = buildFs({'levels/2.txt': 'two', 'levels/1.txt': 'one', 'sprites/snake.bin': Uint8Array.from([1, 2, 3])});
+  assert.deepEqual(buildFs([{path: 'sprites/snake.bin', data: Uint8Array.from([1, 2, 3])}, {path: 'levels/1.txt', data: 'one'}, {path: 'levels/2.txt', data: 'two'}]), payload);
+  const files = decodeFs(payload);
+  assert.deepEqual(files.map(f => [f.path, f.size]), [['levels/1.txt', 3], ['levels/2.txt', 3], ['sprites/snake.bin', 3]]);
+  assert.equal(new TextDecoder().decode(files[1].data), 'two');
+  assert.deepEqual(decodeFs(buildFs({})), []);
+});
+
+test('FS: bad paths, duplicates, CRC mismatches and overruns are rejected', () => {
+  const reject = (fn, re) => assert.throws(fn, e => e instanceof FormatError && e.block === 'FS' && re.test(e.message));
+  for(const path of ['', '/abs', 'a//b', 'a/../b', './a', 'x'.repeat(256)]) reject(() => buildFs({[path]: 'x'}), /path/);
+  reject(() => buildFs([{path: 'a', data: 'x'}, {path: 'a', data: 'y'}]), /duplicate/);
+  reject(() => buildFs({a: 42}), /not bytes or text/);
+
+  const ok = buildFs({a: 'xy', b: 'z'});
+  const bad = ok.slice(); bad[bad.length - 1] ^= 1;
+  reject(() => decodeFs(bad), /CRC mismatch in "b"/);
+  reject(() => decodeFs(ok.subarray(0, ok.length - 1)), /truncated data of "b"/);
+  reject(() => decodeFs(Uint8Array.from([...ok, 0])), /trailing/);
+  const dup = ok.slice(); dup[2 + 1 + 1 + 8 + 1] = 'a'.charCodeAt(0); // second path "b" -> "a"
+  reject(() => decodeFs(dup), /duplicate path "a"/);
+  reject(() => decodeFs(ok, 2), /schema version/);
+});
+
+test('tiles round-trip as palette indices', () => {
+  const tiles = [Uint8Array.from([0, 1, 2, 3, 4, 5]), Uint8Array.from([9, 9, 9, 0, 0, 0])];
+  const payload = buildTiles({w: 3, h: 2, tiles});
+  assert.equal(payload.length, 4 + 12);
+  const t = decodeTiles(payload);
+  assert.deepEqual([t.w, t.h, t.count], [3, 2, 2]);
+  assert.deepEqual(t.pixels, Uint8Array.from([...tiles[0], ...tiles[1]]));
+  assert.equal(validateTiles(t, 10), t);
+});
+
+test('tiles: bad sizes, short tiles, overruns and colors past the palette are rejected', () => {
+  const reject = (fn, re) => assert.throws(fn, e => e instanceof FormatError && e.block === 'TILES' && re.test(e.message));
+  reject(() => buildTiles({w: 0, h: 8, tiles: [new Uint8Array(0)]}), /tile size 0x8/);
+  reject(() => buildTiles({w: 33, h: 8, tiles: [new Uint8Array(33*8)]}), /tile size 33x8/);
+  reject(() => buildTiles({w: 2, h: 2, tiles: []}), /0 tiles/);
+  reject(() => buildTiles({w: 2, h: 2, tiles: [new Uint8Array(3)]}), /tile 0 is not 4 bytes/);
+  const ok = buildTiles({w: 2, h: 2, tiles: [Uint8Array.from([1, 0, 0, 1]), Uint8Array.from([0, 7, 0, 0])]});
+  reject(() => decodeTiles(ok.subarray(0, ok.length - 1)), /truncated tile data/);
+  reject(() => decodeTiles(Uint8Array.from([...ok, 0])), /trailing/);
+  reject(() => decodeTiles(Uint8Array.from([2, 2, 0, 0])), /0 tiles/);
+  reject(() => decodeTiles(ok, 2), /schema version/);
+  reject(() => validateTiles(decodeTiles(ok), 7), /tile 1 uses color 7 outside the 7-entry palette/);
+});
+
+test('sounds round-trip note sequences per channel', () => {
+  const sounds = [
+    {channel: 0, loop: false, steps: [[60, 4, 15, 0], [0, 2, 0, 0], [72, 10, 12, 3]]},
+    {channel: 3, loop: true, steps: [[16, 255, 8, 15]]},
+  ];
+  const payload = buildSounds(sounds);
+  assert.equal(payload.length, 1 + 4 + 9 + 4 + 3);
+  assert.deepEqual(decodeSounds(payload), sounds);
+  assert.deepEqual(decodeSounds(buildSounds([{channel: 2, steps: [[69, 1, 15]]}])), [{channel: 2, loop: false, steps: [[69, 1, 15, 0]]}]);
+});
+
+test('sounds: bad channels, notes, lengths, flags and overruns are rejected', () => {
+  const reject = (fn, re) => assert.throws(fn, e => e instanceof FormatError && e.block === 'SOUNDS' && re.test(e.message));
+  const one = (channel, step) => buildSounds([{channel, steps: [step]}]);
+  reject(() => buildSounds([]), /0 sounds/);
+  reject(() => buildSounds([{channel: 0, steps: []}]), /sound 0 has 0 steps/);
+  reject(() => one(4, [60, 1, 15]), /channel 4/);
+  reject(() => one(0, [128, 1, 15]), /note 128 on channel 0/);
+  reject(() => one(3, [17, 1, 15]), /note 17 on channel 3, expected 0..16/);
+  reject(() => one(0, [60, 0, 15]), /length 0/);
+  reject(() => one(0, [60, 1, 16]), /volume 16/);
+  const ok = one(1, [60, 8, 15, 2]);
+  reject(() => decodeSounds(ok.subarray(0, ok.length - 1)), /truncated sound 0 step 0/);
+  reject(() => decodeSounds(Uint8Array.from([...ok, 0])), /trailing/);
+  const flags = ok.slice(); flags[2] = 2;
+  reject(() => decodeSounds(flags), /unknown flags/);
+  const note = ok.slice(); note[1] = 3; // the note is too high for the noise channel
+  reject(() => decodeSounds(note), /note 60 on channel 3/);
+  reject(() => decodeSounds(Uint8Array.from([0])), /0 sounds/);
+  reject(() => decodeSounds(ok, 2), /schema version/);
+});
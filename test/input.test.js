@@ -0,0 +1,51 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {swipeGesture, pressTouch, longPressTouch, releaseTouches, LONG_PRESS_MS, SWIPE_MIN, STILL_MAX} from '../input.js';
+import {TouchType, Gesture, TIME_BUCKET_MS} from '../format.js';
+
+const types = (touches) => touches.map(t => t.touchType);
+
+test('a press is looked up as PRESS', () => {
+  assert.deepEqual(pressTouch(), {touchType: TouchType.PRESS, gestureId: Gesture.NONE, timeBucket: 0});
+});
+
+test('a long press needs the pointer to stay within STILL_MAX', () => {
+  assert.deepEqual(longPressTouch(0, 0), {touchType: TouchType.LONG_PRESS, gestureId: Gesture.NONE, timeBucket: 1 + Math.floor(LONG_PRESS_MS / TIME_BUCKET_MS)});
+  assert.equal(longPressTouch(STILL_MAX, 0).touchType, TouchType.LONG_PRESS);
+  assert.equal(longPressTouch(0, -STILL_MAX).touchType, TouchType.LONG_PRESS);
+  assert.equal(longPressTouch(STILL_MAX + 0.01, 0), null);
+  assert.equal(longPressTouch(6, 6), null); // 8.49 px on the diagonal
+});
+
+test('a short move is a TAP, then RELEASE; a long press leaves only RELEASE', () => {
+  assert.deepEqual(types(releaseTouches(0, 0, 100, false)), [TouchType.TAP, TouchType.RELEASE]);
+  assert.deepEqual(types(releaseTouches(STILL_MAX, 0, 100, false)), [TouchType.TAP, TouchType.RELEASE]);
+  assert.deepEqual(types(releaseTouches(0, 0, 900, true)), [TouchType.RELEASE]);
+  // Between STILL_MAX and SWIPE_MIN the move is neither a tap nor a swipe.
+  assert.deepEqual(types(releaseTouches(STILL_MAX + 1, 0, 100, false)), [TouchType.RELEASE]);
+  assert.deepEqual(types(releaseTouches(SWIPE_MIN - 0.01, 0, 100, false)), [TouchType.RELEASE]);
+});
+
+test('a move of SWIPE_MIN or more is a swipe in its dominant direction', () => {
+  const swipe = (dx, dy) => releaseTouches(dx, dy, 100, false)[0];
+  assert.deepEqual(swipe(SWIPE_MIN, 0), {touchType: TouchType.SWIPE, gestureId: Gesture.SWIPE_RIGHT, timeBucket: 0});
+  assert.equal(swipe(-SWIPE_MIN, 0).gestureId, Gesture.SWIPE_LEFT);
+  assert.equal(swipe(0, SWIPE_MIN).gestureId, Gesture.SWIPE_DOWN);
+  assert.equal(swipe(0, -SWIPE_MIN).gestureId, Gesture.SWIPE_UP);
+  assert.equal(swipe(17, 17).touchType, TouchType.SWIPE); // 24.04 px on the diagonal
+  assert.deepEqual(types(releaseTouches(30, 0, 100, true)), [TouchType.SWIPE, TouchType.RELEASE]); // after a long press too
+  // Ties go horizontal.
+  assert.equal(swipeGesture(20, -20), Gesture.SWIPE_RIGHT);
+  assert.equal(swipeGesture(-20, 20), Gesture.SWIPE_LEFT);
+  assert.equal(swipeGesture(19, -20), Gesture.SWIPE_UP);
+});
+
+test('RELEASE carries the hold time in TIME_BUCKET_MS buckets', () => {
+  const bucket = (ms) => releaseTouches(0, 0, ms, false).at(-1).timeBucket;
+  assert.equal(bucket(0), 1);
+  assert.equal(bucket(TIME_BUCKET_MS - 1), 1);
+  assert.equal(bucket(TIME_BUCKET_MS), 2);
+  assert.equal(bucket(LONG_PRESS_MS), 3);
+  assert.equal(bucket(-5), 1); // clock skew
+  assert.equal(bucket(1e9), 255);
+});
@@ -0,0 +1,90 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {buildApp15Block, injectBeforeSOS, scanMarkers, BlockType, APP15, SOS} from '../ppujpeg.js';
+import {buildHeader, buildStringTable, buildTruthTable, TouchType, Gesture} from '../format.js';
+import {buildSnakeBytecode} from '../snake.js';
+import {Feature} from '../vm.js';
+import {inspectCartridge, formatInspection, truthGroups, disassemblyAround, hexDump, describeVM} from '../inspect.js';
+import {fixtureJpeg, snakeVM} from './fixtures.js';
+
+const geom = {vw: 64, vh: 64, gridX: 8, gridY: 8};
+
+function cartridge({corruptStrings=false} = {}){
+  const {bytecode, entryPoint, frameEntry} = buildSnakeBytecode();
+  const truth = buildTruthTable([
+    {rect: {x: 0, y: 0, w: 16, h: 8}, cmd: 1},
+    {rect: {x: 0, y: 32, w: 64, h: 32}, cmd: 4, touchType: TouchType.SWIPE, gestureId: Gesture.SWIPE_RIGHT},
+  ], geom);
+  const segs = [
+    buildApp15Block({blockType: BlockType.HEADER, payloadU8: buildHeader({entryPoint, frameEntry, fbWidth: 64, fbHeight: 64, ioGridX: 8, ioGridY: 8, featureFlags: Feature.CORE | Feature.DISPLAY | Feature.AUDIO})}),
+    buildApp15Block({blockType: BlockType.BYTECODE, payloadU8: bytecode, flags: {crc: true, compressed: true}}),
+    buildApp15Block({blockType: BlockType.TRUTH_TABLE, payloadU8: truth.payload}),
+    buildApp15Block({blockType: BlockType.STRING_TABLE, payloadU8: buildStringTable({title: 'Snake'})}),
+  ];
+  if(corruptStrings) segs[3][14] ^= 0xFF;
+  return injectBeforeSOS(fixtureJpeg(), segs);
+}
+
+test('the marker walk lists every segment with PPUJ fields and CRC state', () => {
+  const {markers, error} = scanMarkers(cartridge());
+  assert.equal(error, null);
+  assert.deepEqual(markers.map(m => m.marker), [0xD8, 0xE0, 0xDB, 0xC0, 0xC4, 0xC4, APP15, APP15, APP15, APP15, SOS, 0xD9]);
+  const ppuj = markers.filter(m => m.ppuj).map(m => m.ppuj);
+  assert.deepEqual(ppuj.map(s => s.blockType), [BlockType.HEADER, BlockType.BYTECODE, BlockType.TRUTH_TABLE, BlockType.STRING_TABLE]);
+  assert.ok(ppuj.every(s => s.crc === 'ok' && !s.problem));
+  assert.equal(ppuj[1].flags & 2, 2);
+
+  assert.match(scanMarkers(new Uint8Array([0xFF, 0xD8, 0xFF, 0xE0, 0x00, 0x40])).error, /overruns/);
+  assert.match(scanMarkers(new Uint8Array(8)).error, /missing SOI/);
+});
+
+test('a sound cartridge decodes every table and passes the verifier', () => {
+  const r = inspectCartridge(cartridge());
+  assert.equal(r.parseError, null);
+  assert.equal(r.header.fbWidth, 64);
+  const by = Object.fromEntries(r.blocks.map(b => [b.name, b]));
+  assert.equal(by.BYTECODE.value.ok, true);
+  assert.equal(by.STRING_TABLE.value.title, 'Snake');
+  const groups = truthGroups(by.TRUTH_TABLE.value);
+  assert.deepEqual(groups.map(g => [g.cmd, g.touchType, g.gestureId, g.regions.length]), [[1, TouchType.PRESS, 0, 2], [4, TouchType.SWIPE, Gesture.SWIPE_RIGHT, 32]]);
+  assert.deepEqual(groups[0].regions, [0, 1]);
+
+  const text = formatInspection(r);
+  assert.match(text, /APP15 len \d+ +PPUJ HEADER v1 \[crc\] 30 B, crc ok/);
+  assert.match(text, /mode 0 SWIPE SWIPE_RIGHT -> cmd 4 \(32 cells\)/);
+  assert.match(text, /verifier: ok/);
+});
+
+test('a rejected container still shows the segments that stand alone', () => {
+  const r = inspectCartridge(cartridge({corruptStrings: true}));
+  assert.match(r.parseError, /CRC32 mismatch/);
+  const bad = r.markers.find(m => m.ppuj?.blockType === BlockType.STRING_TABLE).ppuj;
+  assert.equal(bad.crc, 'bad');
+  assert.deepEqual(r.blocks.map(b => b.name), ['HEADER', 'BYTECODE', 'TRUTH_TABLE']);
+  assert.equal(r.blocks[1].value.ok, true);
+  assert.match(formatInspection(r), /Container rejected: CRC32 mismatch/);
+});
+
+test('VM views: disassembly marks pc, RAM dumps in rows, registers and render state', () => {
+  const vm = snakeVM();
+  vm.runFrame();
+  const code = disassemblyAround(vm.code, vm.frameEntry, {frameEntry: vm.frameEntry, context: 2});
+  const lines = code.split('\n');
+  const at = lines.findIndex(l => l.startsWith('>'));
+  assert.equal(lines.filter(l => l.startsWith('>')).length, 1);
+  assert.equal(lines[at-1], 'frame:');
+  assert.match(lines[at], /^> 0x[0-9A-F]{4} {2}\S/);
+  assert.equal(lines.length, 6); // two either side, plus the label
+
+  vm.ram.set([0x41, 0x42, 0x00], 0x20);
+  const dump = hexDump(vm.ram, 0x25, 32).split('\n');
+  assert.equal(dump.length, 2);
+  assert.match(dump[0], /^0x0020  41 42 00 /);
+  assert.match(dump[0], / {2}AB\.{14}$/);
+
+  const st = describeVM(vm);
+  assert.match(st, /^pc=0x[0-9A-F]{4} sp=0x10000 mode=\d+ tick=0 cmd=0/);
+  assert.match(st, /boardW: 20/);
+  assert.match(st, /cells: \d+ of 400 set/);
+  assert.match(st, /display: \d+ commands \(1 clear, \d+ tile, 1 text\)/);
+});
@@ -0,0 +1,36 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {PaletteSlot, PaletteVariant, DEFAULT_PALETTE, GAME_COLORS, resolvePalette, paletteVariant, cssColor} from '../palette.js';
+
+test('short palettes are padded from the defaults to cover every slot', () => {
+  const p = resolvePalette([[1, 2, 3, 255], [4, 5, 6, 255]]);
+  assert.equal(p.length, DEFAULT_PALETTE.length);
+  assert.deepEqual(p[0], [1, 2, 3, 255]);
+  assert.deepEqual(p[PaletteSlot.TEXT], DEFAULT_PALETTE[PaletteSlot.TEXT]);
+  assert.deepEqual(resolvePalette(null), DEFAULT_PALETTE.map(c => [...c]));
+  const long = Array.from({length: 40}, (_, i) => [i, i, i, 255]);
+  assert.equal(resolvePalette(long).length, 40);
+});
+
+test('variants keep game colors distinct and leave the cartridge palette alone', () => {
+  const cart = [[10, 10, 10, 255], [1, 1, 1, 255], [2, 2, 2, 255], [3, 3, 3, 255], [4, 4, 4, 255]];
+  assert.deepEqual(paletteVariant(cart, PaletteVariant.CARTRIDGE), resolvePalette(cart));
+
+  for(const variant of [PaletteVariant.COLORBLIND, PaletteVariant.HIGH_CONTRAST]){
+    const p = paletteVariant(cart, variant);
+    const game = p.slice(1, 5).map(c => c.join());
+    assert.equal(new Set(game).size, 4, variant);
+    assert.ok(p.slice(1, GAME_COLORS + 1).every(c => c[3] === 255), variant);
+  }
+  assert.deepEqual(paletteVariant(cart, PaletteVariant.COLORBLIND)[0], [10, 10, 10, 255]);
+
+  const hc = paletteVariant(cart, PaletteVariant.HIGH_CONTRAST);
+  assert.deepEqual(hc[PaletteSlot.BACKGROUND], [0, 0, 0, 255]);
+  assert.deepEqual(hc[PaletteSlot.TEXT], [255, 255, 255, 255]);
+  assert.deepEqual(cart[0], [10, 10, 10, 255]); // input untouched
+});
+
+test('entries become CSS colors', () => {
+  assert.equal(cssColor([7, 9, 18, 255]), 'rgba(7,9,18,1)');
+  assert.equal(cssColor([255, 255, 255, 46]), 'rgba(255,255,255,0.18)');
+});
@@ -0,0 +1,188 @@
+import {test} from 'node:test';
+import {deflateSync} from 'node:zlib';
+import assert from 'node:assert/strict';
+import {buildApp15Block, buildApp15Blocks, injectBeforeSOS, parseCartridge, crc32, BlockType, APP15} from '../ppujpeg.js';
+import {fixtureJpeg, sosOffset} from './fixtures.js';
+
+const bytes = (n, seed=1) => Uint8Array.from({length: n}, (_, i) => (i * 31 + seed) & 0xFF);
+
+// Splice raw bytes (markers, hand-made segments) in front of SOS.
+function spliceBeforeSOS(jpeg, raw){
+  const at = sosOffset(jpeg);
+  const out = new Uint8Array(jpeg.length + raw.length);
+  out.set(jpeg.subarray(0, at), 0);
+  out.set(raw, at);
+  out.set(jpeg.subarray(at), at + raw.length);
+  return out;
+}
+
+// APP15 segment around a PPUJ payload.
+function app15(payload){
+  return Uint8Array.from([0xFF, APP15, (payload.length + 2) >> 8, (payload.length + 2) & 0xFF, ...payload]);
+}
+
+test('round-trips blocks in order, leaving the image data intact', () => {
+  const jpeg = fixtureJpeg();
+  const header = bytes(32), code = bytes(900, 7);
+  const cart = injectBeforeSOS(jpeg, [
+    buildApp15Block({blockType: BlockType.HEADER, payloadU8: header}),
+    buildApp15Block({blockType: BlockType.BYTECODE, payloadU8: code, flags: {crc: true, compressed: true}}),
+    buildApp15Block({blockType: BlockType.STRING_TABLE, payloadU8: bytes(5), flags: {crc: false}}),
+  ]);
+  assert.deepEqual(cart.subarray(cart.length - (jpeg.length - sosOffset(jpeg))), jpeg.subarray(sosOffset(jpeg)));
+  const blocks = parseCartridge(cart);
+  assert.deepEqual(blocks.map(b => b.blockType), [BlockType.HEADER, BlockType.BYTECODE, BlockType.STRING_TABLE]);
+  assert.deepEqual(blocks[0].payload, header);
+  assert.deepEqual(blocks[1].payload, code);
+  assert.equal(blocks[1].flags & 2, 2);
+  assert.deepEqual(blocks[2].payload, bytes(5));
+});
+
+test('a plain JPEG has no blocks', () => {
+  assert.deepEqual(parseCartridge(fixtureJpeg()), []);
+});
+
+test('round-trips chunked blocks', () => {
+  const big = bytes(150_000, 3);
+  const segs = buildApp15Blocks({blockType: BlockType.BYTECODE, payloadU8: big, blockId: 4});
+  assert.equal(segs.length, 3);
+  const blocks = parseCartridge(injectBeforeSOS(fixtureJpeg(), segs));
+  assert.equal(blocks.length, 1);
+  assert.deepEqual(blocks[0].payload, big);
+});
+
+// A block too big for one segment, split into four chunks for the chunk checks below.
+function chunks(){
+  return buildApp15Blocks({blockType: BlockType.BYTECODE, payloadU8: bytes(70_000, 5), blockId: 9, maxChunk: 20_000});
+}
+
+// Edit a PPUJ payload and fix up its CRC.
+function edited(pl, edit){
+  const out = pl.slice();
+  edit(out);
+  new DataView(out.buffer).setUint32(out.length - 4, crc32(out.subarray(0, out.length - 4)), false);
+  return out;
+}
+
+const parseSegs = (segs) => parseCartridge(injectBeforeSOS(fixtureJpeg(), segs));
+
+test('rejects missing chunks', () => {
+  const [c0, c1, c2, c3] = chunks();
+  assert.deepEqual(parseSegs([c0, c1, c2, c3])[0].payload, bytes(70_000, 5));
+  assert.throws(() => parseSegs([c0, c1, c2]), /missing chunks \(block 9: 3\/4\)/);
+  assert.throws(() => parseSegs([c0, c1, c3]), /out of order \(block 9, expected seq 2, got 3\)/);
+  assert.throws(() => parseSegs([c1, c2, c3]), /out of order \(block 9, seq 1 before seq 0\)/);
+});
+
+test('rejects duplicate chunks', () => {
+  const [c0, c1, c2, c3] = chunks();
+  assert.throws(() => parseSegs([c0, c1, c1, c2, c3]), /Duplicate PPUJ chunk \(block 9, seq 1\)/);
+  assert.throws(() => parseSegs([c0, c0, c1, c2, c3]), /Duplicate PPUJ chunk \(block 9, seq 0\)/);
+  assert.throws(() => parseSegs([c0, c1, c2, c3, c3]), /Duplicate PPUJ chunk \(block 9, seq 3\)/);
+});
+
+test('rejects out-of-order chunks and chunks that disagree on the block', () => {
+  const [c0, c1, c2, c3] = chunks();
+  assert.throws(() => parseSegs([c0, c2, c1, c3]), /out of order \(block 9, expected seq 1, got 2\)/);
+  const recount = edited(c1, pl => { pl[17] = 5; });
+  assert.throws(() => parseSegs([c0, recount, c2, c3]), /chunk header mismatch \(block 9, seq 1\)/);
+  const zero = edited(c0, pl => { pl[17] = 0; });
+  assert.throws(() => parseSegs([zero]), /chunk count is zero/);
+});
+
+test('rejects a bad CRC on a chunk or on the whole chunked block', () => {
+  const [c0, c1, c2, c3] = chunks();
+  const flipped = c2.slice(); flipped[30] ^= 1;
+  assert.throws(() => parseSegs([c0, c1, flipped, c3]), /^Error: CRC32 mismatch$/);
+  // Every segment CRC is right, but the reassembled payload does not match the whole-block CRC.
+  const whole = [c0, c1, c2, c3].map(c => edited(c, pl => { pl[23] ^= 1; }));
+  assert.throws(() => parseSegs(whole), /CRC32 mismatch \(chunked block 9\)/);
+});
+
+test('rejects a CRC mismatch', () => {
+  const seg = buildApp15Block({blockType: BlockType.HEADER, payloadU8: bytes(16)});
+  seg[14] ^= 0x01;
+  assert.throws(() => parseCartridge(injectBeforeSOS(fixtureJpeg(), [seg])), /CRC32 mismatch/);
+});
+
+test('rejects a declared length that disagrees with the segment', () => {
+  const seg = buildApp15Block({blockType: BlockType.HEADER, payloadU8: bytes(16)});
+  seg[11] += 1;
+  assert.throws(() => parseCartridge(injectBeforeSOS(fixtureJpeg(), [seg])), /length mismatch/);
+});
+
+test('rejects the encrypted flag', () => {
+  const seg = buildApp15Block({blockType: BlockType.HEADER, payloadU8: bytes(16), flags: {crc: false}});
+  seg[6] |= 4;
+  assert.throws(() => parseCartridge(injectBeforeSOS(fixtureJpeg(), [seg])), /Encrypted/);
+  // With a valid CRC over the flag, and on a chunk.
+  const withCrc = edited(buildApp15Block({blockType: BlockType.HEADER, payloadU8: bytes(16)}), pl => { pl[6] |= 4; });
+  assert.throws(() => parseSegs([withCrc]), /Encrypted/);
+  const [c0, c1, c2, c3] = chunks();
+  assert.throws(() => parseSegs([c0, edited(c1, pl => { pl[6] |= 4; }), c2, c3]), /Encrypted/);
+});
+
+test('rejects truncated segments', () => {
+  const cart = injectBeforeSOS(fixtureJpeg(), [buildApp15Block({blockType: BlockType.HEADER, payloadU8: bytes(16)})]);
+  const app = cart.indexOf(APP15, 2) - 1;
+  assert.throws(() => parseCartridge(cart.subarray(0, app + 10)), /segment overruns file/);
+  assert.throws(() => parseCartridge(cart.subarray(0, app + 3)), /truncated segment length/);
+  assert.throws(() => parseCartridge(cart.subarray(0, app + 1)), /truncated marker/);
+  assert.throws(() => parseCartridge(Uint8Array.from([0xFF, 0xD8, 0xFF, 0xE0, 0x00, 0x01])), /invalid segment length/);
+  assert.throws(() => parseCartridge(Uint8Array.from([0x00, 0x00, 0xFF])), /missing SOI/);
+});
+
+test('skips RST and TEM markers before SOS', () => {
+  const jpeg = spliceBeforeSOS(fixtureJpeg(), Uint8Array.from([0xFF, 0x01, 0xFF, 0xD0, 0xFF, 0xD7]));
+  const payload = bytes(40);
+  const blocks = parseCartridge(injectBeforeSOS(jpeg, [buildApp15Block({blockType: BlockType.HEADER, payloadU8: payload})]));
+  assert.equal(blocks.length, 1);
+  assert.deepEqual(blocks[0].payload, payload);
+});
+
+test('ignores APP15 segments without the PPUJ magic', () => {
+  const jpeg = spliceBeforeSOS(fixtureJpeg(), app15(Uint8Array.from([0x41, 0x42, 0x43, 0x44, ...bytes(20)])));
+  assert.deepEqual(parseCartridge(jpeg), []);
+});
+
+test('enforces maxTotal on stored and inflated bytes', () => {
+  const seg = buildApp15Block({blockType: BlockType.BYTECODE, payloadU8: bytes(1000)});
+  const cart = injectBeforeSOS(fixtureJpeg(), [seg, seg]);
+  assert.equal(parseCartridge(cart, {maxTotal: 2000}).length, 2);
+  assert.throws(() => parseCartridge(cart, {maxTotal: 1999}), /Cartridge too large/);
+
+  // Compresses to a few bytes, so only the inflate bound can catch it.
+  const zeros = buildApp15Block({blockType: BlockType.BYTECODE, payloadU8: new Uint8Array(50_000), flags: {crc: true, compressed: true}});
+  const bomb = injectBeforeSOS(fixtureJpeg(), [zeros]);
+  assert.equal(parseCartridge(bomb).length, 1);
+  assert.throws(() => parseCartridge(bomb, {maxTotal: 10_000}), /decompression failed/);
+});
+
+// A compressed block carrying a zlib stream made elsewhere, with a valid segment CRC.
+const zlibBlock = (stream) => edited(buildApp15Block({blockType: BlockType.BYTECODE, payloadU8: stream}), pl => { pl[6] |= 2; });
+
+test('inflates standard zlib streams: dynamic Huffman and stored blocks', () => {
+  const text = new TextEncoder().encode(Array.from({length: 400}, (_, i) => `frame ${i}: score ${i * 7 % 113}, snake at ${i % 20},${i * 3 % 20}\n`).join(''));
+  const dynamic = deflateSync(text, {level: 9}), stored = deflateSync(text, {level: 0});
+  // BTYPE of the first block: 2 dynamic Huffman, 0 stored.
+  assert.equal((dynamic[2] >> 1) & 3, 2);
+  assert.equal((stored[2] >> 1) & 3, 0);
+  for(const stream of [dynamic, stored]){
+    const blocks = parseSegs([zlibBlock(stream)]);
+    assert.equal(blocks.length, 1);
+    assert.deepEqual(blocks[0].payload, text);
+  }
+});
+
+test('fails closed on a bad Adler-32 or a truncated zlib stream', () => {
+  const stream = deflateSync(bytes(5000, 9), {level: 9});
+  assert.deepEqual(parseSegs([zlibBlock(stream)])[0].payload, bytes(5000, 9));
+  const badAdler = stream.slice();
+  badAdler[badAdler.length - 1] ^= 1;
+  assert.throws(() => parseSegs([zlibBlock(badAdler)]), /decompression failed/);
+  assert.throws(() => parseSegs([zlibBlock(stream.subarray(0, stream.length - 10))]), /decompression failed/);
+});
+
+test('CRC32 matches the standard check value', () => {
+  assert.equal(crc32(new TextEncoder().encode('123456789')), 0xCBF43926);
+});
@@ -0,0 +1,62 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {ReplayRecorder, encodeReplay, decodeReplay, loadReplay, playReplay} from '../replay.js';
+import {P2_CMD_OFFSET} from '../snake.js';
+import {snakeVM, frame} from './fixtures.js';
+
+const ID = 'ab'.repeat(32);
+const START = 5;
+
+// Plays `inputs` ([cmd, cmd2] per tick) live while recording, like the host does.
+function recorded(inputs, opts){
+  const vm = snakeVM(opts);
+  const rec = new ReplayRecorder({digest: ID, startTick: 0});
+  for(const [cmd, cmd2=0] of inputs){
+    frame(vm, cmd, cmd2);
+    rec.record(vm.ioTick, cmd, cmd2);
+  }
+  return {vm, replay: decodeReplay(rec.finish(vm))};
+}
+
+test('a recorded session replays to the same machine state', () => {
+  const {vm, replay} = recorded([[START], [0], [4], [0], [0], [1], [0], [3], [0], [0]]);
+  assert.deepEqual([replay.startTick, replay.tickCount, replay.events.length], [0, 10, 4]);
+  const res = playReplay(replay, () => snakeVM({init: false}));
+  assert.equal(res.ok, true);
+  assert.deepEqual(res.vm.snapshot(), vm.snapshot());
+
+  // A different outcome than recorded is reported, not hidden.
+  const other = decodeReplay(encodeReplay({...replay, finalScore: replay.finalScore + 1}));
+  assert.equal(playReplay(other, () => snakeVM({init: false})).ok, false);
+});
+
+test('replays from another cartridge, truncated or corrupt are refused', () => {
+  const bytes = encodeReplay(recorded([[START], [4]]).replay);
+  assert.equal(loadReplay(bytes, ID).events.length, 2);
+  assert.throws(() => loadReplay(bytes, 'cd'.repeat(32)), /different cartridge/);
+  assert.throws(() => loadReplay(bytes.subarray(0, bytes.length - 1), ID), /truncated/);
+  assert.throws(() => loadReplay(Uint8Array.from([...bytes, 0]), ID), /trailing bytes/);
+  const magic = bytes.slice(); magic[0] = 0;
+  assert.throws(() => loadReplay(magic, ID), /bad magic/);
+  const future = bytes.slice(); future[4] = 3;
+  assert.throws(() => loadReplay(future, ID), /Unsupported replay version 3/);
+});
+
+test('both players\' inputs on the same tick replay to the same game', () => {
+  const inputs = [[START], [4, P2_CMD_OFFSET + 3], [0], [1, P2_CMD_OFFSET + 2], [0, P2_CMD_OFFSET + 4], [0], [0]];
+  const {vm, replay} = recorded(inputs, {players: 2});
+  assert.deepEqual(replay.events.slice(0, 2), [{tick: 1, cmd: START, cmd2: 0}, {tick: 2, cmd: 4, cmd2: P2_CMD_OFFSET + 3}]);
+  assert.equal(replay.events.length, 4);
+  const res = playReplay(replay, () => snakeVM({players: 2, init: false}));
+  assert.equal(res.ok, true);
+  assert.deepEqual(res.vm.ram, vm.ram);
+});
+
+test('v1 replays (one input slot) still decode', () => {
+  const v2 = encodeReplay({digest: ID, startTick: 0, tickCount: 3, finalScore: 0, finalRamCrc: 0, events: [{tick: 1, cmd: START}, {tick: 3, cmd: 4}]});
+  // v1 events have no cmd2 varint: drop the zero after each cmd.
+  const v1 = Uint8Array.from([...v2.subarray(0, 60), 1, START, 2, 4]);
+  v1[4] = 1;
+  assert.deepEqual(decodeReplay(v1).events, [{tick: 1, cmd: START, cmd2: 0}, {tick: 3, cmd: 4, cmd2: 0}]);
+  assert.deepEqual(decodeReplay(v2).events, decodeReplay(v1).events);
+});
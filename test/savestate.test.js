@@ -0,0 +1,106 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {encodeSaveState, decodeSaveState, saveState, loadState} from '../savestate.js';
+import {crc32, BlockType} from '../ppujpeg.js';
+import {signBlocks, verifyCartridgeSignature, generateSigningKey, keyToHex} from '../signature.js';
+import {PPUVM} from '../vm.js';
+import {snakeVM, snakeCart, frame} from './fixtures.js';
+
+const ID = 'ab'.repeat(32);
+const START = 5;
+
+function playedVM(){
+  const vm = snakeVM({players: 2});
+  frame(vm, START);
+  for(let i=0; i<5; i++) frame(vm, i === 2 ? 4 : 0);
+  return vm;
+}
+
+// The same state in the v1 layout: no score2/players/winner, CRC recomputed.
+function asV1(v2){
+  const out = new Uint8Array(v2.length - 8);
+  out.set(v2.subarray(0, 144), 0);
+  out.set(v2.subarray(152), 144);
+  out[4] = 1;
+  new DataView(out.buffer).setUint32(out.length - 4, crc32(out.subarray(0, out.length - 4)), false);
+  return out;
+}
+
+test('save states round-trip the whole machine', () => {
+  const vm = playedVM();
+  const bytes = saveState(vm, ID);
+  const {digest, snapshot} = decodeSaveState(bytes);
+  assert.equal(digest, ID);
+  const {display, ...render} = vm.snapshot().render;
+  assert.deepEqual(snapshot, {...vm.snapshot(), render});
+
+  const other = snakeVM({players: 2});
+  loadState(other, bytes, ID);
+  assert.deepEqual(other.ram, vm.ram);
+  assert.deepEqual(other.reg, vm.reg);
+  frame(vm); frame(other);
+  assert.deepEqual(other.ram, vm.ram);
+});
+
+test('v1 save states load with one-player defaults', () => {
+  const vm = playedVM();
+  const {snapshot} = decodeSaveState(asV1(saveState(vm, ID)));
+  assert.deepEqual(snapshot.ram, vm.ram);
+  assert.equal(snapshot.pc, vm.pc);
+  assert.deepEqual([snapshot.render.score2, snapshot.render.players, snapshot.render.winner], [0, 1, 0]);
+});
+
+test('states from another cartridge, truncated or corrupt are refused, leaving the VM alone', () => {
+  const vm = playedVM();
+  const bytes = saveState(vm, ID);
+  const target = snakeVM();
+  const before = target.snapshot();
+  assert.throws(() => loadState(target, bytes, 'cd'.repeat(32)), /different cartridge/);
+  assert.throws(() => loadState(target, bytes.subarray(0, bytes.length - 1), ID), /length mismatch/);
+  assert.throws(() => loadState(target, bytes.subarray(0, 100), ID), /bad magic/);
+  const flipped = bytes.slice(); flipped[200] ^= 1;
+  assert.throws(() => loadState(target, flipped, ID), /CRC32 mismatch/);
+  const future = bytes.slice(); future[4] = 3;
+  assert.throws(() => loadState(target, future, ID), /Unsupported save state version 3/);
+  assert.deepEqual(target.snapshot(), before);
+});
+
+test('a restored state keeps the board geometry of the loading cartridge\'s LAYOUT', () => {
+  const vm = playedVM();
+  const bytes = saveState(vm, ID);
+  const board = {x: 8, y: 100, cellPx: 12};
+  const other = new PPUVM({...snakeCart({players: 2}), board});
+  loadState(other, bytes, ID);
+  assert.deepEqual([other.render.boardX, other.render.boardY, other.render.cellPx], [8, 100, 12]);
+  assert.deepEqual(other.render.cells, vm.render.cells);
+  other.restore({...vm.snapshot(), render: {...vm.snapshot().render, cellPx: 99, boardX: 1, boardY: 2}});
+  assert.deepEqual([other.render.boardX, other.render.boardY, other.render.cellPx], [8, 100, 12]);
+});
+
+test('out-of-range sp and board sizes are refused', () => {
+  const vm = playedVM();
+  const target = snakeVM();
+  const before = target.snapshot();
+  const snap = vm.snapshot();
+  for(const sp of [0x10004, 0xEFFC, 0xFFFE]){
+    assert.throws(() => loadState(target, encodeSaveState({...snap, sp}, ID), ID), /sp out of range/);
+  }
+  const boardW = 65, boardH = 2;
+  const big = encodeSaveState({...snap, render: {...snap.render, boardW, boardH, cells: new Uint8Array(boardW*boardH)}}, ID);
+  assert.throws(() => loadState(target, big, ID), /board too large/);
+  assert.deepEqual(target.snapshot(), before);
+});
+
+test('the signature covers an embedded save state', async () => {
+  const signer = await generateSigningKey();
+  const policy = {trustedKeys: [keyToHex(signer.publicKeyRaw)]};
+  const code = [{blockType: BlockType.HEADER, payload: Uint8Array.from([1, 2, 3])}, {blockType: BlockType.BYTECODE, payload: Uint8Array.from([1])}];
+  const state = {blockType: BlockType.SAVESTATE, payload: saveState(playedVM(), ID)};
+  const sig = {blockType: BlockType.SIGNATURE, payload: await signBlocks(code, signer)};
+  // Spliced in after signing: the signature no longer matches.
+  const spliced = await verifyCartridgeSignature([...code, state, sig], policy);
+  assert.deepEqual([spliced.ok, spliced.status], [false, 'invalid']);
+  // Re-signed over the state, as the host does when it embeds one.
+  const resigned = {blockType: BlockType.SIGNATURE, payload: await signBlocks([...code, state], signer)};
+  assert.equal((await verifyCartridgeSignature([...code, state, resigned], policy)).status, 'valid');
+});
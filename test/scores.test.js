@@ -0,0 +1,44 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {addEntry, mergeTables, encodeCloudTable, decodeCloudTable, cloudKey, TOP_N} from '../scores.js';
+
+const run = (score, at, replay = null) => ({score, at, replay});
+
+test('entries rank best first, earlier runs first on ties, and the table keeps the top 10', () => {
+  let table = [];
+  for(let i=0;i<TOP_N;i++) table = addEntry(table, run(i * 10, 1000 + i)).table;
+  const tie = run(50, 999);
+  const r = addEntry(table, tie);
+  assert.equal(r.rank, 5); // 90, 80, 70, 60, then the earlier 50
+  assert.equal(r.table.length, TOP_N);
+  assert.equal(r.table.at(-1).score, 10);
+  assert.equal(table.length, TOP_N); // input untouched
+
+  const low = addEntry(r.table, run(5, 1));
+  assert.equal(low.rank, 0);
+  assert.deepEqual(low.table, r.table);
+});
+
+test('merging keeps local entries (and their replays) over cloud copies', () => {
+  const replay = new Uint8Array([1, 2, 3]);
+  const local = [run(30, 3, replay), run(10, 1)];
+  const cloud = [run(40, 4), run(30, 3), run(20, 2)];
+  const merged = mergeTables(local, cloud);
+  assert.deepEqual(merged.map(e => e.score), [40, 30, 20, 10]);
+  assert.equal(merged[1].replay, replay);
+});
+
+test('cloud tables round-trip scores and times and drop malformed entries', () => {
+  const table = [run(12, 1700000000000, new Uint8Array(10)), run(3, 1700000000001)];
+  const text = encodeCloudTable(table);
+  assert.ok(text.length < 4096);
+  assert.deepEqual(decodeCloudTable(text), table.map(e => ({...e, replay: null})));
+  assert.deepEqual(decodeCloudTable('[[5,1],[-1,2],["7",3],[1.5,4],[2,3,4],null]'), [run(5, 1)]);
+  assert.deepEqual(decodeCloudTable('not json'), []);
+  assert.deepEqual(decodeCloudTable(''), []);
+  assert.deepEqual(decodeCloudTable('{"a":1}'), []);
+
+  const full = Array.from({length: TOP_N}, (_, i) => run(2 ** 40 + i, Date.UTC(2100, 0, 1) + i));
+  assert.ok(encodeCloudTable(full).length < 4096);
+  assert.match(cloudKey('ab'.repeat(32)), /^[A-Za-z0-9_-]{1,128}$/);
+});
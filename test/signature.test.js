@@ -0,0 +1,69 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {signBlocks, verifyCartridgeSignature, generateSigningKey, exportSigningKey, importSigningKey, keyToHex, hexToKey, decodeSignature, SIG_VERSION} from '../signature.js';
+import {BlockType} from '../ppujpeg.js';
+
+const blocks = [
+  {blockType: BlockType.HEADER, payload: Uint8Array.from([1, 2, 3, 4])},
+  {blockType: BlockType.BYTECODE, payload: Uint8Array.from([0x01])},
+  {blockType: BlockType.STRING_TABLE, payload: new TextEncoder().encode('title')},
+];
+
+async function signed(signer, list=blocks){
+  return [...list, {blockType: BlockType.SIGNATURE, payload: await signBlocks(list, signer)}];
+}
+
+test('a signed cartridge verifies for a trusted key, and keys survive export', async () => {
+  const signer = await generateSigningKey();
+  const hex = keyToHex(signer.publicKeyRaw);
+  assert.deepEqual(hexToKey(hex.toUpperCase()), signer.publicKeyRaw);
+  const res = await verifyCartridgeSignature(await signed(signer), {trustedKeys: [hex]});
+  assert.deepEqual(res, {ok: true, status: 'valid', signer: hex});
+
+  const again = await importSigningKey(JSON.parse(JSON.stringify(await exportSigningKey(signer))));
+  assert.equal((await verifyCartridgeSignature(await signed(again), {trustedKeys: [hex]})).status, 'valid');
+  assert.deepEqual(decodeSignature((await signed(signer)).at(-1).payload).publicKeyRaw, signer.publicKeyRaw);
+});
+
+test('tampered, reordered or extra blocks break the signature', async () => {
+  const signer = await generateSigningKey();
+  const policy = {trustedKeys: [keyToHex(signer.publicKeyRaw)]};
+  const good = await signed(signer);
+  const tampered = good.map((b, i) => i === 1 ? {...b, payload: Uint8Array.from([0x00])} : b);
+  const reordered = [good[1], good[0], ...good.slice(2)];
+  const extra = [{blockType: BlockType.RULES, payload: Uint8Array.from([9])}, ...good];
+  for(const list of [tampered, reordered, extra]){
+    const res = await verifyCartridgeSignature(list, policy);
+    assert.deepEqual([res.ok, res.status, res.reason], [false, 'invalid', 'signature does not match blocks']);
+  }
+  const twice = await verifyCartridgeSignature([...good, good.at(-1)], policy);
+  assert.deepEqual([twice.ok, twice.status, twice.reason], [false, 'invalid', 'multiple SIGNATURE blocks']);
+});
+
+test('a valid signature from an untrusted key does not run', async () => {
+  const signer = await generateSigningKey(), other = await generateSigningKey();
+  const res = await verifyCartridgeSignature(await signed(signer), {trustedKeys: [keyToHex(other.publicKeyRaw)], allowUnsigned: true});
+  assert.deepEqual(res, {ok: false, status: 'untrusted', signer: keyToHex(signer.publicKeyRaw)});
+});
+
+test('unsigned cartridges run only when the policy allows them', async () => {
+  assert.deepEqual(await verifyCartridgeSignature(blocks), {ok: false, status: 'unsigned', signer: null});
+  assert.deepEqual(await verifyCartridgeSignature(blocks, {allowUnsigned: false}), {ok: false, status: 'unsigned', signer: null});
+  assert.deepEqual(await verifyCartridgeSignature(blocks, {allowUnsigned: true}), {ok: true, status: 'unsigned', signer: null});
+});
+
+test('unsupported SIGNATURE versions and algorithms are invalid', async () => {
+  const signer = await generateSigningKey();
+  const policy = {trustedKeys: [keyToHex(signer.publicKeyRaw)], allowUnsigned: true};
+  const good = await signed(signer);
+  const sig = good.at(-1).payload;
+  const version = sig.slice(); version[0] = SIG_VERSION + 1;
+  const alg = sig.slice(); alg[1] = 2;
+  const short = sig.slice(0, -1);
+  for(const [payload, reason] of [[version, /Unsupported SIGNATURE version 2/], [alg, /Unsupported signature algorithm 2/], [short, /length mismatch/]]){
+    const res = await verifyCartridgeSignature([...blocks, {blockType: BlockType.SIGNATURE, payload}], policy);
+    assert.equal(res.ok, false);
+    assert.equal(res.status, 'invalid');
+    assert.match(res.reason, reason);
+  }
+});
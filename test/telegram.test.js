@@ -0,0 +1,91 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {createBridge, themeFromParams, parseInitData, displayName, DEFAULT_THEME} from '../telegram.js';
+import {mockWebApp} from './fixtures.js';
+
+const initData = (user) => new URLSearchParams({user: JSON.stringify(user), auth_date: '1760000000', hash: 'ab'}).toString();
+
+test('theme params map to host colors and invalid values fall back', () => {
+  const t = themeFromParams({bg_color: '#FFFFFF', text_color: '#000', hint_color: 'red', button_color: '#12345'});
+  assert.equal(t.bg, '#FFFFFF');
+  assert.equal(t.text, '#000');
+  assert.equal(t.hint, DEFAULT_THEME.hint);
+  assert.equal(t.button, DEFAULT_THEME.button);
+  assert.deepEqual(themeFromParams(undefined), DEFAULT_THEME);
+
+  const tg = mockWebApp({themeParams: {bg_color: '#101010'}});
+  const bridge = createBridge(tg);
+  let changed = 0;
+  bridge.onThemeChanged(() => changed++);
+  tg.themeParams = {bg_color: '#fafafa'};
+  tg.emit('themeChanged');
+  assert.equal(changed, 1);
+  assert.equal(bridge.theme().bg, '#fafafa');
+});
+
+test('initData yields the player name; malformed data yields none', () => {
+  const d = parseInitData(initData({id: 42, first_name: 'Ada', last_name: 'L', username: 'ada'}));
+  assert.deepEqual(d.user, {id: 42, firstName: 'Ada', lastName: 'L', username: 'ada', languageCode: ''});
+  assert.equal(d.authDate, 1760000000);
+  assert.equal(displayName(d.user), 'Ada L');
+  assert.equal(displayName({...d.user, firstName: '', lastName: ''}), '@ada');
+  assert.equal(parseInitData('user=%7Bnot-json').user, null);
+  assert.equal(parseInitData('user=%7B%22first_name%22%3A%22x%22%7D').user, null); // no id
+  assert.equal(parseInitData(undefined).user, null);
+  assert.equal(createBridge(mockWebApp({initData: initData({id: 7, first_name: 'Bo'})})).user.firstName, 'Bo');
+});
+
+test('MainButton and BackButton only change when asked for something new', () => {
+  const tg = mockWebApp();
+  const bridge = createBridge(tg);
+  const pressed = [];
+  bridge.setMainButton('Play', () => pressed.push('play'));
+  bridge.setMainButton('Play', () => pressed.push('play2'));
+  assert.deepEqual(tg.calls, [['MainButton.setText', 'Play'], ['MainButton.show']]);
+  tg.press('MainButton');
+  assert.deepEqual(pressed, ['play2']);
+
+  bridge.setMainButton(null);
+  tg.press('MainButton');
+  assert.equal(tg.MainButton.isVisible, false);
+  assert.deepEqual(pressed, ['play2']);
+
+  bridge.setBackButton(true, () => pressed.push('back'));
+  bridge.setBackButton(true, () => pressed.push('back'));
+  tg.press('BackButton');
+  assert.equal(tg.calls.filter(c => c[0] === 'BackButton.show').length, 1);
+  assert.deepEqual(pressed, ['play2', 'back']);
+});
+
+test('haptics and sharing pick what the client supports', () => {
+  const tg = mockWebApp();
+  const bridge = createBridge(tg);
+  bridge.haptic('eat');
+  bridge.haptic('death');
+  bridge.haptic('win');
+  assert.deepEqual(tg.calls, [['impactOccurred', 'light'], ['notificationOccurred', 'error'], ['notificationOccurred', 'success']]);
+
+  assert.equal(bridge.share('I scored 5', 'https://example.test/'), true);
+  assert.deepEqual(tg.calls.at(-1), ['switchInlineQuery', 'I scored 5', ['users', 'groups', 'channels']]);
+
+  const noInline = mockWebApp({inlineMode: false});
+  assert.equal(createBridge(noInline).share('I scored 5', 'https://example.test/'), true);
+  assert.deepEqual(noInline.calls.at(-1), ['openTelegramLink', 'https://t.me/share/url?url=https%3A%2F%2Fexample.test%2F&text=I+scored+5']);
+});
+
+test('outside Telegram or on old clients every call is a no-op', () => {
+  for(const bridge of [createBridge(null), createBridge(mockWebApp({version: '6.0'}))]){
+    bridge.ready();
+    bridge.requestFullscreen();
+    bridge.setBackButton(true, () => {});
+    bridge.haptic('eat');
+    assert.equal(bridge.cloudStorage, null);
+    assert.equal(bridge.share('x', 'https://example.test/'), false);
+    assert.deepEqual(bridge.theme(), DEFAULT_THEME);
+  }
+  const old = mockWebApp({version: '6.0'});
+  createBridge(old).haptic('death');
+  assert.deepEqual(old.calls, []);
+  assert.equal(createBridge(null).available, false);
+  assert.equal(createBridge(null).user, null);
+});
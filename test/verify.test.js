@@ -0,0 +1,61 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {verifyBytecode} from '../verify.js';
+import {assemble} from '../asm.js';
+import {Feature, Opcode} from '../vm.js';
+import {snakeCart} from './fixtures.js';
+
+// verifyBytecode for assembly source, with the entry points it declares.
+function check(src, featureFlags=Feature.CORE){
+  const {bytecode, entryPoint, frameEntry} = assemble(src);
+  return verifyBytecode(bytecode, {entryPoint, frameEntry, featureFlags});
+}
+
+test('the Snake bytecode passes, solo and versus', () => {
+  for(const players of [1, 2]){
+    const {bytecode, header} = snakeCart({players});
+    const res = verifyBytecode(bytecode, header);
+    assert.deepEqual(res.errors, []);
+    assert.equal(res.ok, true);
+    assert.ok(res.reachable.has(header.entryPoint) && res.reachable.has(header.frameEntry));
+  }
+});
+
+test('rejects unknown opcodes and truncated instructions', () => {
+  assert.deepEqual(verifyBytecode(Uint8Array.from([Opcode.NOP, 0xFF])).errors, ['0x0001: unknown opcode 0xFF']);
+  assert.deepEqual(verifyBytecode(Uint8Array.from([Opcode.LDI, 0x10, 0, 0])).errors, ['0x0000: truncated LDI']);
+  assert.deepEqual(verifyBytecode(new Uint8Array(0)).errors, ['BYTECODE block is empty']);
+  // Bytes nothing reaches are data, not code.
+  assert.equal(check('HALT\n.u8 0xFF').ok, true);
+});
+
+test('rejects jumps outside the code or into an instruction', () => {
+  assert.deepEqual(check('JMP 0x100').errors, ['0x0000: JMP target 0x0100 is outside the 5-byte block']);
+  assert.deepEqual(check('start: JZ r0, 0x40\n HALT').errors, ['0x0000: JZ target 0x0040 is outside the 7-byte block']);
+  assert.deepEqual(check('JMP 1\n HALT').errors, ['0x0001: jump into the middle of the instruction at 0x0000']);
+  assert.deepEqual(verifyBytecode(Uint8Array.from([Opcode.HALT]), {entryPoint: 0, frameEntry: 4}).errors, ['frameEntry 0x0004 is outside the 1-byte block']);
+  assert.deepEqual(check('LDI r0, 1').errors, ['0x0000: LDI falls off the end of the block']);
+});
+
+test('rejects syscalls the header\'s featureFlags do not enable', () => {
+  assert.deepEqual(check('SYSCALL READ_INPUT\n SYSCALL SND_PLAY\n HALT').errors, ['0x0002: syscall SND_PLAY needs feature flag 0x00000008']);
+  assert.equal(check('SYSCALL SND_PLAY\n HALT', Feature.CORE | Feature.AUDIO).ok, true);
+  assert.deepEqual(check('SYSCALL 0xEE\n HALT').errors, ['0x0000: unknown syscall 0xEE']);
+  assert.deepEqual(check('HALT', 1 << 20).errors, ['header enables unknown feature flags 0x00100000']);
+});
+
+test('rejects an unbalanced stack', () => {
+  assert.deepEqual(check('POP r0\n HALT').errors, ['0x0000: POP with nothing pushed']);
+  assert.deepEqual(check('CALL f\n HALT\nf: PUSH r0\n RET').errors, ['0x0008: RET with 1 word(s) still pushed']);
+  // The entry points are not called: there is no return address to RET to.
+  assert.deepEqual(check('.entry main\nmain:\n  RET\n').errors, ['0x0000: RET outside a called routine']);
+  assert.deepEqual(check('.entry main\n.frame tick\nmain: HALT\ntick: JZ r0, f\n HALT\nf: RET').errors, ['0x0008: RET outside a called routine']);
+  // Also when the routine was walked first through its CALL.
+  assert.deepEqual(check('CALL f\n JMP f\nf: RET').errors, ['0x000A: RET outside a called routine']);
+  // A CALL target starts at depth 0, so popping the return address is caught too.
+  assert.deepEqual(check('PUSH r1\n CALL f\n POP r1\n HALT\nf: POP r0\n RET').errors, ['0x000A: POP with nothing pushed']);
+  assert.deepEqual(check('loop: PUSH r0\n JMP loop').errors, ['0x0000: stack depth 1 on one path, 0 on another']);
+  assert.deepEqual(check('JZ r0, skip\n PUSH r0\nskip: POP r0\n HALT').errors, ['0x0008: stack depth 0 on one path, 1 on another']);
+  // Balanced code, nested calls included, passes.
+  assert.equal(check('PUSH r1\n CALL f\n POP r1\n HALT\nf: PUSH r2\n CALL g\n POP r2\n RET\ng: RET').ok, true);
+});
@@ -0,0 +1,546 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {PPUVM, Opcode, Sys, Feature, MAX_DISPLAY, MAX_SOUND_EVENTS} from '../vm.js';
+import {assemble} from '../asm.js';
+import {buildFs, decodeFs, buildTiles, decodeTiles} from '../format.js';
+import {SnakeMem, SnakeMode, SnakeColor, SnakeSound, P2_CMD_OFFSET, encodeSnakeRules} from '../snake.js';
+import {DEFAULT_PALETTE, PaletteSlot} from '../palette.js';
+import {snakeVM, placeSnake, snakeCells, frame, peek16, poke16, peek32} from './fixtures.js';
+
+const UP = 1, DOWN = 2, START = 5;
+const Dir = {UP: 0, RIGHT: 1, DOWN: 2, LEFT: 3};
+
+test('init builds a paused 3-segment snake and draws it', () => {
+  const vm = snakeVM();
+  assert.equal(vm.fault, null);
+  assert.deepEqual(snakeCells(vm), [[10, 12], [10, 13], [10, 14]]);
+  assert.equal(vm.render.paused, true);
+  assert.equal(vm.render.cells.filter(Boolean).length, 4); // body + apple
+});
+
+test('same osId and inputs give the same game', () => {
+  const a = snakeVM(), b = snakeVM();
+  const inputs = [START, 0, 0, 4, 0, 0, 2, 0, 3, 0, 0, 1, 0, 0, 0];
+  for(const cmd of inputs){ frame(a, cmd); frame(b, cmd); }
+  assert.deepEqual(a.ram, b.ram);
+  assert.deepEqual(a.render, b.render);
+  assert.notEqual(peek16(snakeVM({osId: 1}), SnakeMem.APPLE), peek16(snakeVM({osId: 2}), SnakeMem.APPLE));
+});
+
+test('hitting the wall ends the game', () => {
+  const vm = snakeVM();
+  placeSnake(vm, [[3, 2], [3, 3], [3, 4]], {dir: Dir.UP, apple: [0, 19]});
+  frame(vm);
+  frame(vm);
+  assert.equal(vm.render.gameOver, false);
+  assert.deepEqual(snakeCells(vm)[0], [3, 0]);
+  frame(vm);
+  assert.equal(vm.render.gameOver, true);
+  assert.deepEqual(snakeCells(vm)[0], [3, 0]);
+  frame(vm, START); // no unpausing a finished game
+  assert.equal(vm.render.gameOver, true);
+});
+
+test('the cartridge publishes its mode and the host cannot overwrite it', () => {
+  const vm = snakeVM();
+  assert.equal(vm.modeBits, SnakeMode.PAUSED);
+  frame(vm, START);
+  assert.equal(vm.modeBits, SnakeMode.PLAYING);
+  vm.setIO({cmd: 0, tick: vm.ioTick + 1}); // setIO without modeBits keeps the mode
+  assert.equal(vm.modeBits, SnakeMode.PLAYING);
+  placeSnake(vm, [[3, 0], [3, 1], [3, 2]], {dir: Dir.UP, apple: [0, 19]});
+  frame(vm);
+  assert.equal(vm.modeBits, SnakeMode.GAME_OVER);
+  frame(vm, 6); // RESTART
+  assert.equal(vm.modeBits, SnakeMode.PLAYING);
+  vm.reset();
+  assert.equal(vm.modeBits, 0);
+});
+
+test('running into the body ends the game, the tail cell is free to enter', () => {
+  const vm = snakeVM();
+  placeSnake(vm, [[5, 5], [6, 5], [6, 6], [5, 6], [4, 6]], {dir: Dir.LEFT, apple: [0, 0]});
+  frame(vm, DOWN);
+  assert.equal(vm.render.gameOver, true);
+
+  const chase = snakeVM();
+  placeSnake(chase, [[5, 5], [6, 5], [6, 6], [5, 6]], {dir: Dir.LEFT, apple: [0, 0]});
+  frame(chase, DOWN);
+  assert.equal(chase.render.gameOver, false);
+  assert.deepEqual(snakeCells(chase), [[5, 6], [5, 5], [6, 5], [6, 6]]);
+});
+
+test('reversing direction is ignored', () => {
+  const vm = snakeVM();
+  placeSnake(vm, [[5, 5], [5, 6], [5, 7]], {dir: Dir.UP, apple: [0, 0]});
+  frame(vm, DOWN);
+  assert.equal(vm.render.gameOver, false);
+  assert.deepEqual(snakeCells(vm)[0], [5, 4]);
+});
+
+test('eating grows the snake, scores and respawns the apple on a free cell', () => {
+  const vm = snakeVM();
+  placeSnake(vm, [[5, 5], [5, 6], [5, 7]], {dir: Dir.UP, apple: [5, 4]});
+  frame(vm, UP);
+  assert.deepEqual(snakeCells(vm), [[5, 4], [5, 5], [5, 6], [5, 7]]);
+  assert.equal(vm.render.score, 1);
+  assert.equal(peek32(vm, SnakeMem.SCORE), 1);
+  const apple = peek16(vm, SnakeMem.APPLE);
+  assert.equal(vm.ram[SnakeMem.OCC + apple], 0);
+  assert.equal(vm.render.cells[apple], 2);
+});
+
+// 3x9 board walked as a serpentine, so any prefix of it is a valid snake.
+const serpentine = [];
+for(let y=0; y<9; y++) for(let i=0; i<3; i++) serpentine.push([y & 1 ? 2 - i : i, y]);
+const dirTo = ([x0, y0], [x1, y1]) => x1 > x0 ? Dir.RIGHT : x1 < x0 ? Dir.LEFT : y1 > y0 ? Dir.DOWN : Dir.UP;
+const snakeAlong = (n) => serpentine.slice(0, n).reverse();
+
+test('the apple lands on the last free cell', () => {
+  const vm = snakeVM({boardW: 3, boardH: 9});
+  placeSnake(vm, snakeAlong(25), {dir: dirTo(serpentine[24], serpentine[25]), apple: serpentine[25]});
+  frame(vm);
+  assert.equal(vm.fault, null);
+  assert.equal(snakeCells(vm).length, 26);
+  const [x, y] = serpentine[26];
+  assert.equal(peek16(vm, SnakeMem.APPLE), x + y*3);
+});
+
+test('filling the board leaves the apple in place without faulting', () => {
+  const vm = snakeVM({boardW: 3, boardH: 9});
+  placeSnake(vm, snakeAlong(26), {dir: dirTo(serpentine[25], serpentine[26]), apple: serpentine[26]});
+  const cycles = frame(vm);
+  assert.equal(vm.fault, null);
+  assert.ok(cycles < vm.cycleBudget);
+  assert.equal(snakeCells(vm).length, 27);
+  const [x, y] = serpentine[26];
+  assert.equal(peek16(vm, SnakeMem.APPLE), x + y*3);
+  assert.equal(vm.render.score, 1);
+});
+
+// Tiny hand-assembled programs for the fail-closed paths.
+function rawVM(code){
+  const vm = new PPUVM({header: {entryPoint: 0, frameEntry: 0, featureFlags: 1}, bytecode: Uint8Array.from(code), truthTable: new Map(), strings: {}});
+  vm.init();
+  return vm;
+}
+
+test('versus: two snakes facing each other, steered by separate commands', () => {
+  const vm = snakeVM({players: 2});
+  assert.equal(vm.fault, null);
+  assert.deepEqual(snakeCells(vm, 1), [[6, 12], [6, 13], [6, 14]]);
+  assert.deepEqual(snakeCells(vm, 2), [[13, 7], [13, 6], [13, 5]]);
+  assert.equal(vm.render.cells[13 + 7*20], SnakeColor.BODY2);
+  assert.equal(vm.render.players, 2);
+  frame(vm, START);
+  frame(vm, P2_CMD_OFFSET + 3); // player 2 left
+  assert.deepEqual(snakeCells(vm, 1)[0], [6, 10]);
+  assert.deepEqual(snakeCells(vm, 2)[0], [12, 8]);
+  frame(vm, 4); // player 1 right
+  assert.deepEqual(snakeCells(vm, 1)[0], [7, 10]);
+  assert.deepEqual(snakeCells(vm, 2)[0], [11, 8]);
+  frame(vm, 9); // host commands reach neither snake
+  assert.deepEqual(snakeCells(vm, 1)[0], [8, 10]);
+  assert.equal(vm.render.gameOver, false);
+});
+
+test('versus: both players steer on the same tick through their own input slots', () => {
+  const vm = snakeVM({players: 2});
+  frame(vm, START);
+  frame(vm, 4, P2_CMD_OFFSET + 3); // player 1 right and player 2 left, pressed together
+  assert.deepEqual(snakeCells(vm, 1)[0], [7, 11]);
+  assert.deepEqual(snakeCells(vm, 2)[0], [12, 8]);
+  frame(vm, 0, 1); // the second slot only steers player 2, and 1 is not one of its commands
+  assert.deepEqual(snakeCells(vm, 1)[0], [8, 11]);
+  assert.deepEqual(snakeCells(vm, 2)[0], [11, 8]);
+  frame(vm, 0, START); // nor does it pause
+  assert.equal(vm.render.paused, false);
+  frame(vm, 1, P2_CMD_OFFSET + 2); // player 1 up, player 2 down
+  assert.deepEqual(snakeCells(vm, 1)[0], [9, 10]);
+  assert.deepEqual(snakeCells(vm, 2)[0], [10, 9]);
+});
+
+test('versus: head-on is a draw, running into the other snake loses', () => {
+  const headOn = snakeVM({players: 2});
+  placeSnake(headOn, [[5, 5], [4, 5], [3, 5]], {dir: Dir.RIGHT, apple: [0, 19]});
+  placeSnake(headOn, [[7, 5], [8, 5], [9, 5]], {dir: Dir.LEFT, player: 2});
+  frame(headOn);
+  assert.equal(headOn.render.gameOver, true);
+  assert.equal(headOn.render.winner, 3);
+  assert.equal(headOn.modeBits, SnakeMode.GAME_OVER);
+
+  const ram = snakeVM({players: 2});
+  placeSnake(ram, [[5, 5], [5, 6], [5, 7]], {dir: Dir.UP, apple: [0, 19]});
+  placeSnake(ram, [[4, 4], [4, 3], [4, 2]], {dir: Dir.RIGHT, player: 2});
+  frame(ram); // both heads reach (5, 4) on the same tick
+  assert.equal(ram.render.winner, 3);
+
+  const body = snakeVM({players: 2});
+  placeSnake(body, [[5, 5], [5, 6], [5, 7]], {dir: Dir.UP, apple: [0, 19]});
+  placeSnake(body, [[4, 6], [3, 6], [2, 6]], {dir: Dir.RIGHT, player: 2});
+  frame(body);
+  assert.equal(body.render.gameOver, true);
+  assert.equal(body.render.winner, 1);
+  assert.deepEqual(snakeCells(body, 1)[0], [5, 5]); // nobody moves on the deciding tick
+});
+
+test('versus: the other snake\'s tail is free to enter, walls lose, scores are separate', () => {
+  const chase = snakeVM({players: 2});
+  placeSnake(chase, [[5, 5], [6, 5], [7, 5]], {dir: Dir.LEFT, apple: [0, 19]});
+  placeSnake(chase, [[8, 5], [8, 4], [8, 3]], {dir: Dir.DOWN, player: 2});
+  frame(chase, P2_CMD_OFFSET + 3); // player 2 turns into player 1's tail as it leaves
+  assert.equal(chase.render.gameOver, false);
+  assert.deepEqual(snakeCells(chase, 2), [[7, 5], [8, 5], [8, 4]]);
+
+  const wall = snakeVM({players: 2});
+  placeSnake(wall, [[5, 5], [5, 6], [5, 7]], {dir: Dir.UP, apple: [0, 19]});
+  placeSnake(wall, [[0, 10], [1, 10], [2, 10]], {dir: Dir.LEFT, player: 2});
+  frame(wall);
+  assert.equal(wall.render.winner, 1);
+
+  const eat = snakeVM({players: 2});
+  placeSnake(eat, [[5, 5], [5, 6], [5, 7]], {dir: Dir.UP, apple: [12, 8]});
+  placeSnake(eat, [[12, 10], [12, 11], [12, 12]], {dir: Dir.UP, player: 2});
+  frame(eat);
+  frame(eat);
+  assert.equal(eat.render.score, 0);
+  assert.equal(eat.render.score2, 1);
+  assert.equal(snakeCells(eat, 2).length, 4);
+  assert.equal(peek32(eat, SnakeMem.P2 + SnakeMem.SCORE), 1);
+});
+
+test('versus games are deterministic', () => {
+  const a = snakeVM({players: 2}), b = snakeVM({players: 2});
+  const inputs = [START, 0, P2_CMD_OFFSET + 3, 4, 0, P2_CMD_OFFSET + 2, 0, 1, 0, 0, 0, 0, 0];
+  for(const cmd of inputs){ frame(a, cmd); frame(b, cmd); }
+  assert.deepEqual(a.ram, b.ram);
+  assert.deepEqual(a.render, b.render);
+});
+
+test('rules: board size, start length and several apples at once', () => {
+  const vm = snakeVM({rules: {boardW: 10, boardH: 12, startLength: 4, apples: 3}});
+  assert.equal(vm.fault, null);
+  assert.equal(vm.render.boardW, 10);
+  assert.equal(vm.render.boardH, 12);
+  assert.deepEqual(snakeCells(vm), [[5, 8], [5, 9], [5, 10], [5, 11]]);
+  const apples = [0, 1, 2].map(i => peek16(vm, SnakeMem.APPLE + 2*i));
+  assert.equal(new Set(apples).size, 3);
+  for(const c of apples){
+    assert.equal(vm.ram[SnakeMem.OCC + c], 0);
+    assert.equal(vm.render.cells[c], SnakeColor.APPLE);
+  }
+
+  // eating one apple refills only its slot
+  placeSnake(vm, [[0, 0], [0, 1], [0, 2]], {dir: Dir.RIGHT});
+  const [a0, , a2] = apples;
+  poke16(vm, SnakeMem.APPLE + 2, 1);
+  frame(vm);
+  assert.equal(vm.render.score, 1);
+  assert.equal(peek16(vm, SnakeMem.APPLE), a0);
+  assert.equal(peek16(vm, SnakeMem.APPLE + 4), a2);
+  assert.notEqual(peek16(vm, SnakeMem.APPLE + 2), 1);
+});
+
+test('rules: wrap-around walls carry the snake to the other side', () => {
+  const vm = snakeVM({rules: {wrap: true}});
+  placeSnake(vm, [[3, 0], [3, 1], [3, 2]], {dir: Dir.UP, apple: [10, 10]});
+  frame(vm);
+  assert.equal(vm.render.gameOver, false);
+  assert.deepEqual(snakeCells(vm)[0], [3, 19]);
+  placeSnake(vm, [[0, 5], [1, 5], [2, 5]], {dir: Dir.LEFT});
+  frame(vm);
+  assert.deepEqual(snakeCells(vm)[0], [19, 5]);
+});
+
+test('rules: obstacles are drawn and deadly, but never placed under the snake', () => {
+  const vm = snakeVM({rules: {obstacles: [[10, 11], [10, 13], [4, 4]]}});
+  assert.equal(vm.render.cells[4 + 4*20], SnakeColor.OBSTACLE);
+  assert.equal(vm.render.cells[10 + 13*20], SnakeColor.BODY); // start cell wins
+  frame(vm, START);
+  assert.equal(vm.render.gameOver, true);
+});
+
+test('rules: the snake speeds up per apple down to the minimum interval', () => {
+  const vm = snakeVM({rules: {startInterval: 3, minInterval: 2, applesPerSpeedUp: 1}});
+  placeSnake(vm, [[5, 15], [5, 16], [5, 17]], {dir: Dir.UP, apple: [5, 14]});
+  const heads = [];
+  for(let i=0;i<9;i++){ frame(vm); heads.push(snakeCells(vm)[0][1]); }
+  // first move on the first tick, then every 3 ticks; the apple drops it to every 2 ticks
+  assert.deepEqual(heads, [14, 14, 14, 13, 13, 12, 12, 11, 11]);
+  assert.equal(vm.render.score, 1);
+});
+
+test('rules: bad values are refused when encoding, unusable blocks fall back to defaults', () => {
+  assert.throws(() => encodeSnakeRules({boardW: 65}), /boardW/);
+  assert.throws(() => encodeSnakeRules({boardH: 8, startLength: 3}), /startLength/);
+  assert.throws(() => encodeSnakeRules({apples: 0}), /apples/);
+  assert.throws(() => encodeSnakeRules({startInterval: 2, minInterval: 3}), /minInterval/);
+  assert.throws(() => encodeSnakeRules({obstacles: [[20, 0]]}), /obstacle x/);
+
+  const bad = encodeSnakeRules({boardW: 8, boardH: 8, startLength: 1});
+  bad[0] = 2; // unknown version
+  assert.equal(snakeVM({rules: bad}).render.boardW, 20);
+  const short = encodeSnakeRules({boardW: 8, obstacles: [[1, 1]]}).subarray(0, 13);
+  assert.equal(snakeVM({rules: short}).render.boardW, 20);
+});
+
+test('rules: every out-of-range field falls back to the defaults without a fault', () => {
+  const base = {boardW: 10, boardH: 12, startLength: 4, startInterval: 3, minInterval: 2, obstacles: [[1, 1]]};
+  assert.equal(snakeVM({rules: base}).render.boardW, 10);
+  // byte offset, value (see the RULES layout in snake.js)
+  const cases = {
+    'boardW 0': [2, 0], 'boardW 3': [2, 3], 'boardW 200': [2, 200],
+    'boardH 2': [3, 2], 'boardH 65': [3, 65],
+    'startLength 0': [4, 0], 'startLength above H/2-2': [4, 5],
+    'apples 0': [5, 0], 'too many apples': [5, 99],
+    'startInterval 0': [6, 0], 'minInterval 0': [7, 0], 'minInterval > startInterval': [7, 4],
+    'obstacle x 250': [12, 250], 'obstacle x = W': [12, 10], 'obstacle y = H': [13, 12],
+  };
+  for(const [what, [at, v]] of Object.entries(cases)){
+    const rules = encodeSnakeRules(base);
+    rules[at] = v;
+    const vm = snakeVM({rules});
+    assert.equal(vm.fault, null, what);
+    assert.deepEqual([vm.render.boardW, vm.render.boardH], [20, 20], what);
+    assert.equal(snakeCells(vm).length, 3, what);
+  }
+  const crowded = encodeSnakeRules({boardW: 4, boardH: 6, startLength: 1});
+  const many = new Uint8Array(12 + 2*25);
+  many.set(crowded);
+  many[11] = 25; // 25 obstacles on a 4x6 board
+  assert.deepEqual(snakeVM({rules: many}).render.boardW, 20);
+});
+
+test('versus follows the rules too', () => {
+  const vm = snakeVM({players: 2, rules: {boardW: 12, boardH: 12, startLength: 2, wrap: true}});
+  assert.deepEqual(snakeCells(vm, 1), [[4, 8], [4, 9]]);
+  assert.deepEqual(snakeCells(vm, 2), [[7, 3], [7, 2]]);
+  placeSnake(vm, [[1, 11], [2, 11]], {dir: Dir.LEFT, player: 2});
+  frame(vm);
+  frame(vm);
+  assert.equal(vm.render.gameOver, false);
+  assert.deepEqual(snakeCells(vm, 2)[0], [11, 11]);
+});
+
+test('faults fail closed and stay latched', () => {
+  assert.match(rawVM([0xEE]).fault, /unknown opcode/);
+  assert.match(rawVM([Opcode.SYSCALL, 0x7F]).fault, /unknown syscall/);
+  assert.match(rawVM([Opcode.JMP, 0, 0, 0, 0]).fault, /cycle budget/);
+  assert.match(rawVM([Opcode.DIVU, 0x01]).fault, /division by zero/);
+  assert.match(rawVM([Opcode.SYSCALL, Sys.DRAW_CELL, Opcode.HALT]).fault, /off board/);
+  assert.match(rawVM([Opcode.LDI, 0x00, 0xFF, 0xFF, 0xFF, 0xFF, Opcode.LDB, 0x10, 0, 0, Opcode.HALT]).fault, /out of bounds/);
+  assert.match(rawVM([Opcode.RET]).fault, /stack underflow/);
+  const vm = rawVM([Opcode.LDI]);
+  assert.match(vm.fault, /truncated/);
+  assert.equal(vm.runFrame(), 0);
+});
+
+test('the host-supplied board placement ends up in render', () => {
+  const vm = new PPUVM({header: {entryPoint: 0, featureFlags: 1}, bytecode: Uint8Array.from([Opcode.HALT]), truthTable: new Map(), strings: {}, board: {x: 24, y: 72, cellPx: 16}});
+  assert.deepEqual([vm.render.boardX, vm.render.boardY, vm.render.cellPx], [24, 72, 16]);
+  vm.reset();
+  assert.equal(vm.render.cellPx, 16);
+  assert.equal(new PPUVM({header: {entryPoint: 0}, bytecode: Uint8Array.from([Opcode.HALT])}).render.cellPx, 18);
+});
+
+test('cells must use a color the cartridge palette has', () => {
+  assert.equal(snakeVM({players: 2, paletteSize: DEFAULT_PALETTE.length}).fault, null);
+  assert.match(snakeVM({paletteSize: 3}).fault, /color 21 outside the 3-entry palette/); // the board shade
+  const draw = (color) => {
+    const vm = new PPUVM({header: {entryPoint: 0, featureFlags: Feature.CORE}, bytecode: assemble(`LDI r0, 4\n LDI r1, 4\n SYSCALL BOARD\n LDI r0, 0\n LDI r1, 0\n LDI r2, ${color}\n SYSCALL DRAW_CELL\n HALT`).bytecode, paletteSize: 3});
+    vm.init();
+    return vm.fault;
+  };
+  assert.equal(draw(2), null);
+  assert.match(draw(3), /color 3 outside the 3-entry palette/);
+});
+
+test('FS syscalls open, stat and read cartridge files into ram', () => {
+  const files = decodeFs(buildFs({'levels/1.txt': 'wall wall', 'empty': ''}));
+  const {bytecode} = assemble(`
+    LDI r0, 0x100       ; path
+    LDI r1, 12
+    SYSCALL FS_OPEN
+    STB r0, [r15+0x200] ; handle
+    MOV r8, r0
+    SYSCALL FS_STAT
+    STW r0, [r15+0x204] ; size
+    STW r1, [r15+0x208] ; crc
+    MOV r0, r8
+    LDI r1, 5           ; from offset 5
+    LDI r2, 0x300
+    LDI r3, 100
+    SYSCALL FS_READ
+    STB r0, [r15+0x20C] ; bytes copied
+    LDI r0, 0x100
+    LDI r1, 11          ; "levels/1.tx": no such file
+    SYSCALL FS_OPEN
+    STB r0, [r15+0x20D]
+    HALT
+  `);
+  const vm = new PPUVM({header: {entryPoint: 0, featureFlags: Feature.CORE | Feature.FS}, bytecode, files});
+  vm.ram.set(new TextEncoder().encode('levels/1.txt'), 0x100);
+  vm.init();
+  assert.equal(vm.fault, null);
+  assert.equal(vm.ram[0x200], 2); // sorted: "empty" is file 1
+  assert.equal(peek32(vm, 0x204), 9);
+  assert.equal(peek32(vm, 0x208), files[1].crc);
+  assert.equal(vm.ram[0x20C], 4);
+  assert.equal(new TextDecoder().decode(vm.ram.subarray(0x300, 0x304)), 'wall');
+  assert.equal(vm.ram[0x20D], 0);
+});
+
+test('FS syscalls trap on bad handles and ram overruns, and need the FS feature', () => {
+  const files = decodeFs(buildFs({a: 'abc'}));
+  const run = (src, featureFlags = Feature.CORE | Feature.FS) => {
+    const vm = new PPUVM({header: {entryPoint: 0, featureFlags}, bytecode: assemble(src + '\n HALT').bytecode, files});
+    vm.init();
+    return vm.fault;
+  };
+  assert.match(run('LDI r0, 2\n SYSCALL FS_STAT'), /bad file handle 2/);
+  assert.match(run('LDI r0, 0\n SYSCALL FS_READ'), /bad file handle 0/);
+  assert.match(run('LDI r0, 1\n LDI r2, 0xFFFE\n LDI r3, 3\n SYSCALL FS_READ'), /out of range/);
+  assert.equal(run('LDI r0, 1\n LDI r2, 0xFFFD\n LDI r3, 3\n SYSCALL FS_READ'), null);
+  assert.match(run('LDI r0, 0xFFFF\n LDI r1, 2\n SYSCALL FS_OPEN'), /out of range/);
+  assert.match(run('LDI r0, 1\n SYSCALL FS_STAT', Feature.CORE), /FS_STAT|feature/i);
+});
+
+test('display-list syscalls record clear, tile, sprite and text commands', () => {
+  const tiles = decodeTiles(buildTiles({w: 2, h: 2, tiles: [new Uint8Array(4), Uint8Array.from([1, 1, 1, 1])]}));
+  const {bytecode} = assemble(`
+    LDI r0, 4
+    LDI r1, 3
+    SYSCALL BOARD
+    LDI r0, 2
+    SYSCALL DL_CLEAR
+    LDI r0, 3
+    LDI r1, 2
+    LDI r2, 1
+    SYSCALL DL_TILE
+    LDI r0, -5
+    LDI r1, 40
+    LDI r3, 0x31          ; flip x, scale 4
+    SYSCALL DL_SPRITE
+    LDI r0, 0x200
+    LDI r1, 2
+    LDI r2, 100 | (30 << 16)
+    LDI r3, 3 | (12 << 8) | (2 << 16)
+    SYSCALL DL_TEXT
+    HALT
+  `);
+  const vm = new PPUVM({header: {entryPoint: 0, featureFlags: Feature.CORE | Feature.DISPLAY}, bytecode, tiles, paletteSize: 4});
+  vm.ram.set(new TextEncoder().encode('hi'), 0x200);
+  vm.init();
+  assert.equal(vm.fault, null);
+  assert.deepEqual(vm.render.display, [
+    {op: 'clear', color: 2},
+    {op: 'tile', col: 3, row: 2, tile: 1},
+    {op: 'sprite', x: -5, y: 40, tile: 1, flipX: true, flipY: false, scale: 4},
+    {op: 'text', x: 100, y: 30, text: 'hi', color: 3, size: 12, align: 'right'},
+  ]);
+
+  const snap = vm.snapshot();
+  vm.reset();
+  assert.deepEqual(vm.render.display, []);
+  vm.restore(snap);
+  assert.equal(vm.render.display.length, 4);
+});
+
+test('display-list syscalls trap on bad tiles, cells, flags, text and colors, and need DISPLAY', () => {
+  const tiles = decodeTiles(buildTiles({w: 1, h: 1, tiles: [new Uint8Array(1), new Uint8Array(1)]}));
+  const run = (src, featureFlags = Feature.CORE | Feature.DISPLAY) => {
+    const vm = new PPUVM({header: {entryPoint: 0, featureFlags}, bytecode: assemble('LDI r0, 2\n LDI r1, 2\n SYSCALL BOARD\n' + src + '\n HALT').bytecode, tiles, paletteSize: 8});
+    vm.init();
+    return vm.fault;
+  };
+  assert.match(run('LDI r0, 0\n LDI r1, 0\n LDI r2, 2\n SYSCALL DL_TILE'), /tile 2 not in the 2-tile TILES block/);
+  assert.match(run('LDI r0, 2\n LDI r1, 0\n LDI r2, 1\n SYSCALL DL_TILE'), /tile cell \(2,0\) off board/);
+  assert.match(run('LDI r2, 1\n LDI r3, 4\n SYSCALL DL_SPRITE'), /bad sprite flags 0x4/);
+  assert.match(run('LDI r0, 8\n SYSCALL DL_CLEAR'), /color 8 outside the 8-entry palette/);
+  assert.match(run('LDI r0, 0\n LDI r1, 65\n LDI r3, 0x0C00\n SYSCALL DL_TEXT'), /text of 65 bytes/);
+  assert.match(run('LDI r0, 0xFFFF\n LDI r1, 2\n LDI r3, 0x0C00\n SYSCALL DL_TEXT'), /out of range/);
+  assert.match(run('LDI r0, 0\n LDI r1, 1\n LDI r3, 0\n SYSCALL DL_TEXT'), /bad text style/);
+  assert.match(run('LDI r0, 0\n LDI r1, 1\n LDI r3, 0x30C00\n SYSCALL DL_TEXT'), /bad text style/);
+  assert.equal(run('LDI r0, 0\n LDI r1, 1\n LDI r3, 0x20C07\n SYSCALL DL_TEXT'), null);
+  assert.match(run('LDI r0, 1\n SYSCALL DL_CLEAR', Feature.CORE), /not enabled by featureFlags/);
+  assert.match(run(`LDI r0, 0\n LDI r1, 0\n LDI r2, 1\n LDI r4, ${MAX_DISPLAY + 1}\nloop:\n SYSCALL DL_TILE\n ADDI r4, -1\n JNZ r4, loop`), /display list full/);
+});
+
+test('Snake draws its board as tiles and its status line as text', () => {
+  const vm = snakeVM({players: 2});
+  const list = vm.render.display;
+  assert.deepEqual(list[0], {op: 'clear', color: PaletteSlot.SHADE});
+  const tiles = list.filter(c => c.op === 'tile');
+  assert.equal(tiles.length, vm.render.cells.filter(Boolean).length);
+  for(const t of tiles) assert.equal(t.tile, vm.render.cells[t.col + t.row*vm.render.boardW]);
+  assert.deepEqual(list.at(-1), {op: 'text', x: 256, y: 56, text: 'PAUSED', color: PaletteSlot.TEXT, size: 26, align: 'center'});
+
+  vm.ram[SnakeMem.PAUSED] = 0;
+  vm.ram[SnakeMem.GAME_OVER] = 1;
+  vm.ram[SnakeMem.WINNER] = 2;
+  vm.setIO({cmd: 0, tick: 1});
+  vm.runFrame();
+  assert.equal(vm.render.display.filter(c => c.op === 'clear').length, 1); // rebuilt, not appended
+  assert.equal(vm.render.display.at(-1).text, 'PLAYER 2 WINS');
+});
+
+test('sound syscalls queue tone, play and stop commands for one frame', () => {
+  const {bytecode, entryPoint, frameEntry} = assemble(`
+    .entry boot
+    .frame frame
+  boot:
+    LDI r0, 3
+    LDI r1, 16
+    LDI r2, 0             ; until replaced
+    LDI r3, 9 | (2 << 4)
+    SYSCALL SND_TONE
+    LDI r0, 1
+    SYSCALL SND_PLAY
+    LDI r0, 0b1001
+    SYSCALL SND_STOP
+    HALT
+  frame:
+    HALT
+  `);
+  const vm = new PPUVM({header: {entryPoint, frameEntry, featureFlags: Feature.CORE | Feature.AUDIO}, bytecode, sounds: [{}, {}]});
+  vm.init();
+  assert.equal(vm.fault, null);
+  assert.deepEqual(vm.sound, [
+    {op: 'tone', channel: 3, note: 16, frames: 0, volume: 9, decay: 2},
+    {op: 'play', sound: 1},
+    {op: 'stop', mask: 9},
+  ]);
+  vm.runFrame();
+  assert.deepEqual(vm.sound, []);
+});
+
+test('sound syscalls trap on bad channels, notes, sounds and masks, and need AUDIO', () => {
+  const run = (src, featureFlags = Feature.CORE | Feature.AUDIO) => {
+    const vm = new PPUVM({header: {entryPoint: 0, featureFlags}, bytecode: assemble(src + '\n HALT').bytecode, sounds: [{}]});
+    vm.init();
+    return vm.fault;
+  };
+  assert.match(run('LDI r0, 4\n SYSCALL SND_TONE'), /SND_TONE: channel 4/);
+  assert.match(run('LDI r0, 3\n LDI r1, 17\n SYSCALL SND_TONE'), /note 17 on channel 3/);
+  assert.match(run('LDI r0, 0\n LDI r1, 60\n LDI r2, 256\n SYSCALL SND_TONE'), /length 256/);
+  assert.match(run('LDI r0, 0\n LDI r1, 60\n LDI r2, 1\n LDI r3, 256\n SYSCALL SND_TONE'), /bad envelope/);
+  assert.match(run('LDI r0, 1\n SYSCALL SND_PLAY'), /sound 1 not in the 1-sound SOUNDS block/);
+  assert.match(run('LDI r0, 16\n SYSCALL SND_STOP'), /bad channel mask 0x10/);
+  assert.match(run('LDI r0, 0\n SYSCALL SND_PLAY', Feature.CORE), /not enabled by featureFlags/);
+  assert.match(run(`LDI r4, ${MAX_SOUND_EVENTS + 1}\nloop:\n LDI r0, 0\n SYSCALL SND_PLAY\n ADDI r4, -1\n JNZ r4, loop`), /sound queue full/);
+});
+
+test('Snake plays its sounds for pausing, eating and dying', () => {
+  const vm = snakeVM();
+  frame(vm, START);
+  assert.deepEqual(vm.sound, [{op: 'play', sound: SnakeSound.PAUSE}]);
+  placeSnake(vm, [[5, 5], [5, 6], [5, 7]], {dir: Dir.UP, apple: [5, 4]});
+  frame(vm, UP);
+  assert.deepEqual(vm.sound, [{op: 'play', sound: SnakeSound.EAT}]);
+  frame(vm);
+  assert.deepEqual(vm.sound, []);
+  placeSnake(vm, [[5, 0], [5, 1], [5, 2]], {dir: Dir.UP, apple: [9, 9]});
+  frame(vm);
+  assert.equal(vm.render.gameOver, true);
+  assert.deepEqual(vm.sound, [{op: 'play', sound: SnakeSound.DIE}]);
+});
@@ -0,0 +1,160 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {workerHandler} from '../vmworker.js';
+import {WorkerVM} from '../vmhost.js';
+import {SnakeSound} from '../snake.js';
+import {snakeCart, snakeVM, placeSnake} from './fixtures.js';
+import {PPUVM} from '../vm.js';
+
+const START = 5;
+const Dir = {UP: 0};
+
+// Stand-in for new Worker('vmworker.js'): messages are structured-cloned and delivered on later
+// turns, like postMessage. hang: the worker never answers. startDelay: ms until the module has
+// loaded and posts 'ready' (null: it never does).
+function fakeWorker({hang=false, startDelay=0} = {}){
+  let inbox = []; // messages posted before the module loaded, delivered once it has
+  const w = {
+    terminated: false,
+    sent: [],
+    postMessage(msg){
+      w.sent.push(msg.type);
+      if(hang || w.terminated) return;
+      const copy = structuredClone(msg);
+      if(inbox) inbox.push(copy);
+      else setImmediate(() => handle(copy));
+    },
+    terminate(){ w.terminated = true; },
+  };
+  const handle = workerHandler((msg) => {
+    const copy = structuredClone(msg);
+    setImmediate(() => { if(!w.terminated) w.onmessage({data: copy}); });
+  });
+  if(startDelay !== null) setTimeout(() => {
+    if(w.terminated) return;
+    w.onmessage({data: {type: 'ready'}});
+    for(const msg of inbox) setImmediate(() => handle(msg));
+    inbox = null;
+  }, startDelay);
+  return w;
+}
+
+function workerVM(opts){
+  const w = fakeWorker(opts);
+  const host = new WorkerVM({spawn: () => w, mirror: new PPUVM(snakeCart()), watchdogMs: opts?.watchdogMs, startMs: opts?.startMs});
+  return {w, host, vm: host.mirror};
+}
+
+test('the worker runs the cartridge frame for frame like the page would', async () => {
+  const {host, vm} = workerVM();
+  const local = snakeVM();
+  assert.equal(await host.load(snakeCart()), true);
+  assert.deepEqual(vm.ram, local.ram);
+  for(const [tick, cmd] of [[1, START], [2, 0], [3, 0], [4, 4], [5, 0]]){
+    const pending = host.step(cmd, tick);
+    assert.equal(host.busy, true);
+    assert.equal(await pending, true);
+    local.setIO({cmd, tick});
+    local.runFrame();
+    assert.deepEqual(vm.ram, local.ram);
+    assert.deepEqual(vm.render, local.render);
+    assert.deepEqual(vm.sound, local.sound);
+    assert.equal(vm.ioTick, tick);
+  }
+  assert.equal(host.busy, false);
+  assert.deepEqual(vm.snapshot(), local.snapshot());
+  host.terminate();
+});
+
+test('a restored state replaces the worker\'s, and steps sent before it are dropped', async () => {
+  const {host, vm} = workerVM();
+  await host.load(snakeCart());
+  await host.step(START, 1);
+  placeSnake(vm, [[5, 5], [5, 6], [5, 7]], {dir: Dir.UP, apple: [5, 4]});
+  const snap = vm.snapshot();
+  const stale = host.step(0, 2);
+  vm.restore(snap);
+  const restored = host.restore(snap);
+  assert.equal(await stale, false);
+  assert.equal(await restored, false);
+  assert.deepEqual(vm.snapshot(), snap);
+  assert.equal(await host.step(1, 2), true); // up, into the apple
+  assert.deepEqual(vm.sound, [{op: 'play', sound: SnakeSound.EAT}]);
+  assert.equal(vm.render.score, 1);
+  host.terminate();
+});
+
+test('cartridge faults come back as mirror faults', async () => {
+  const {host, vm} = workerVM();
+  const cart = snakeCart();
+  cart.bytecode = Uint8Array.from([0xFF]);
+  assert.equal(await host.load(cart), true);
+  assert.match(vm.fault, /unknown opcode 0xff/);
+  assert.equal(vm.halted, true);
+  host.terminate();
+});
+
+test('the watchdog stops a worker that does not answer', async () => {
+  const {w, host, vm} = workerVM({hang: true, watchdogMs: 20});
+  const t0 = Date.now();
+  assert.equal(await host.load(snakeCart()), true);
+  assert.ok(Date.now() - t0 >= 20);
+  assert.equal(w.terminated, true);
+  assert.match(vm.fault, /^watchdog: no answer from the VM worker in 20 ms/);
+  assert.equal(host.busy, false);
+  // Later requests fail at once, and a restored mirror faults again.
+  vm.restore(snakeVM().snapshot());
+  assert.equal(await host.step(0, 1), true);
+  assert.match(vm.fault, /^watchdog/);
+  assert.deepEqual(w.sent, ['load']);
+});
+
+test('a watchdog kill leaves steps sent before a restore stale and drops the last sound', async () => {
+  const {host, vm} = workerVM({hang: true, watchdogMs: 20});
+  vm.restore(snakeVM().snapshot());
+  vm.sound = [{op: 'play', sound: SnakeSound.EAT}];
+  const stale = host.step(0, 1);
+  const restored = host.restore(vm.snapshot());
+  const current = host.step(0, 1);
+  assert.deepEqual(await Promise.all([stale, restored, current]), [false, false, true]);
+  assert.match(vm.fault, /^watchdog/);
+  assert.deepEqual(vm.sound, []);
+});
+
+test('the watchdog starts once the worker module is ready, which has its own limit', async () => {
+  const {w, host, vm} = workerVM({startDelay: 60, watchdogMs: 20});
+  assert.equal(await host.load(snakeCart()), true); // sent at once, answered after the slow start
+  assert.equal(vm.fault, null);
+  assert.equal(w.terminated, false);
+  host.terminate();
+
+  const never = workerVM({startDelay: null, startMs: 30});
+  assert.equal(await never.host.load(snakeCart()), true);
+  assert.match(never.vm.fault, /^watchdog: the VM worker did not start in 30 ms/);
+  assert.equal(never.w.terminated, true);
+});
+
+test('a worker error fails closed; terminate settles what is outstanding as stale', async () => {
+  const {w, host, vm} = workerVM({hang: true});
+  const pending = host.load(snakeCart());
+  w.onerror({message: 'SyntaxError: bad module'});
+  assert.equal(await pending, true);
+  assert.equal(vm.fault, 'worker error: SyntaxError: bad module');
+  assert.equal(w.terminated, true);
+
+  const other = workerVM({hang: true});
+  const pendingLoad = other.host.load(snakeCart());
+  other.host.terminate();
+  assert.equal(await pendingLoad, false);
+  assert.equal(other.host.busy, false);
+  assert.equal(other.w.terminated, true);
+  assert.equal(other.vm.fault, null);
+});
+
+test('worker handler: steps before a load report no cartridge', () => {
+  const out = [];
+  const handle = workerHandler((msg) => out.push(msg));
+  handle({type: 'step', id: 7, cmd: 0, tick: 1});
+  handle({type: 'view', view: {W: 1, H: 1}}); // no VM, no OffscreenCanvas: nothing to draw
+  assert.deepEqual(out, [{type: 'state', id: 7, snapshot: null, sound: [], fault: 'no cartridge loaded'}]);
+});
@@ -0,0 +1,42 @@
+#!/usr/bin/env node
+// tools/ppuasm.mjs - command-line front end for asm.js
+//   node tools/ppuasm.mjs asm <source.pasm> [out.bin] [-D NAME=value ...]
+//   node tools/ppuasm.mjs dis <cartridge.jpg | code.bin> [--source]
+// `asm` prints entry points and writes the raw BYTECODE payload; `dis` prints a listing
+// (or re-assemblable source with --source).
+
+import {readFileSync, writeFileSync} from 'node:fs';
+import {assemble, disassemble, disassembleCartridge} from '../asm.js';
+import {parseCartridge} from '../ppujpeg.js';
+
+function usage(){
+  console.error('usage: ppuasm.mjs asm <source> [out.bin] [-D NAME=value ...]\n       ppuasm.mjs dis <cartridge.jpg|code.bin> [--source]');
+  process.exit(2);
+}
+
+const [cmd, ...args] = process.argv.slice(2);
+if(cmd === 'asm'){
+  const defines = {};
+  const files = [];
+  for(let i=0;i<args.length;i++){
+    if(args[i] === '-D'){
+      const [k, v] = String(args[++i] ?? '').split('=');
+      if(!k || v === undefined) usage();
+      defines[k] = Number(v);
+    } else {
+      files.push(args[i]);
+    }
+  }
+  if(!files[0]) usage();
+  const {bytecode, entryPoint, frameEntry} = assemble(readFileSync(files[0], 'utf8'), {defines});
+  console.log(`${bytecode.length} bytes, entryPoint=${entryPoint}, frameEntry=${frameEntry}`);
+  if(files[1]) writeFileSync(files[1], bytecode);
+} else if(cmd === 'dis'){
+  if(!args[0]) usage();
+  const bytes = new Uint8Array(readFileSync(args[0]));
+  const listing = !args.includes('--source');
+  const isJpeg = bytes[0] === 0xFF && bytes[1] === 0xD8;
+  process.stdout.write(isJpeg ? disassembleCartridge(parseCartridge(bytes), {listing}) : disassemble(bytes, {listing}));
+} else {
+  usage();
+}
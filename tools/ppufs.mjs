@@ -0,0 +1,50 @@
+#!/usr/bin/env node
+// tools/ppufs.mjs - packs a directory into an FS block payload (format.js buildFs) and lists one
+//   node tools/ppufs.mjs pack <dir> <out.bin>
+//   node tools/ppufs.mjs ls <cartridge.jpg | fs.bin>
+// Paths in the archive are relative to <dir> and use '/'; dotfiles are skipped.
+
+import {readFileSync, writeFileSync, readdirSync} from 'node:fs';
+import {join, relative, sep} from 'node:path';
+import {buildFs, decodeFs} from '../format.js';
+import {parseCartridge, BlockType} from '../ppujpeg.js';
+
+function usage(){
+  console.error('usage: ppufs.mjs pack <dir> <out.bin>\n       ppufs.mjs ls <cartridge.jpg|fs.bin>');
+  process.exit(2);
+}
+
+// FS payload holding every regular file under `dir`.
+function packDirectory(dir){
+  const files = [];
+  const walk = (d) => {
+    for(const e of readdirSync(d, {withFileTypes: true})){
+      if(e.name.startsWith('.')) continue;
+      const p = join(d, e.name);
+      if(e.isDirectory()) walk(p);
+      else if(e.isFile()) files.push({path: relative(dir, p).split(sep).join('/'), data: new Uint8Array(readFileSync(p))});
+    }
+  };
+  walk(dir);
+  return buildFs(files);
+}
+
+const [cmd, ...args] = process.argv.slice(2);
+if(cmd === 'pack'){
+  if(!args[1]) usage();
+  const payload = packDirectory(args[0]);
+  writeFileSync(args[1], payload);
+  console.log(`${decodeFs(payload).length} files, ${payload.length} bytes`);
+} else if(cmd === 'ls'){
+  if(!args[0]) usage();
+  const bytes = new Uint8Array(readFileSync(args[0]));
+  let payload = bytes, version;
+  if(bytes[0] === 0xFF && bytes[1] === 0xD8){
+    const fs = parseCartridge(bytes).find(b => b.blockType === BlockType.FS);
+    if(!fs){ console.error('cartridge has no FS block'); process.exit(1); }
+    ({payload, version} = fs);
+  }
+  for(const f of decodeFs(payload, version)) console.log(`${String(f.size).padStart(8)}  ${f.crc.toString(16).padStart(8, '0')}  ${f.path}`);
+} else {
+  usage();
+}
@@ -0,0 +1,114 @@
+// verify.js - static BYTECODE verifier, run at load time before the VM starts
+// Walks every instruction reachable from the HEADER entry points (the ISA has no indirect
+// jumps, so the walk sees all code) and rejects:
+// - unknown opcodes, truncated instructions, non-canonical register bytes
+// - jump/call targets outside the block or into the middle of an instruction
+// - code that runs off the end of the block
+// - syscalls that are unknown or not enabled by the header's featureFlags
+// - an unbalanced stack: POP with nothing pushed, RET with words still pushed, RET outside a
+//   called routine (reachable from entryPoint / frameEntry without a CALL), or two paths that
+//   reach one instruction with different depths (a loop that pushes). Depths count the words the
+//   current routine pushed; a CALL target starts a routine at 0 and the CALL itself nets 0.
+// Runtime checks in vm.js stay in place; this only moves the common failures to load time.
+
+import {Opcode, OpForm, Sys, SYS_FEATURE, KNOWN_FEATURES} from './vm.js';
+import {decodeInstruction} from './asm.js';
+
+const OPCODE_BY_VALUE = Object.freeze(Object.fromEntries(Object.entries(Opcode).map(([k, v]) => [v, k])));
+const SYS_NAME = Object.freeze(Object.fromEntries(Object.entries(Sys).map(([k, v]) => [v, k])));
+const MAX_ERRORS = 16;
+
+function hex(v, w=4){ return '0x' + (v>>>0).toString(16).toUpperCase().padStart(w, '0'); }
+
+// Returns {ok, errors: string[], reachable: Set<pc>}. Errors read "0x0012: what went wrong".
+export function verifyBytecode(bytecode, {entryPoint=0, frameEntry=entryPoint, featureFlags=0} = {}){
+  const code = bytecode instanceof Uint8Array ? bytecode : new Uint8Array(bytecode);
+  const errors = [];
+  const report = (pc, msg) => {
+    const line = pc === null ? msg : `${hex(pc)}: ${msg}`;
+    if(errors.length < MAX_ERRORS && !errors.includes(line)) errors.push(line);
+  };
+
+  const unknownFeatures = (featureFlags >>> 0) & ~KNOWN_FEATURES;
+  if(unknownFeatures) report(null, `header enables unknown feature flags ${hex(unknownFeatures, 8)}`);
+  if(code.length === 0){
+    report(null, 'BYTECODE block is empty');
+    return {ok: false, errors, reachable: new Set()};
+  }
+
+  const starts = new Set();       // decoded instruction starts
+  const owner = new Int32Array(code.length).fill(-1); // byte -> start of the instruction covering it
+  const depthAt = new Map();      // pcs already examined -> stack depth on the first path there
+  const decoded = new Map();      // pc -> {ins, depth, next} for instructions that passed
+  const outside = new Set();      // pcs reached outside a called routine
+  const work = [];                // [pc, depth, inRoutine]
+  const enqueue = (target, depth, inRoutine, from, what) => {
+    if(target >= code.length){ report(from, `${what} ${hex(target)} is outside the ${code.length}-byte block`); return; }
+    work.push([target, depth, inRoutine]);
+  };
+  // Successors of the instruction at pc; `next` is the depth after it.
+  const follow = (pc, ins, depth, next, inRoutine) => {
+    if(ins.target !== undefined){
+      if(ins.op === Opcode.CALL) enqueue(ins.target, 0, true, pc, `${ins.name} target`);
+      else enqueue(ins.target, depth, inRoutine, pc, `${ins.name} target`);
+    }
+    const terminal = ins.op === Opcode.HALT || ins.op === Opcode.RET || ins.op === Opcode.JMP;
+    if(!terminal){
+      if(pc + ins.len >= code.length) report(pc, `${ins.name} falls off the end of the block`);
+      else work.push([pc + ins.len, next, inRoutine]);
+    }
+  };
+  enqueue(entryPoint >>> 0, 0, false, null, 'entryPoint');
+  enqueue(frameEntry >>> 0, 0, false, null, 'frameEntry');
+
+  while(work.length && errors.length < MAX_ERRORS){
+    const [pc, depth, inRoutine] = work.pop();
+    const firstOutside = !inRoutine && !outside.has(pc);
+    if(!inRoutine) outside.add(pc);
+    if(depthAt.has(pc)){
+      if(depthAt.get(pc) !== depth) report(pc, `stack depth ${depth} on one path, ${depthAt.get(pc)} on another`);
+      // Code first walked inside a routine and now reached without a CALL: walk it again for RETs.
+      const seen = firstOutside && decoded.get(pc);
+      if(seen){
+        if(seen.ins.op === Opcode.RET) report(pc, 'RET outside a called routine');
+        follow(pc, seen.ins, seen.depth, seen.next, false);
+      }
+      continue;
+    }
+    depthAt.set(pc, depth);
+    if(owner[pc] !== -1){ report(pc, `jump into the middle of the instruction at ${hex(owner[pc])}`); continue; }
+
+    const ins = decodeInstruction(code, pc);
+    if(!ins){
+      report(pc, code[pc] in OPCODE_BY_VALUE ? `truncated ${OPCODE_BY_VALUE[code[pc]]}` : `unknown opcode ${hex(code[pc], 2)}`);
+      continue;
+    }
+    let overlap = -1;
+    for(let i=pc; i<pc+ins.len; i++) if(owner[i] !== -1){ overlap = owner[i]; break; }
+    if(overlap !== -1){ report(pc, `instruction overlaps the one at ${hex(overlap)}`); continue; }
+    starts.add(pc);
+    for(let i=pc; i<pc+ins.len; i++) owner[i] = pc;
+
+    if((ins.form === OpForm.R || ins.form === OpForm.RI || ins.form === OpForm.RA) && (code[pc+1] & 15) !== 0){
+      report(pc, `${ins.name}: low register nibble must be 0`);
+    }
+    if(ins.form === OpForm.SYS){
+      const need = SYS_FEATURE[ins.sys];
+      if(need === undefined) report(pc, `unknown syscall ${hex(ins.sys, 2)}`);
+      else if(((featureFlags >>> 0) & need) === 0) report(pc, `syscall ${SYS_NAME[ins.sys]} needs feature flag ${hex(need, 8)}`);
+    }
+    let next = depth;
+    if(ins.op === Opcode.PUSH) next++;
+    else if(ins.op === Opcode.POP){
+      if(depth === 0){ report(pc, 'POP with nothing pushed'); continue; }
+      next--;
+    } else if(ins.op === Opcode.RET){
+      if(!inRoutine) report(pc, 'RET outside a called routine');
+      else if(depth !== 0) report(pc, `RET with ${depth} word(s) still pushed`);
+    }
+    decoded.set(pc, {ins, depth, next});
+    follow(pc, ins, depth, next, inRoutine);
+  }
+
+  return {ok: errors.length === 0, errors, reachable: starts};
+}
@@ -1,34 +1,277 @@
-// vm.js - deterministic VM + syscall set for Snake
+// vm.js - deterministic VM + generic syscall set (game rules live in cartridge bytecode, see snake.js)
 // Goal: keep the execution model aligned with "PPU-in-JPEG": bounded cycles, fail-closed on bad blocks.
-// This VM is deliberately tiny: bytecode is just enough to dispatch syscalls & halt.
+//
+// Machine model
+// - 16 general registers r0..r15 (u32, wrapping arithmetic), pc into the BYTECODE block.
+// - 64 KiB `ram`, big-endian loads/stores, bounds-checked. The top 4 KiB (0xF000..0xFFFF) is the
+//   call/data stack; sp starts at 0x10000 and grows down in 4-byte slots.
+// - Syscall ABI: arguments in r0..r3, result (if any) in r0.
+//
+// Entry convention (from the HEADER block)
+// - entryPoint: run once by init() after load/reset, until HALT.
+// - frameEntry: every runFrame() starts there with an empty stack and runs until HALT.
+//   Registers and ram persist between frames; keep game state in ram.
+//
+// Fail-closed: unknown opcodes/syscalls, out-of-range pc or memory access, stack over/underflow,
+// division by zero and running out of cycles all set `fault` and halt. A faulted VM stays halted
+// until reset().
+//
+// Encoding: 1 opcode byte, then operands. `rr` is one byte: high nibble = first register,
+// low nibble = second (single-register forms use the high nibble, low nibble 0).
+// imm32/addr32 are u32 big-endian, off16 is an i16 big-endian displacement.
+//
+//   op    name     form   bytes  effect
+//   0x00  NOP      -      1
+//   0x01  HALT     -      1      end of init/frame
+//   0x10  LDI      r,i32  6      rd = imm
+//   0x11  MOV      rr     2      rd = rs
+//   0x12  ADDI     r,i32  6      rd = rd + imm
+//   0x20  ADD      rr     2      rd = rd + rs
+//   0x21  SUB      rr     2      rd = rd - rs
+//   0x22  MUL      rr     2      rd = rd * rs
+//   0x23  DIVU     rr     2      rd = rd / rs (unsigned; rs=0 faults)
+//   0x24  REMU     rr     2      rd = rd % rs (unsigned; rs=0 faults)
+//   0x25  AND      rr     2
+//   0x26  OR       rr     2
+//   0x27  XOR      rr     2
+//   0x28  SHL      rr     2      rd = rd << (rs & 31)
+//   0x29  SHR      rr     2      logical
+//   0x2A  SAR      rr     2      arithmetic
+//   0x30  SEQ      rr     2      rd = rd == rs ? 1 : 0
+//   0x31  SNE      rr     2
+//   0x32  SLT      rr     2      signed <
+//   0x33  SLTU     rr     2      unsigned <
+//   0x38  LDB      rr,o16 4      rd = ram[rs+off] (u8)
+//   0x39  LDH      rr,o16 4      rd = u16 at rs+off
+//   0x3A  LDW      rr,o16 4      rd = u32 at rs+off
+//   0x3B  STB      rr,o16 4      ram[rs+off] = rd & 0xFF
+//   0x3C  STH      rr,o16 4
+//   0x3D  STW      rr,o16 4
+//   0x40  SYSCALL  id     2      see Sys
+//   0x50  JMP      a32    5
+//   0x51  JZ       r,a32  6      if rs == 0
+//   0x52  JNZ      r,a32  6      if rs != 0
+//   0x53  BEQ      rr,a32 6      if ra == rb
+//   0x54  BNE      rr,a32 6
+//   0x55  BLT      rr,a32 6      signed
+//   0x56  BGE      rr,a32 6      signed
+//   0x57  BLTU     rr,a32 6
+//   0x58  BGEU     rr,a32 6
+//   0x60  CALL     a32    5      push return pc, jump
+//   0x61  RET      -      1      pop pc
+//   0x62  PUSH     r      2
+//   0x63  POP      r      2
+// Each instruction costs 1 cycle; SYSCALL costs 2.
+
+import {soundStepProblem, SOUND_CHANNELS} from './format.js';
 
 export const Opcode = Object.freeze({
+  NOP: 0x00,
   HALT: 0x01,
+  LDI: 0x10,
+  MOV: 0x11,
+  ADDI: 0x12,
+  ADD: 0x20,
+  SUB: 0x21,
+  MUL: 0x22,
+  DIVU: 0x23,
+  REMU: 0x24,
+  AND: 0x25,
+  OR: 0x26,
+  XOR: 0x27,
+  SHL: 0x28,
+  SHR: 0x29,
+  SAR: 0x2A,
+  SEQ: 0x30,
+  SNE: 0x31,
+  SLT: 0x32,
+  SLTU: 0x33,
+  LDB: 0x38,
+  LDH: 0x39,
+  LDW: 0x3A,
+  STB: 0x3B,
+  STH: 0x3C,
+  STW: 0x3D,
   SYSCALL: 0x40,   // 0x40, id(u8)
+  JMP: 0x50,
+  JZ: 0x51,
+  JNZ: 0x52,
+  BEQ: 0x53,
+  BNE: 0x54,
+  BLT: 0x55,
+  BGE: 0x56,
+  BLTU: 0x57,
+  BGEU: 0x58,
+  CALL: 0x60,
+  RET: 0x61,
+  PUSH: 0x62,
+  POP: 0x63,
 });
 
+// Operand forms and their encoded instruction length (opcode byte included).
+export const OpForm = Object.freeze({
+  NONE: 'none',   // 1
+  R: 'r',         // 2: rr (low nibble 0)
+  RR: 'rr',       // 2: rr
+  RI: 'ri',       // 6: rr (low nibble 0), imm32
+  RM: 'rm',       // 4: rr, off16
+  SYS: 'sys',     // 2: id
+  A: 'a',         // 5: addr32
+  RA: 'ra',       // 6: rr (low nibble 0), addr32
+  RRA: 'rra',     // 6: rr, addr32
+});
+
+export const FORM_LENGTH = Object.freeze({none:1, r:2, rr:2, ri:6, rm:4, sys:2, a:5, ra:6, rra:6});
+
+const O = Opcode, F = OpForm;
+export const OP_FORM = Object.freeze({
+  [O.NOP]: F.NONE, [O.HALT]: F.NONE,
+  [O.LDI]: F.RI, [O.MOV]: F.RR, [O.ADDI]: F.RI,
+  [O.ADD]: F.RR, [O.SUB]: F.RR, [O.MUL]: F.RR, [O.DIVU]: F.RR, [O.REMU]: F.RR,
+  [O.AND]: F.RR, [O.OR]: F.RR, [O.XOR]: F.RR, [O.SHL]: F.RR, [O.SHR]: F.RR, [O.SAR]: F.RR,
+  [O.SEQ]: F.RR, [O.SNE]: F.RR, [O.SLT]: F.RR, [O.SLTU]: F.RR,
+  [O.LDB]: F.RM, [O.LDH]: F.RM, [O.LDW]: F.RM, [O.STB]: F.RM, [O.STH]: F.RM, [O.STW]: F.RM,
+  [O.SYSCALL]: F.SYS,
+  [O.JMP]: F.A, [O.JZ]: F.RA, [O.JNZ]: F.RA,
+  [O.BEQ]: F.RRA, [O.BNE]: F.RRA, [O.BLT]: F.RRA, [O.BGE]: F.RRA, [O.BLTU]: F.RRA, [O.BGEU]: F.RRA,
+  [O.CALL]: F.A, [O.RET]: F.NONE, [O.PUSH]: F.R, [O.POP]: F.R,
+});
+
+// Syscalls (args r0..r3, result in r0). Ids 0x01/0x02 were the old native Snake calls and are gone.
 export const Sys = Object.freeze({
-  SNAKE_INIT: 0x01,
-  SNAKE_TICK: 0x02,
+  SEED: 0x10,         // prng = r0
+  RANDOM: 0x11,       // r0 = next xorshift32 value
+  OS_ID: 0x12,        // r0 = header.osId
+  READ_INPUT: 0x13,   // r0 = cmd, r1 = tick, r2 = modeBits, r3 = cmd2
+  BOARD: 0x20,        // r0 = width, r1 = height (1..MAX_BOARD): resize + clear the cell board
+  CLEAR: 0x21,        // clear every cell
+  DRAW_CELL: 0x22,    // r0 = x, r1 = y, r2 = color index (0 = empty; must be in the LUT_PALETTE)
+  REPORT_SCORE: 0x23, // r0 = score (host keeps the best)
+  SET_STATUS: 0x24,   // r0 bit0 = paused, bit1 = game over
+  SET_MODE: 0x25,     // modeBits = r0 & 0xFF (the host looks up touch input under this mode)
+  REPORT_MATCH: 0x26, // two players: r0 = player 2 score, r1 = winner (0 none, 1/2, 3 = draw)
+  READ_RULES: 0x27,   // copy up to r1 bytes of the RULES block to ram[r0..]; r0 = bytes copied
+  // FS block files (read-only). A handle is the file's 1-based position in the archive.
+  FS_OPEN: 0x28,      // r0 = addr, r1 = length of a UTF-8 path in ram; r0 = handle, 0 if no such file
+  FS_STAT: 0x29,      // r0 = handle; r0 = size, r1 = CRC32
+  FS_READ: 0x2A,      // r0 = handle, r1 = file offset, r2 = ram addr, r3 = max bytes; r0 = bytes copied
+  // Display list (render.display): the host rasterizes these commands and nothing else. Tiles come
+  // from the TILES block; colors are palette indices, 0 = transparent.
+  DL_CLEAR: 0x30,     // start a new list whose first command fills the board with color r0
+  DL_TILE: 0x31,      // tile r2 at board cell (r0, r1), scaled to cellPx
+  DL_SPRITE: 0x32,    // tile r2 at cartridge pixel (r0, r1) (signed), r3 = SpriteFlag bits | (scale-1) << 4
+  DL_TEXT: 0x33,      // UTF-8 text at ram r0, r1 bytes (<= MAX_TEXT) at x = r2 & 0xFFFF, y = r2 >> 16;
+                      // r3 = color | size px << 8 | align << 16 (0 left, 1 center, 2 right)
+  // Sound (vm.sound after each init/frame; audio.js synthesizes it). Channels 0, 1 pulse,
+  // 2 triangle, 3 noise; lengths in synth frames (1/60 s).
+  SND_TONE: 0x38,     // channel r0: note r1 (0 = off) for r2 frames (0 = until replaced), r3 = volume | decay << 4
+  SND_PLAY: 0x39,     // start SOUNDS block entry r0 on its channel
+  SND_STOP: 0x3A,     // silence the channels in bit mask r0
 });
 
+// HEADER featureFlags: which syscall groups a cartridge may use (checked by verify.js and at runtime).
+export const Feature = Object.freeze({
+  CORE: 1 << 0,       // PRNG, input, cell board, score/status
+  FS: 1 << 1,         // FS block files
+  DISPLAY: 1 << 2,    // display list (the host draws render.display instead of the cell board)
+  AUDIO: 1 << 3,      // SND_* syscalls
+});
+export const KNOWN_FEATURES = Feature.CORE | Feature.FS | Feature.DISPLAY | Feature.AUDIO;
+
+export const SYS_FEATURE = Object.freeze({
+  [Sys.SEED]: Feature.CORE,
+  [Sys.RANDOM]: Feature.CORE,
+  [Sys.OS_ID]: Feature.CORE,
+  [Sys.READ_INPUT]: Feature.CORE,
+  [Sys.BOARD]: Feature.CORE,
+  [Sys.CLEAR]: Feature.CORE,
+  [Sys.DRAW_CELL]: Feature.CORE,
+  [Sys.REPORT_SCORE]: Feature.CORE,
+  [Sys.SET_STATUS]: Feature.CORE,
+  [Sys.SET_MODE]: Feature.CORE,
+  [Sys.REPORT_MATCH]: Feature.CORE,
+  [Sys.READ_RULES]: Feature.CORE,
+  [Sys.FS_OPEN]: Feature.FS,
+  [Sys.FS_STAT]: Feature.FS,
+  [Sys.FS_READ]: Feature.FS,
+  [Sys.DL_CLEAR]: Feature.DISPLAY,
+  [Sys.DL_TILE]: Feature.DISPLAY,
+  [Sys.DL_SPRITE]: Feature.DISPLAY,
+  [Sys.DL_TEXT]: Feature.DISPLAY,
+  [Sys.SND_TONE]: Feature.AUDIO,
+  [Sys.SND_PLAY]: Feature.AUDIO,
+  [Sys.SND_STOP]: Feature.AUDIO,
+});
+
+export const SpriteFlag = Object.freeze({FLIP_X: 1, FLIP_Y: 2});
+export const MAX_DISPLAY = 4096; // commands per list; one more traps
+export const MAX_TEXT = 64;      // bytes per DL_TEXT
+const TEXT_ALIGN = ['left', 'center', 'right'];
+const textDecoder = new TextDecoder();
+export const MAX_SOUND_EVENTS = 64; // SND_* calls per init/frame
+
+export const MAX_BOARD = 64;
+export const RAM_SIZE = 64*1024;
+export const STACK_BASE = 0xF000; // stack occupies STACK_BASE..RAM_SIZE-1
+
 function clampU32(x){ return (x>>>0); }
 
+// Where the host draws the cell board (cartridge pixels); LAYOUT blocks override it.
+export const DEFAULT_BOARD = Object.freeze({x: 40, y: 72, cellPx: 18});
+
+function freshRender(board){
+  return {
+    gameOver: false,
+    paused: false,
+    score: 0,
+    high: 0,
+    players: 1,  // 2 once the cartridge reports a match
+    score2: 0,
+    winner: 0,
+    boardW: 0,
+    boardH: 0,
+    cellPx: board.cellPx,
+    boardX: board.x,
+    boardY: board.y,
+    cells: new Uint8Array(0), // boardW*boardH color indices, row-major
+    // Display list, replaced on DL_CLEAR: {op: 'clear', color} | {op: 'tile', col, row, tile} |
+    // {op: 'sprite', x, y, tile, flipX, flipY, scale} | {op: 'text', x, y, text, color, size, align}
+    display: [],
+  };
+}
+
 export class PPUVM {
-  constructor({header, bytecode, truthTable, strings, onDraw}){
+  constructor({header, bytecode, truthTable, strings, rules, files=[], tiles=null, sounds=[], onDraw, board=DEFAULT_BOARD, paletteSize=256}){
     this.header = header;
     this.code = bytecode;
+    this.rules = rules || new Uint8Array(0); // RULES block payload; its format is up to the bytecode
+    this.files = files; // FS block (format.js decodeFs): [{path, size, crc, data}]
+    // FS_OPEN compares raw path bytes: key = the UTF-8 bytes as a latin1 string.
+    const utf8 = new TextEncoder();
+    this.fileIndex = new Map(files.map((f, i) => [String.fromCharCode(...utf8.encode(f.path)), i + 1]));
     this.truthTable = truthTable; // Map key->cmd
     this.strings = strings || {};
     this.onDraw = onDraw; // (renderState)=>void
-
-    this.ram = new Uint8Array(64*1024);
-    this.pc = header.entryPoint >>> 0;
+    this.paletteSize = paletteSize; // LUT_PALETTE entries; color indices at or past it trap
+    this.tileCount = tiles?.count ?? 0; // TILES block (format.js decodeTiles); tile indices at or past it trap
+    this.soundCount = sounds.length;    // SOUNDS block entries (format.js decodeSounds)
+    this.board = {x: board.x, y: board.y, cellPx: board.cellPx};
+
+    this.ram = new Uint8Array(RAM_SIZE);
+    this.reg = new Uint32Array(16);
+    this.entryPoint = header.entryPoint >>> 0;
+    this.frameEntry = (header.frameEntry ?? header.entryPoint) >>> 0;
+    this.features = (header.featureFlags ?? Feature.CORE) >>> 0;
+    this.pc = this.entryPoint;
+    this.sp = RAM_SIZE;
     this.cycleBudget = 50_000;
     this.halted = false;
+    this.fault = null; // string once the VM has failed closed
 
-    // IO regs (host writes)
+    // IO regs (host writes cmd/cmd2/tick; the cartridge sets modeBits via SET_MODE). cmd2 is a
+    // second input slot (player 2 on the same device), so two players never share one per tick.
     this.ioCmd = 0;   // u16
+    this.ioCmd2 = 0;  // u16
     this.ioTick = 0;  // u32
     this.modeBits = 0;
 
@@ -36,68 +279,226 @@ export class PPUVM {
     this.prng = 0xC0FFEE01;
 
     // Render state (host consumes)
-    this.render = {
-      gameOver: false,
-      score: 0,
-      high: 0,
-      boardW: 20,
-      boardH: 20,
-      cellPx: 18,
-      boardX: 40,
-      boardY: 72,
-      apple: {x: 10, y: 10},
-      snake: [{x:10,y:12},{x:10,y:13},{x:10,y:14}],
-      dir: 0, // 0 up,1 right,2 down,3 left
-      pendingDir: 0,
-      lastTick: 0xFFFFFFFF>>>0,
-      paused: false,
-    };
+    this.render = freshRender(this.board);
+    this.dirty = false; // set by draw/report syscalls; onDraw fires once at the end of init/frame
+    // Sound commands of the last init/frame, in order: {op: 'tone', channel, note, frames, volume,
+    // decay} | {op: 'play', sound} | {op: 'stop', mask}. Not part of snapshots: sound is output.
+    this.sound = [];
   }
 
   reset(){
     this.ram.fill(0);
-    this.pc = this.header.entryPoint >>> 0;
+    this.reg.fill(0);
+    this.pc = this.entryPoint;
+    this.sp = RAM_SIZE;
     this.halted = false;
+    this.fault = null;
+    this.modeBits = 0;
     this.prng = 0xC0FFEE01;
+    this.render = freshRender(this.board);
+    this.dirty = false;
+    this.sound = [];
+  }
+
+  // Complete machine state as plain data (copies, safe to keep while the VM runs on).
+  // Serialized by savestate.js; the host-side hooks (onDraw, header, code) are not part of it.
+  snapshot(){
+    if(this.fault) throw new Error(`Cannot snapshot a faulted VM (${this.fault})`);
+    const st = this.render;
+    return {
+      pc: this.pc,
+      sp: this.sp,
+      halted: this.halted,
+      prng: this.prng,
+      ioCmd: this.ioCmd,
+      ioCmd2: this.ioCmd2,
+      ioTick: this.ioTick,
+      modeBits: this.modeBits,
+      reg: this.reg.slice(),
+      ram: this.ram.slice(),
+      render: {...st, cells: st.cells.slice(), display: st.display.slice()},
+    };
+  }
+
+  // Inverse of snapshot(). Validates shapes first so a bad snapshot leaves the VM untouched.
+  // Board geometry (cellPx, boardX, boardY) stays this VM's: it comes from the cartridge's LAYOUT,
+  // not from the game, so a state saved under another layout still draws in this one's board.
+  restore(s){
+    const rd = s.render;
+    if(!(s.ram instanceof Uint8Array) || s.ram.length !== RAM_SIZE) throw new Error("Snapshot ram size mismatch");
+    if(!(s.reg instanceof Uint32Array) || s.reg.length !== 16) throw new Error("Snapshot register file mismatch");
+    if(s.sp > RAM_SIZE || s.sp < STACK_BASE || (s.sp & 3)) throw new Error("Snapshot sp out of range");
+    if(rd.boardW > MAX_BOARD || rd.boardH > MAX_BOARD) throw new Error("Snapshot board too large");
+    if(!(rd.cells instanceof Uint8Array) || rd.cells.length !== rd.boardW*rd.boardH) throw new Error("Snapshot board size mismatch");
+
+    this.pc = s.pc >>> 0;
+    this.sp = s.sp >>> 0;
+    this.halted = !!s.halted;
+    this.fault = null;
+    this.prng = s.prng >>> 0;
+    this.setIO({cmd: s.ioCmd, cmd2: s.ioCmd2 ?? 0, tick: s.ioTick, modeBits: s.modeBits});
+    this.reg.set(s.reg);
+    this.ram.set(s.ram);
+    const {cellPx, boardX, boardY, ...game} = rd;
+    this.render = {...freshRender(this.board), ...game, cells: rd.cells.slice(), display: rd.display ? rd.display.slice() : []};
+    this.dirty = false;
+    this.onDraw?.(this.render);
   }
 
-  setIO({cmd, tick, modeBits=0}){
+  // modeBits belongs to the cartridge; hosts only pass it when restoring state.
+  setIO({cmd, cmd2=0, tick, modeBits=this.modeBits}){
     this.ioCmd = cmd & 0xFFFF;
+    this.ioCmd2 = cmd2 & 0xFFFF;
     this.ioTick = clampU32(tick);
     this.modeBits = modeBits & 0xFF;
   }
 
+  // Run the init entry (header.entryPoint) until HALT.
+  init(cycleBudget){
+    this.pc = this.entryPoint;
+    this.sp = RAM_SIZE;
+    this.sound = [];
+    return this.exec(cycleBudget);
+  }
+
+  // Run one frame from header.frameEntry until HALT.
   runFrame(cycleBudget){
+    this.pc = this.frameEntry;
+    this.sp = RAM_SIZE;
+    this.sound = [];
+    return this.exec(cycleBudget);
+  }
+
+  trap(msg){
+    if(!this.fault) this.fault = `${msg} (pc=${this.pc})`;
+    this.halted = true;
+  }
+
+  exec(cycleBudget){
     const budget = (cycleBudget ?? this.cycleBudget) >>> 0;
+    const code = this.code, r = this.reg;
     let cycles = 0;
-    this.halted = false;
-
-    while(!this.halted && cycles < budget){
-      const op = this.code[this.pc++];
+    this.halted = !!this.fault;
+
+    while(!this.halted){
+      if(cycles >= budget){ this.trap("cycle budget exceeded"); break; }
+      const pc = this.pc;
+      if(pc >= code.length){ this.trap("pc out of bounds"); break; }
+      const op = code[pc];
+      const form = OP_FORM[op];
+      if(form === undefined){ this.trap(`unknown opcode 0x${op.toString(16)}`); break; }
+      const len = FORM_LENGTH[form];
+      if(pc + len > code.length){ this.trap("truncated instruction"); break; }
       cycles++;
 
-      if(op === Opcode.HALT){
-        this.halted = true;
-        break;
-      }
-
-      if(op === Opcode.SYSCALL){
-        const id = this.code[this.pc++];
-        cycles++;
-        this.syscall(id);
-        continue;
+      const a = code[pc+1] >>> 4, b = code[pc+1] & 15;
+      const imm = len === 6 ? clampU32((code[pc+2]<<24) | (code[pc+3]<<16) | (code[pc+4]<<8) | code[pc+5]) : 0;
+      let next = pc + len;
+
+      switch(op){
+        case O.NOP: break;
+        case O.HALT: this.halted = true; break;
+        case O.LDI: r[a] = imm; break;
+        case O.MOV: r[a] = r[b]; break;
+        case O.ADDI: r[a] = r[a] + imm; break;
+        case O.ADD: r[a] = r[a] + r[b]; break;
+        case O.SUB: r[a] = r[a] - r[b]; break;
+        case O.MUL: r[a] = Math.imul(r[a], r[b]); break;
+        case O.DIVU:
+        case O.REMU:
+          if(r[b] === 0){ this.trap("division by zero"); break; }
+          r[a] = op === O.DIVU ? Math.floor(r[a] / r[b]) : r[a] % r[b];
+          break;
+        case O.AND: r[a] = r[a] & r[b]; break;
+        case O.OR: r[a] = r[a] | r[b]; break;
+        case O.XOR: r[a] = r[a] ^ r[b]; break;
+        case O.SHL: r[a] = r[a] << (r[b] & 31); break;
+        case O.SHR: r[a] = r[a] >>> (r[b] & 31); break;
+        case O.SAR: r[a] = (r[a] | 0) >> (r[b] & 31); break;
+        case O.SEQ: r[a] = r[a] === r[b] ? 1 : 0; break;
+        case O.SNE: r[a] = r[a] !== r[b] ? 1 : 0; break;
+        case O.SLT: r[a] = (r[a] | 0) < (r[b] | 0) ? 1 : 0; break;
+        case O.SLTU: r[a] = r[a] < r[b] ? 1 : 0; break;
+        case O.LDB: case O.LDH: case O.LDW:
+        case O.STB: case O.STH: case O.STW: {
+          const off = ((code[pc+2] << 8) | code[pc+3]) << 16 >> 16;
+          this.memOp(op, a, clampU32(r[b] + off));
+          break;
+        }
+        case O.SYSCALL:
+          cycles++;
+          this.syscall(code[pc+1]);
+          break;
+        case O.JMP: next = this.addr32(pc); break;
+        case O.JZ: if(r[a] === 0) next = imm; break;
+        case O.JNZ: if(r[a] !== 0) next = imm; break;
+        case O.BEQ: if(r[a] === r[b]) next = imm; break;
+        case O.BNE: if(r[a] !== r[b]) next = imm; break;
+        case O.BLT: if((r[a] | 0) < (r[b] | 0)) next = imm; break;
+        case O.BGE: if((r[a] | 0) >= (r[b] | 0)) next = imm; break;
+        case O.BLTU: if(r[a] < r[b]) next = imm; break;
+        case O.BGEU: if(r[a] >= r[b]) next = imm; break;
+        case O.CALL:
+          if(this.push(next)) next = this.addr32(pc);
+          break;
+        case O.RET: {
+          const ret = this.pop();
+          if(ret !== null) next = ret;
+          break;
+        }
+        case O.PUSH: this.push(r[a]); break;
+        case O.POP: {
+          const v = this.pop();
+          if(v !== null) r[a] = v;
+          break;
+        }
       }
 
-      // Unknown opcode => fail-closed: halt
-      this.halted = true;
-      break;
+      // On a fault pc stays on the offending instruction (useful for diagnostics).
+      if(!this.fault) this.pc = next;
     }
 
-    // Safety: if cycles exhausted, stop (cooperative scheduling)
-    this.halted = true;
+    if(this.dirty){
+      this.dirty = false;
+      this.onDraw?.(this.render);
+    }
     return cycles;
   }
 
+  addr32(pc){
+    const c = this.code;
+    return clampU32((c[pc+1]<<24) | (c[pc+2]<<16) | (c[pc+3]<<8) | c[pc+4]);
+  }
+
+  memOp(op, reg, addr){
+    const size = (op === O.LDB || op === O.STB) ? 1 : (op === O.LDH || op === O.STH) ? 2 : 4;
+    if(addr + size > this.ram.length){ this.trap(`memory access out of bounds at 0x${addr.toString(16)}`); return; }
+    const m = this.ram, r = this.reg;
+    switch(op){
+      case O.LDB: r[reg] = m[addr]; break;
+      case O.LDH: r[reg] = (m[addr]<<8) | m[addr+1]; break;
+      case O.LDW: r[reg] = clampU32((m[addr]<<24) | (m[addr+1]<<16) | (m[addr+2]<<8) | m[addr+3]); break;
+      case O.STB: m[addr] = r[reg] & 0xFF; break;
+      case O.STH: m[addr] = (r[reg]>>>8) & 0xFF; m[addr+1] = r[reg] & 0xFF; break;
+      case O.STW: m[addr] = r[reg]>>>24; m[addr+1] = (r[reg]>>>16) & 0xFF; m[addr+2] = (r[reg]>>>8) & 0xFF; m[addr+3] = r[reg] & 0xFF; break;
+    }
+  }
+
+  push(v){
+    if(this.sp - 4 < STACK_BASE){ this.trap("stack overflow"); return false; }
+    this.sp -= 4;
+    const m = this.ram, a = this.sp;
+    m[a] = v>>>24; m[a+1] = (v>>>16) & 0xFF; m[a+2] = (v>>>8) & 0xFF; m[a+3] = v & 0xFF;
+    return true;
+  }
+
+  pop(){
+    if(this.sp + 4 > RAM_SIZE){ this.trap("stack underflow"); return null; }
+    const m = this.ram, a = this.sp;
+    this.sp += 4;
+    return clampU32((m[a]<<24) | (m[a+1]<<16) | (m[a+2]<<8) | m[a+3]);
+  }
+
   // --- deterministic utilities ---
   randU32(){
     // xorshift32
@@ -109,127 +510,165 @@ export class PPUVM {
     return this.prng;
   }
 
-  // --- syscalls ---
-  syscall(id){
-    switch(id){
-      case Sys.SNAKE_INIT: return this.snakeInit();
-      case Sys.SNAKE_TICK: return this.snakeTick();
-      default:
-        // Unknown syscall => fail-closed
-        this.halted = true;
-        return;
-    }
+  // --- display list ---
+  checkColor(c){
+    if(c < this.paletteSize) return true;
+    this.trap(`color ${c} outside the ${this.paletteSize}-entry palette`);
+    return false;
   }
 
-  snakeInit(){
-    this.render.boardW = 20;
-    this.render.boardH = 20;
-    this.render.dir = 0;
-    this.render.pendingDir = 0;
-    this.render.paused = true;
-    this.render.gameOver = false;
-    this.render.score = 0;
-    this.render.snake = [{x:10,y:12},{x:10,y:13},{x:10,y:14}];
-    this.prng = 0xA5A5A5A5 ^ (this.header.osId>>>0);
+  checkTile(t){
+    if(t < this.tileCount) return true;
+    this.trap(`tile ${t} not in the ${this.tileCount}-tile TILES block`);
+    return false;
+  }
 
-    this.spawnApple();
-    this.onDraw?.(this.render);
+  emit(cmd){
+    const list = this.render.display;
+    if(list.length >= MAX_DISPLAY){ this.trap(`display list full (${MAX_DISPLAY} commands)`); return; }
+    list.push(cmd);
+    this.dirty = true;
   }
 
-  spawnApple(){
-    const W = this.render.boardW, H = this.render.boardH;
-    const occ = new Set(this.render.snake.map(p=>p.x + p.y*W));
-    for(let tries=0; tries<2048; tries++){
-      const r = this.randU32();
-      const x = r % W;
-      const y = ((r>>>16) % H);
-      const k = x + y*W;
-      if(!occ.has(k)){
-        this.render.apple = {x,y};
-        return;
-      }
-    }
-    for(let y=0;y<H;y++){
-      for(let x=0;x<W;x++){
-        const k = x+y*W;
-        if(!occ.has(k)){
-          this.render.apple = {x,y};
-          return;
-        }
-      }
-    }
+  queueSound(cmd){
+    if(this.sound.length >= MAX_SOUND_EVENTS){ this.trap(`sound queue full (${MAX_SOUND_EVENTS} commands)`); return; }
+    this.sound.push(cmd);
   }
 
-  snakeTick(){
-    const t = this.ioTick>>>0;
-    if(t === (this.render.lastTick>>>0)){
-      return; // no-op
+  // --- syscalls ---
+  syscall(id){
+    const r = this.reg, st = this.render;
+    if(SYS_FEATURE[id] !== undefined && (this.features & SYS_FEATURE[id]) === 0){
+      this.trap(`syscall 0x${id.toString(16)} not enabled by featureFlags`);
+      return;
     }
-    this.render.lastTick = t;
-
-    const cmd = this.ioCmd & 0xFFFF;
-
-    if(cmd === 5){ // start/pause toggle
-      if(!this.render.gameOver){
-        this.render.paused = !this.render.paused;
+    switch(id){
+      case Sys.SEED: this.prng = r[0]; return;
+      case Sys.RANDOM: r[0] = this.randU32(); return;
+      case Sys.OS_ID: r[0] = this.header.osId >>> 0; return;
+      case Sys.READ_INPUT:
+        r[0] = this.ioCmd;
+        r[1] = this.ioTick;
+        r[2] = this.modeBits;
+        r[3] = this.ioCmd2;
+        return;
+      case Sys.BOARD: {
+        const w = r[0], h = r[1];
+        if(w < 1 || h < 1 || w > MAX_BOARD || h > MAX_BOARD){ this.trap(`bad board size ${w}x${h}`); return; }
+        st.boardW = w;
+        st.boardH = h;
+        st.cells = new Uint8Array(w*h);
+        this.dirty = true;
+        return;
       }
-    } else if(cmd === 6){ // restart
-      this.snakeInit();
-      this.render.paused = false;
-      return;
-    } else if(cmd >= 1 && cmd <= 4){
-      const want = ({1:0,4:1,2:2,3:3})[cmd] ?? this.render.pendingDir;
-      const cur = this.render.dir;
-      if(((want + 2) & 3) !== cur){
-        this.render.pendingDir = want;
+      case Sys.CLEAR:
+        st.cells.fill(0);
+        this.dirty = true;
+        return;
+      case Sys.DRAW_CELL: {
+        const x = r[0], y = r[1];
+        if(x >= st.boardW || y >= st.boardH){ this.trap(`cell (${x},${y}) off board`); return; }
+        const c = r[2] & 0xFF;
+        if(!this.checkColor(c)) return;
+        st.cells[x + y*st.boardW] = c;
+        this.dirty = true;
+        return;
       }
+      case Sys.REPORT_SCORE:
+        st.score = r[0];
+        if(st.score > st.high) st.high = st.score;
+        this.dirty = true;
+        return;
+      case Sys.SET_STATUS:
+        st.paused = (r[0] & 1) !== 0;
+        st.gameOver = (r[0] & 2) !== 0;
+        this.dirty = true;
+        return;
+      case Sys.REPORT_MATCH:
+        if(r[1] > 3){ this.trap(`bad winner ${r[1]}`); return; }
+        st.players = 2;
+        st.score2 = r[0];
+        st.winner = r[1];
+        this.dirty = true;
+        return;
+      case Sys.READ_RULES: {
+        const addr = r[0], n = Math.min(r[1], this.rules.length);
+        if(addr + n > RAM_SIZE){ this.trap(`rules copy to 0x${addr.toString(16)} out of range`); return; }
+        this.ram.set(this.rules.subarray(0, n), addr);
+        r[0] = n;
+        return;
+      }
+      case Sys.FS_OPEN: {
+        const addr = r[0], n = r[1];
+        if(addr + n > RAM_SIZE){ this.trap(`path at 0x${addr.toString(16)} out of range`); return; }
+        // Paths are at most 255 bytes (MAX_FS_PATH in format.js); longer ones cannot match.
+        r[0] = n > 255 ? 0 : this.fileIndex.get(String.fromCharCode(...this.ram.subarray(addr, addr + n))) ?? 0;
+        return;
+      }
+      case Sys.FS_STAT: {
+        const f = this.files[r[0] - 1];
+        if(!f){ this.trap(`bad file handle ${r[0]}`); return; }
+        r[0] = f.size;
+        r[1] = f.crc;
+        return;
+      }
+      case Sys.FS_READ: {
+        const f = this.files[r[0] - 1];
+        if(!f){ this.trap(`bad file handle ${r[0]}`); return; }
+        const from = Math.min(r[1], f.size), n = Math.min(r[3], f.size - from), addr = r[2];
+        if(addr + n > RAM_SIZE){ this.trap(`file read to 0x${addr.toString(16)} out of range`); return; }
+        this.ram.set(f.data.subarray(from, from + n), addr);
+        r[0] = n;
+        return;
+      }
+      case Sys.DL_CLEAR:
+        if(!this.checkColor(r[0])) return;
+        st.display = [{op: 'clear', color: r[0]}];
+        this.dirty = true;
+        return;
+      case Sys.DL_TILE: {
+        const col = r[0], row = r[1];
+        if(col >= st.boardW || row >= st.boardH){ this.trap(`tile cell (${col},${row}) off board`); return; }
+        if(this.checkTile(r[2])) this.emit({op: 'tile', col, row, tile: r[2]});
+        return;
+      }
+      case Sys.DL_SPRITE: {
+        const f = r[3];
+        if(f & ~0xF3){ this.trap(`bad sprite flags 0x${f.toString(16)}`); return; }
+        if(this.checkTile(r[2])) this.emit({op: 'sprite', x: r[0] | 0, y: r[1] | 0, tile: r[2], flipX: (f & SpriteFlag.FLIP_X) !== 0, flipY: (f & SpriteFlag.FLIP_Y) !== 0, scale: (f >> 4) + 1});
+        return;
+      }
+      case Sys.DL_TEXT: {
+        const addr = r[0], n = r[1], color = r[3] & 0xFF, size = (r[3] >>> 8) & 0xFF, align = r[3] >>> 16;
+        if(n > MAX_TEXT){ this.trap(`text of ${n} bytes (max ${MAX_TEXT})`); return; }
+        if(addr + n > RAM_SIZE){ this.trap(`text at 0x${addr.toString(16)} out of range`); return; }
+        if(!size || align >= TEXT_ALIGN.length){ this.trap(`bad text style 0x${r[3].toString(16)}`); return; }
+        if(!this.checkColor(color)) return;
+        this.emit({op: 'text', x: r[2] & 0xFFFF, y: r[2] >>> 16, text: textDecoder.decode(this.ram.subarray(addr, addr + n)), color, size, align: TEXT_ALIGN[align]});
+        return;
+      }
+      case Sys.SND_TONE: {
+        const bad = soundStepProblem(r[0], r[1], r[2], true);
+        if(bad){ this.trap(`SND_TONE: ${bad}`); return; }
+        if(r[3] > 0xFF){ this.trap(`SND_TONE: bad envelope 0x${r[3].toString(16)}`); return; }
+        this.queueSound({op: 'tone', channel: r[0], note: r[1], frames: r[2], volume: r[3] & 15, decay: r[3] >> 4});
+        return;
+      }
+      case Sys.SND_PLAY:
+        if(r[0] >= this.soundCount){ this.trap(`sound ${r[0]} not in the ${this.soundCount}-sound SOUNDS block`); return; }
+        this.queueSound({op: 'play', sound: r[0]});
+        return;
+      case Sys.SND_STOP:
+        if(r[0] >= 1 << SOUND_CHANNELS){ this.trap(`bad channel mask 0x${r[0].toString(16)}`); return; }
+        this.queueSound({op: 'stop', mask: r[0]});
+        return;
+      case Sys.SET_MODE:
+        this.modeBits = r[0] & 0xFF;
+        return;
+      default:
+        // Unknown syscall => fail-closed
+        this.trap(`unknown syscall 0x${id.toString(16)}`);
+        return;
     }
-
-    if(this.render.paused || this.render.gameOver){
-      this.onDraw?.(this.render);
-      return;
-    }
-
-    const W = this.render.boardW, H = this.render.boardH;
-    const head = this.render.snake[0];
-    const dir = this.render.pendingDir;
-    this.render.dir = dir;
-
-    const dx = [0,1,0,-1][dir];
-    const dy = [-1,0,1,0][dir];
-    const nx = head.x + dx;
-    const ny = head.y + dy;
-
-    if(nx < 0 || ny < 0 || nx >= W || ny >= H){
-      this.render.gameOver = true;
-      this.onDraw?.(this.render);
-      return;
-    }
-
-    const apple = this.render.apple;
-    const willGrow = (nx === apple.x && ny === apple.y);
-
-    const bodySet = new Set(this.render.snake.map(p=>p.x + p.y*W));
-    if(!willGrow){
-      const tail = this.render.snake[this.render.snake.length-1];
-      bodySet.delete(tail.x + tail.y*W);
-    }
-    if(bodySet.has(nx + ny*W)){
-      this.render.gameOver = true;
-      this.onDraw?.(this.render);
-      return;
-    }
-
-    this.render.snake.unshift({x:nx,y:ny});
-
-    if(willGrow){
-      this.render.score++;
-      if(this.render.score > this.render.high) this.render.high = this.render.score;
-      this.spawnApple();
-    } else {
-      this.render.snake.pop();
-    }
-
-    this.onDraw?.(this.render);
   }
 }
@@ -0,0 +1,132 @@
+// vmhost.js - page side of vmworker.js: a cartridge's PPUVM running in a dedicated worker
+// The page keeps a mirror PPUVM that never executes. Every answer from the worker restores its
+// snapshot into the mirror, so code that reads VM state (render state, saveState, replays, the
+// inspector) is the same in both modes. Answers arrive in order; while one is outstanding (busy)
+// the host should not start the next tick, or ticks would pile up behind a slow cartridge.
+//
+// Watchdog: the cycle budget bounds the instructions in a frame, not the wall time a slow device
+// needs for them, and a worker can crash. A request not answered within watchdogMs terminates the
+// worker and faults the mirror like a VM trap ("watchdog: ..."), so the page never waits on it.
+// The clock only starts once the worker has posted 'ready': fetching and evaluating the worker
+// module can take far longer than a frame on a slow network, and has its own limit (startMs).
+
+export const WATCHDOG_MS = 1000;
+export const START_MS = 10_000;
+
+export class WorkerVM {
+  // spawn(): a new Worker running vmworker.js. mirror: a PPUVM for the same cartridge.
+  constructor({spawn, mirror, watchdogMs=WATCHDOG_MS, startMs=START_MS}){
+    this.mirror = mirror;
+    this.watchdogMs = watchdogMs;
+    this.ready = false;  // the worker posted 'ready'; requests sent before wait for it unclocked
+    this.pending = new Map(); // id -> {resolve, timer, gen, apply}
+    this.nextId = 1;
+    this.generation = 0; // bumped by restore(): steps sent before it are not applied
+    this.dead = null;    // why the worker was stopped
+    this.picture = null; // latest frame the worker drew (ImageBitmap), if it draws
+    this.startTimer = setTimeout(() => this.kill(`watchdog: the VM worker did not start in ${startMs} ms`), startMs);
+    this.worker = spawn();
+    this.worker.onmessage = (e) => this.receive(e.data);
+    this.worker.onerror = (e) => { e.preventDefault?.(); this.kill(`worker error: ${e.message || 'failed to run'}`); };
+    this.worker.onmessageerror = () => this.kill('worker sent an unreadable message');
+  }
+
+  get busy(){ return this.pending.size > 0; }
+
+  // cart: the PPUVM options without onDraw (they are structured-cloned). Runs init(). Like step(),
+  // resolves true once the mirror holds the result (a fault included).
+  load(cart){ return this.request({type: 'load', cart}); }
+
+  step(cmd, tick, cmd2=0){ return this.request({type: 'step', cmd, cmd2, tick}); }
+
+  // snapshot: already restored into the mirror, which validated it. Answers to steps sent before
+  // it resolve false and leave the mirror alone.
+  restore(snapshot){
+    this.generation++;
+    return this.request({type: 'restore', snapshot}, false);
+  }
+
+  // Drawing inputs (display.js drawScene); the worker draws when OffscreenCanvas exists there.
+  setView(view){
+    if(!this.dead) this.worker.postMessage({type: 'view', view});
+  }
+
+  // Stops the worker for good (a new cartridge is loading). Unanswered requests resolve false and
+  // leave the mirror alone, so nothing awaiting them (loadCartridge) stays suspended.
+  terminate(){
+    if(!this.dead){
+      this.dead = 'stopped';
+      this.worker.terminate();
+    }
+    clearTimeout(this.startTimer);
+    for(const p of this.pending.values()){
+      clearTimeout(p.timer);
+      p.resolve(false);
+    }
+    this.pending.clear();
+    this.picture?.close();
+    this.picture = null;
+  }
+
+  request(msg, apply=true){
+    if(this.dead){
+      this.fault(this.dead);
+      return Promise.resolve(apply);
+    }
+    const id = this.nextId++;
+    return new Promise(resolve => {
+      this.pending.set(id, {resolve, timer: this.ready ? this.watchdog() : null, gen: this.generation, apply});
+      this.worker.postMessage({...msg, id});
+    });
+  }
+
+  watchdog(){
+    return setTimeout(() => this.kill(`watchdog: no answer from the VM worker in ${this.watchdogMs} ms`), this.watchdogMs);
+  }
+
+  receive(msg){
+    if(msg.type === 'ready'){
+      clearTimeout(this.startTimer);
+      this.ready = true;
+      for(const p of this.pending.values()) p.timer = this.watchdog();
+      return;
+    }
+    if(msg.type === 'picture'){
+      this.picture?.close();
+      this.picture = msg.bitmap;
+      return;
+    }
+    const p = this.pending.get(msg.id);
+    if(!p) return;
+    this.pending.delete(msg.id);
+    clearTimeout(p.timer);
+    const fresh = p.apply && p.gen === this.generation;
+    if(fresh){
+      if(msg.snapshot) this.mirror.restore(msg.snapshot);
+      this.mirror.sound = msg.sound;
+      if(msg.fault) this.fault(msg.fault);
+    }
+    p.resolve(fresh);
+  }
+
+  fault(msg){
+    this.mirror.fault ??= msg;
+    this.mirror.halted = true;
+  }
+
+  // Watchdog or worker failure: everything outstanding resolves with the mirror faulted (false,
+  // like receive(), for answers a restore made stale). The last frame's sound was already played.
+  kill(reason){
+    if(this.dead) return;
+    this.dead = reason;
+    this.worker.terminate();
+    clearTimeout(this.startTimer);
+    this.fault(reason);
+    this.mirror.sound = [];
+    for(const p of this.pending.values()){
+      clearTimeout(p.timer);
+      p.resolve(p.apply && p.gen === this.generation);
+    }
+    this.pending.clear();
+  }
+}
@@ -0,0 +1,68 @@
+// vmworker.js - runs a PPUVM in a dedicated module worker (the page side is vmhost.js)
+// The page keeps the truth table, input queue, replays and save states; the worker only runs
+// bytecode and, where OffscreenCanvas exists, draws the frame so the page just blits it.
+//
+// Messages to the worker (all but 'view' are answered by a 'state' with the same id, in order):
+//   {type: 'load', id, cart}          new PPUVM(cart) (its options minus onDraw), then init() at tick 0
+//   {type: 'step', id, cmd, cmd2, tick}  setIO + runFrame()
+//   {type: 'restore', id, snapshot}   PPUVM.restore() (save states, adopted replays)
+//   {type: 'view', view}              drawing inputs for drawScene (display.js); from then on the
+//                                     worker draws after every state and view change
+// Messages from the worker:
+//   {type: 'ready'}                               once, when the module has loaded (before any state)
+//   {type: 'state', id, snapshot, sound, fault}   snapshot (PPUVM.snapshot()) is null once faulted
+//   {type: 'picture', bitmap}                     the drawn frame, an ImageBitmap of view.W x view.H
+
+import {PPUVM} from './vm.js';
+import {drawScene} from './display.js';
+
+// Message handler around one VM. post(msg, transfer) sends to the page.
+export function workerHandler(post){
+  let vm = null, view = null, canvas = null, g = null;
+
+  const draw = () => {
+    if(!vm || !view || typeof OffscreenCanvas !== 'function') return;
+    if(!canvas){
+      canvas = new OffscreenCanvas(view.W, view.H);
+      g = canvas.getContext('2d', {alpha:false});
+    } else if(canvas.width !== view.W || canvas.height !== view.H){
+      canvas.width = view.W; canvas.height = view.H;
+    }
+    drawScene(g, view, vm.render, vm.features);
+    const bitmap = canvas.transferToImageBitmap();
+    post({type: 'picture', bitmap}, [bitmap]);
+  };
+
+  return (msg) => {
+    switch(msg.type){
+      case 'load':
+        vm = new PPUVM(msg.cart);
+        vm.setIO({cmd:0, tick:0});
+        vm.init();
+        break;
+      case 'step':
+        vm?.setIO({cmd: msg.cmd, cmd2: msg.cmd2 ?? 0, tick: msg.tick});
+        vm?.runFrame();
+        break;
+      case 'restore':
+        vm?.restore(msg.snapshot);
+        break;
+      case 'view':
+        view = msg.view;
+        draw();
+        return;
+      default:
+        return;
+    }
+    const snapshot = vm && !vm.fault ? vm.snapshot() : null;
+    post({type: 'state', id: msg.id, snapshot, sound: vm?.sound ?? [], fault: vm ? vm.fault : 'no cartridge loaded'}, snapshot ? [snapshot.ram.buffer] : []);
+    draw();
+  };
+}
+
+// Only when running as a worker; tests drive workerHandler directly.
+if(typeof WorkerGlobalScope === 'function' && self instanceof WorkerGlobalScope){
+  const handle = workerHandler((msg, transfer) => self.postMessage(msg, transfer));
+  self.onmessage = (e) => handle(e.data);
+  self.postMessage({type: 'ready'});
+}
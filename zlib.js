@@ -0,0 +1,270 @@
+// zlib.js - tiny zlib (RFC 1950 / RFC 1951) codec for compressed PPUJ blocks (flags bit1)
+// - Bundled on purpose: no CompressionStream / network needed, and both directions stay sync.
+// - Inflate is bounded (maxOutput) and fails closed: any malformed stream throws.
+// - Deflate emits a single fixed-Huffman block with a small LZ77 matcher. Not zlib -9,
+//   but truth tables, string tables and bytecode are repetitive enough to shrink well.
+
+const LEN_BASE = [3,4,5,6,7,8,9,10,11,13,15,17,19,23,27,31,35,43,51,59,67,83,99,115,131,163,195,227,258];
+const LEN_EXTRA = [0,0,0,0,0,0,0,0,1,1,1,1,2,2,2,2,3,3,3,3,4,4,4,4,5,5,5,5,0];
+const DIST_BASE = [1,2,3,4,5,7,9,13,17,25,33,49,65,97,129,193,257,385,513,769,1025,1537,2049,3073,4097,6145,8193,12289,16385,24577];
+const DIST_EXTRA = [0,0,0,0,1,1,2,2,3,3,4,4,5,5,6,6,7,7,8,8,9,9,10,10,11,11,12,12,13,13];
+const CL_ORDER = [16,17,18,0,8,7,9,6,10,5,11,4,12,3,13,2,14,1,15];
+
+export function adler32(u8){
+  let a = 1, b = 0;
+  for(let i=0;i<u8.length;){
+    const end = Math.min(i + 5552, u8.length); // largest run without u32 overflow
+    for(;i<end;i++){ a += u8[i]; b += a; }
+    a %= 65521; b %= 65521;
+  }
+  return ((b << 16) | a) >>> 0;
+}
+
+// --- Inflate ---
+
+// Canonical Huffman decode table (puff-style): code counts per length + symbols in code order.
+function buildHuff(lengths){
+  const counts = new Uint16Array(16);
+  for(let i=0;i<lengths.length;i++) counts[lengths[i]]++;
+  counts[0] = 0;
+  let left = 1;
+  for(let len=1; len<16; len++){
+    left = (left << 1) - counts[len];
+    if(left < 0) throw new Error("zlib: over-subscribed Huffman code");
+  }
+  const offs = new Uint16Array(16);
+  for(let len=1; len<15; len++) offs[len+1] = offs[len] + counts[len];
+  const symbols = new Uint16Array(lengths.length);
+  for(let s=0;s<lengths.length;s++){
+    if(lengths[s]) symbols[offs[lengths[s]]++] = s;
+  }
+  return {counts, symbols};
+}
+
+let fixedTables = null;
+function getFixedTables(){
+  if(fixedTables) return fixedTables;
+  const lit = new Uint8Array(288);
+  lit.fill(8, 0, 144); lit.fill(9, 144, 256); lit.fill(7, 256, 280); lit.fill(8, 280, 288);
+  const dist = new Uint8Array(30).fill(5);
+  fixedTables = [buildHuff(lit), buildHuff(dist)];
+  return fixedTables;
+}
+
+function inflateRaw(src, start, maxOutput){
+  let pos = start, bitBuf = 0, bitCnt = 0;
+  let out = new Uint8Array(Math.max(1, Math.min(maxOutput, Math.max(1024, src.length * 4))));
+  let n = 0;
+
+  function bits(k){
+    while(bitCnt < k){
+      if(pos >= src.length) throw new Error("zlib: truncated stream");
+      bitBuf |= src[pos++] << bitCnt;
+      bitCnt += 8;
+    }
+    const v = bitBuf & ((1 << k) - 1);
+    bitBuf >>>= k;
+    bitCnt -= k;
+    return v;
+  }
+
+  function ensure(extra){
+    if(n + extra > maxOutput) throw new Error("zlib: output exceeds limit");
+    if(n + extra <= out.length) return;
+    let cap = out.length * 2;
+    while(cap < n + extra) cap *= 2;
+    const next = new Uint8Array(Math.min(cap, maxOutput));
+    next.set(out.subarray(0, n));
+    out = next;
+  }
+
+  function decodeSym(h){
+    let code = 0, first = 0, index = 0;
+    for(let len=1; len<16; len++){
+      code |= bits(1);
+      const count = h.counts[len];
+      if(code - first < count) return h.symbols[index + code - first];
+      index += count;
+      first = (first + count) << 1;
+      code <<= 1;
+    }
+    throw new Error("zlib: invalid Huffman code");
+  }
+
+  function dynamicTables(){
+    const hlit = bits(5) + 257, hdist = bits(5) + 1, hclen = bits(4) + 4;
+    if(hlit > 286 || hdist > 30) throw new Error("zlib: bad code lengths");
+    const cl = new Uint8Array(19);
+    for(let i=0;i<hclen;i++) cl[CL_ORDER[i]] = bits(3);
+    const clh = buildHuff(cl);
+    const lens = new Uint8Array(hlit + hdist);
+    for(let i=0; i<lens.length;){
+      const sym = decodeSym(clh);
+      if(sym < 16){ lens[i++] = sym; continue; }
+      let rep, val = 0;
+      if(sym === 16){
+        if(i === 0) throw new Error("zlib: repeat with no previous length");
+        val = lens[i-1];
+        rep = 3 + bits(2);
+      } else if(sym === 17){
+        rep = 3 + bits(3);
+      } else {
+        rep = 11 + bits(7);
+      }
+      if(i + rep > lens.length) throw new Error("zlib: bad code lengths");
+      while(rep--) lens[i++] = val;
+    }
+    if(lens[256] === 0) throw new Error("zlib: missing end-of-block code");
+    return [buildHuff(lens.subarray(0, hlit)), buildHuff(lens.subarray(hlit))];
+  }
+
+  let final = 0;
+  do{
+    final = bits(1);
+    const type = bits(2);
+    if(type === 0){
+      // stored: drop the partial byte, then LEN/NLEN (little-endian)
+      bitBuf = 0; bitCnt = 0;
+      if(pos + 4 > src.length) throw new Error("zlib: truncated stream");
+      const len = src[pos] | (src[pos+1] << 8);
+      const nlen = src[pos+2] | (src[pos+3] << 8);
+      pos += 4;
+      if((len ^ 0xFFFF) !== nlen) throw new Error("zlib: stored length mismatch");
+      if(pos + len > src.length) throw new Error("zlib: truncated stream");
+      ensure(len);
+      out.set(src.subarray(pos, pos+len), n);
+      n += len; pos += len;
+    } else if(type === 1 || type === 2){
+      const [lit, dist] = type === 1 ? getFixedTables() : dynamicTables();
+      for(;;){
+        let sym = decodeSym(lit);
+        if(sym < 256){
+          ensure(1);
+          out[n++] = sym;
+          continue;
+        }
+        if(sym === 256) break;
+        sym -= 257;
+        if(sym >= 29) throw new Error("zlib: invalid length symbol");
+        const len = LEN_BASE[sym] + bits(LEN_EXTRA[sym]);
+        const ds = decodeSym(dist);
+        if(ds >= 30) throw new Error("zlib: invalid distance symbol");
+        const d = DIST_BASE[ds] + bits(DIST_EXTRA[ds]);
+        if(d > n) throw new Error("zlib: distance too far back");
+        ensure(len);
+        for(let i=0;i<len;i++, n++) out[n] = out[n-d];
+      }
+    } else {
+      throw new Error("zlib: invalid block type");
+    }
+  } while(!final);
+
+  return {out: out.slice(0, n), end: pos};
+}
+
+export function zlibInflate(srcU8, {maxOutput=8*1024*1024} = {}){
+  const src = srcU8 instanceof Uint8Array ? srcU8 : new Uint8Array(srcU8);
+  if(src.length < 6) throw new Error("zlib: truncated stream");
+  const cmf = src[0], flg = src[1];
+  if((cmf & 0x0F) !== 8 || (cmf >>> 4) > 7) throw new Error("zlib: unsupported compression method");
+  if(((cmf << 8) | flg) % 31 !== 0) throw new Error("zlib: bad header check");
+  if(flg & 0x20) throw new Error("zlib: preset dictionary not supported");
+
+  const {out, end} = inflateRaw(src, 2, maxOutput);
+  if(end + 4 !== src.length) throw new Error(end + 4 > src.length ? "zlib: truncated stream" : "zlib: trailing bytes");
+  const want = ((src[end]<<24)>>>0) | (src[end+1]<<16) | (src[end+2]<<8) | src[end+3];
+  if((want>>>0) !== adler32(out)) throw new Error("zlib: Adler-32 mismatch");
+  return out;
+}
+
+// --- Deflate ---
+
+const HASH_BITS = 15;
+const WINDOW = 32768;
+const MAX_CHAIN = 32;
+
+export function zlibDeflate(srcU8){
+  const src = srcU8 instanceof Uint8Array ? srcU8 : new Uint8Array(srcU8);
+  let out = new Uint8Array(64 + src.length + (src.length >>> 3));
+  let n = 0, bitBuf = 0, bitCnt = 0;
+
+  function pushByte(b){
+    if(n >= out.length){
+      const next = new Uint8Array(out.length * 2);
+      next.set(out);
+      out = next;
+    }
+    out[n++] = b;
+  }
+  function put(v, k){
+    bitBuf |= v << bitCnt;
+    bitCnt += k;
+    while(bitCnt >= 8){ pushByte(bitBuf & 255); bitBuf >>>= 8; bitCnt -= 8; }
+  }
+  // Huffman codes are stored MSB-first inside the LSB-first bit stream.
+  function putCode(code, k){
+    let r = 0;
+    for(let i=0;i<k;i++) r = (r << 1) | ((code >>> i) & 1);
+    put(r, k);
+  }
+  function putLitLen(sym){
+    if(sym < 144) putCode(0x30 + sym, 8);
+    else if(sym < 256) putCode(0x190 + sym - 144, 9);
+    else if(sym < 280) putCode(sym - 256, 7);
+    else putCode(0xC0 + sym - 280, 8);
+  }
+  function putMatch(len, dist){
+    let li = 28;
+    while(LEN_BASE[li] > len) li--;
+    putLitLen(257 + li);
+    if(LEN_EXTRA[li]) put(len - LEN_BASE[li], LEN_EXTRA[li]);
+    let di = 29;
+    while(DIST_BASE[di] > dist) di--;
+    putCode(di, 5);
+    if(DIST_EXTRA[di]) put(dist - DIST_BASE[di], DIST_EXTRA[di]);
+  }
+
+  pushByte(0x78); pushByte(0x01); // CM=8, CINFO=7 (32K window), FLEVEL=0, FCHECK ok
+  put(1, 1); // BFINAL
+  put(1, 2); // BTYPE=01 fixed Huffman
+
+  const head = new Int32Array(1 << HASH_BITS).fill(-1);
+  const prev = new Int32Array(WINDOW);
+  const hashAt = (i) => ((src[i] << 10) ^ (src[i+1] << 5) ^ src[i+2]) & ((1 << HASH_BITS) - 1);
+  const insert = (i) => {
+    const h = hashAt(i);
+    prev[i & (WINDOW-1)] = head[h];
+    head[h] = i;
+  };
+
+  let i = 0;
+  while(i < src.length){
+    let bestLen = 0, bestDist = 0;
+    if(i + 3 <= src.length){
+      const maxLen = Math.min(258, src.length - i);
+      let cand = head[hashAt(i)];
+      for(let chain=0; cand >= 0 && i - cand <= WINDOW && chain < MAX_CHAIN; chain++){
+        let l = 0;
+        while(l < maxLen && src[cand+l] === src[i+l]) l++;
+        if(l > bestLen){ bestLen = l; bestDist = i - cand; if(l === maxLen) break; }
+        const nextCand = prev[cand & (WINDOW-1)];
+        if(nextCand >= cand) break; // slot was recycled
+        cand = nextCand;
+      }
+    }
+    if(bestLen >= 3){
+      putMatch(bestLen, bestDist);
+      for(let k=0;k<bestLen;k++, i++){ if(i + 3 <= src.length) insert(i); }
+    } else {
+      putLitLen(src[i]);
+      if(i + 3 <= src.length) insert(i);
+      i++;
+    }
+  }
+  putLitLen(256);
+  if(bitCnt > 0) put(0, 8 - bitCnt);
+
+  const a = adler32(src);
+  pushByte(a >>> 24); pushByte((a >>> 16) & 255); pushByte((a >>> 8) & 255); pushByte(a & 255);
+  return out.slice(0, n);
+}